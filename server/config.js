@@ -0,0 +1,50 @@
+import { MAX_REQUEST_MB } from "../src/api.js";
+
+/**
+ * Reads the proxy configuration from environment variables.
+ * The API key is only ever read here, on the server, and never reaches the browser bundle.
+ * @param {Record<string, string | undefined>} env The environment (process.env or Vite's loadEnv result).
+ * @returns {object} The resolved configuration.
+ */
+export const readServerConfig = (env) => {
+	const provider = env.LLM_PROVIDER || "gemini";
+	const providerConfig = {
+		apiKey: env.LLM_API_KEY || env.GEMINI_API_KEY || "",
+		model: env.LLM_MODEL || undefined,
+		baseUrl: env.LLM_BASE_URL || undefined,
+	};
+
+	return {
+		provider,
+		providerConfig,
+		// The answer-key check uses the generation provider unless VERIFY_PROVIDER names another;
+		// VERIFY_MODEL alone picks a different model from the same provider.
+		verifier: env.VERIFY_PROVIDER
+			? {
+					provider: env.VERIFY_PROVIDER,
+					providerConfig: {
+						apiKey: env.VERIFY_API_KEY || "",
+						model: env.VERIFY_MODEL || undefined,
+						baseUrl: env.VERIFY_BASE_URL || undefined,
+					},
+				}
+			: { provider, providerConfig: { ...providerConfig, model: env.VERIFY_MODEL || providerConfig.model } },
+		maxBodyBytes: Number(env.MAX_REQUEST_MB || MAX_REQUEST_MB) * 1024 * 1024,
+		maxQuestions: Number(env.MAX_QUESTIONS || 100),
+		rateLimit: {
+			windowMs: Number(env.RATE_LIMIT_WINDOW_SECONDS || 60) * 1000,
+			max: Number(env.RATE_LIMIT_MAX || 5),
+		},
+		trustProxy: env.TRUST_PROXY === "true",
+		// The class server for shared quizzes: where quizzes are kept, how many students each takes,
+		// and how often one client may publish or submit.
+		shares: {
+			dir: env.SHARE_DIR || "data/shares",
+			maxSubmissions: Number(env.MAX_SHARE_SUBMISSIONS || 500),
+			rateLimit: {
+				windowMs: Number(env.RATE_LIMIT_WINDOW_SECONDS || 60) * 1000,
+				max: Number(env.SHARE_RATE_LIMIT_MAX || 30),
+			},
+		},
+	};
+};
@@ -0,0 +1,319 @@
+import { createModelChecker } from "../src/providers/checker.js";
+import { ERROR_KINDS, ProviderError } from "../src/providers/errors.js";
+import { createProvider, generateQuestions } from "../src/providers/index.js";
+import { placeFigure } from "../src/quiz/figures.js";
+import { questionStemText } from "../src/quiz/formats.js";
+import { normalizeSettings } from "../src/quiz/settings.js";
+import { excerpt, validateQuestionSet } from "../src/quiz/validate.js";
+import { applyVerdict } from "../src/quiz/verification.js";
+import { clientAddress, HttpError, readJsonBody, sendJson, startNdjson } from "./http.js";
+import { createRateLimiter } from "./rateLimit.js";
+
+/**
+ * Checks one chunk of a `/api/generate` request.
+ * @param {any} chunk The chunk from the request body.
+ * @returns {import("../src/ingest/chunk.js").Chunk} The validated chunk.
+ */
+const parseChunk = (chunk) => {
+	const { fileName, unit, pageStart, pageEnd, text = "", images = [], numQuestions } = chunk ?? {};
+	if (typeof fileName !== "string" || typeof unit !== "string" || typeof text !== "string" || !Array.isArray(images)) {
+		throw new HttpError(400, "Each chunk needs a fileName, unit, text and images.");
+	}
+	if (![pageStart, pageEnd, numQuestions].every(Number.isInteger) || pageStart > pageEnd || numQuestions < 1) {
+		throw new HttpError(400, "Each chunk needs a page range and a question count.");
+	}
+	for (const image of images) {
+		if (typeof image?.mimeType !== "string" || !image.mimeType.startsWith("image/") || typeof image.data !== "string") {
+			throw new HttpError(400, "Each chunk image needs an image mimeType and base64 data.");
+		}
+		if (image.page !== undefined && !Number.isInteger(image.page)) {
+			throw new HttpError(400, "A chunk image's page must be a page number.");
+		}
+	}
+	if (!text.trim() && !images.length) {
+		throw new HttpError(400, `The chunk from "${fileName}" is empty.`);
+	}
+	return { fileName, unit, pageStart, pageEnd, text, images, numQuestions };
+};
+
+/**
+ * Checks the shape of a `/api/generate` request body.
+ * @param {any} body The parsed JSON body.
+ * @param {number} maxQuestions The largest question count a single request may ask for.
+ * @returns {{ numQuestions: number, chunks: import("../src/ingest/chunk.js").Chunk[], settings: object, avoid: string[] }}
+ *   The validated request.
+ */
+const parseGenerationRequest = (body, maxQuestions) => {
+	const numQuestions = Number(body?.numQuestions);
+	if (!Number.isInteger(numQuestions) || numQuestions < 1 || numQuestions > maxQuestions) {
+		throw new HttpError(400, `numQuestions must be a whole number between 1 and ${maxQuestions}.`);
+	}
+
+	if (!Array.isArray(body.chunks) || body.chunks.length === 0) {
+		throw new HttpError(400, "Please upload at least one file.");
+	}
+	const chunks = body.chunks.map(parseChunk);
+	if (chunks.reduce((sum, chunk) => sum + chunk.numQuestions, 0) !== numQuestions) {
+		throw new HttpError(400, "The chunk question counts must add up to numQuestions.");
+	}
+
+	// Questions the client already has, such as the rest of a quiz when one question is being replaced.
+	const avoid = Array.isArray(body.avoid) ? body.avoid.filter((text) => typeof text === "string") : [];
+
+	return { numQuestions, chunks, settings: normalizeSettings(body.settings), avoid };
+};
+
+/**
+ * Packs a chunk as files for a provider: its text as one plain-text file, followed by its images.
+ * The text ends with a list of which page each image shows, so the model can cite an image for a figure.
+ * @param {import("../src/ingest/chunk.js").Chunk} chunk The chunk.
+ * @returns {import("../src/providers/index.js").EncodedFile[]} The encoded files.
+ */
+const chunkToFiles = (chunk) => {
+	const name = `${chunk.fileName} (${chunk.unit} ${chunk.pageStart}–${chunk.pageEnd})`;
+	const unit = chunk.unit.charAt(0).toUpperCase() + chunk.unit.slice(1);
+	const imageList = chunk.images.some(({ page }) => page)
+		? `[Images]\nThe attached images follow this text, in order:\n${chunk.images
+				.map(({ page }, i) => `Image ${i + 1}: ${page ? `${unit} ${page}` : "unknown page"}`)
+				.join("\n")}`
+		: "";
+	const text = [chunk.text.trim(), imageList].filter(Boolean).join("\n\n");
+	const files = text ? [{ name, mimeType: "text/plain", data: Buffer.from(text, "utf8").toString("base64") }] : [];
+	return [...files, ...chunk.images.map(({ mimeType, data }) => ({ name, mimeType, data }))];
+};
+
+/**
+ * Records which file and page a question came from, using the page the model cited when it
+ * falls inside the chunk.
+ * @param {object} question The validated question, possibly with a `sourcePage`.
+ * @param {import("../src/ingest/chunk.js").Chunk} chunk The chunk it was generated from.
+ * @returns {object} The question with a `source` and without `sourcePage`.
+ */
+const withSource = ({ sourcePage, ...question }, chunk) => {
+	const page = Number(sourcePage);
+	return {
+		...question,
+		source: {
+			file: chunk.fileName,
+			unit: chunk.unit,
+			page: Number.isInteger(page) && page >= chunk.pageStart && page <= chunk.pageEnd ? page : null,
+			pageStart: chunk.pageStart,
+			pageEnd: chunk.pageEnd,
+		},
+	};
+};
+
+// Questions asked of the model per call. Smaller batches reach the browser sooner.
+const BATCH_SIZE = 10;
+// Follow-up requests allowed per chunk when validation leaves it short of its question count.
+const MAX_TOP_UP_REQUESTS = 2;
+// Earlier questions listed in the prompt so a later batch doesn't repeat them.
+const MAX_AVOIDED = 30;
+
+/**
+ * Runs the answer-key check on a batch of validated questions and applies the request's mode.
+ * If the checker fails, the batch goes through marked as unverified rather than failing generation.
+ * Questions with a figure or diagram are unverified too, since the checker only sees their text.
+ * @param {import("../src/providers/checker.js").Checker} checker The checker.
+ * @param {object[]} batch The questions.
+ * @param {"flag" | "correct" | "drop"} mode What to do with disputed keys.
+ * @param {object} report The generation report; its `verification` tally and messages are updated.
+ * @param {{ signal?: AbortSignal }} [options] Cancels the check.
+ * @returns {Promise<{ kept: object[], dropped: object[] }>} The questions to keep, and those dropped as disputed.
+ */
+const verifyBatch = async (checker, batch, mode, report, { signal } = {}) => {
+	const checkable = batch.filter((question) => !question.figure && !question.diagram);
+	let verdicts = batch.map(() => null);
+	if (checkable.length) {
+		try {
+			const solved = await checker.solve(checkable, { signal });
+			verdicts = batch.map((question) => {
+				const i = checkable.indexOf(question);
+				return i === -1 ? null : solved[i];
+			});
+		} catch (e) {
+			if (signal?.aborted) throw e;
+			const hint = ERROR_KINDS[e.kind]?.hint;
+			console.warn(`Answer-key check failed (${e.kind ?? "error"}: ${e.detail ?? e.message}).${hint ? ` ${hint}` : ""}`);
+		}
+	}
+
+	const kept = [];
+	const dropped = [];
+	batch.forEach((question, i) => {
+		const result = applyVerdict(question, verdicts[i], mode);
+		report.verification[result.outcome]++;
+		if (result.outcome === "corrected") report.fixed.push(`Answer-key check: ${result.message}`);
+		if (result.outcome === "dropped") report.dropped.push(`Answer-key check: ${result.message}`);
+		(result.question ? kept : dropped).push(result.question ?? question);
+	});
+	return { kept, dropped };
+};
+
+/**
+ * Generates each chunk's share of the questions in batches and validates them, re-requesting
+ * the shortfall when invalid or duplicate questions had to be dropped. Duplicate checks span all chunks.
+ * A cut-off response is retried with a smaller batch; a chunk blocked by the safety filter is skipped.
+ * Other provider failures end generation. When the request turns on the answer-key check, each batch
+ * is checked before it is sent, and questions dropped as disputed are replaced like invalid ones.
+ * @param {import("../src/providers/index.js").Provider} provider The provider to use.
+ * @param {ReturnType<typeof parseGenerationRequest>} request The validated request.
+ * @param {{ signal?: AbortSignal, onQuestions?: (questions: object[]) => void, checker?: import("../src/providers/checker.js").Checker }} [options]
+ *   Cancels generation, receives each batch of accepted questions as soon as it is validated, and checks answer keys.
+ * @returns {Promise<{ questions: object[], report: object }>} The questions and a report of
+ *   what was fixed, what was dropped, how many rounds it took and, if checked, how the keys fared.
+ */
+const generateValidatedQuestions = async (provider, request, { signal, onQuestions, checker } = {}) => {
+	const questions = [];
+	const report = { requested: request.numQuestions, fixed: [], dropped: [], rounds: 0 };
+	const mode = checker ? request.settings.verification : "off";
+	if (mode !== "off") {
+		report.verification = { mode, checker: checker.name, agreed: 0, unverified: 0, flagged: 0, corrected: 0, dropped: 0 };
+	}
+	let lastFailure = null;
+
+	for (const chunk of request.chunks) {
+		const target = questions.length + chunk.numQuestions;
+		const maxRounds = Math.ceil(chunk.numQuestions / BATCH_SIZE) + MAX_TOP_UP_REQUESTS;
+		const fromChunk = [];
+		// Disputed questions that were dropped, so later batches don't produce them again.
+		const disputed = [];
+		const files = chunkToFiles(chunk);
+		let batchLimit = BATCH_SIZE;
+		let rounds = 0;
+
+		while (questions.length < target && rounds < maxRounds) {
+			signal?.throwIfAborted();
+			rounds++;
+			const batchSize = Math.min(batchLimit, target - questions.length);
+			let data;
+			try {
+				data = await generateQuestions(
+					provider,
+					{
+						numQuestions: batchSize,
+						files,
+						settings: request.settings,
+						avoid: [
+							...request.avoid,
+							...[...fromChunk, ...disputed].map(questionStemText),
+						].slice(-MAX_AVOIDED),
+					},
+					{ signal },
+				);
+			} catch (e) {
+				if (!(e instanceof ProviderError) || !["truncated", "safety"].includes(e.kind)) throw e;
+				console.warn(`Generation for ${files[0].name} failed (${e.kind}: ${e.detail}).`);
+				lastFailure = e;
+				if (e.kind === "safety") {
+					report.dropped.push(`${files[0].name} was blocked by the provider's safety filter and skipped.`);
+					break;
+				}
+				// Asking for fewer questions keeps the next response within the model's output limit.
+				report.dropped.push(
+					`The response for ${files[0].name} was cut off or malformed; asking for fewer questions.`,
+				);
+				batchLimit = Math.max(1, Math.ceil(batchSize / 2));
+				continue;
+			}
+			const round = validateQuestionSet(data, questions.length + batchSize, questions, request.settings);
+			let accepted = [];
+			for (const question of round.questions.map((q) => withSource(q, chunk))) {
+				const placed = placeFigure(question, chunk.images);
+				if (placed) accepted.push(placed);
+				else report.dropped.push(`Question ${excerpt(question)} refers to a figure that isn't in the material.`);
+			}
+			if (mode !== "off" && accepted.length) {
+				const checked = await verifyBatch(checker, accepted, mode, report, { signal });
+				accepted = checked.kept;
+				disputed.push(...checked.dropped);
+			}
+			questions.push(...accepted);
+			fromChunk.push(...accepted);
+			report.fixed.push(...round.fixed);
+			report.dropped.push(...round.dropped);
+			if (accepted.length) onQuestions?.(accepted);
+		}
+		report.rounds += rounds;
+	}
+
+	if (!questions.length) {
+		throw lastFailure ?? new ProviderError("truncated", { detail: "no valid questions in any response" });
+	}
+	return { questions, report: { ...report, returned: questions.length } };
+};
+
+/**
+ * Creates the `/api/generate` request handler.
+ * Works both as Vite/connect middleware and as a plain `node:http` handler.
+ * Invalid requests get a JSON error; accepted ones get a newline-delimited JSON stream of
+ * `{ type: "questions", questions }` events, ending in `{ type: "done", report }` or
+ * `{ type: "error", error, kind?, retryAfterSeconds? }` (see `ERROR_KINDS` for the kinds).
+ * @param {ReturnType<typeof import("./config.js").readServerConfig>} config The server configuration.
+ * @param {{ checker?: import("../src/providers/checker.js").Checker }} [options] A custom answer-key checker to use
+ *   instead of asking the configured verification model.
+ * @returns {(req: import("node:http").IncomingMessage, res: import("node:http").ServerResponse) => Promise<void>} The handler.
+ */
+export const createGenerateHandler = (config, { checker } = {}) => {
+	const provider = createProvider(config.provider, config.providerConfig);
+	const keyChecker = checker ?? createModelChecker(createProvider(config.verifier.provider, config.verifier.providerConfig));
+	const limiter = createRateLimiter(config.rateLimit);
+
+	return async (req, res) => {
+		if (req.method !== "POST") {
+			sendJson(res, 405, { error: "Use POST." }, { Allow: "POST" });
+			return;
+		}
+
+		const { allowed, retryAfterSeconds } = limiter.check(clientAddress(req, config.trustProxy));
+		if (!allowed) {
+			sendJson(
+				res,
+				429,
+				{ error: `Too many generation requests. Try again in ${retryAfterSeconds} seconds.` },
+				{ "Retry-After": retryAfterSeconds },
+			);
+			return;
+		}
+
+		let request;
+		try {
+			request = parseGenerationRequest(await readJsonBody(req, config.maxBodyBytes), config.maxQuestions);
+		} catch (e) {
+			if (e instanceof HttpError) {
+				sendJson(res, e.status, { error: e.message });
+			} else {
+				console.error("Error reading generation request:", e);
+				sendJson(res, 400, { error: "The request could not be read." });
+			}
+			return;
+		}
+
+		// Questions are streamed as they are validated. Closing the connection (the user pressed
+		// Cancel) aborts the provider calls still in flight.
+		const controller = new AbortController();
+		res.on("close", () => {
+			if (!res.writableEnded) controller.abort();
+		});
+		const send = startNdjson(res);
+		try {
+			const { report } = await generateValidatedQuestions(provider, request, {
+				signal: controller.signal,
+				onQuestions: (questions) => send({ type: "questions", questions }),
+				checker: keyChecker,
+			});
+			send({ type: "done", report });
+		} catch (e) {
+			if (controller.signal.aborted) return;
+			if (e instanceof ProviderError) {
+				const hint = ERROR_KINDS[e.kind].hint;
+				console.error(`Error generating questions (${e.kind}): ${e.detail}${hint ? ` ${hint}` : ""}`);
+				send({ type: "error", error: e.message, kind: e.kind, retryAfterSeconds: e.retryAfterSeconds });
+			} else {
+				console.error("Error generating questions:", e);
+				send({ type: "error", error: "Failed to generate questions. Please try again." });
+			}
+		}
+		res.end();
+	};
+};
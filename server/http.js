@@ -0,0 +1,90 @@
+/**
+ * An error carrying the HTTP status the proxy should answer with.
+ */
+export class HttpError extends Error {
+	/**
+	 * @param {number} status The HTTP status code.
+	 * @param {string} message A message safe to show to the user.
+	 */
+	constructor(status, message) {
+		super(message);
+		this.name = "HttpError";
+		this.status = status;
+	}
+}
+
+/**
+ * Sends a JSON response.
+ * @param {import("node:http").ServerResponse} res The response.
+ * @param {number} status The HTTP status code.
+ * @param {object} body The body to serialize.
+ * @param {Record<string, string | number>} [headers] Extra response headers.
+ */
+export const sendJson = (res, status, body, headers = {}) => {
+	res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+	res.end(JSON.stringify(body));
+};
+
+/**
+ * Starts a streamed response of newline-delimited JSON events.
+ * @param {import("node:http").ServerResponse} res The response.
+ * @returns {(event: object) => void} Writes one event as its own line.
+ */
+export const startNdjson = (res) => {
+	res.writeHead(200, {
+		"Content-Type": "application/x-ndjson; charset=utf-8",
+		"Cache-Control": "no-cache",
+		// Stop reverse proxies such as nginx from buffering the stream.
+		"X-Accel-Buffering": "no",
+	});
+	return (event) => res.write(`${JSON.stringify(event)}\n`);
+};
+
+/**
+ * Reads and parses a JSON request body, refusing anything larger than `maxBytes`.
+ * @param {import("node:http").IncomingMessage} req The request.
+ * @param {number} maxBytes The size limit.
+ * @returns {Promise<any>} The parsed body.
+ */
+export const readJsonBody = (req, maxBytes) => {
+	const declared = Number(req.headers["content-length"]);
+	if (declared > maxBytes) {
+		return Promise.reject(new HttpError(413, "The uploaded files are too large."));
+	}
+
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		let size = 0;
+		req.on("data", (chunk) => {
+			size += chunk.length;
+			if (size > maxBytes) {
+				reject(new HttpError(413, "The uploaded files are too large."));
+				req.destroy();
+				return;
+			}
+			chunks.push(chunk);
+		});
+		req.on("end", () => {
+			try {
+				resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+			} catch {
+				reject(new HttpError(400, "The request body is not valid JSON."));
+			}
+		});
+		req.on("error", reject);
+	});
+};
+
+/**
+ * Identifies the client for rate limiting.
+ * @param {import("node:http").IncomingMessage} req The request.
+ * @param {boolean} trustProxy Whether to honour X-Forwarded-For from a reverse proxy.
+ * @returns {string} The client address.
+ */
+export const clientAddress = (req, trustProxy) => {
+	const forwarded = req.headers["x-forwarded-for"];
+	if (trustProxy && typeof forwarded === "string") {
+		return forwarded.split(",")[0].trim();
+	}
+	return req.socket.remoteAddress || "unknown";
+};
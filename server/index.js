@@ -0,0 +1,98 @@
+// Standalone production server: serves the built app from dist/ and owns the LLM API key.
+// Run `npm run build` first, then `npm start`.
+import { createReadStream } from "node:fs";
+import { stat } from "node:fs/promises";
+import { createServer } from "node:http";
+import { extname, join, normalize, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import { readServerConfig } from "./config.js";
+import { createGenerateHandler } from "./generate.js";
+import { sendJson } from "./http.js";
+import { createShareHandler } from "./shares.js";
+
+const DIST_DIR = resolve(fileURLToPath(new URL("../dist", import.meta.url)));
+const PORT = Number(process.env.PORT || 3000);
+
+const MIME_TYPES = {
+	".html": "text/html; charset=utf-8",
+	".js": "text/javascript; charset=utf-8",
+	".mjs": "text/javascript; charset=utf-8",
+	".css": "text/css; charset=utf-8",
+	".svg": "image/svg+xml",
+	".png": "image/png",
+	".ico": "image/x-icon",
+	".json": "application/json; charset=utf-8",
+	".webmanifest": "application/manifest+json",
+	".woff2": "font/woff2",
+	".woff": "font/woff",
+	".ttf": "font/ttf",
+};
+
+/**
+ * Tells whether a request is the browser loading a page, rather than a script, style or image on one.
+ * @param {import("node:http").IncomingMessage} req The request.
+ * @returns {boolean} Whether it is a navigation.
+ */
+const isNavigation = (req) =>
+	req.headers["sec-fetch-mode"] === "navigate" || (req.headers.accept ?? "").includes("text/html");
+
+/**
+ * Serves a file from dist/. Page loads of client-side routes get index.html; any other missing file is a 404,
+ * so a stale script or style URL never gets HTML back.
+ * @param {import("node:http").IncomingMessage} req The request.
+ * @param {import("node:http").ServerResponse} res The response.
+ */
+const serveStatic = async (req, res) => {
+	let pathname;
+	try {
+		pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+	} catch {
+		res.writeHead(400).end();
+		return;
+	}
+	let filePath = normalize(join(DIST_DIR, pathname));
+	if (filePath !== DIST_DIR && !filePath.startsWith(DIST_DIR + sep)) {
+		res.writeHead(403).end();
+		return;
+	}
+
+	const info = await stat(filePath).catch(() => null);
+	if (!info && !isNavigation(req)) {
+		res.writeHead(404).end();
+		return;
+	}
+	if (!info || info.isDirectory()) {
+		filePath = join(DIST_DIR, "index.html");
+	}
+
+	res.writeHead(200, {
+		"Content-Type": MIME_TYPES[extname(filePath)] || "application/octet-stream",
+		// The service worker is checked on every visit, so a new build reaches installed copies promptly.
+		...(pathname === "/sw.js" ? { "Cache-Control": "no-cache" } : {}),
+	});
+	createReadStream(filePath)
+		.on("error", () => res.end())
+		.pipe(res);
+};
+
+const config = readServerConfig(process.env);
+const handleGenerate = createGenerateHandler(config);
+const handleShares = createShareHandler(config);
+
+createServer((req, res) => {
+	if (req.url.startsWith("/api/generate")) {
+		handleGenerate(req, res);
+	} else if (req.url.startsWith("/api/shares")) {
+		handleShares(req, res);
+	} else if (req.url.startsWith("/api/")) {
+		sendJson(res, 404, { error: "Not found." });
+	} else {
+		serveStatic(req, res).catch((e) => {
+			console.error("Error serving a file:", e);
+			if (!res.headersSent) res.writeHead(500);
+			res.end();
+		});
+	}
+}).listen(PORT, () => {
+	console.log(`NEET Quiz Generator listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,33 @@
+/**
+ * Creates a fixed-window rate limiter keyed by client.
+ * State lives in memory, which is enough for a single proxy process.
+ * @param {{ windowMs: number, max: number }} options Window length and requests allowed per window.
+ * @returns {{ check: (key: string) => { allowed: boolean, retryAfterSeconds: number } }} The limiter.
+ */
+export const createRateLimiter = ({ windowMs, max }) => {
+	const windows = new Map();
+
+	const check = (key) => {
+		const now = Date.now();
+		let entry = windows.get(key);
+		if (!entry || now >= entry.resetAt) {
+			entry = { count: 0, resetAt: now + windowMs };
+			windows.set(key, entry);
+		}
+
+		// Drop expired windows now and then so the map doesn't grow without bound.
+		if (windows.size > 10000) {
+			for (const [k, e] of windows) {
+				if (now >= e.resetAt) windows.delete(k);
+			}
+		}
+
+		entry.count++;
+		return {
+			allowed: entry.count <= max,
+			retryAfterSeconds: Math.ceil((entry.resetAt - now) / 1000),
+		};
+	};
+
+	return { check };
+};
@@ -0,0 +1,235 @@
+// The class server: teachers publish a quiz, students fetch it and submit their answers, and the teacher reads
+// the submissions and releases the answer key. Quizzes are kept as one JSON file each under SHARE_DIR, so the
+// server needs no database and its data can be backed up by copying the directory.
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { validateQuestion } from "../src/quiz/validate.js";
+import { ShareError, splitAnswerKey } from "../src/share/key.js";
+import { checkScheme, newShareId, SHARE_ID_PATTERN } from "../src/share/link.js";
+import { addSubmission, normalizeSubmission } from "../src/share/submissions.js";
+import { clientAddress, HttpError, readJsonBody, sendJson } from "./http.js";
+import { createRateLimiter } from "./rateLimit.js";
+
+// Most questions a shared quiz may have, and the longest title, in characters.
+const MAX_SHARED_QUESTIONS = 300;
+const MAX_TITLE_CHARS = 120;
+// Largest submission body accepted, in bytes.
+const MAX_SUBMISSION_BYTES = 64 * 1024;
+
+const ROUTE = new RegExp(`^/api/shares(?:/(${SHARE_ID_PATTERN.source.slice(1, -1)})(?:/(submissions|release))?)?/?$`);
+
+/**
+ * A quiz on the class server, as stored.
+ * @typedef {Object} StoredShare
+ * @property {string} id The share id.
+ * @property {string} tokenHash SHA-256 of the teacher's token, in hex.
+ * @property {string} title The title students see.
+ * @property {object} scheme The marking scheme.
+ * @property {object[]} questions The questions, with their keys.
+ * @property {boolean} released Whether students may see the key.
+ * @property {number} createdAt When it was published.
+ * @property {import("../src/share/submissions.js").Submission[]} submissions The class's submissions.
+ */
+
+/**
+ * Hashes a teacher token for storage.
+ * @param {string} token The token.
+ * @returns {string} Its SHA-256, in hex.
+ */
+const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+/**
+ * Creates the file store for shared quizzes. Changes to one quiz are applied one at a time, so submissions
+ * arriving together don't overwrite each other.
+ * @param {string} dir The directory to keep the quizzes in.
+ * @returns {{ read: (id: string) => Promise<StoredShare | null>, create: (share: StoredShare) => Promise<void>,
+ *   update: (id: string, change: (share: StoredShare) => StoredShare) => Promise<StoredShare | null> }} The store.
+ */
+export const createShareStore = (dir) => {
+	const root = resolve(dir);
+	const queues = new Map();
+	const fileFor = (id) => join(root, `${id}.json`);
+
+	const read = async (id) => {
+		try {
+			return JSON.parse(await readFile(fileFor(id), "utf8"));
+		} catch (e) {
+			if (e.code === "ENOENT") return null;
+			throw e;
+		}
+	};
+
+	// Written to a temporary file and renamed, so a crash mid-write never leaves half a quiz.
+	const write = async (share) => {
+		await mkdir(root, { recursive: true });
+		await writeFile(`${fileFor(share.id)}.tmp`, JSON.stringify(share));
+		await rename(`${fileFor(share.id)}.tmp`, fileFor(share.id));
+	};
+
+	const update = (id, change) => {
+		const next = (queues.get(id) ?? Promise.resolve()).then(async () => {
+			const share = await read(id);
+			if (!share) return null;
+			const changed = change(share);
+			await write(changed);
+			return changed;
+		});
+		const settled = next.catch(() => {});
+		queues.set(id, settled);
+		settled.then(() => queues.get(id) === settled && queues.delete(id));
+		return next;
+	};
+
+	return { read, create: write, update };
+};
+
+/**
+ * Checks a quiz a teacher is publishing.
+ * @param {any} body The parsed request body.
+ * @returns {{ title: string, scheme: object, questions: object[] }} The quiz.
+ * @throws {HttpError} If it isn't a usable quiz.
+ */
+const parsePublishRequest = (body) => {
+	if (!Array.isArray(body?.questions) || !body.questions.length) {
+		throw new HttpError(400, "The quiz has no questions.");
+	}
+	if (body.questions.length > MAX_SHARED_QUESTIONS) {
+		throw new HttpError(400, `A shared quiz can have at most ${MAX_SHARED_QUESTIONS} questions.`);
+	}
+	const questions = body.questions.map((raw, i) => {
+		const { question, errors } = validateQuestion(raw);
+		if (!question) throw new HttpError(400, `Question ${i + 1} ${errors.join(", ")}.`);
+		return question;
+	});
+	const title = typeof body.title === "string" ? body.title.trim().slice(0, MAX_TITLE_CHARS) : "";
+	return { title: title || "Shared quiz", scheme: checkScheme(body.scheme), questions };
+};
+
+/**
+ * Checks the teacher's token on a request for a quiz's results or to release its key.
+ * @param {import("node:http").IncomingMessage} req The request.
+ * @param {StoredShare} share The quiz.
+ * @throws {HttpError} If the token is missing or wrong.
+ */
+const requireTeacher = (req, share) => {
+	const token = /^Bearer (.+)$/.exec(req.headers.authorization ?? "")?.[1] ?? "";
+	const given = Buffer.from(hashToken(token), "hex");
+	if (!token || !timingSafeEqual(given, Buffer.from(share.tokenHash, "hex"))) {
+		throw new HttpError(403, "Only the teacher who shared this quiz can do that.");
+	}
+};
+
+/**
+ * Describes a shared quiz for students: the paper, plus the key once it is released.
+ * @param {StoredShare} share The quiz.
+ * @returns {object} The response body.
+ */
+const studentView = ({ id, title, scheme, questions, released }) => ({
+	id,
+	title,
+	scheme,
+	released,
+	questions: released ? questions : splitAnswerKey(questions).paper,
+});
+
+/**
+ * Creates the request handler for the /api/shares routes.
+ * @param {ReturnType<typeof import("./config.js").readServerConfig>} config The server configuration.
+ * @returns {(req: import("node:http").IncomingMessage, res: import("node:http").ServerResponse) => Promise<void>} The handler.
+ */
+export const createShareHandler = (config) => {
+	const store = createShareStore(config.shares.dir);
+	const limiter = createRateLimiter(config.shares.rateLimit);
+
+	/**
+	 * Loads a quiz or fails with a 404.
+	 * @param {string} id The share id.
+	 * @returns {Promise<StoredShare>} The quiz.
+	 */
+	const load = async (id) => {
+		const share = await store.read(id);
+		if (!share) throw new HttpError(404, "This shared quiz doesn't exist, or was removed from the class server.");
+		return share;
+	};
+
+	const routes = {
+		"POST shares": async (req, res) => {
+			const { title, scheme, questions } = parsePublishRequest(await readJsonBody(req, config.maxBodyBytes));
+			const token = randomBytes(24).toString("base64url");
+			const share = {
+				id: newShareId(),
+				tokenHash: hashToken(token),
+				title,
+				scheme,
+				questions,
+				released: false,
+				createdAt: Date.now(),
+				submissions: [],
+			};
+			await store.create(share);
+			sendJson(res, 201, { id: share.id, token });
+		},
+		"GET share": async (req, res, id) => sendJson(res, 200, studentView(await load(id))),
+		"POST submissions": async (req, res, id) => {
+			const body = await readJsonBody(req, MAX_SUBMISSION_BYTES);
+			const { questions } = await load(id);
+			const submission = { ...normalizeSubmission(body, questions.length), submittedAt: Date.now() };
+			const share = await store.update(id, (current) => {
+				if (current.submissions.length >= config.shares.maxSubmissions) {
+					throw new HttpError(409, "This quiz has all the submissions it can take. Tell your teacher.");
+				}
+				return { ...current, submissions: addSubmission(current.submissions, submission) };
+			});
+			if (!share) throw new HttpError(404, "This shared quiz was removed from the class server.");
+			sendJson(res, 201, { submittedAt: submission.submittedAt, released: share.released });
+		},
+		"GET submissions": async (req, res, id) => {
+			const share = await load(id);
+			requireTeacher(req, share);
+			sendJson(res, 200, { released: share.released, submissions: share.submissions });
+		},
+		"POST release": async (req, res, id) => {
+			requireTeacher(req, await load(id));
+			await store.update(id, (share) => ({ ...share, released: true }));
+			sendJson(res, 200, { released: true });
+		},
+	};
+
+	return async (req, res) => {
+		// Mounted as Vite middleware, `req.url` has the mount path stripped; `originalUrl` keeps it.
+		const match = ROUTE.exec(new URL(req.originalUrl ?? req.url, "http://localhost").pathname);
+		const [, id, action] = match ?? [];
+		const route = match && routes[`${req.method} ${action ?? (id ? "share" : "shares")}`];
+		if (!route) {
+			sendJson(res, match ? 405 : 404, { error: match ? "Method not allowed." : "Not found." });
+			return;
+		}
+
+		if (req.method === "POST") {
+			const { allowed, retryAfterSeconds } = limiter.check(clientAddress(req, config.trustProxy));
+			if (!allowed) {
+				sendJson(
+					res,
+					429,
+					{ error: `Too many requests. Try again in ${retryAfterSeconds} seconds.` },
+					{ "Retry-After": retryAfterSeconds },
+				);
+				return;
+			}
+		}
+
+		try {
+			await route(req, res, id);
+		} catch (e) {
+			if (e instanceof HttpError) {
+				sendJson(res, e.status, { error: e.message });
+			} else if (e instanceof ShareError) {
+				sendJson(res, 400, { error: e.message });
+			} else {
+				console.error("Error handling a shared quiz request:", e);
+				sendJson(res, 500, { error: "The class server could not handle the request." });
+			}
+		}
+	};
+};
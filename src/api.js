@@ -0,0 +1,97 @@
+// The largest request body the proxy accepts by default (MAX_REQUEST_MB in its .env).
+// The upload panel keeps generation requests under it.
+export const MAX_REQUEST_MB = 20;
+
+/**
+ * An error reported by the proxy server. Its message is safe to show to the user.
+ */
+export class ApiError extends Error {
+	/**
+	 * @param {number} status The HTTP status code, or 0 when the server could not be reached.
+	 * @param {string} message The server's error message.
+	 * @param {string | null} [kind] The provider failure kind, for errors raised during generation
+	 *   (see `ERROR_KINDS` in providers/errors.js), or "network" when the server could not be reached.
+	 */
+	constructor(status, message, kind = null) {
+		super(message);
+		this.name = "ApiError";
+		this.status = status;
+		this.kind = kind;
+	}
+}
+
+/**
+ * Reads a newline-delimited JSON response, calling `onEvent` for each line as it arrives.
+ * @param {Response} response The streamed response.
+ * @param {(event: any) => void} onEvent Handles one parsed event.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+const readNdjson = async (response, onEvent) => {
+	const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+	let buffered = "";
+	for (;;) {
+		const { value, done } = await reader.read();
+		if (done) break;
+		const lines = (buffered + value).split("\n");
+		buffered = lines.pop();
+		for (const line of lines) if (line.trim()) onEvent(JSON.parse(line));
+	}
+	if (buffered.trim()) onEvent(JSON.parse(buffered));
+};
+
+/**
+ * Asks the local proxy server to generate a question set, receiving questions as they are validated.
+ * The proxy owns the LLM API key; the browser never calls the model provider directly.
+ * @param {{ numQuestions: number, chunks: import("./ingest/chunk.js").Chunk[], settings: object, avoid?: string[] }} request
+ *   The question count, the extracted file chunks with their share of the questions, the settings, and
+ *   optionally question texts the new questions must not repeat.
+ * @param {{ signal?: AbortSignal, onQuestions?: (questions: object[]) => void }} [options] Cancels the
+ *   request, and receives each batch of questions as it arrives.
+ * @returns {Promise<{ questions: Array<object>, report: object }>} The whole question set and the validation report.
+ */
+export const requestQuestions = async (request, { signal, onQuestions } = {}) => {
+	let response;
+	try {
+		response = await fetch("/api/generate", {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(request),
+			signal,
+		});
+	} catch (e) {
+		if (signal?.aborted) throw e;
+		throw new ApiError(
+			0,
+			"Could not reach the quiz server. Check your connection and that the server is running.",
+			"network",
+		);
+	}
+
+	if (!response.ok) {
+		const body = await response.json().catch(() => ({}));
+		throw new ApiError(response.status, body.error || `Generation failed with status ${response.status}.`);
+	}
+
+	const questions = [];
+	let report = null;
+	let error = null;
+	try {
+		await readNdjson(response, (event) => {
+			if (event.type === "questions") {
+				questions.push(...event.questions);
+				onQuestions?.(event.questions);
+			} else if (event.type === "done") {
+				report = event.report;
+			} else if (event.type === "error") {
+				error = event;
+			}
+		});
+	} catch (e) {
+		if (signal?.aborted) throw e;
+		throw new ApiError(0, "The connection to the quiz server was lost during generation.", "network");
+	}
+
+	if (error) throw new ApiError(502, error.error, error.kind ?? null);
+	if (!report) throw new ApiError(0, "The connection to the quiz server was lost during generation.", "network");
+	return { questions, report };
+};
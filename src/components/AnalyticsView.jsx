@@ -0,0 +1,311 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { analyzeAttempts, pickChapterQuestions, WEAK_ACCURACY, WEAK_MIN_ATTEMPTED } from "../quiz/analytics.js";
+import { formatDuration } from "../quiz/exam.js";
+import { listBank } from "../storage/bank.js";
+import { listAttempts, listQuizzes } from "../storage/history.js";
+
+// Questions in a targeted practice quiz drawn from the bank.
+const PRACTICE_SIZE = 20;
+
+const buttonClassName =
+	"px-4 py-2 font-bold rounded-xl shadow-md transition-all duration-300 text-sm disabled:bg-ctp-surface1 disabled:text-ctp-overlay0 disabled:cursor-not-allowed";
+
+/**
+ * A single labelled figure in the summary.
+ * @param {{ label: string, value: React.ReactNode }} props The figure.
+ */
+const Stat = ({ label, value }) => (
+	<div className="bg-ctp-mantle border border-ctp-surface1 rounded-xl p-4 text-center">
+		<p className="text-2xl font-extrabold text-ctp-text">{value}</p>
+		<p className="text-sm text-ctp-subtext0">{label}</p>
+	</div>
+);
+
+/**
+ * Formats a percentage for display.
+ * @param {number} value The percentage.
+ * @returns {string} For example "64%".
+ */
+const percent = (value) => `${Math.round(value)}%`;
+
+/**
+ * Plots the score of each attempt, as a percentage of its maximum marks, oldest on the left.
+ * @param {{ trend: import("../quiz/analytics.js").TrendPoint[] }} props The score trend.
+ */
+const TrendChart = ({ trend }) => {
+	const width = 600;
+	const height = 200;
+	const pad = 30;
+	const x = (i) => (trend.length === 1 ? width / 2 : pad + (i * (width - 2 * pad)) / (trend.length - 1));
+	const y = (value) => height - pad - (Math.max(0, Math.min(100, value)) * (height - 2 * pad)) / 100;
+	const points = trend.map((point, i) => `${x(i)},${y(point.percent)}`).join(" ");
+
+	return (
+		<svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label="Score trend">
+			{[0, 50, 100].map((value) => (
+				<g key={value}>
+					<line
+						x1={pad}
+						x2={width - pad}
+						y1={y(value)}
+						y2={y(value)}
+						className="stroke-ctp-surface1"
+						strokeDasharray="4 4"
+					/>
+					<text x={pad - 6} y={y(value) + 4} textAnchor="end" fontSize="11" className="fill-ctp-subtext0">
+						{value}%
+					</text>
+				</g>
+			))}
+			<polyline points={points} fill="none" className="stroke-ctp-blue" strokeWidth="2" />
+			{trend.map((point, i) => (
+				<circle key={point.attemptId} cx={x(i)} cy={y(point.percent)} r="4" className="fill-ctp-blue">
+					<title>
+						{new Date(point.submittedAt).toLocaleString()}: {point.marks}/{point.maxMarks} marks ({percent(point.percent)}),{" "}
+						{percent(point.accuracy)} accuracy
+					</title>
+				</circle>
+			))}
+		</svg>
+	);
+};
+
+/**
+ * Compares recent attempts with the first ones, to answer "is revision working?".
+ * @param {{ trend: import("../quiz/analytics.js").TrendPoint[] }} props The score trend.
+ */
+const TrendSummary = ({ trend }) => {
+	if (trend.length < 4) {
+		return <p className="text-sm text-ctp-subtext0">Take a few more quizzes to see whether your scores are improving.</p>;
+	}
+	const size = Math.min(5, Math.floor(trend.length / 2));
+	const mean = (points) => points.reduce((sum, { percent: value }) => sum + value, 0) / points.length;
+	const first = mean(trend.slice(0, size));
+	const recent = mean(trend.slice(-size));
+	const change = recent - first;
+	const comparison =
+		Math.abs(change) < 1 ? "about the same as" : `${change > 0 ? "up" : "down"} ${Math.round(Math.abs(change))} points from`;
+	return (
+		<p className="text-sm text-ctp-subtext0">
+			Your last {size} attempts average <span className="font-bold text-ctp-text">{percent(recent)}</span> of the
+			marks,{" "}
+			<span className={change >= 0 ? "text-ctp-green" : "text-ctp-red"}>{comparison}</span>{" "}
+			your first {size}.
+		</p>
+	);
+};
+
+/**
+ * Tabulates accuracy and time for groups of questions.
+ * @param {{ title: string, rows: [string, import("../quiz/analytics.js").GroupStats][] }} props The heading, and
+ *   each group's label and statistics.
+ */
+const AccuracyTable = ({ title, rows }) => (
+	<div className="overflow-x-auto">
+		<table className="w-full text-left text-ctp-text border border-ctp-surface1 text-sm">
+			<thead className="bg-ctp-mantle text-ctp-blue">
+				<tr>
+					<th className="p-2">{title}</th>
+					<th className="p-2">Attempted</th>
+					<th className="p-2">Correct</th>
+					<th className="p-2">Wrong</th>
+					<th className="p-2">Skipped</th>
+					<th className="p-2 w-1/4">Accuracy</th>
+					<th className="p-2">Avg time</th>
+				</tr>
+			</thead>
+			<tbody>
+				{rows.map(([label, stats]) => (
+					<tr key={label} className="border-t border-ctp-surface1">
+						<td className="p-2 capitalize">{label}</td>
+						<td className="p-2">
+							{stats.attempted}/{stats.questions}
+						</td>
+						<td className="p-2 text-ctp-green">{stats.correct}</td>
+						<td className="p-2 text-ctp-red">{stats.wrong}</td>
+						<td className="p-2 text-ctp-yellow">{stats.skipped}</td>
+						<td className="p-2">
+							<div className="flex items-center gap-2">
+								<div className="flex-1 h-2 bg-ctp-surface0 rounded-full overflow-hidden">
+									<div
+										className={`h-full ${stats.accuracy < WEAK_ACCURACY ? "bg-ctp-red" : "bg-ctp-green"}`}
+										style={{ width: `${stats.accuracy}%` }}
+									></div>
+								</div>
+								<span className="w-10 text-right">{stats.attempted ? percent(stats.accuracy) : "–"}</span>
+							</div>
+						</td>
+						<td className="p-2">{stats.averageSeconds === null ? "–" : formatDuration(stats.averageSeconds)}</td>
+					</tr>
+				))}
+			</tbody>
+		</table>
+	</div>
+);
+
+/**
+ * Shows performance across every stored attempt: the score trend, accuracy by subject, chapter and
+ * difficulty, time per question, the most-missed chapters, and weak chapters to practise.
+ * @param {{ onStartQuiz: (questions: object[]) => void, onGenerate: (chapters: import("../quiz/analytics.js").Analytics["weakChapters"]) => void }} props
+ *   Starts a practice quiz from bank questions, and sets up generation targeting the chosen weak chapters.
+ */
+const AnalyticsView = ({ onStartQuiz, onGenerate }) => {
+	const [data, setData] = useState(null);
+	const [error, setError] = useState(null);
+	const [deselected, setDeselected] = useState(() => new Set());
+
+	useEffect(() => {
+		Promise.all([listAttempts(), listQuizzes(), listBank()])
+			.then(([attempts, quizzes, bank]) => setData({ analytics: analyzeAttempts(attempts, quizzes), bank }))
+			.catch((e) => {
+				console.error("Error loading analytics:", e);
+				setError("Analytics are unavailable in this browser.");
+			});
+	}, []);
+
+	const chosen = useMemo(
+		() => data?.analytics.weakChapters.filter(({ key }) => !deselected.has(key)) ?? [],
+		[data, deselected],
+	);
+	const practice = useMemo(() => (data ? pickChapterQuestions(data.bank, chosen, PRACTICE_SIZE) : []), [data, chosen]);
+
+	if (error) {
+		return (
+			<div className="bg-ctp-red/20 border border-ctp-red/40 text-ctp-red p-4 rounded-xl mt-6">
+				<p>{error}</p>
+			</div>
+		);
+	}
+	if (!data) {
+		return <p className="text-center text-ctp-subtext0 mt-8">Loading analytics...</p>;
+	}
+	const { analytics } = data;
+	if (!analytics.attempts) {
+		return (
+			<p className="text-center text-ctp-subtext0 mt-8">
+				No attempts yet. Submit a quiz and your progress will be tracked here.
+			</p>
+		);
+	}
+
+	const toggle = (key) =>
+		setDeselected((prev) => {
+			const next = new Set(prev);
+			if (next.has(key)) next.delete(key);
+			else next.add(key);
+			return next;
+		});
+
+	return (
+		<div className="mt-8 space-y-8">
+			<div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+				<Stat label="Attempts" value={analytics.attempts} />
+				<Stat label="Questions attempted" value={analytics.overall.attempted} />
+				<Stat label="Accuracy" value={percent(analytics.overall.accuracy)} />
+				<Stat
+					label="Average per question"
+					value={analytics.overall.averageSeconds === null ? "–" : formatDuration(analytics.overall.averageSeconds)}
+				/>
+			</div>
+			{analytics.overall.averageSeconds === null && (
+				<p className="text-sm text-ctp-overlay0 -mt-4">Time per question is recorded in exam mode.</p>
+			)}
+
+			<section className="space-y-2">
+				<h3 className="text-xl font-bold text-ctp-text">Score trend</h3>
+				<div className="bg-ctp-mantle border border-ctp-surface1 rounded-xl p-4">
+					<TrendChart trend={analytics.trend} />
+				</div>
+				<TrendSummary trend={analytics.trend} />
+			</section>
+
+			<section className="space-y-4">
+				<h3 className="text-xl font-bold text-ctp-text">Accuracy</h3>
+				<AccuracyTable title="Subject" rows={Object.entries(analytics.bySubject)} />
+				<AccuracyTable title="Difficulty" rows={Object.entries(analytics.byDifficulty)} />
+				<details className="bg-ctp-mantle border border-ctp-surface1 rounded-xl p-4">
+					<summary className="cursor-pointer font-semibold text-ctp-text">
+						By chapter ({analytics.byChapter.length})
+					</summary>
+					<div className="mt-3">
+						<AccuracyTable
+							title="Chapter"
+							rows={analytics.byChapter.map((stats) => [`${stats.chapter} (${stats.subject})`, stats])}
+						/>
+					</div>
+				</details>
+			</section>
+
+			{analytics.mostMissed.length > 0 && (
+				<section className="space-y-2">
+					<h3 className="text-xl font-bold text-ctp-text">Most-missed topics</h3>
+					<ol className="list-decimal list-inside space-y-1 text-ctp-text">
+						{analytics.mostMissed.map((stats) => (
+							<li key={stats.key}>
+								{stats.chapter} <span className="text-ctp-subtext0">({stats.subject})</span> ·{" "}
+								<span className="text-ctp-red">{stats.wrong} wrong</span> of {stats.attempted} attempted
+							</li>
+						))}
+					</ol>
+				</section>
+			)}
+
+			<section className="space-y-3">
+				<h3 className="text-xl font-bold text-ctp-text">Weak chapters</h3>
+				{analytics.weakChapters.length ? (
+					<>
+						<p className="text-sm text-ctp-subtext0">
+							Chapters with at least {WEAK_MIN_ATTEMPTED} questions attempted and under {WEAK_ACCURACY}% accuracy.
+						</p>
+						<ul className="space-y-2">
+							{analytics.weakChapters.map((stats) => (
+								<li key={stats.key}>
+									<label className="flex items-center gap-3 text-ctp-text cursor-pointer">
+										<input
+											type="checkbox"
+											checked={!deselected.has(stats.key)}
+											onChange={() => toggle(stats.key)}
+											className="h-4 w-4 rounded cursor-pointer bg-ctp-base border-ctp-surface1 text-ctp-blue focus:ring-ctp-blue"
+										/>
+										<span>
+											{stats.chapter} <span className="text-ctp-subtext0">({stats.subject})</span> ·{" "}
+											<span className="text-ctp-red">{percent(stats.accuracy)}</span> over {stats.attempted}
+										</span>
+									</label>
+								</li>
+							))}
+						</ul>
+						<div className="flex flex-wrap gap-3">
+							<button
+								onClick={() => onStartQuiz(practice)}
+								disabled={!practice.length}
+								className={`${buttonClassName} bg-ctp-green text-ctp-base hover:bg-ctp-green-hover`}
+							>
+								Practise from the bank ({practice.length})
+							</button>
+							<button
+								onClick={() => onGenerate(chosen)}
+								disabled={!chosen.some(({ known }) => known)}
+								className={`${buttonClassName} bg-ctp-blue text-ctp-base hover:bg-ctp-blue-hover`}
+							>
+								Generate a quiz on these chapters
+							</button>
+						</div>
+						{chosen.some(({ known }) => !known) && (
+							<p className="text-xs text-ctp-overlay0">
+								Chapters that aren't in the NCERT syllabus list can only be practised from the bank.
+							</p>
+						)}
+					</>
+				) : (
+					<p className="text-sm text-ctp-subtext0">
+						No weak chapters: every chapter with at least {WEAK_MIN_ATTEMPTED} attempted questions is at{" "}
+						{WEAK_ACCURACY}% accuracy or better.
+					</p>
+				)}
+			</section>
+		</div>
+	);
+};
+
+export default AnalyticsView;
@@ -0,0 +1,271 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { getFormat, QUESTION_FORMATS } from "../quiz/formats.js";
+import { DIFFICULTIES } from "../quiz/settings.js";
+import { searchScore, tokenize } from "../quiz/similarity.js";
+import { SUBJECTS } from "../quiz/syllabus.js";
+import { listBank, removeFromBank, updateBankEntry } from "../storage/bank.js";
+import QuestionTags from "./QuestionTags.jsx";
+import RichText from "./RichText.jsx";
+
+const inputClassName =
+	"w-full p-2 border border-ctp-surface1 rounded-xl bg-ctp-mantle text-ctp-text focus:ring-ctp-blue focus:border-ctp-blue transition-all duration-300 shadow-sm";
+const buttonClassName =
+	"px-4 py-2 font-bold rounded-xl shadow-md transition-all duration-300 text-sm disabled:bg-ctp-surface1 disabled:text-ctp-overlay0 disabled:cursor-not-allowed";
+
+const EMPTY_FILTERS = { query: "", subject: "", chapter: "", difficulty: "", type: "", source: "", tag: "" };
+
+/**
+ * A filter dropdown with an "any" option.
+ * @param {{ label: string, value: string, options: (string | [string, string])[], onChange: (value: string) => void }} props
+ *   The label, current value, options (plain values or [value, label] pairs) and change handler.
+ */
+const FilterSelect = ({ label, value, options, onChange }) => (
+	<label className="block">
+		<span className="text-ctp-subtext0 text-sm mb-1 block">{label}</span>
+		<select value={value} onChange={(e) => onChange(e.target.value)} className={inputClassName}>
+			<option value="">Any</option>
+			{options.map((option) => {
+				const [optionValue, optionLabel] = Array.isArray(option) ? option : [option, option];
+				return (
+					<option key={optionValue} value={optionValue} className="capitalize">
+						{optionLabel}
+					</option>
+				);
+			})}
+		</select>
+	</label>
+);
+
+/**
+ * Browses the question bank with full-text search and filters, edits tags, and
+ * assembles a quiz from selected questions without calling the model.
+ * @param {{ onStartQuiz: (questions: object[]) => void }} props Starts a quiz from the chosen questions.
+ */
+const BankView = ({ onStartQuiz }) => {
+	const [entries, setEntries] = useState(null);
+	const [error, setError] = useState(null);
+	const [filters, setFilters] = useState(EMPTY_FILTERS);
+	const [selected, setSelected] = useState(() => new Set());
+	const [randomCount, setRandomCount] = useState(10);
+
+	useEffect(() => {
+		listBank()
+			.then(setEntries)
+			.catch((e) => {
+				console.error("Error loading question bank:", e);
+				setError("The question bank is unavailable in this browser.");
+			});
+	}, []);
+
+	const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+	const facets = useMemo(() => {
+		const collect = (pick) => [...new Set((entries || []).flatMap(pick))].filter(Boolean).sort();
+		return {
+			chapters: collect(({ question }) => [question.chapter]),
+			sources: collect(({ source }) => source.files),
+			tags: collect(({ tags }) => tags),
+		};
+	}, [entries]);
+
+	const matches = useMemo(() => {
+		if (!entries) return [];
+		const terms = tokenize(filters.query);
+		return entries
+			.filter(
+				({ question, source, tags }) =>
+					(!filters.subject || question.subject === filters.subject) &&
+					(!filters.chapter || question.chapter === filters.chapter) &&
+					(!filters.difficulty || question.difficulty === filters.difficulty) &&
+					(!filters.type || (question.type || "mcq") === filters.type) &&
+					(!filters.source || source.files.includes(filters.source)) &&
+					(!filters.tag || tags.includes(filters.tag)),
+			)
+			.map((entry) => ({ entry, score: searchScore(entry.question, entry.tags, terms) }))
+			.filter(({ score }) => score > 0)
+			.sort((a, b) => b.score - a.score)
+			.map(({ entry }) => entry);
+	}, [entries, filters]);
+
+	const toggleSelected = (id) =>
+		setSelected((prev) => {
+			const next = new Set(prev);
+			if (next.has(id)) next.delete(id);
+			else next.add(id);
+			return next;
+		});
+
+	const pickRandom = () => {
+		const shuffled = [...matches].sort(() => Math.random() - 0.5);
+		setSelected(new Set(shuffled.slice(0, randomCount).map(({ id }) => id)));
+	};
+
+	/**
+	 * Saves an entry and updates it in the list.
+	 * @param {object} entry The changed entry.
+	 */
+	const saveEntry = async (entry) => {
+		await updateBankEntry(entry);
+		setEntries((prev) => prev.map((e) => (e.id === entry.id ? entry : e)));
+	};
+
+	const addTag = (entry, tag) => {
+		const clean = tag.trim();
+		if (clean && !entry.tags.includes(clean)) saveEntry({ ...entry, tags: [...entry.tags, clean] });
+	};
+
+	const deleteEntry = async (id) => {
+		await removeFromBank(id);
+		setEntries((prev) => prev.filter((e) => e.id !== id));
+		setSelected((prev) => {
+			const next = new Set(prev);
+			next.delete(id);
+			return next;
+		});
+	};
+
+	if (error) {
+		return (
+			<div className="bg-ctp-red/20 border border-ctp-red/40 text-ctp-red p-4 rounded-xl mt-6">
+				<p>{error}</p>
+			</div>
+		);
+	}
+	if (!entries) {
+		return <p className="text-center text-ctp-subtext0 mt-8">Loading question bank...</p>;
+	}
+	if (!entries.length) {
+		return (
+			<p className="text-center text-ctp-subtext0 mt-8">
+				The question bank is empty. Generated questions are added to it automatically.
+			</p>
+		);
+	}
+
+	return (
+		<div className="mt-8 space-y-6">
+			<div className="space-y-4">
+				<input
+					type="search"
+					value={filters.query}
+					onChange={(e) => setFilter("query", e.target.value)}
+					placeholder="Search questions, options, solutions, chapters and tags"
+					className={inputClassName}
+				/>
+				<div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+					<FilterSelect label="Subject" value={filters.subject} options={SUBJECTS} onChange={(v) => setFilter("subject", v)} />
+					<FilterSelect
+						label="Chapter"
+						value={filters.chapter}
+						options={facets.chapters}
+						onChange={(v) => setFilter("chapter", v)}
+					/>
+					<FilterSelect
+						label="Difficulty"
+						value={filters.difficulty}
+						options={DIFFICULTIES}
+						onChange={(v) => setFilter("difficulty", v)}
+					/>
+					<FilterSelect
+						label="Format"
+						value={filters.type}
+						options={QUESTION_FORMATS.map(({ id, label }) => [id, label])}
+						onChange={(v) => setFilter("type", v)}
+					/>
+					<FilterSelect
+						label="Source file"
+						value={filters.source}
+						options={facets.sources}
+						onChange={(v) => setFilter("source", v)}
+					/>
+					<FilterSelect label="Tag" value={filters.tag} options={facets.tags} onChange={(v) => setFilter("tag", v)} />
+				</div>
+			</div>
+
+			<div className="flex flex-wrap items-center gap-3 bg-ctp-mantle border border-ctp-surface1 rounded-2xl p-4">
+				<p className="text-ctp-subtext0 mr-auto">
+					{matches.length} of {entries.length} questions match · {selected.size} selected
+				</p>
+				<button
+					onClick={() => setSelected(new Set(matches.map(({ id }) => id)))}
+					className={`${buttonClassName} bg-ctp-surface2 text-ctp-text hover:bg-ctp-surface1`}
+				>
+					Select all matching
+				</button>
+				<input
+					type="number"
+					min="1"
+					value={randomCount}
+					onChange={(e) => setRandomCount(Math.max(1, Number(e.target.value) || 1))}
+					className={`${inputClassName} w-20`}
+				/>
+				<button onClick={pickRandom} className={`${buttonClassName} bg-ctp-surface2 text-ctp-text hover:bg-ctp-surface1`}>
+					Pick random
+				</button>
+				<button
+					onClick={() => onStartQuiz(entries.filter(({ id }) => selected.has(id)).map(({ question }) => question))}
+					disabled={!selected.size}
+					className={`${buttonClassName} bg-ctp-green text-ctp-base hover:bg-ctp-green-hover`}
+				>
+					Start quiz ({selected.size})
+				</button>
+			</div>
+
+			<ul className="space-y-4">
+				{matches.map((entry) => (
+					<li key={entry.id} className="bg-ctp-mantle p-4 rounded-2xl shadow-inner border border-ctp-surface1">
+						<div className="flex items-start gap-3">
+							<input
+								type="checkbox"
+								checked={selected.has(entry.id)}
+								onChange={() => toggleSelected(entry.id)}
+								aria-label="Select question"
+								className="h-4 w-4 mt-1 rounded cursor-pointer bg-ctp-base border-ctp-surface1 text-ctp-blue"
+							/>
+							<div className="flex-1 space-y-2">
+								<QuestionTags question={entry.question} />
+								<p className="text-ctp-text">
+									<RichText text={entry.question.questionText} />
+								</p>
+								<p className="text-xs text-ctp-overlay0">
+									{getFormat(entry.question.type)?.label} · from {entry.source.files.join(", ") || "unknown source"}
+								</p>
+								<div className="flex flex-wrap items-center gap-2">
+									{entry.tags.map((tag) => (
+										<button
+											key={tag}
+											onClick={() => saveEntry({ ...entry, tags: entry.tags.filter((t) => t !== tag) })}
+											title="Remove tag"
+											className="px-2 py-1 rounded-lg bg-ctp-blue/20 text-ctp-blue text-xs font-semibold"
+										>
+											#{tag} ×
+										</button>
+									))}
+									<input
+										type="text"
+										placeholder="Add tag"
+										onKeyDown={(e) => {
+											if (e.key === "Enter") {
+												addTag(entry, e.currentTarget.value);
+												e.currentTarget.value = "";
+											}
+										}}
+										className="p-1 text-xs border border-ctp-surface1 rounded-lg bg-ctp-base text-ctp-text w-28"
+									/>
+								</div>
+							</div>
+							<button
+								onClick={() => deleteEntry(entry.id)}
+								className="text-ctp-red text-sm font-semibold hover:underline"
+							>
+								Delete
+							</button>
+						</div>
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+};
+
+export default BankView;
@@ -0,0 +1,251 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { formatDuration, paletteState } from "../quiz/exam.js";
+import { describeKeyAction, focusQuestion, quizKeyAction } from "../quiz/keyboard.js";
+import KeyboardShortcuts from "./KeyboardShortcuts.jsx";
+import QuestionCard from "./QuestionCard.jsx";
+
+const PALETTE_STYLES = {
+	"not-visited": { label: "Not visited", className: "bg-ctp-surface1 text-ctp-text" },
+	unanswered: { label: "Not answered", className: "bg-ctp-red text-ctp-base" },
+	answered: { label: "Answered", className: "bg-ctp-green text-ctp-base" },
+	marked: { label: "Marked for review", className: "bg-ctp-mauve text-ctp-base" },
+	"answered-marked": {
+		label: "Answered & marked for review",
+		className: "bg-ctp-mauve text-ctp-base ring-2 ring-ctp-green",
+	},
+};
+
+const navButtonClassName =
+	"px-4 py-2 font-bold rounded-xl shadow-md transition-all duration-300 disabled:bg-ctp-surface1 disabled:text-ctp-overlay0 disabled:cursor-not-allowed";
+
+// When screen readers are told how much time is left, in seconds remaining, smallest first.
+const TIME_WARNINGS = [
+	[60, "One minute left."],
+	[300, "Five minutes left."],
+];
+
+/**
+ * Timed mock-test view: one question at a time, a question palette and a countdown
+ * that auto-submits when it reaches zero. Records the time spent on each question.
+ * Keyboard shortcuts answer, clear and mark the current question and move between questions; moving puts
+ * focus on the new question so screen readers read it.
+ * @param {{
+ *   questions: object[],
+ *   answers: Record<number, string>,
+ *   deadline: number,
+ *   onSelect: (index: number, letter: string) => void,
+ *   onClear: (index: number) => void,
+ *   onSubmit: (timeSpent: Record<number, number>) => void,
+ * }} props The quiz, the current answers, when time runs out (ms timestamp) and the answer/submit handlers.
+ */
+const ExamView = ({ questions, answers, deadline, onSelect, onClear, onSubmit }) => {
+	const [current, setCurrent] = useState(0);
+	const [marked, setMarked] = useState(() => new Set());
+	const [visited, setVisited] = useState(() => new Set([0]));
+	const [now, setNow] = useState(() => Date.now());
+	const [announcement, setAnnouncement] = useState("");
+	const [timeWarning, setTimeWarning] = useState("");
+
+	// Time accounting lives in refs: it changes on every navigation but never needs a re-render.
+	const timeSpentRef = useRef({});
+	const enteredAtRef = useRef(Date.now());
+	const submittedRef = useRef(false);
+	// Focus follows navigation, but not the first render, which would pull focus from wherever it was.
+	const navigatedRef = useRef(false);
+	// Each time warning is announced once, as the countdown crosses it; one already passed at the start never is.
+	const warnedAtRef = useRef((deadline - Date.now()) / 1000);
+
+	/**
+	 * Adds the time since the current question was shown to its running total.
+	 */
+	const recordTime = useCallback(() => {
+		const elapsed = (Date.now() - enteredAtRef.current) / 1000;
+		timeSpentRef.current[current] = (timeSpentRef.current[current] || 0) + elapsed;
+		enteredAtRef.current = Date.now();
+	}, [current]);
+
+	const submit = useCallback(() => {
+		if (submittedRef.current) return;
+		submittedRef.current = true;
+		recordTime();
+		onSubmit({ ...timeSpentRef.current });
+	}, [recordTime, onSubmit]);
+
+	useEffect(() => {
+		const timer = setInterval(() => setNow(Date.now()), 1000);
+		return () => clearInterval(timer);
+	}, []);
+
+	const remainingSeconds = (deadline - now) / 1000;
+	useEffect(() => {
+		if (remainingSeconds <= 0) submit();
+	}, [remainingSeconds, submit]);
+
+	useEffect(() => {
+		const crossed = TIME_WARNINGS.find(([seconds]) => remainingSeconds <= seconds && seconds < warnedAtRef.current);
+		if (!crossed) return;
+		warnedAtRef.current = crossed[0];
+		setTimeWarning(crossed[1]);
+	}, [remainingSeconds]);
+
+	/**
+	 * Moves to another question, recording the time spent on the one being left.
+	 * @param {number} index The question to show.
+	 */
+	const goTo = (index) => {
+		if (index < 0 || index >= questions.length || index === current) return;
+		recordTime();
+		navigatedRef.current = true;
+		setCurrent(index);
+		setVisited((prev) => new Set(prev).add(index));
+	};
+
+	useEffect(() => {
+		if (navigatedRef.current) focusQuestion(current);
+	}, [current]);
+
+	const toggleMarked = () => {
+		setMarked((prev) => {
+			const next = new Set(prev);
+			if (next.has(current)) next.delete(current);
+			else next.add(current);
+			return next;
+		});
+	};
+
+	// Re-bound each render, so the shortcuts act on the current question.
+	useEffect(() => {
+		const onKeyDown = (event) => {
+			const action = quizKeyAction(event, questions[current].options.length);
+			if (!action) return;
+			event.preventDefault();
+			if (action.type === "move") {
+				goTo(current + action.by);
+				return;
+			}
+			if (action.type === "answer") onSelect(current, action.letter);
+			if (action.type === "clear") onClear(current);
+			if (action.type === "mark") toggleMarked();
+			setAnnouncement(describeKeyAction(action, current, !marked.has(current)));
+		};
+		window.addEventListener("keydown", onKeyDown);
+		return () => window.removeEventListener("keydown", onKeyDown);
+	});
+
+	const session = { answers, marked, visited };
+	const isLast = current === questions.length - 1;
+
+	return (
+		<div className="mt-8 grid grid-cols-1 lg:grid-cols-[1fr_16rem] gap-6">
+			<div className="space-y-4">
+				<div className="flex items-center justify-between">
+					<p className="text-ctp-subtext0">
+						Question {current + 1} of {questions.length}
+					</p>
+					<p
+						role="timer"
+						aria-label="Time left"
+						className={`font-mono text-xl font-bold ${remainingSeconds < 300 ? "text-ctp-red" : "text-ctp-blue"}`}
+					>
+						{formatDuration(remainingSeconds)}
+					</p>
+				</div>
+				{/* The timer itself isn't announced every second; these are, once each. */}
+				<p className="sr-only" aria-live="assertive">
+					{timeWarning}
+				</p>
+				<p className="sr-only" aria-live="polite">
+					{announcement}
+				</p>
+
+				<QuestionCard
+					question={questions[current]}
+					index={current}
+					answer={answers[current]}
+					onSelect={onSelect}
+					active
+					marked={marked.has(current)}
+				/>
+
+				<div className="flex flex-wrap gap-3">
+					<button
+						onClick={() => goTo(current - 1)}
+						disabled={current === 0}
+						className={`${navButtonClassName} bg-ctp-surface2 text-ctp-text hover:bg-ctp-surface1`}
+					>
+						Previous
+					</button>
+					<button
+						onClick={() => onClear(current)}
+						disabled={!answers[current]}
+						className={`${navButtonClassName} bg-ctp-surface2 text-ctp-text hover:bg-ctp-surface1`}
+					>
+						Clear response
+					</button>
+					<button
+						onClick={() => {
+							toggleMarked();
+							goTo(current + 1);
+						}}
+						className={`${navButtonClassName} bg-ctp-mauve text-ctp-base hover:bg-ctp-mauve-hover`}
+					>
+						{marked.has(current) ? "Unmark" : "Mark for review"}
+						{!isLast && " & next"}
+					</button>
+					<button
+						onClick={() => goTo(current + 1)}
+						disabled={isLast}
+						className={`${navButtonClassName} bg-ctp-blue text-ctp-base hover:bg-ctp-blue-hover`}
+					>
+						Save & next
+					</button>
+				</div>
+				<KeyboardShortcuts />
+			</div>
+
+			<aside
+				className="bg-ctp-mantle border border-ctp-surface1 rounded-2xl p-4 space-y-4 self-start"
+				aria-labelledby="exam-palette-heading"
+			>
+				<h3 id="exam-palette-heading" className="font-bold text-ctp-text">
+					Question palette
+				</h3>
+				<div className="grid grid-cols-5 gap-2">
+					{questions.map((_, index) => {
+						const state = paletteState(index, session);
+						return (
+							<button
+								key={index}
+								onClick={() => goTo(index)}
+								title={PALETTE_STYLES[state].label}
+								aria-label={`Question ${index + 1}, ${PALETTE_STYLES[state].label.toLowerCase()}`}
+								aria-current={index === current ? "step" : undefined}
+								className={`h-9 rounded-lg text-sm font-bold ${PALETTE_STYLES[state].className} ${
+									index === current ? "outline outline-2 outline-offset-2 outline-ctp-blue" : ""
+								}`}
+							>
+								{index + 1}
+							</button>
+						);
+					})}
+				</div>
+				<ul className="space-y-1 text-xs text-ctp-subtext0">
+					{Object.entries(PALETTE_STYLES).map(([state, { label, className }]) => (
+						<li key={state} className="flex items-center gap-2">
+							<span className={`inline-block h-3 w-3 rounded ${className}`} aria-hidden="true"></span>
+							{label}
+						</li>
+					))}
+				</ul>
+				<button
+					onClick={submit}
+					className="w-full px-4 py-3 bg-ctp-green text-ctp-base font-bold rounded-xl shadow-md hover:bg-ctp-green-hover transition-all duration-300"
+				>
+					Submit Test
+				</button>
+			</aside>
+		</div>
+	);
+};
+
+export default ExamView;
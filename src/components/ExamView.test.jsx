@@ -0,0 +1,101 @@
+import React from "react";
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import { describe, expect, it, vi } from "vitest";
+import { axeViolations } from "../test/axe.js";
+import { ASSERTION_REASON, MCQ } from "../test/questions.js";
+import ExamView from "./ExamView.jsx";
+
+/**
+ * Renders the exam view over two questions.
+ * @param {object} [props] Props to override.
+ * @returns {import("@testing-library/react").RenderResult} The render.
+ */
+const renderExam = (props = {}) =>
+	render(
+		<main>
+			<ExamView
+				questions={[MCQ, ASSERTION_REASON]}
+				answers={{}}
+				deadline={Date.now() + 30 * 60 * 1000}
+				onSelect={() => {}}
+				onClear={() => {}}
+				onSubmit={() => {}}
+				{...props}
+			/>
+		</main>,
+	);
+
+/**
+ * Finds one of the view's live regions.
+ * @param {Element} container The render.
+ * @param {"polite" | "assertive"} politeness Which one.
+ * @returns {Element} The region.
+ */
+const liveRegion = (container, politeness) => container.querySelector(`[aria-live="${politeness}"]`);
+
+describe("ExamView", () => {
+	it("answers, clears and marks from the keyboard, announcing each in the polite live region", () => {
+		const onSelect = vi.fn();
+		const onClear = vi.fn();
+		const { container } = renderExam({ onSelect, onClear });
+		const region = liveRegion(container, "polite");
+
+		fireEvent.keyDown(window, { key: "2" });
+		expect(onSelect).toHaveBeenCalledWith(0, "B");
+		expect(region.textContent).toBe("Question 1: option B selected.");
+
+		fireEvent.keyDown(window, { key: "Delete" });
+		expect(onClear).toHaveBeenCalledWith(0);
+		expect(region.textContent).toBe("Question 1: response cleared.");
+
+		fireEvent.keyDown(window, { key: "m" });
+		expect(region.textContent).toBe("Question 1 marked for review.");
+		expect(screen.getByText("Marked for review", { selector: "p" })).toBeTruthy();
+	});
+
+	it("moves focus to the next question", () => {
+		renderExam();
+		fireEvent.keyDown(window, { key: "j" });
+		const group = screen.getByRole("group", { name: /labelled as Assertion \(A\)/ });
+		expect(group.id).toBe("question-1");
+		expect(document.activeElement).toBe(group);
+	});
+
+	it("warns assertively as the countdown crosses five minutes and one minute, without announcing the timer", () => {
+		vi.useFakeTimers();
+		try {
+			const { container } = renderExam({ deadline: Date.now() + 301 * 1000 });
+			const region = liveRegion(container, "assertive");
+			expect(region.textContent).toBe("");
+			act(() => vi.advanceTimersByTime(2000));
+			expect(region.textContent).toBe("Five minutes left.");
+			act(() => vi.advanceTimersByTime(200 * 1000));
+			expect(region.textContent).toBe("Five minutes left.");
+			act(() => vi.advanceTimersByTime(40 * 1000));
+			expect(region.textContent).toBe("One minute left.");
+			expect(screen.getByRole("timer").getAttribute("aria-live")).toBeNull();
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it("doesn't announce warnings already passed when the exam starts", () => {
+		vi.useFakeTimers();
+		try {
+			// A one-question exam starts with two minutes on the clock.
+			const { container } = renderExam({ questions: [MCQ], deadline: Date.now() + 120 * 1000 });
+			const region = liveRegion(container, "assertive");
+			act(() => vi.advanceTimersByTime(30 * 1000));
+			expect(region.textContent).toBe("");
+			act(() => vi.advanceTimersByTime(31 * 1000));
+			expect(region.textContent).toBe("One minute left.");
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it("has no accessibility violations", async () => {
+		const { container } = renderExam({ answers: { 0: "A" } });
+		expect(await axeViolations(container)).toEqual([]);
+	});
+});
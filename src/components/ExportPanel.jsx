@@ -0,0 +1,62 @@
+import React, { useState } from "react";
+import { EXPORT_FORMATS, getExportFormat } from "../export/index.js";
+
+const inputClassName =
+	"w-full p-2 border border-ctp-surface1 rounded-xl bg-ctp-mantle text-ctp-text focus:ring-ctp-blue focus:border-ctp-blue transition-all duration-300 shadow-sm";
+
+/**
+ * Picks an export format and downloads the quiz in it.
+ * @param {{ onExport: (formatId: string) => Promise<void> }} props Builds and downloads the chosen format.
+ */
+const ExportPanel = ({ onExport }) => {
+	const [formatId, setFormatId] = useState("json");
+	const [busy, setBusy] = useState(false);
+	const [error, setError] = useState(null);
+
+	const exportQuiz = async () => {
+		setBusy(true);
+		setError(null);
+		try {
+			await onExport(formatId);
+		} catch (e) {
+			console.error("Error exporting quiz:", e);
+			setError("The export failed. Try again, or pick another format.");
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	return (
+		<details className="bg-ctp-mantle border border-ctp-surface1 rounded-2xl p-4">
+			<summary className="cursor-pointer font-semibold text-ctp-blue">Export questions</summary>
+			<div className="flex flex-col sm:flex-row gap-4 mt-4 sm:items-end">
+				<label className="block flex-1">
+					<span className="text-ctp-subtext0 text-sm mb-1 block">Format</span>
+					<select value={formatId} onChange={(e) => setFormatId(e.target.value)} className={inputClassName}>
+						{EXPORT_FORMATS.map(({ id, label }) => (
+							<option key={id} value={id}>
+								{label}
+							</option>
+						))}
+					</select>
+				</label>
+				<button
+					type="button"
+					onClick={exportQuiz}
+					disabled={busy}
+					className="px-6 py-3 bg-ctp-surface2 text-ctp-text font-bold rounded-xl shadow-md hover:bg-ctp-surface1 transition-all duration-300 disabled:opacity-50"
+				>
+					{busy ? "Exporting..." : "Download"}
+				</button>
+			</div>
+			<p className="text-sm text-ctp-subtext0 mt-2">{getExportFormat(formatId).description}</p>
+			{error && (
+				<p className="text-sm text-ctp-red mt-2" role="alert">
+					{error}
+				</p>
+			)}
+		</details>
+	);
+};
+
+export default ExportPanel;
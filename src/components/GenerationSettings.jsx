@@ -0,0 +1,168 @@
+import React from "react";
+import { QUESTION_FORMATS } from "../quiz/formats.js";
+import { ADAPTIVE_MODES, DIFFICULTIES, QUESTION_STYLES, VERIFICATION_MODES } from "../quiz/settings.js";
+import { chapterKey, SYLLABUS } from "../quiz/syllabus.js";
+
+const checkboxClassName =
+	"h-4 w-4 rounded cursor-pointer bg-ctp-base border-ctp-surface1 text-ctp-blue focus:ring-ctp-blue";
+const inputClassName =
+	"w-full p-2 border border-ctp-surface1 rounded-xl bg-ctp-mantle text-ctp-text focus:ring-ctp-blue focus:border-ctp-blue transition-all duration-300 shadow-sm";
+
+/**
+ * Form controls for subjects, NCERT chapters, difficulty mix, question styles and formats, figures, the answer-key
+ * check and adaptive generation.
+ * Rendered inside the generation form and registered with its react-hook-form instance.
+ * @param {{ register: Function, watch: Function }} props The parent form's `register` and `watch`.
+ */
+const GenerationSettings = ({ register, watch }) => {
+	const selectedSubjects = [].concat(watch("subjects") || []);
+	const difficultyMix = watch("difficultyMix") || {};
+	const mixTotal = DIFFICULTIES.reduce((sum, level) => sum + (Number(difficultyMix[level]) || 0), 0);
+
+	return (
+		<div className="space-y-4">
+			<fieldset>
+				<legend className="text-ctp-text text-sm font-medium mb-2">Subjects</legend>
+				<div className="flex flex-wrap gap-4">
+					{SYLLABUS.map(({ subject }) => (
+						<label key={subject} className="flex items-center gap-2 text-ctp-text cursor-pointer">
+							<input {...register("subjects")} type="checkbox" value={subject} className={checkboxClassName} />
+							{subject}
+						</label>
+					))}
+				</div>
+			</fieldset>
+
+			<fieldset>
+				<legend className="text-ctp-text text-sm font-medium mb-2">
+					NCERT chapters <span className="text-ctp-subtext0">(leave empty for the whole subject)</span>
+				</legend>
+				<div className="space-y-2">
+					{SYLLABUS.filter(({ subject }) => selectedSubjects.includes(subject)).map(({ subject, chapters }) => (
+						<details key={subject} className="bg-ctp-mantle border border-ctp-surface1 rounded-xl p-3">
+							<summary className="cursor-pointer text-ctp-blue font-semibold">{subject}</summary>
+							<div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mt-3">
+								{chapters.map(({ name, grade }) => (
+									<label key={name} className="flex items-start gap-2 text-sm text-ctp-subtext1 cursor-pointer">
+										<input
+											{...register("chapters")}
+											type="checkbox"
+											value={chapterKey(subject, name)}
+											className={`${checkboxClassName} mt-0.5`}
+										/>
+										<span>
+											{name} <span className="text-ctp-overlay0">({grade})</span>
+										</span>
+									</label>
+								))}
+							</div>
+						</details>
+					))}
+				</div>
+			</fieldset>
+
+			<fieldset>
+				<legend className="text-ctp-text text-sm font-medium mb-2">
+					Difficulty mix (%){" "}
+					{mixTotal !== 100 && (
+						<span className="text-ctp-yellow">totals {mixTotal}%, will be scaled to 100%</span>
+					)}
+				</legend>
+				<div className="grid grid-cols-3 gap-4">
+					{DIFFICULTIES.map((level) => (
+						<label key={level} className="block">
+							<span className="text-ctp-subtext0 text-sm capitalize mb-1 block">{level}</span>
+							<input
+								{...register(`difficultyMix.${level}`)}
+								type="number"
+								min="0"
+								max="100"
+								className={inputClassName}
+							/>
+						</label>
+					))}
+				</div>
+			</fieldset>
+
+			<fieldset>
+				<legend className="text-ctp-text text-sm font-medium mb-2">Question styles</legend>
+				<div className="flex flex-wrap gap-4">
+					{QUESTION_STYLES.map(({ id, label }) => (
+						<label key={id} className="flex items-center gap-2 text-ctp-text cursor-pointer">
+							<input {...register("styles")} type="checkbox" value={id} className={checkboxClassName} />
+							{label}
+						</label>
+					))}
+				</div>
+			</fieldset>
+
+			<fieldset>
+				<legend className="text-ctp-text text-sm font-medium mb-2">Question formats</legend>
+				<div className="flex flex-wrap gap-4">
+					{QUESTION_FORMATS.map(({ id, label }) => (
+						<label key={id} className="flex items-center gap-2 text-ctp-text cursor-pointer">
+							<input {...register("formats")} type="checkbox" value={id} className={checkboxClassName} />
+							{label}
+						</label>
+					))}
+				</div>
+			</fieldset>
+
+			<fieldset>
+				<legend className="text-ctp-text text-sm font-medium mb-2">Figures and diagrams</legend>
+				<div className="space-y-2">
+					<label className="flex items-start gap-2 text-ctp-text cursor-pointer">
+						<input {...register("figures")} type="checkbox" className={`${checkboxClassName} mt-0.5`} />
+						<span>
+							Ask about figures in the material
+							<span className="text-xs text-ctp-overlay0 block">
+								Diagrams, graphs and structures on uploaded images and PDF pages are cropped and shown with
+								the question.
+							</span>
+						</span>
+					</label>
+					<label className="flex items-start gap-2 text-ctp-text cursor-pointer">
+						<input {...register("diagrams")} type="checkbox" className={`${checkboxClassName} mt-0.5`} />
+						<span>
+							Let the model draw diagrams
+							<span className="text-xs text-ctp-overlay0 block">
+								Circuits, ray diagrams and apparatus drawn as SVG. Check them before relying on them.
+							</span>
+						</span>
+					</label>
+				</div>
+			</fieldset>
+
+			<label className="block sm:max-w-xs">
+				<span className="text-ctp-text text-sm font-medium mb-1 block">Answer-key check</span>
+				<select {...register("verification")} className={inputClassName}>
+					{VERIFICATION_MODES.map(({ id, label }) => (
+						<option key={id} value={id}>
+							{label}
+						</option>
+					))}
+				</select>
+				<span className="text-xs text-ctp-overlay0 mt-1 block">
+					Solves each question again without its key before it is shown. Slower, and uses a second model call.
+				</span>
+			</label>
+
+			<label className="block sm:max-w-xs">
+				<span className="text-ctp-text text-sm font-medium mb-1 block">Adaptive generation</span>
+				<select {...register("adaptive")} className={inputClassName}>
+					{ADAPTIVE_MODES.map(({ id, label }) => (
+						<option key={id} value={id}>
+							{label}
+						</option>
+					))}
+				</select>
+				<span className="text-xs text-ctp-overlay0 mt-1 block">
+					Weights the quiz towards weak chapters and missed concepts from your past attempts, and sets the
+					difficulty mix from your recent accuracy. In rounds, each block gets harder or easier with your answers.
+				</span>
+			</label>
+		</div>
+	);
+};
+
+export default GenerationSettings;
@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from "react";
+import { ImportError } from "../export/index.js";
+import { listAttempts, listQuizzes } from "../storage/history.js";
+
+const buttonClassName =
+	"px-4 py-2 font-bold rounded-xl shadow-md transition-all duration-300 transform hover:scale-105 text-sm";
+
+/**
+ * Formats a timestamp for the history list.
+ * @param {number} timestamp Milliseconds since the epoch.
+ * @returns {string} A short local date and time.
+ */
+const formatDate = (timestamp) =>
+	new Date(timestamp).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+/**
+ * Loads a quiz file exported from this app.
+ * @param {{ onImport: (file: File) => Promise<void> }} props Imports the chosen file and opens the quiz.
+ */
+const ImportQuiz = ({ onImport }) => {
+	const [error, setError] = useState(null);
+
+	const importFile = async (e) => {
+		const file = e.target.files[0];
+		e.target.value = "";
+		if (!file) return;
+		setError(null);
+		try {
+			await onImport(file);
+		} catch (err) {
+			if (!(err instanceof ImportError)) console.error("Error importing quiz:", err);
+			setError(err instanceof ImportError ? err.message : "The quiz couldn't be imported.");
+		}
+	};
+
+	return (
+		<div className="bg-ctp-mantle p-4 rounded-2xl border border-ctp-surface1">
+			<label className="flex flex-col sm:flex-row sm:items-center gap-3 text-sm text-ctp-subtext0">
+				<span>Import a quiz file (JSON) exported from this app:</span>
+				<input
+					type="file"
+					accept=".json,application/json"
+					onChange={importFile}
+					className="text-ctp-text file:mr-3 file:px-4 file:py-2 file:rounded-xl file:border-0 file:bg-ctp-surface2 file:text-ctp-text file:font-bold"
+				/>
+			</label>
+			{error && (
+				<p className="text-sm text-ctp-red mt-2" role="alert">
+					{error}
+				</p>
+			)}
+		</div>
+	);
+};
+
+/**
+ * Lists stored quizzes with their attempts, and lets the user re-attempt or review them, or import a quiz file.
+ * @param {{ onReattempt: (quiz: object) => void, onReview: (quiz: object, attempt: object) => void, onImport: (file: File) => Promise<void> }} props
+ *   Handlers for starting a fresh attempt, for reviewing a submitted one, and for importing a quiz file.
+ */
+const HistoryView = ({ onReattempt, onReview, onImport }) => {
+	const [quizzes, setQuizzes] = useState(null);
+	const [attemptsByQuiz, setAttemptsByQuiz] = useState({});
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		Promise.all([listQuizzes(), listAttempts()])
+			.then(([storedQuizzes, attempts]) => {
+				const grouped = {};
+				for (const attempt of attempts) (grouped[attempt.quizId] ??= []).push(attempt);
+				setQuizzes(storedQuizzes);
+				setAttemptsByQuiz(grouped);
+			})
+			.catch((e) => {
+				console.error("Error loading quiz history:", e);
+				setError("Quiz history is unavailable in this browser.");
+			});
+	}, []);
+
+	let content;
+	if (error) {
+		content = (
+			<div className="bg-ctp-red/20 border border-ctp-red/40 text-ctp-red p-4 rounded-xl">
+				<p>{error}</p>
+			</div>
+		);
+	} else if (!quizzes) {
+		content = <p className="text-center text-ctp-subtext0">Loading history...</p>;
+	} else if (!quizzes.length) {
+		content = <p className="text-center text-ctp-subtext0">No quizzes yet. Generate one to get started.</p>;
+	} else {
+		content = quizzes.map((quiz) => {
+			const attempts = attemptsByQuiz[quiz.id] || [];
+			return (
+				<div key={quiz.id} className="bg-ctp-mantle p-6 rounded-2xl shadow-inner border border-ctp-surface1 space-y-3">
+					<div className="flex flex-col sm:flex-row sm:items-start justify-between gap-3">
+						<div>
+							<p className="text-lg font-semibold text-ctp-text">
+								{quiz.origin === "bank"
+									? "Quiz from question bank"
+									: quiz.origin === "review"
+										? "Review session"
+										: quiz.origin === "analytics"
+											? "Weak-chapter practice"
+											: quiz.origin === "shared"
+												? `Shared by your teacher: ${quiz.shared.title || "Untitled quiz"}`
+												: quiz.sourceFiles.map(({ name }) => name).join(", ") || "Untitled quiz"}
+							</p>
+							<p className="text-sm text-ctp-subtext0">
+								{formatDate(quiz.createdAt)} · {quiz.questions.length} questions
+								{quiz.settings?.subjects && ` · ${quiz.settings.subjects.join(", ")}`}
+								{quiz.settings?.focus && " · aimed at weak areas"}
+								{quiz.rounds && ` · ${quiz.rounds.list.length} round(s)`}
+								{quiz.share && ` · shared with a class${quiz.share.released ? ", key released" : ""}`}
+								{quiz.shared?.submission &&
+									` · submitted${quiz.shared.released ? "" : ", waiting for the answer key"}`}
+							</p>
+						</div>
+						<button
+							onClick={() => onReattempt(quiz)}
+							className={`${buttonClassName} bg-ctp-blue text-ctp-base hover:bg-ctp-blue-hover shrink-0`}
+						>
+							{attempts.length ? "Re-attempt" : "Attempt"}
+						</button>
+					</div>
+					{attempts.length > 0 && (
+						<ul className="divide-y divide-ctp-surface1 border-t border-ctp-surface1">
+							{attempts.map((attempt) => (
+								<li key={attempt.id} className="flex items-center justify-between py-2 text-sm">
+									<span className="text-ctp-subtext1">
+										{formatDate(attempt.submittedAt)} · {attempt.results.marks}/{attempt.results.maxMarks} marks ·{" "}
+										{attempt.results.accuracy.toFixed(1)}% accuracy
+										{attempt.mode === "exam" && " · timed"}
+									</span>
+									<button
+										onClick={() => onReview(quiz, attempt)}
+										className={`${buttonClassName} bg-ctp-surface2 text-ctp-text hover:bg-ctp-surface1`}
+									>
+										Review
+									</button>
+								</li>
+							))}
+						</ul>
+					)}
+				</div>
+			);
+		});
+	}
+
+	return (
+		<div className="mt-8 space-y-4">
+			<ImportQuiz onImport={onImport} />
+			{content}
+		</div>
+	);
+};
+
+export default HistoryView;
@@ -0,0 +1,26 @@
+import React from "react";
+import { QUIZ_SHORTCUTS } from "../quiz/keyboard.js";
+
+/**
+ * A collapsible list of the keyboard shortcuts for answering a quiz.
+ */
+const KeyboardShortcuts = () => (
+	<details className="bg-ctp-mantle border border-ctp-surface1 rounded-2xl p-4 text-sm">
+		<summary className="cursor-pointer font-semibold text-ctp-blue">Keyboard shortcuts</summary>
+		<dl className="mt-3 grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-ctp-subtext0">
+			{QUIZ_SHORTCUTS.map(([keys, action]) => (
+				<React.Fragment key={keys}>
+					<dt>
+						<kbd className="px-2 py-0.5 rounded-lg bg-ctp-surface0 text-ctp-text font-mono">{keys}</kbd>
+					</dt>
+					<dd>{action}</dd>
+				</React.Fragment>
+			))}
+		</dl>
+		<p className="mt-2">
+			Shortcuts act on the question with focus; Tab still moves through options and buttons as usual.
+		</p>
+	</details>
+);
+
+export default KeyboardShortcuts;
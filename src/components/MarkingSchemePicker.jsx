@@ -0,0 +1,53 @@
+import React from "react";
+import { MARKING_SCHEMES } from "../quiz/scoring.js";
+
+const inputClassName =
+	"w-full p-2 border border-ctp-surface1 rounded-xl bg-ctp-mantle text-ctp-text focus:ring-ctp-blue focus:border-ctp-blue transition-all duration-300 shadow-sm";
+
+/**
+ * Lets the user pick a preset marking scheme or enter custom marks.
+ * @param {{ scheme: object, onChange: (scheme: object) => void }} props The current scheme and change handler.
+ */
+const MarkingSchemePicker = ({ scheme, onChange }) => {
+	const handlePresetChange = (id) => {
+		const preset = MARKING_SCHEMES.find((s) => s.id === id);
+		onChange(preset ? { ...preset } : { ...scheme, id: "custom", label: "Custom" });
+	};
+
+	const handleMarksChange = (key, value) => {
+		onChange({ ...scheme, id: "custom", label: "Custom", [key]: Number(value) || 0 });
+	};
+
+	return (
+		<div className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end">
+			<label className="block">
+				<span className="text-ctp-text text-sm font-medium mb-1 block">Marking scheme</span>
+				<select value={scheme.id} onChange={(e) => handlePresetChange(e.target.value)} className={inputClassName}>
+					{MARKING_SCHEMES.map(({ id, label }) => (
+						<option key={id} value={id}>
+							{label}
+						</option>
+					))}
+					<option value="custom">Custom</option>
+				</select>
+			</label>
+			{[
+				["correct", "Correct"],
+				["incorrect", "Wrong"],
+				["unattempted", "Unattempted"],
+			].map(([key, label]) => (
+				<label key={key} className="block">
+					<span className="text-ctp-subtext0 text-sm mb-1 block">{label}</span>
+					<input
+						type="number"
+						value={scheme[key]}
+						onChange={(e) => handleMarksChange(key, e.target.value)}
+						className={inputClassName}
+					/>
+				</label>
+			))}
+		</div>
+	);
+};
+
+export default MarkingSchemePicker;
@@ -0,0 +1,52 @@
+import React from "react";
+
+const buttonClassName =
+	"px-4 py-1 bg-ctp-surface2 text-ctp-text text-sm font-bold rounded-xl shadow-md hover:bg-ctp-surface1 transition-all duration-300 disabled:opacity-50";
+
+/**
+ * Says when the app is offline and what still works, and lists the generation requests queued until the quiz
+ * server can be reached. Renders nothing when online with an empty queue.
+ * @param {{ online: boolean, queued: import("../storage/queue.js").QueuedGeneration[], running: boolean,
+ *   onRetry: () => void, onRemove: (id: string) => void }} props Whether the browser is online, the queued
+ *   requests, whether they are being sent, and the handlers that send them now and cancel one.
+ */
+const OfflinePanel = ({ online, queued, running, onRetry, onRemove }) => {
+	if (online && !queued.length) return null;
+
+	return (
+		<div className="bg-ctp-mantle border border-ctp-yellow/40 rounded-2xl p-4 mb-6 space-y-3" role="status">
+			{!online && (
+				<p className="text-ctp-yellow text-sm">
+					You're offline. Saved quizzes, the question bank and reviews still work, and quizzes can be attempted
+					and scored as usual. New quizzes are queued and generated once you're back online.
+				</p>
+			)}
+			{queued.length > 0 && (
+				<>
+					<p className="text-ctp-text font-semibold">Waiting to generate</p>
+					<ul className="space-y-2">
+						{queued.map(({ id, queuedAt, request, quiz }) => (
+							<li key={id} className="flex flex-wrap items-center justify-between gap-2 text-sm">
+								<span className="text-ctp-subtext0">
+									{request.numQuestions} question(s) from{" "}
+									{quiz.sourceFiles.map(({ name }) => name).join(", ") || "your files"}, queued{" "}
+									{new Date(queuedAt).toLocaleString()}
+								</span>
+								<button type="button" disabled={running} onClick={() => onRemove(id)} className={buttonClassName}>
+									Cancel
+								</button>
+							</li>
+						))}
+					</ul>
+					{online && (
+						<button type="button" disabled={running} onClick={onRetry} className={buttonClassName}>
+							{running ? "Generating..." : "Try now"}
+						</button>
+					)}
+				</>
+			)}
+		</div>
+	);
+};
+
+export default OfflinePanel;
@@ -0,0 +1,46 @@
+import React from "react";
+import KeyboardShortcuts from "./KeyboardShortcuts.jsx";
+import QuestionCard from "./QuestionCard.jsx";
+
+/**
+ * The free-scroll practice view: every question at once, with the keyboard shortcut help and a live region that
+ * tells screen readers what a shortcut did.
+ * @param {{ questions: object[], answers: Record<number, string>, onSelect: (index: number, letter: string) => void,
+ *   activeQuestion: number, reviewMarks: Set<number>, onFocus: (index: number) => void, announcement: string,
+ *   renderActions: (question: object, index: number) => React.ReactNode }} props The questions and answers, the
+ *   answer handler, the question shortcuts act on, the questions marked for review, the handler told when focus
+ *   moves to a question, the latest shortcut announcement, and what to show below each question's options.
+ */
+const PracticeQuestions = ({
+	questions,
+	answers,
+	onSelect,
+	activeQuestion,
+	reviewMarks,
+	onFocus,
+	announcement,
+	renderActions,
+}) => (
+	<>
+		<KeyboardShortcuts />
+		<p className="sr-only" aria-live="polite">
+			{announcement}
+		</p>
+		{questions.map((q, qIndex) => (
+			<QuestionCard
+				key={qIndex}
+				question={q}
+				index={qIndex}
+				answer={answers[qIndex]}
+				onSelect={onSelect}
+				active={activeQuestion === qIndex}
+				marked={reviewMarks.has(qIndex)}
+				onFocus={onFocus}
+			>
+				{renderActions(q, qIndex)}
+			</QuestionCard>
+		))}
+	</>
+);
+
+export default PracticeQuestions;
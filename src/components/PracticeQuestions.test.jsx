@@ -0,0 +1,49 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+import { axeViolations } from "../test/axe.js";
+import { ASSERTION_REASON, MCQ } from "../test/questions.js";
+import PracticeQuestions from "./PracticeQuestions.jsx";
+
+/**
+ * Builds the practice view over two questions.
+ * @param {object} [props] Props to override.
+ * @returns {React.ReactElement} The view, in a page landmark.
+ */
+const practice = (props = {}) => (
+	<main>
+		<PracticeQuestions
+			questions={[MCQ, ASSERTION_REASON]}
+			answers={{ 0: "B" }}
+			onSelect={() => {}}
+			activeQuestion={0}
+			reviewMarks={new Set([1])}
+			onFocus={() => {}}
+			announcement=""
+			renderActions={() => null}
+			{...props}
+		/>
+	</main>
+);
+
+describe("PracticeQuestions", () => {
+	it("shows every question as its own group", () => {
+		const { container } = render(practice());
+		expect([...container.querySelectorAll("fieldset")].map(({ id }) => id)).toEqual(["question-0", "question-1"]);
+		expect(screen.getByRole("radio", { name: "B. Chloroplast" }).checked).toBe(true);
+	});
+
+	it("announces what a shortcut did in a polite live region", () => {
+		const { container, rerender } = render(practice());
+		const region = container.querySelector("[aria-live]");
+		expect(region.getAttribute("aria-live")).toBe("polite");
+		expect(region.textContent).toBe("");
+		rerender(practice({ announcement: "Question 2 marked for review." }));
+		expect(region.textContent).toBe("Question 2 marked for review.");
+	});
+
+	it("has no accessibility violations", async () => {
+		const { container } = render(practice({ announcement: "Question 1: option B selected." }));
+		expect(await axeViolations(container)).toEqual([]);
+	});
+});
@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { openPrintWindow, renderAnswerKey, renderQuestionPaper, SET_LABELS } from "../export/index.js";
+import { examDurationSeconds } from "../quiz/exam.js";
+
+const inputClassName =
+	"w-full p-2 border border-ctp-surface1 rounded-xl bg-ctp-mantle text-ctp-text focus:ring-ctp-blue focus:border-ctp-blue transition-all duration-300 shadow-sm";
+const buttonClassName =
+	"px-6 py-3 bg-ctp-surface2 text-ctp-text font-bold rounded-xl shadow-md hover:bg-ctp-surface1 transition-all duration-300";
+
+/**
+ * Options for printing the quiz as a NEET-style question paper with an OMR sheet, and a separate
+ * answer key with solutions. Both open the browser's print dialog, where "Save as PDF" is available.
+ * @param {{ questions: object[], scheme: { correct: number, incorrect: number, unattempted: number } }} props
+ *   The questions and the marking scheme printed in the header.
+ */
+const PrintPanel = ({ questions, scheme }) => {
+	const [title, setTitle] = useState("NEET Practice Test");
+	const [durationMinutes, setDurationMinutes] = useState(() => examDurationSeconds(questions.length) / 60);
+	const [sections, setSections] = useState(true);
+	const [setCount, setSetCount] = useState(1);
+	const [blocked, setBlocked] = useState(false);
+
+	const print = (render) => {
+		const options = { title: title.trim() || "Question paper", durationMinutes, scheme, sections, setCount };
+		setBlocked(!openPrintWindow(render(questions, options)));
+	};
+
+	return (
+		<details className="bg-ctp-mantle border border-ctp-surface1 rounded-2xl p-4">
+			<summary className="cursor-pointer font-semibold text-ctp-blue">Print or save as PDF</summary>
+			<div className="grid grid-cols-1 sm:grid-cols-4 gap-4 mt-4 items-end">
+				<label className="block sm:col-span-2">
+					<span className="text-ctp-subtext0 text-sm mb-1 block">Test name</span>
+					<input type="text" value={title} onChange={(e) => setTitle(e.target.value)} className={inputClassName} />
+				</label>
+				<label className="block">
+					<span className="text-ctp-subtext0 text-sm mb-1 block">Duration (minutes)</span>
+					<input
+						type="number"
+						min="1"
+						value={durationMinutes}
+						onChange={(e) => setDurationMinutes(Math.max(1, Number(e.target.value) || 1))}
+						className={inputClassName}
+					/>
+				</label>
+				<label className="block">
+					<span className="text-ctp-subtext0 text-sm mb-1 block">Sets</span>
+					<select value={setCount} onChange={(e) => setSetCount(Number(e.target.value))} className={inputClassName}>
+						{SET_LABELS.map((label, i) => (
+							<option key={label} value={i + 1}>
+								{i === 0 ? "One paper" : `Sets ${SET_LABELS.slice(0, i + 1).join("/")}, shuffled`}
+							</option>
+						))}
+					</select>
+				</label>
+			</div>
+			<label className="flex items-center gap-2 text-ctp-text text-sm mt-4">
+				<input
+					type="checkbox"
+					checked={sections}
+					onChange={(e) => setSections(e.target.checked)}
+					className="h-4 w-4 accent-ctp-blue"
+				/>
+				Group questions into subject sections
+			</label>
+			<div className="flex flex-col sm:flex-row gap-4 mt-4">
+				<button type="button" onClick={() => print(renderQuestionPaper)} className={buttonClassName}>
+					Print question paper
+				</button>
+				<button type="button" onClick={() => print(renderAnswerKey)} className={buttonClassName}>
+					Print answer key and solutions
+				</button>
+			</div>
+			{blocked && (
+				<p className="text-sm text-ctp-red mt-2">The print window was blocked. Allow pop-ups for this site and try again.</p>
+			)}
+		</details>
+	);
+};
+
+export default PrintPanel;
@@ -0,0 +1,233 @@
+import React, { useState } from "react";
+import { FLAG_REASONS } from "../quiz/flags.js";
+import { OPTION_LETTERS, validateQuestion } from "../quiz/validate.js";
+import RichText from "./RichText.jsx";
+
+const inputClassName =
+	"w-full p-2 border border-ctp-surface1 rounded-xl bg-ctp-base text-ctp-text focus:ring-ctp-blue focus:border-ctp-blue transition-all duration-300 shadow-sm text-sm";
+const buttonClassName =
+	"px-3 py-1 font-semibold rounded-lg transition-colors duration-300 text-sm disabled:text-ctp-overlay0 disabled:cursor-not-allowed";
+
+/**
+ * Inline form for correcting a question's text, options, answer key and solution.
+ * Edits go through the same validation as generated questions.
+ * @param {{ question: object, onSave: (question: object) => void, onCancel: () => void }} props
+ *   The question, and handlers for the corrected question and for giving up.
+ */
+const QuestionEditor = ({ question, onSave, onCancel }) => {
+	const [draft, setDraft] = useState({
+		questionText: question.questionText,
+		options: [...question.options],
+		correctAnswer: question.correctAnswer,
+		solution: question.solution,
+	});
+	const [errors, setErrors] = useState([]);
+
+	const save = () => {
+		const result = validateQuestion({ ...question, ...draft });
+		if (!result.question) return setErrors(result.errors);
+		// An answer-key check no longer applies once the options or the key have changed.
+		const { verification, ...edited } = result.question;
+		const keyUnchanged =
+			edited.correctAnswer === question.correctAnswer && edited.options.every((o, i) => o === question.options[i]);
+		onSave({ ...edited, ...(verification && keyUnchanged ? { verification } : {}), edited: true });
+	};
+
+	return (
+		<div className="space-y-3 mt-4 bg-ctp-surface0 border border-ctp-surface1 rounded-xl p-4">
+			<label className="block">
+				<span className="text-ctp-subtext0 text-xs mb-1 block">Question</span>
+				<textarea
+					value={draft.questionText}
+					onChange={(e) => setDraft({ ...draft, questionText: e.target.value })}
+					rows={3}
+					className={inputClassName}
+				/>
+			</label>
+			{OPTION_LETTERS.map((letter, i) => (
+				<label key={letter} className="flex items-center gap-2">
+					<span className="text-ctp-subtext0 text-sm font-semibold w-4">{letter}</span>
+					<input
+						type="text"
+						value={draft.options[i] ?? ""}
+						onChange={(e) =>
+							setDraft({ ...draft, options: draft.options.map((option, j) => (j === i ? e.target.value : option)) })
+						}
+						className={inputClassName}
+					/>
+				</label>
+			))}
+			<label className="block sm:max-w-xs">
+				<span className="text-ctp-subtext0 text-xs mb-1 block">Correct answer</span>
+				<select
+					value={draft.correctAnswer}
+					onChange={(e) => setDraft({ ...draft, correctAnswer: e.target.value })}
+					className={inputClassName}
+				>
+					{OPTION_LETTERS.map((letter) => (
+						<option key={letter} value={letter}>
+							{letter}
+						</option>
+					))}
+				</select>
+			</label>
+			<label className="block">
+				<span className="text-ctp-subtext0 text-xs mb-1 block">Solution</span>
+				<textarea
+					value={draft.solution}
+					onChange={(e) => setDraft({ ...draft, solution: e.target.value })}
+					rows={4}
+					className={inputClassName}
+				/>
+			</label>
+			<div className="text-sm text-ctp-text border-t border-ctp-surface1 pt-3 space-y-2">
+				<span className="text-ctp-subtext0 text-xs block">
+					Preview. Write maths as $...$, chemistry as \ce{"{...}"} and lists or tables in Markdown.
+				</span>
+				<p>
+					<RichText text={draft.questionText} />
+				</p>
+				<RichText text={draft.solution} block />
+			</div>
+			{errors.length > 0 && <p className="text-sm text-ctp-red">This question {errors.join(", ")}.</p>}
+			<div className="flex gap-2">
+				<button type="button" onClick={save} className={`${buttonClassName} bg-ctp-blue text-ctp-base`}>
+					Save
+				</button>
+				<button type="button" onClick={onCancel} className={`${buttonClassName} text-ctp-subtext0 hover:text-ctp-text`}>
+					Cancel
+				</button>
+			</div>
+		</div>
+	);
+};
+
+/**
+ * Inline form for flagging a question as wrong, ambiguous or out of syllabus, with an optional note.
+ * @param {{ flag?: { reason: string, note: string }, onSave: (flag: object | null) => void, onCancel: () => void }} props
+ *   The current flag, a handler for the new flag (null clears it), and one for giving up.
+ */
+const FlagForm = ({ flag, onSave, onCancel }) => {
+	const [reason, setReason] = useState(flag?.reason ?? FLAG_REASONS[0].id);
+	const [note, setNote] = useState(flag?.note ?? "");
+
+	return (
+		<div className="flex flex-col sm:flex-row sm:items-end gap-2 mt-4 bg-ctp-surface0 border border-ctp-surface1 rounded-xl p-4">
+			<label className="block sm:w-48">
+				<span className="text-ctp-subtext0 text-xs mb-1 block">Reason</span>
+				<select value={reason} onChange={(e) => setReason(e.target.value)} className={inputClassName}>
+					{FLAG_REASONS.map(({ id, label }) => (
+						<option key={id} value={id}>
+							{label}
+						</option>
+					))}
+				</select>
+			</label>
+			<label className="block flex-1">
+				<span className="text-ctp-subtext0 text-xs mb-1 block">Note</span>
+				<input
+					type="text"
+					value={note}
+					placeholder="Optional, e.g. options B and C both fit"
+					onChange={(e) => setNote(e.target.value)}
+					className={inputClassName}
+				/>
+			</label>
+			<div className="flex gap-2">
+				<button
+					type="button"
+					onClick={() => onSave({ reason, note: note.trim() })}
+					className={`${buttonClassName} bg-ctp-yellow text-ctp-base`}
+				>
+					Flag
+				</button>
+				{flag && (
+					<button type="button" onClick={() => onSave(null)} className={`${buttonClassName} text-ctp-red`}>
+						Remove flag
+					</button>
+				)}
+				<button type="button" onClick={onCancel} className={`${buttonClassName} text-ctp-subtext0 hover:text-ctp-text`}>
+					Cancel
+				</button>
+			</div>
+		</div>
+	);
+};
+
+/**
+ * Per-question actions shown under a quiz or solution card: regenerate just this question,
+ * edit it inline, or flag it.
+ * @param {{
+ *   question: object,
+ *   onChange: (question: object) => void,
+ *   onRegenerate: (() => void) | null,
+ *   regenerating?: boolean,
+ *   error?: string | null,
+ * }} props The question, a handler for the edited or flagged question, the regenerate handler
+ *   (null when the source file is no longer uploaded), whether a replacement is being generated, and why the last one failed.
+ */
+const QuestionActions = ({ question, onChange, onRegenerate, regenerating = false, error = null }) => {
+	const [open, setOpen] = useState(null);
+
+	return (
+		<div className="mt-4 border-t border-ctp-surface1 pt-3">
+			<div className="flex flex-wrap items-center gap-2">
+				<button
+					type="button"
+					onClick={onRegenerate ?? undefined}
+					disabled={!onRegenerate || regenerating}
+					title={onRegenerate ? undefined : "Upload the source file again to regenerate this question."}
+					className={`${buttonClassName} text-ctp-blue hover:bg-ctp-surface0`}
+				>
+					{regenerating ? "Regenerating..." : "Regenerate"}
+				</button>
+				<button
+					type="button"
+					onClick={() => setOpen(open === "edit" ? null : "edit")}
+					disabled={regenerating}
+					className={`${buttonClassName} text-ctp-blue hover:bg-ctp-surface0`}
+				>
+					Edit
+				</button>
+				<button
+					type="button"
+					onClick={() => setOpen(open === "flag" ? null : "flag")}
+					disabled={regenerating}
+					className={`${buttonClassName} text-ctp-yellow hover:bg-ctp-surface0`}
+				>
+					{question.flag ? "Change flag" : "Flag"}
+				</button>
+				{!onRegenerate && <span className="text-xs text-ctp-overlay0">Re-upload the source file to regenerate.</span>}
+			</div>
+			{error && (
+				<p className="text-sm text-ctp-red mt-2" role="alert">
+					{error}
+				</p>
+			)}
+
+			{open === "edit" && (
+				<QuestionEditor
+					question={question}
+					onSave={(edited) => {
+						onChange(edited);
+						setOpen(null);
+					}}
+					onCancel={() => setOpen(null)}
+				/>
+			)}
+			{open === "flag" && (
+				<FlagForm
+					flag={question.flag}
+					onSave={(flag) => {
+						const { flag: _, ...rest } = question;
+						onChange(flag ? { ...rest, flag } : rest);
+						setOpen(null);
+					}}
+					onCancel={() => setOpen(null)}
+				/>
+			)}
+		</div>
+	);
+};
+
+export default QuestionActions;
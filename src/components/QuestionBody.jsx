@@ -0,0 +1,75 @@
+import React from "react";
+import { getFormat, listLabel, romanLabel } from "../quiz/formats.js";
+import RichText from "./RichText.jsx";
+
+/**
+ * Renders the format-specific part of a question stem: the assertion and reason,
+ * the statements, or the List I / List II table. Plain MCQs render nothing.
+ * @param {{ question: object }} props The question to render.
+ */
+const QuestionBody = ({ question }) => {
+	switch (getFormat(question.type)?.id) {
+		case "assertion-reason":
+			return (
+				<div className="space-y-2 mb-4 text-ctp-text">
+					<p>
+						<span className="font-semibold text-ctp-pink">Assertion (A):</span> <RichText text={question.assertion} />
+					</p>
+					<p>
+						<span className="font-semibold text-ctp-pink">Reason (R):</span> <RichText text={question.reason} />
+					</p>
+				</div>
+			);
+		case "statement-pair":
+			return (
+				<div className="space-y-2 mb-4 text-ctp-text">
+					{question.statements.map((statement, i) => (
+						<p key={i}>
+							<span className="font-semibold text-ctp-pink">Statement {i === 0 ? "I" : "II"}:</span>{" "}
+							<RichText text={statement} />
+						</p>
+					))}
+				</div>
+			);
+		case "multiple-statements":
+			return (
+				<ol className="space-y-1 mb-4 text-ctp-text">
+					{question.statements.map((statement, i) => (
+						<li key={i}>
+							<span className="font-semibold text-ctp-pink mr-2">({listLabel(i)})</span>
+							<RichText text={statement} />
+						</li>
+					))}
+				</ol>
+			);
+		case "match-columns":
+			return (
+				<table className="w-full mb-4 text-left text-ctp-text border border-ctp-surface1 rounded-xl">
+					<thead className="bg-ctp-surface0 text-ctp-pink">
+						<tr>
+							<th className="p-2 w-1/2">List I</th>
+							<th className="p-2 w-1/2">List II</th>
+						</tr>
+					</thead>
+					<tbody>
+						{question.listI.map((item, i) => (
+							<tr key={i} className="border-t border-ctp-surface1">
+								<td className="p-2">
+									<span className="font-semibold mr-2">({listLabel(i)})</span>
+									<RichText text={item} />
+								</td>
+								<td className="p-2">
+									<span className="font-semibold mr-2">({romanLabel(i)})</span>
+									<RichText text={question.listII[i]} />
+								</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			);
+		default:
+			return null;
+	}
+};
+
+export default QuestionBody;
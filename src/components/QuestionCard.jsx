@@ -0,0 +1,58 @@
+import React from "react";
+import { questionElementId } from "../quiz/keyboard.js";
+import QuestionBody from "./QuestionBody.jsx";
+import QuestionFigure from "./QuestionFigure.jsx";
+import QuestionTags from "./QuestionTags.jsx";
+import RichText from "./RichText.jsx";
+
+/**
+ * Renders one quiz question with its lettered options as a radio group, named by the question text so screen
+ * readers announce it, and described by the rest of the stem. Keyboard shortcuts focus the group itself.
+ * @param {{ question: object, index: number, answer?: string, onSelect: (index: number, letter: string) => void,
+ *   active?: boolean, marked?: boolean, onFocus?: (index: number) => void, children?: React.ReactNode }} props
+ *   The question, its position, the selected option letter, the selection handler, whether keyboard shortcuts
+ *   act on it, whether it is marked for review, the handler told when focus moves into it, and anything to show
+ *   below the options (such as per-question actions).
+ */
+const QuestionCard = ({ question, index, answer, onSelect, active = false, marked = false, onFocus, children }) => (
+	<div
+		onFocus={() => onFocus?.(index)}
+		className={`bg-ctp-mantle p-6 rounded-2xl shadow-inner border ${active ? "border-ctp-blue" : "border-ctp-surface1"}`}
+	>
+		<QuestionTags question={question} />
+		{marked && <p className="text-sm font-semibold text-ctp-mauve mb-2">Marked for review</p>}
+		<fieldset id={questionElementId(index)} tabIndex={-1} aria-describedby={`q${index}-stem`} className="rounded-xl">
+			<legend className="text-lg font-semibold text-ctp-text mb-4">
+				<span className="text-ctp-blue mr-2">{index + 1}.</span> <RichText text={question.questionText} />
+			</legend>
+			<div id={`q${index}-stem`}>
+				<QuestionBody question={question} />
+				<QuestionFigure question={question} />
+			</div>
+			<ul className="space-y-3">
+				{question.options.map((option, optIndex) => {
+					const letter = String.fromCharCode(65 + optIndex);
+					return (
+						<li key={optIndex} className="flex items-center">
+							<input
+								type="radio"
+								id={`q${index}-opt${optIndex}`}
+								name={`question-${index}`}
+								value={letter}
+								checked={answer === letter}
+								onChange={(e) => onSelect(index, e.target.value)}
+								className="form-radio h-5 w-5 text-ctp-blue rounded-full cursor-pointer bg-ctp-base border-ctp-surface1 checked:bg-ctp-blue"
+							/>
+							<label htmlFor={`q${index}-opt${optIndex}`} className="ml-3 text-ctp-text cursor-pointer text-base">
+								{letter}. <RichText text={option} />
+							</label>
+						</li>
+					);
+				})}
+			</ul>
+		</fieldset>
+		{children}
+	</div>
+);
+
+export default QuestionCard;
@@ -0,0 +1,42 @@
+import React from "react";
+import { fireEvent, render, screen, within } from "@testing-library/react";
+import { describe, expect, it, vi } from "vitest";
+import { ASSERTION_REASON, MCQ } from "../test/questions.js";
+import QuestionCard from "./QuestionCard.jsx";
+
+describe("QuestionCard", () => {
+	it("groups the options in a fieldset named by the question text", () => {
+		render(<QuestionCard question={MCQ} index={2} onSelect={() => {}} />);
+		const group = screen.getByRole("group", { name: /Which organelle is the site of photosynthesis\?/ });
+		expect(group.tagName).toBe("FIELDSET");
+		expect(group.id).toBe("question-2");
+		expect(group.tabIndex).toBe(-1);
+		expect(within(group).getAllByRole("radio")).toHaveLength(4);
+		expect(within(group).getByRole("radio", { name: "B. Chloroplast" })).toBeTruthy();
+	});
+
+	it("describes the group by the rest of the stem", () => {
+		render(<QuestionCard question={ASSERTION_REASON} index={0} onSelect={() => {}} />);
+		const group = screen.getByRole("group");
+		const stem = document.getElementById(group.getAttribute("aria-describedby"));
+		expect(group.contains(stem)).toBe(true);
+		expect(stem.textContent).toContain("Assertion (A): Leaves appear green.");
+		expect(stem.textContent).toContain("Reason (R): Chlorophyll reflects green light.");
+	});
+
+	it("checks the chosen option and reports new choices by letter", () => {
+		const onSelect = vi.fn();
+		render(<QuestionCard question={MCQ} index={1} answer="C" onSelect={onSelect} />);
+		expect(screen.getByRole("radio", { name: "C. Ribosome" }).checked).toBe(true);
+		fireEvent.click(screen.getByRole("radio", { name: "A. Mitochondrion" }));
+		expect(onSelect).toHaveBeenCalledWith(1, "A");
+	});
+
+	it("shows when it is marked for review and tells when focus moves into it", () => {
+		const onFocus = vi.fn();
+		render(<QuestionCard question={MCQ} index={3} onSelect={() => {}} marked onFocus={onFocus} />);
+		expect(screen.getByText("Marked for review")).toBeTruthy();
+		screen.getByRole("radio", { name: "D. Nucleus" }).focus();
+		expect(onFocus).toHaveBeenCalledWith(3);
+	});
+});
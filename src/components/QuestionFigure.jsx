@@ -0,0 +1,25 @@
+import React from "react";
+import { questionVisuals } from "../quiz/figures.js";
+
+/**
+ * Shows a question's figure cropped from the material and its drawn diagram, if it has either.
+ * Diagrams go through <img> like figures, so a model's SVG can't run scripts or load anything.
+ * They sit on white since they are drawn black on transparent.
+ * @param {{ question: object }} props The question.
+ */
+const QuestionFigure = ({ question }) => {
+	const visuals = questionVisuals(question);
+	if (!visuals.length) return null;
+	return (
+		<div className="flex flex-wrap gap-4 mb-4">
+			{visuals.map(({ kind, src, alt, caption }) => (
+				<figure key={kind} className="max-w-full">
+					<img src={src} alt={alt} className="max-h-80 max-w-full rounded-lg bg-white p-2" />
+					{caption && <figcaption className="text-xs text-ctp-subtext0 mt-1">{caption}</figcaption>}
+				</figure>
+			))}
+		</div>
+	);
+};
+
+export default QuestionFigure;
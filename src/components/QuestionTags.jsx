@@ -0,0 +1,44 @@
+import React from "react";
+import { sourceLabel } from "../ingest/chunk.js";
+import { describeFlag } from "../quiz/flags.js";
+import { keyConfidence } from "../quiz/verification.js";
+
+const CONFIDENCE_COLORS = {
+	high: "bg-ctp-green/20 text-ctp-green",
+	medium: "bg-ctp-yellow/20 text-ctp-yellow",
+	low: "bg-ctp-red/20 text-ctp-red",
+	unknown: "bg-ctp-surface0 text-ctp-overlay0",
+};
+
+/**
+ * Shows a question's subject, chapter, difficulty and source file/page as small badges, plus
+ * how confident the answer-key check was and whether the user has flagged or edited it.
+ * @param {{ question: object }} props The question to describe.
+ */
+const QuestionTags = ({ question }) => {
+	const confidence = keyConfidence(question.verification);
+	return (
+		<div className="flex flex-wrap gap-2 mb-3 text-xs font-semibold">
+			{[question.subject, question.chapter].filter(Boolean).map((tag) => (
+				<span key={tag} className="px-2 py-1 rounded-lg bg-ctp-surface0 text-ctp-subtext0">
+					{tag}
+				</span>
+			))}
+			{question.difficulty && (
+				<span className="px-2 py-1 rounded-lg bg-ctp-surface0 text-ctp-yellow capitalize">{question.difficulty}</span>
+			)}
+			{question.source && (
+				<span className="px-2 py-1 rounded-lg bg-ctp-surface0 text-ctp-blue">{sourceLabel(question.source)}</span>
+			)}
+			{confidence && (
+				<span className={`px-2 py-1 rounded-lg ${CONFIDENCE_COLORS[confidence.level]}`}>{confidence.label}</span>
+			)}
+			{question.edited && <span className="px-2 py-1 rounded-lg bg-ctp-surface0 text-ctp-mauve">Edited</span>}
+			{question.flag && (
+				<span className="px-2 py-1 rounded-lg bg-ctp-red/20 text-ctp-red">Flagged: {describeFlag(question.flag)}</span>
+			)}
+		</div>
+	);
+};
+
+export default QuestionTags;
@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from "react";
+import { toPlainText } from "../notation/index.js";
+import { listReviews } from "../storage/reviews.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shows the spaced-repetition queue and starts a "Review due" session.
+ * @param {{ onStartReview: (questions: object[]) => void }} props Starts a quiz from the due questions.
+ */
+const ReviewView = ({ onStartReview }) => {
+	const [reviews, setReviews] = useState(null);
+	const [error, setError] = useState(null);
+	const [sessionSize, setSessionSize] = useState(20);
+
+	useEffect(() => {
+		listReviews()
+			.then(setReviews)
+			.catch((e) => {
+				console.error("Error loading review queue:", e);
+				setError("The review queue is unavailable in this browser.");
+			});
+	}, []);
+
+	if (error) {
+		return (
+			<div className="bg-ctp-red/20 border border-ctp-red/40 text-ctp-red p-4 rounded-xl mt-6">
+				<p>{error}</p>
+			</div>
+		);
+	}
+	if (!reviews) {
+		return <p className="text-center text-ctp-subtext0 mt-8">Loading review queue...</p>;
+	}
+	if (!reviews.length) {
+		return (
+			<p className="text-center text-ctp-subtext0 mt-8">
+				Nothing to review yet. Questions you get wrong or skip will be scheduled here.
+			</p>
+		);
+	}
+
+	const now = Date.now();
+	const due = reviews.filter(({ card }) => card.due <= now);
+	const upcoming = [
+		["Due now", due.length],
+		["Tomorrow", reviews.filter(({ card }) => card.due > now && card.due <= now + DAY_MS).length],
+		["This week", reviews.filter(({ card }) => card.due > now + DAY_MS && card.due <= now + 7 * DAY_MS).length],
+		["Later", reviews.filter(({ card }) => card.due > now + 7 * DAY_MS).length],
+	];
+
+	return (
+		<div className="mt-8 space-y-6">
+			<div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+				{upcoming.map(([label, count]) => (
+					<div key={label} className="bg-ctp-mantle border border-ctp-surface1 rounded-xl p-4 text-center">
+						<p className="text-2xl font-extrabold text-ctp-text">{count}</p>
+						<p className="text-sm text-ctp-subtext0">{label}</p>
+					</div>
+				))}
+			</div>
+
+			<div className="flex flex-col sm:flex-row items-center justify-center gap-4">
+				<label className="flex items-center gap-2 text-ctp-subtext0">
+					Questions per session
+					<input
+						type="number"
+						min="1"
+						value={sessionSize}
+						onChange={(e) => setSessionSize(Math.max(1, Number(e.target.value) || 1))}
+						className="w-20 p-2 border border-ctp-surface1 rounded-xl bg-ctp-mantle text-ctp-text"
+					/>
+				</label>
+				<button
+					onClick={() => onStartReview(due.slice(0, sessionSize).map(({ question }) => question))}
+					disabled={!due.length}
+					className="px-8 py-3 bg-ctp-green text-ctp-base font-bold rounded-xl shadow-md hover:bg-ctp-green-hover transition-all duration-300 transform hover:scale-105 disabled:bg-ctp-surface1 disabled:text-ctp-overlay0 disabled:cursor-not-allowed disabled:transform-none"
+				>
+					Review due ({Math.min(due.length, sessionSize)})
+				</button>
+			</div>
+
+			<ul className="space-y-2">
+				{reviews.map(({ id, question, card }) => (
+					<li
+						key={id}
+						className="flex items-center justify-between gap-4 bg-ctp-mantle border border-ctp-surface1 rounded-xl p-3 text-sm"
+					>
+						<span className="text-ctp-text truncate">{toPlainText(question.questionText)}</span>
+						<span className={`shrink-0 ${card.due <= now ? "text-ctp-yellow" : "text-ctp-subtext0"}`}>
+							{card.due <= now ? "Due" : `in ${Math.ceil((card.due - now) / DAY_MS)}d`} · missed {card.lapses}×
+						</span>
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+};
+
+export default ReviewView;
@@ -0,0 +1,22 @@
+import "katex/dist/katex.min.css";
+import React, { useMemo } from "react";
+import { renderRichText } from "../notation/index.js";
+
+/**
+ * Renders question text with its LaTeX, chemistry and Markdown. The HTML comes from `renderRichText`,
+ * which escapes all text itself, so it is safe to inject.
+ * @param {{ text: string, block?: boolean, className?: string }} props The text, whether to allow block
+ *   Markdown (lists, tables, paragraphs; for solutions), and classes for the wrapper.
+ */
+const RichText = ({ text, block = false, className = "" }) => {
+	const html = useMemo(() => renderRichText(text, { block }), [text, block]);
+	const Tag = block ? "div" : "span";
+	return (
+		<Tag
+			className={`${block ? "rich-text space-y-2" : "rich-text"} ${className}`.trim()}
+			dangerouslySetInnerHTML={{ __html: html }}
+		/>
+	);
+};
+
+export default RichText;
@@ -0,0 +1,54 @@
+import React from "react";
+import { planNextRound, ROUND_EASIER_BELOW, ROUND_HARDER_AT } from "../quiz/adaptive.js";
+import { DIFFICULTIES } from "../quiz/settings.js";
+
+/**
+ * Shows how the current round of a quiz generated in rounds is going, and generates the next one once
+ * every question in it has been answered. Renders nothing once the quiz has all its questions.
+ * @param {{ quiz: object, questions: object[], answers: object, busy?: boolean, error?: string | null,
+ *   onNext: () => void }} props The quiz record with its `rounds`, the questions and answers so far, whether the
+ *   next round is being generated, the last error, and the handler that generates it.
+ */
+const RoundPanel = ({ quiz, questions, answers, busy, error, onNext }) => {
+	const next = planNextRound(quiz, questions, answers);
+	if (!next) return null;
+	const { rounds } = quiz;
+	const totalRounds = rounds.list.length + Math.ceil((rounds.total - questions.length) / rounds.size);
+	const direction =
+		next.accuracy >= ROUND_HARDER_AT ? "harder" : next.accuracy < ROUND_EASIER_BELOW ? "easier" : "about as hard";
+
+	return (
+		<div className="bg-ctp-mantle border border-ctp-mauve/40 rounded-2xl p-4 space-y-3">
+			<p className="text-ctp-text font-semibold">
+				Round {rounds.list.length} of {totalRounds}
+			</p>
+			{next.pending ? (
+				<p className="text-ctp-subtext0 text-sm">
+					Answer the {next.pending} remaining question(s) of this round to unlock the next {next.count}.
+				</p>
+			) : (
+				<p className="text-ctp-subtext0 text-sm">
+					{Math.round(next.accuracy)}% correct this round, so the next {next.count} question(s) will be{" "}
+					{direction} (
+					{DIFFICULTIES.map((level) => `${next.settings.difficultyMix[level]}% ${level}`).join(", ")})
+					{next.accuracy < 100 && " and revisit what you missed"}.
+				</p>
+			)}
+			{error && (
+				<p className="text-ctp-red text-sm" role="alert">
+					{error}
+				</p>
+			)}
+			<button
+				type="button"
+				onClick={onNext}
+				disabled={busy || next.pending > 0}
+				className="px-6 py-2 bg-ctp-mauve text-ctp-base font-bold rounded-xl shadow-md hover:bg-ctp-mauve-hover transition-all duration-300 disabled:bg-ctp-overlay0 disabled:text-ctp-surface1 disabled:cursor-not-allowed"
+			>
+				{busy ? "Generating the next round..." : "Generate the next round"}
+			</button>
+		</div>
+	);
+};
+
+export default RoundPanel;
@@ -0,0 +1,103 @@
+import React from "react";
+import { formatDuration } from "../quiz/exam.js";
+
+/**
+ * A single labelled figure in the scorecard summary.
+ * @param {{ label: string, value: React.ReactNode, className?: string }} props The figure.
+ */
+const Stat = ({ label, value, className = "text-ctp-text" }) => (
+	<div className="bg-ctp-mantle border border-ctp-surface1 rounded-xl p-4 text-center">
+		<p className={`text-2xl font-extrabold ${className}`}>{value}</p>
+		<p className="text-sm text-ctp-subtext0">{label}</p>
+	</div>
+);
+
+/**
+ * Summarises the time recorded in exam mode.
+ * @param {{ timeSpent: Record<number, number>, totalQuestions: number }} props Seconds per question and the paper size.
+ */
+const TimeSummary = ({ timeSpent, totalQuestions }) => {
+	const totalSeconds = Object.values(timeSpent).reduce((sum, seconds) => sum + seconds, 0);
+	const slowest = Object.entries(timeSpent).sort(([, a], [, b]) => b - a)[0];
+	return (
+		<div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+			<Stat label="Total time" value={formatDuration(totalSeconds)} />
+			<Stat label="Average per question" value={formatDuration(totalSeconds / totalQuestions)} />
+			<Stat
+				label="Longest on one question"
+				value={slowest ? `Q${Number(slowest[0]) + 1} · ${formatDuration(slowest[1])}` : "–"}
+			/>
+		</div>
+	);
+};
+
+/**
+ * Shows marks, attempt counts and the per-subject breakdown of a scored attempt.
+ * @param {{ results: ReturnType<typeof import("../quiz/scoring.js").scoreQuiz> }} props The scored attempt.
+ */
+const Scorecard = ({ results }) => (
+	<div className="space-y-6">
+		<div className="text-center">
+			<h2 className="text-3xl font-extrabold text-ctp-blue mb-2">Quiz Results</h2>
+			<p className="text-xl text-ctp-text">
+				You scored <span className="font-bold">{results.marks}</span> out of{" "}
+				<span className="font-bold">{results.maxMarks}</span> marks.
+			</p>
+			<p className="text-ctp-subtext0">
+				Marking: +{results.scheme.correct} correct, {results.scheme.incorrect} wrong, {results.scheme.unattempted}{" "}
+				unattempted.
+			</p>
+			{results.excluded > 0 && (
+				<p className="text-ctp-yellow">{results.excluded} flagged question(s) left out of the score.</p>
+			)}
+			<p className="text-xl text-ctp-text">
+				Your accuracy on attempted questions is{" "}
+				<span className="font-bold text-ctp-green">{results.accuracy.toFixed(2)}%</span>.
+			</p>
+		</div>
+
+		<div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+			<Stat label="Attempted" value={`${results.attempted}/${results.totalQuestions}`} />
+			<Stat label="Correct" value={results.correct} className="text-ctp-green" />
+			<Stat label="Wrong" value={results.wrong} className="text-ctp-red" />
+			<Stat label="Skipped" value={results.skipped} className="text-ctp-yellow" />
+		</div>
+
+		{results.timeSpent && <TimeSummary timeSpent={results.timeSpent} totalQuestions={results.totalQuestions} />}
+
+		<div className="overflow-x-auto">
+			<table className="w-full text-left text-ctp-text border border-ctp-surface1">
+				<thead className="bg-ctp-mantle text-ctp-blue">
+					<tr>
+						<th className="p-2">Subject</th>
+						<th className="p-2">Marks</th>
+						<th className="p-2">Attempted</th>
+						<th className="p-2">Correct</th>
+						<th className="p-2">Wrong</th>
+						<th className="p-2">Skipped</th>
+						<th className="p-2">Accuracy</th>
+					</tr>
+				</thead>
+				<tbody>
+					{Object.entries(results.bySubject).map(([subject, tally]) => (
+						<tr key={subject} className="border-t border-ctp-surface1">
+							<td className="p-2 font-semibold">{subject}</td>
+							<td className="p-2">
+								{tally.marks}/{tally.maxMarks}
+							</td>
+							<td className="p-2">
+								{tally.attempted}/{tally.questions}
+							</td>
+							<td className="p-2 text-ctp-green">{tally.correct}</td>
+							<td className="p-2 text-ctp-red">{tally.wrong}</td>
+							<td className="p-2 text-ctp-yellow">{tally.skipped}</td>
+							<td className="p-2">{tally.accuracy.toFixed(1)}%</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+		</div>
+	</div>
+);
+
+export default Scorecard;
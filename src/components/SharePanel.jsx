@@ -0,0 +1,286 @@
+import React, { useEffect, useState } from "react";
+import { ApiError } from "../api.js";
+import { formatDuration } from "../quiz/exam.js";
+import {
+	addSubmission,
+	classResults,
+	createShareLink,
+	fetchClassSubmissions,
+	publishToClass,
+	readResponseCode,
+	releaseClassKey,
+	ShareError,
+} from "../share/index.js";
+
+const inputClassName =
+	"w-full p-2 border border-ctp-surface1 rounded-xl bg-ctp-mantle text-ctp-text focus:ring-ctp-blue focus:border-ctp-blue transition-all duration-300 shadow-sm";
+const buttonClassName =
+	"px-5 py-2 bg-ctp-surface2 text-ctp-text font-bold rounded-xl shadow-md hover:bg-ctp-surface1 transition-all duration-300 disabled:opacity-50";
+// How many of the most-missed questions the class summary names.
+const MISSED_SUMMARY_COUNT = 5;
+
+/**
+ * Turns a failure into a message for the panel.
+ * @param {unknown} e The error.
+ * @returns {string} The message.
+ */
+const errorMessage = (e) =>
+	e instanceof ShareError || e instanceof ApiError ? e.message : "Something went wrong. Please try again.";
+
+/**
+ * The class results: each student's marks, best first, and the questions the class found hardest.
+ * Students are scored against the quiz's current questions, so edits made since sharing are reflected.
+ * @param {{ questions: object[], submissions: import("../share/submissions.js").Submission[], scheme: object }}
+ *   props The questions with their keys, the submissions, and the marking scheme.
+ */
+const ClassResultsTable = ({ questions, submissions, scheme }) => {
+	if (!submissions.length) return <p className="text-sm text-ctp-subtext0">No submissions yet.</p>;
+	const { rows, perQuestion } = classResults(questions, submissions, scheme);
+	const missed = perQuestion
+		.map((stats, index) => ({ ...stats, index }))
+		.filter(({ attempted }) => attempted > 0)
+		.sort((a, b) => a.correct / a.attempted - b.correct / b.attempted)
+		.slice(0, MISSED_SUMMARY_COUNT);
+
+	return (
+		<div className="space-y-3">
+			<div className="overflow-x-auto">
+				<table className="w-full text-sm text-left">
+					<thead className="text-ctp-subtext0">
+						<tr>
+							<th className="py-1 pr-3">#</th>
+							<th className="py-1 pr-3">Student</th>
+							<th className="py-1 pr-3">Marks</th>
+							<th className="py-1 pr-3">Correct</th>
+							<th className="py-1 pr-3">Wrong</th>
+							<th className="py-1 pr-3">Skipped</th>
+							<th className="py-1 pr-3">Accuracy</th>
+							<th className="py-1 pr-3">Time</th>
+						</tr>
+					</thead>
+					<tbody className="text-ctp-text">
+						{rows.map(({ name, results, timeSpent, submittedAt }, rank) => (
+							<tr key={name} className="border-t border-ctp-surface1" title={new Date(submittedAt).toLocaleString()}>
+								<td className="py-1 pr-3 text-ctp-subtext0">{rank + 1}</td>
+								<td className="py-1 pr-3">{name}</td>
+								<td className="py-1 pr-3 font-semibold">
+									{results.marks} / {results.maxMarks}
+								</td>
+								<td className="py-1 pr-3 text-ctp-green">{results.correct}</td>
+								<td className="py-1 pr-3 text-ctp-red">{results.wrong}</td>
+								<td className="py-1 pr-3">{results.skipped}</td>
+								<td className="py-1 pr-3">{Math.round(results.accuracy)}%</td>
+								<td className="py-1 pr-3">
+									{timeSpent ? formatDuration(Object.values(timeSpent).reduce((sum, s) => sum + s, 0)) : "—"}
+								</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			</div>
+			{missed.length > 0 && (
+				<p className="text-sm text-ctp-subtext0">
+					Hardest for the class:{" "}
+					{missed
+						.map(({ index, attempted, correct }) => `Q${index + 1} (${correct} of ${attempted} right)`)
+						.join(", ")}
+					.
+				</p>
+			)}
+		</div>
+	);
+};
+
+/**
+ * Shares the quiz with a class, as a self-contained link or through the class server, and shows the results
+ * that come back. The answer key stays hidden from students until the teacher releases it here.
+ * @param {{ questions: object[], scheme: object, share?: import("../share/link.js").ShareInfo,
+ *   onShare: (share: import("../share/link.js").ShareInfo) => void }} props The questions with their keys, the
+ *   marking scheme to share with, how the quiz is shared so far, and the handler that stores changes to that.
+ */
+const SharePanel = ({ questions, scheme, share, onShare }) => {
+	const [title, setTitle] = useState("NEET Practice Test");
+	const [busy, setBusy] = useState(false);
+	const [error, setError] = useState(null);
+	const [copied, setCopied] = useState(false);
+	const [codes, setCodes] = useState("");
+	const [submissions, setSubmissions] = useState(null);
+
+	/**
+	 * Runs a panel action, showing it as busy and reporting its failure.
+	 * @param {() => Promise<void>} action The action.
+	 */
+	const run = async (action) => {
+		setBusy(true);
+		setError(null);
+		try {
+			await action();
+		} catch (e) {
+			console.error("Error sharing quiz:", e);
+			setError(errorMessage(e));
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const refreshSubmissions = () =>
+		run(async () => {
+			const { submissions: received, released } = await fetchClassSubmissions(share);
+			setSubmissions(received);
+			if (released !== share.released) onShare({ ...share, released });
+		});
+
+	// Class server results are fetched when the panel opens on a published quiz.
+	useEffect(() => {
+		setSubmissions(null);
+		if (share?.mode === "server") refreshSubmissions();
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [share?.id]);
+
+	const baseUrl = `${window.location.origin}${window.location.pathname}`;
+	const details = { title: title.trim() || "NEET Practice Test", scheme };
+
+	const copyLink = async () => {
+		try {
+			await navigator.clipboard.writeText(share.url);
+			setCopied(true);
+		} catch {
+			setError("Couldn't copy the link. Select it and copy it by hand.");
+		}
+	};
+
+	const addResponses = () =>
+		run(async () => {
+			let responses = share.responses ?? [];
+			for (const code of codes.split(/\s+/).filter(Boolean)) {
+				responses = addSubmission(responses, await readResponseCode(code, share.id, questions.length));
+			}
+			onShare({ ...share, responses });
+			setCodes("");
+		});
+
+	const release = () =>
+		run(async () => {
+			if (share.mode === "server") await releaseClassKey(share);
+			onShare({ ...share, released: true });
+		});
+
+	return (
+		<details className="bg-ctp-mantle border border-ctp-surface1 rounded-2xl p-4" open={Boolean(share)}>
+			<summary className="cursor-pointer font-semibold text-ctp-blue">Share with a class</summary>
+			<div className="mt-4 space-y-4">
+				{!share ? (
+					<>
+						<label className="block">
+							<span className="text-ctp-subtext0 text-sm mb-1 block">Title students see</span>
+							<input type="text" value={title} onChange={(e) => setTitle(e.target.value)} className={inputClassName} />
+						</label>
+						<div className="flex flex-wrap gap-3">
+							<button
+								type="button"
+								disabled={busy}
+								onClick={() => run(async () => onShare(await createShareLink(questions, details, baseUrl)))}
+								className={buttonClassName}
+							>
+								Create a link
+							</button>
+							<button
+								type="button"
+								disabled={busy}
+								onClick={() => run(async () => onShare(await publishToClass(questions, details, baseUrl)))}
+								className={buttonClassName}
+							>
+								Publish to the class server
+							</button>
+						</div>
+						<p className="text-sm text-ctp-subtext0">
+							A link carries the whole quiz and needs no server; students send their answers back as a code for
+							you to paste in here. The class server collects answers for you, and can share quizzes with
+							cropped figures. Either way, the answer key stays hidden until you release it.
+						</p>
+					</>
+				) : (
+					<>
+						<p className="text-sm text-ctp-text">
+							<span className="font-semibold">{share.title}</span> is shared{" "}
+							{share.mode === "server" ? "on the class server" : "as a link"}. Send students this link:
+						</p>
+						<div className="flex gap-2">
+							<input
+								type="text"
+								readOnly
+								value={share.url}
+								onFocus={(e) => e.target.select()}
+								className={inputClassName}
+								aria-label="Link for students"
+							/>
+							<button type="button" onClick={copyLink} className={`${buttonClassName} shrink-0`}>
+								{copied ? "Copied" : "Copy"}
+							</button>
+						</div>
+
+						{share.released ? (
+							<p className="text-sm text-ctp-green">
+								The answer key is released.
+								{share.mode === "link" && (
+									<>
+										{" "}
+										Students unlock their results with this release code:{" "}
+										<code className="px-2 py-1 rounded-lg bg-ctp-surface0 text-ctp-text select-all">
+											{share.releaseCode}
+										</code>
+									</>
+								)}
+							</p>
+						) : (
+							<div className="flex flex-wrap items-center gap-3">
+								<p className="text-sm text-ctp-subtext0">The answer key is hidden from students.</p>
+								<button type="button" disabled={busy} onClick={release} className={buttonClassName}>
+									Release the answer key
+								</button>
+							</div>
+						)}
+
+						<h4 className="font-semibold text-ctp-text">Class results</h4>
+						{share.mode === "link" ? (
+							<div className="space-y-2">
+								<label className="block">
+									<span className="text-ctp-subtext0 text-sm mb-1 block">
+										Paste the response codes students sent you, separated by spaces or new lines
+									</span>
+									<textarea
+										value={codes}
+										onChange={(e) => setCodes(e.target.value)}
+										rows={3}
+										className={inputClassName}
+									/>
+								</label>
+								<button type="button" disabled={busy || !codes.trim()} onClick={addResponses} className={buttonClassName}>
+									Add responses
+								</button>
+							</div>
+						) : (
+							<button type="button" disabled={busy} onClick={refreshSubmissions} className={buttonClassName}>
+								{busy ? "Loading..." : "Refresh results"}
+							</button>
+						)}
+						{(share.mode === "link" || submissions) && (
+							<ClassResultsTable
+								questions={questions}
+								submissions={share.mode === "link" ? (share.responses ?? []) : submissions}
+								scheme={share.scheme}
+							/>
+						)}
+					</>
+				)}
+				{error && (
+					<p className="text-sm text-ctp-red" role="alert">
+						{error}
+					</p>
+				)}
+			</div>
+		</details>
+	);
+};
+
+export default SharePanel;
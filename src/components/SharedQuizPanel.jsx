@@ -0,0 +1,117 @@
+import React, { useState } from "react";
+import { MAX_NAME_CHARS } from "../share/index.js";
+
+const inputClassName =
+	"w-full p-2 border border-ctp-surface1 rounded-xl bg-ctp-mantle text-ctp-text focus:ring-ctp-blue focus:border-ctp-blue transition-all duration-300 shadow-sm";
+const buttonClassName =
+	"px-5 py-2 bg-ctp-blue text-ctp-base font-bold rounded-xl shadow-md hover:bg-ctp-blue-hover transition-all duration-300 disabled:opacity-50";
+
+/**
+ * What a student sees of a quiz their teacher shared: its title and marking, a name field before they submit,
+ * and afterwards, their response code (for links) and a way to unlock their results once the key is released.
+ * @param {{ shared: object, keyHidden: boolean, name: string, onNameChange: (name: string) => void,
+ *   onReveal: (releaseCode?: string) => void, busy?: boolean, error?: string | null }} props The quiz's share
+ *   details, whether the key is still hidden, the student's name and its change handler, the handler that fetches
+ *   or decrypts the key, whether that is running, and the last error.
+ */
+const SharedQuizPanel = ({ shared, keyHidden, name, onNameChange, onReveal, busy, error }) => {
+	const [releaseCode, setReleaseCode] = useState("");
+	const [copied, setCopied] = useState(false);
+	const { submission } = shared;
+
+	const copyCode = async () => {
+		await navigator.clipboard.writeText(submission.responseCode).catch(() => {});
+		setCopied(true);
+	};
+
+	return (
+		<div className="mt-8 bg-ctp-mantle border border-ctp-blue/40 rounded-2xl p-4 space-y-3">
+			<p className="text-ctp-text font-semibold">{shared.title || "Shared quiz"}</p>
+			<p className="text-sm text-ctp-subtext0">
+				Marking: {shared.scheme.correct > 0 ? "+" : ""}
+				{shared.scheme.correct} for a right answer, {shared.scheme.incorrect} for a wrong one,{" "}
+				{shared.scheme.unattempted} for a skipped one.
+			</p>
+
+			{!submission && (
+				<label className="block sm:max-w-sm">
+					<span className="text-ctp-text text-sm font-medium mb-1 block">Your name</span>
+					<input
+						type="text"
+						value={name}
+						maxLength={MAX_NAME_CHARS}
+						onChange={(e) => onNameChange(e.target.value)}
+						className={inputClassName}
+						autoComplete="name"
+					/>
+					<span className="text-xs text-ctp-overlay0 mt-1 block">
+						Your teacher sees your answers under this name.
+						{keyHidden && " The answers and solutions are shown once your teacher releases them."}
+					</span>
+				</label>
+			)}
+
+			{submission && keyHidden && (
+				<>
+					<p className="text-sm text-ctp-green">
+						Submitted as {submission.name} on {new Date(submission.submittedAt).toLocaleString()}.
+					</p>
+					{shared.mode === "link" ? (
+						<>
+							<p className="text-sm text-ctp-subtext0">Send this response code to your teacher:</p>
+							<div className="flex gap-2">
+								<textarea
+									readOnly
+									value={submission.responseCode}
+									rows={2}
+									onFocus={(e) => e.target.select()}
+									className={`${inputClassName} font-mono text-xs`}
+									aria-label="Response code"
+								/>
+								<button type="button" onClick={copyCode} className={`${buttonClassName} shrink-0 self-start`}>
+									{copied ? "Copied" : "Copy"}
+								</button>
+							</div>
+							<div className="flex flex-col sm:flex-row gap-2 sm:items-end">
+								<label className="block flex-1">
+									<span className="text-ctp-subtext0 text-sm mb-1 block">
+										Release code from your teacher, once they have marked the quiz
+									</span>
+									<input
+										type="text"
+										value={releaseCode}
+										onChange={(e) => setReleaseCode(e.target.value)}
+										className={inputClassName}
+									/>
+								</label>
+								<button
+									type="button"
+									disabled={busy || !releaseCode.trim()}
+									onClick={() => onReveal(releaseCode)}
+									className={buttonClassName}
+								>
+									Show my results
+								</button>
+							</div>
+						</>
+					) : (
+						<div className="flex flex-wrap items-center gap-3">
+							<p className="text-sm text-ctp-subtext0">Your results appear once your teacher releases the answer key.</p>
+							<button type="button" disabled={busy} onClick={() => onReveal()} className={buttonClassName}>
+								{busy ? "Checking..." : "Check for results"}
+							</button>
+						</div>
+					)}
+				</>
+			)}
+
+			{error && (
+				<p className="text-sm text-ctp-red" role="alert">
+					{error}
+				</p>
+			)}
+		</div>
+	);
+};
+
+export default SharedQuizPanel;
@@ -0,0 +1,262 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { MAX_REQUEST_MB } from "../api.js";
+import {
+	estimateUploadBytes,
+	extractFile,
+	FILE_KINDS,
+	IngestError,
+	MAX_FILE_MB,
+	parsePageRange,
+} from "../ingest/index.js";
+
+const inputClassName =
+	"w-full p-2 border border-ctp-surface1 rounded-xl bg-ctp-mantle text-ctp-text focus:ring-ctp-blue focus:border-ctp-blue transition-all duration-300 shadow-sm text-sm";
+
+const UNIT_NAMES = { page: "pages", slide: "slides", section: "sections" };
+
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes The size in bytes.
+ * @returns {string} The size in KB or MB.
+ */
+const formatSize = (bytes) =>
+	bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+/**
+ * Names a pasted image after the time it was pasted, since the clipboard calls every image "image.png".
+ * @param {File} file The pasted file.
+ * @returns {File} The renamed file.
+ */
+const renamePasted = (file) => {
+	const time = new Date().toLocaleTimeString(undefined, { hour12: false }).replace(/:/g, "-");
+	const extension = file.type.split("/")[1] || "png";
+	return new File([file], `Screenshot ${time}.${extension}`, { type: file.type });
+};
+
+/**
+ * Lists the files chosen for generation and lets the user tune them before anything is sent:
+ * remove a file, pick page ranges, and set how many questions each file gets.
+ * Files can be browsed for, dropped onto the panel or pasted from the clipboard. Each is read
+ * locally as soon as it is added, so unsupported, oversized or unreadable files are rejected up front,
+ * and a selection too large for the server to accept is flagged before it is sent.
+ * @param {{ uploads: object[], onChange: Function, numQuestions: number, figures: boolean }} props The upload entries
+ *   (`{ id, file, status, document, range, questions }`), a state setter for them, the total question count,
+ *   and whether figure questions are on.
+ */
+const UploadPanel = ({ uploads, onChange, numQuestions, figures }) => {
+	const [rejected, setRejected] = useState([]);
+	const [dragging, setDragging] = useState(false);
+
+	/**
+	 * Adds files to the panel and reads each in the background.
+	 * @param {Iterable<File>} files The new files.
+	 */
+	const addFiles = (files) => {
+		setRejected([]);
+		for (const file of files) {
+			const id = crypto.randomUUID();
+			onChange((prev) => [...prev, { id, file, status: "reading", document: null, range: "", questions: null }]);
+			extractFile(file)
+				.then((document) =>
+					onChange((prev) => prev.map((u) => (u.id === id ? { ...u, status: "ready", document } : u))),
+				)
+				.catch((e) => {
+					onChange((prev) => prev.filter((u) => u.id !== id));
+					setRejected((prev) => [
+						...prev,
+						e instanceof IngestError ? e.message : `"${file.name}" could not be read.`,
+					]);
+				});
+		}
+	};
+
+	const updateUpload = (id, changes) => onChange((prev) => prev.map((u) => (u.id === id ? { ...u, ...changes } : u)));
+
+	// Screenshots pasted anywhere on the page are added as uploads.
+	useEffect(() => {
+		const handlePaste = (e) => {
+			const files = [...(e.clipboardData?.files || [])];
+			if (!files.length) return;
+			e.preventDefault();
+			addFiles(files.map((file) => (file.type.startsWith("image/") ? renamePasted(file) : file)));
+		};
+		window.addEventListener("paste", handlePaste);
+		return () => window.removeEventListener("paste", handlePaste);
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, []);
+
+	const fixedTotal = uploads.reduce((sum, u) => sum + (u.questions ?? 0), 0);
+	const autoCount = uploads.filter((u) => u.questions === null).length;
+	const allocationError =
+		fixedTotal > numQuestions
+			? `The per-file counts add up to ${fixedTotal}, more than the ${numQuestions} requested.`
+			: !autoCount && fixedTotal !== numQuestions
+				? `The per-file counts add up to ${fixedTotal}, not ${numQuestions}. Adjust them or leave one on auto.`
+				: null;
+
+	const uploadBytes = useMemo(() => estimateUploadBytes(uploads, { figures }), [uploads, figures]);
+	const sizeError =
+		uploadBytes > MAX_REQUEST_MB * 1024 * 1024
+			? `The chosen pages come to about ${formatSize(uploadBytes)}, more than the ${MAX_REQUEST_MB} MB the server ` +
+				"accepts at once. Choose fewer pages or turn off figure questions."
+			: null;
+
+	return (
+		<div className="space-y-3">
+			<div
+				onDragOver={(e) => {
+					e.preventDefault();
+					setDragging(true);
+				}}
+				onDragLeave={() => setDragging(false)}
+				onDrop={(e) => {
+					e.preventDefault();
+					setDragging(false);
+					addFiles(e.dataTransfer.files);
+				}}
+				className={`border-2 border-dashed rounded-2xl p-6 text-center transition-colors duration-300 ${
+					dragging ? "border-ctp-blue bg-ctp-blue/10" : "border-ctp-surface1 bg-ctp-mantle"
+				}`}
+			>
+				<p className="text-ctp-text">
+					Drop files here, paste a screenshot, or{" "}
+					<label className="text-ctp-blue font-semibold cursor-pointer hover:underline">
+						browse
+						<input
+							type="file"
+							multiple
+							accept={FILE_KINDS.flatMap(({ extensions }) => extensions.map((ext) => `.${ext}`)).join(",")}
+							onChange={(e) => {
+								addFiles(e.target.files);
+								e.target.value = "";
+							}}
+							className="sr-only"
+						/>
+					</label>
+				</p>
+				<p className="text-xs text-ctp-overlay0 mt-1">
+					PDF, Word, PowerPoint, text, Markdown or images, up to {MAX_FILE_MB} MB each. Files are read on this
+					device.
+				</p>
+			</div>
+
+			{rejected.length > 0 && (
+				<ul className="bg-ctp-red/20 border border-ctp-red/40 text-ctp-red p-3 rounded-xl text-sm space-y-1">
+					{rejected.map((message, i) => (
+						<li key={i}>{message}</li>
+					))}
+				</ul>
+			)}
+
+			{uploads.length > 0 && (
+				<ul className="space-y-2">
+					{uploads.map(({ id, file, status, document, range, questions }) => {
+						let rangeError = null;
+						if (document && range) {
+							try {
+								parsePageRange(range, document.pageCount);
+							} catch (e) {
+								rangeError = e.message;
+							}
+						}
+						const kind = FILE_KINDS.find((k) => k.id === document?.kind);
+
+						return (
+							<li
+								key={id}
+								className="flex flex-col sm:flex-row sm:items-center gap-3 bg-ctp-mantle border border-ctp-surface1 rounded-xl p-3"
+							>
+								<div className="flex items-center gap-3 flex-1 min-w-0">
+									{document?.thumbnail ? (
+										<img
+											src={document.thumbnail}
+											alt=""
+											className="w-12 h-16 object-cover rounded-lg border border-ctp-surface1 shrink-0"
+										/>
+									) : (
+										<div className="w-12 h-16 rounded-lg bg-ctp-surface0 text-ctp-overlay0 text-xs flex items-center justify-center shrink-0 uppercase">
+											{document?.kind || "…"}
+										</div>
+									)}
+									<div className="min-w-0">
+										<p className="text-ctp-text truncate">{file.name}</p>
+										<p className="text-xs text-ctp-subtext0">
+											{formatSize(file.size)}
+											{status === "reading"
+												? " · reading..."
+												: ` · ${kind.label}` +
+													(document.unit === "image"
+														? ""
+														: ` · ${document.pageCount} ${UNIT_NAMES[document.unit]}`)}
+										</p>
+									</div>
+								</div>
+
+								{status === "ready" && (
+									<div className="flex items-start gap-2">
+										{document.unit !== "image" && (
+											<label className="block w-36">
+												<span className="text-ctp-subtext0 text-xs mb-1 block capitalize">
+													{UNIT_NAMES[document.unit]}
+												</span>
+												<input
+													type="text"
+													value={range}
+													placeholder={`All, e.g. 1–${document.pageCount}`}
+													onChange={(e) => updateUpload(id, { range: e.target.value })}
+													className={`${inputClassName} ${rangeError ? "border-ctp-red" : ""}`}
+												/>
+												{rangeError && <span className="text-xs text-ctp-red block mt-1">{rangeError}</span>}
+											</label>
+										)}
+										<label className="block w-24">
+											<span className="text-ctp-subtext0 text-xs mb-1 block">Questions</span>
+											<input
+												type="number"
+												min="0"
+												value={questions ?? ""}
+												placeholder="Auto"
+												onChange={(e) =>
+													updateUpload(id, {
+														questions: e.target.value === "" ? null : Math.max(0, Math.floor(Number(e.target.value))),
+													})
+												}
+												className={inputClassName}
+											/>
+										</label>
+									</div>
+								)}
+
+								<button
+									type="button"
+									onClick={() => onChange((prev) => prev.filter((u) => u.id !== id))}
+									className="text-ctp-red text-sm font-semibold hover:underline self-end sm:self-center"
+								>
+									Remove
+								</button>
+							</li>
+						);
+					})}
+				</ul>
+			)}
+
+			{uploads.length > 0 && (
+				<p className={`text-sm ${allocationError ? "text-ctp-red" : "text-ctp-subtext0"}`}>
+					{allocationError ||
+						(fixedTotal
+							? `${fixedTotal} of ${numQuestions} questions set per file` +
+								(autoCount ? `; the other ${numQuestions - fixedTotal} are spread across the rest by length.` : ".")
+							: `${numQuestions} questions, spread across the files by length.`)}
+				</p>
+			)}
+
+			{sizeError && (
+				<p className="text-sm text-ctp-red" role="alert">
+					{sizeError}
+				</p>
+			)}
+		</div>
+	);
+};
+
+export default UploadPanel;
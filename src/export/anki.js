@@ -0,0 +1,44 @@
+// Anki flashcard export: one note per question, importable with Anki's "Import File" as Basic notes.
+// LaTeX is kept in \( \) delimiters, which Anki typesets with its built-in MathJax (mhchem included).
+// Figures and diagrams are inlined as data URLs, since a text import can't bring media files along.
+import { OPTION_LETTERS } from "../quiz/validate.js";
+import { lmsText, questionStemHtml, solutionHtml } from "./html.js";
+import { csvField } from "./text.js";
+
+/**
+ * Turns a subject or chapter into an Anki tag, which can't contain spaces.
+ * @param {string} text The subject or chapter.
+ * @returns {string} For example "NEET::Human_Physiology".
+ */
+const ankiTag = (text) => `NEET::${text.trim().replace(/\s+/g, "_")}`;
+
+/**
+ * Exports the questions as Anki notes: the front holds the stem and the lettered options, the back
+ * the answer and the solution, and the subject, chapter and difficulty become tags. Anki reads the
+ * header lines to pick the separator and to treat the fields as HTML.
+ * @param {object[]} questions The questions.
+ * @param {"comma" | "tab"} separator CSV or TSV.
+ * @returns {string} The file contents.
+ */
+export const toAnki = (questions, separator) => {
+	const field =
+		separator === "tab" ? (value) => String(value ?? "").replace(/[\t\r\n]+/g, " ") : (value) => csvField(value);
+	const rows = questions.map((question) => {
+		const options = question.options
+			.map((option, i) => `(${OPTION_LETTERS[i]}) ${lmsText(option)}`)
+			.join("<br>");
+		const correct = question.options[OPTION_LETTERS.indexOf(question.correctAnswer)];
+		const tags = [question.subject, question.chapter]
+			.filter(Boolean)
+			.map(ankiTag)
+			.concat(question.difficulty ? [`difficulty::${question.difficulty}`] : []);
+		return [
+			`${questionStemHtml(question, lmsText)}<p>${options}</p>`,
+			`<p><b>(${question.correctAnswer})</b> ${lmsText(correct)}</p>${solutionHtml(question.solution, "tex")}`,
+			tags.join(" "),
+		]
+			.map(field)
+			.join(separator === "tab" ? "\t" : ",");
+	});
+	return [`#separator:${separator}`, "#html:true", "#tags column:3", ...rows].join("\n").concat("\n");
+};
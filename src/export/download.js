@@ -0,0 +1,19 @@
+/**
+ * Saves content as a file through the browser's download prompt.
+ * @param {string | Blob} content The file contents.
+ * @param {string} filename The suggested file name.
+ * @param {string} mimeType The MIME type, used when `content` is a string.
+ */
+export const downloadFile = (content, filename, mimeType) => {
+	const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+	link.href = url;
+	link.setAttribute("download", filename);
+
+	// Append the link to the body, click it, and then remove it.
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(url);
+};
@@ -0,0 +1,115 @@
+// HTML fragments shared by the printable paper and the LMS exports. The markup is kept to XHTML
+// that QTI accepts (tables with tbody, self-closed void tags), so the same stem works everywhere.
+// Print windows get MathML, which browsers render without KaTeX's stylesheet; LMSs and Anki get the
+// LaTeX source in \( \) delimiters, which their own MathJax typesets. Figures and diagrams are
+// <img> tags, with data URLs unless the format packages them as files.
+import { escapeHtml, renderRichText } from "../notation/index.js";
+import { dataUrlParts, questionVisuals } from "../quiz/figures.js";
+import { getFormat, listLabel, romanLabel } from "../quiz/formats.js";
+
+export { escapeHtml };
+
+/**
+ * Renders a piece of question text (stem, option, statement or list item).
+ * @callback TextRenderer
+ * @param {string} text The text.
+ * @returns {string} The HTML.
+ */
+
+/** @type {TextRenderer} */
+export const printText = (text) => renderRichText(text, { output: "mathml" });
+
+/** @type {TextRenderer} */
+export const lmsText = (text) => renderRichText(text, { output: "tex" });
+
+/**
+ * Renders a solution, with its lists and tables.
+ * @param {string} solution The solution.
+ * @param {"mathml" | "tex"} output How to output LaTeX: "mathml" for print, "tex" for LMSs.
+ * @returns {string} The HTML.
+ */
+export const solutionHtml = (solution, output) => renderRichText(solution, { block: true, output });
+
+/**
+ * Renders the format-specific part of a stem, as QuestionBody does on screen.
+ * @param {object} question The question.
+ * @param {TextRenderer} text Renders each piece of text.
+ * @returns {string} The HTML, or "" for plain MCQs.
+ */
+export const questionBodyHtml = (question, text) => {
+	switch (getFormat(question.type)?.id) {
+		case "assertion-reason":
+			return `<p><b>Assertion (A):</b> ${text(question.assertion)}</p><p><b>Reason (R):</b> ${text(question.reason)}</p>`;
+		case "statement-pair":
+			return question.statements
+				.map((statement, i) => `<p><b>Statement ${i === 0 ? "I" : "II"}:</b> ${text(statement)}</p>`)
+				.join("");
+		case "multiple-statements":
+			return question.statements.map((statement, i) => `<p>(${listLabel(i)}) ${text(statement)}</p>`).join("");
+		case "match-columns":
+			return `<table class="lists"><thead><tr><th>List I</th><th>List II</th></tr></thead><tbody>${question.listI
+				.map(
+					(item, i) =>
+						`<tr><td>(${listLabel(i)}) ${text(item)}</td><td>(${romanLabel(i)}) ${text(question.listII[i])}</td></tr>`,
+				)
+				.join("")}</tbody></table>`;
+		default:
+			return "";
+	}
+};
+
+/**
+ * A figure or diagram as an image file, for the exports that package images alongside the questions.
+ * @typedef {Object} VisualFile
+ * @property {"figure" | "diagram"} kind Which picture it is.
+ * @property {string} name The file name, such as "item-3-figure.jpg".
+ * @property {string} mimeType The image type.
+ * @property {string} base64 The image, base64 encoded.
+ */
+
+const IMAGE_EXTENSIONS = {
+	"image/jpeg": "jpg",
+	"image/png": "png",
+	"image/webp": "webp",
+	"image/gif": "gif",
+	"image/svg+xml": "svg",
+};
+
+/**
+ * Lists a question's figure and diagram as image files.
+ * @param {object} question The question.
+ * @param {string} prefix Starts each file name, so names are unique across questions.
+ * @returns {VisualFile[]} The files.
+ */
+export const visualFiles = (question, prefix) =>
+	questionVisuals(question).flatMap(({ kind, src }) => {
+		const parts = dataUrlParts(src);
+		return parts ? [{ kind, name: `${prefix}-${kind}.${IMAGE_EXTENSIONS[parts.mimeType] ?? "img"}`, ...parts }] : [];
+	});
+
+/**
+ * Renders a question's figure and diagram as images with their captions.
+ * @param {object} question The question.
+ * @param {(visual: { kind: string, src: string }) => string} [imageSrc] Where each image is loaded from:
+ *   its data URL by default, or a packaged file.
+ * @returns {string} The HTML, or "" if the question has neither.
+ */
+export const figuresHtml = (question, imageSrc = ({ src }) => src) =>
+	questionVisuals(question)
+		.map(
+			(visual) =>
+				`<p class="figure"><img src="${escapeHtml(imageSrc(visual))}" alt="${escapeHtml(visual.alt)}"` +
+				` style="max-width: 100%;"/>` +
+				`${visual.caption ? `<br/><i>${escapeHtml(visual.caption)}</i>` : ""}</p>`,
+		)
+		.join("");
+
+/**
+ * Renders a whole stem: the question text, its format-specific part, and its figure and diagram.
+ * @param {object} question The question.
+ * @param {TextRenderer} text Renders each piece of text.
+ * @param {Parameters<typeof figuresHtml>[1]} [imageSrc] Where images are loaded from; see `figuresHtml`.
+ * @returns {string} The HTML.
+ */
+export const questionStemHtml = (question, text, imageSrc) =>
+	`<p>${text(question.questionText)}</p>${questionBodyHtml(question, text)}${figuresHtml(question, imageSrc)}`;
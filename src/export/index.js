@@ -0,0 +1,109 @@
+// Exports of a finished quiz: printable papers with answer keys in shuffled sets, a lossless JSON
+// file that can be imported again, plain text, and formats for LMSs and flashcard apps.
+import { toAnki } from "./anki.js";
+import { toQuizJson } from "./json.js";
+import { toGift, toMoodleXml, toQtiPackage } from "./lms.js";
+import { toCsv, toTxt } from "./text.js";
+
+export { downloadFile } from "./download.js";
+export { ImportError, parseQuizJson, toQuizJson } from "./json.js";
+export { openPrintWindow, renderAnswerKey, renderQuestionPaper } from "./print.js";
+export { buildPaperSets, SET_LABELS } from "./sets.js";
+
+/**
+ * What an export is built from.
+ * @typedef {Object} ExportContext
+ * @property {object} quiz The quiz record.
+ * @property {object[]} questions The questions as currently edited.
+ * @property {object[]} attempts The quiz's stored attempts (only loaded for formats that include them).
+ * @property {{ correct: number, incorrect: number, unattempted: number }} scheme The marking scheme.
+ * @property {string} title A title for formats that carry one.
+ */
+
+/**
+ * A downloadable export format.
+ * @typedef {Object} ExportFormat
+ * @property {string} id The format id.
+ * @property {string} label The name shown in the format list.
+ * @property {string} description What the format is for.
+ * @property {string} filename The download's file name.
+ * @property {string} mimeType The file's MIME type.
+ * @property {boolean} [withAttempts] Whether the export includes the quiz's attempts.
+ * @property {(context: ExportContext) => string | Promise<Blob>} build Builds the file contents.
+ */
+
+/** @type {ExportFormat[]} */
+export const EXPORT_FORMATS = [
+	{
+		id: "json",
+		label: "Quiz file (JSON)",
+		description: "Everything about the quiz and its attempts. Import it from History on any device.",
+		filename: "neet_quiz.json",
+		mimeType: "application/json",
+		withAttempts: true,
+		build: ({ quiz, questions, attempts }) => toQuizJson({ ...quiz, questions }, attempts),
+	},
+	{
+		id: "txt",
+		label: "Text (TXT)",
+		description: "A readable list of questions, options, answers and solutions.",
+		filename: "neet_questions_and_solutions.txt",
+		mimeType: "text/plain;charset=utf-8",
+		build: ({ questions }) => toTxt(questions),
+	},
+	{
+		id: "csv",
+		label: "Spreadsheet (CSV)",
+		description: "One row per question, with each option in its own column.",
+		filename: "neet_questions_and_solutions.csv",
+		mimeType: "text/csv;charset=utf-8",
+		build: ({ questions }) => toCsv(questions),
+	},
+	{
+		id: "moodle",
+		label: "Moodle XML",
+		description: "Import into a Moodle question bank. Wrong answers carry the negative marking.",
+		filename: "neet_quiz_moodle.xml",
+		mimeType: "application/xml",
+		build: ({ questions, scheme }) => toMoodleXml(questions, scheme),
+	},
+	{
+		id: "gift",
+		label: "GIFT",
+		description: "Moodle's text format, also read by several other LMSs.",
+		filename: "neet_quiz_gift.txt",
+		mimeType: "text/plain;charset=utf-8",
+		build: ({ questions, scheme }) => toGift(questions, scheme),
+	},
+	{
+		id: "qti",
+		label: "QTI 2.1 package",
+		description: "A zip package for Canvas, Blackboard, Sakai and other QTI-compatible tools.",
+		filename: "neet_quiz_qti.zip",
+		mimeType: "application/zip",
+		build: ({ questions, scheme, title }) => toQtiPackage(questions, scheme, title),
+	},
+	{
+		id: "anki-csv",
+		label: "Anki (CSV)",
+		description: "Flashcards with the options on the front and the answer and solution on the back.",
+		filename: "neet_quiz_anki.csv",
+		mimeType: "text/csv;charset=utf-8",
+		build: ({ questions }) => toAnki(questions, "comma"),
+	},
+	{
+		id: "anki-tsv",
+		label: "Anki (TSV)",
+		description: "The same flashcards, tab-separated.",
+		filename: "neet_quiz_anki.tsv",
+		mimeType: "text/tab-separated-values;charset=utf-8",
+		build: ({ questions }) => toAnki(questions, "tab"),
+	},
+];
+
+/**
+ * Looks up an export format.
+ * @param {string} id The format id.
+ * @returns {ExportFormat | undefined} The format.
+ */
+export const getExportFormat = (id) => EXPORT_FORMATS.find((format) => format.id === id);
@@ -0,0 +1,86 @@
+// Lossless JSON export of a quiz with its attempts, and the matching import.
+import { normalizeSettings } from "../quiz/settings.js";
+import { validateQuestion } from "../quiz/validate.js";
+
+const FILE_FORMAT = "neet-quiz";
+const FILE_VERSION = 1;
+
+/**
+ * An error about an imported quiz file. Its message is safe to show to the user.
+ */
+export class ImportError extends Error {
+	/**
+	 * @param {string} message What is wrong with the file.
+	 */
+	constructor(message) {
+		super(message);
+		this.name = "ImportError";
+	}
+}
+
+/**
+ * Serializes a quiz and its attempts. Everything stored is kept: settings, source files, the
+ * generation report, and per-question flags, edits, sources and answer-key checks.
+ * @param {object} quiz The quiz record.
+ * @param {object[]} [attempts] Its stored attempts.
+ * @returns {string} The JSON document.
+ */
+export const toQuizJson = (quiz, attempts = []) =>
+	JSON.stringify(
+		{
+			format: FILE_FORMAT,
+			version: FILE_VERSION,
+			exportedAt: new Date().toISOString(),
+			quiz,
+			attempts: attempts.map(({ quizId: _, ...attempt }) => attempt),
+		},
+		null,
+		2,
+	);
+
+/**
+ * Reads a quiz exported by `toQuizJson`. Questions go through the same validation as generated ones,
+ * so a hand-edited file can't load a question that would break scoring.
+ * @param {string} text The file contents.
+ * @returns {{ quiz: object, attempts: object[] }} The quiz record (without an id, so it is stored as a new quiz)
+ *   and its attempts (without ids or quiz ids).
+ * @throws {ImportError} If the file isn't a quiz export or a question is invalid.
+ */
+export const parseQuizJson = (text) => {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch {
+		throw new ImportError("The file is not valid JSON.");
+	}
+	if (data?.format !== FILE_FORMAT || !data.quiz || !Array.isArray(data.quiz.questions)) {
+		throw new ImportError("The file is not a quiz exported from this app.");
+	}
+	if (data.version > FILE_VERSION) {
+		throw new ImportError("The file was exported by a newer version of this app.");
+	}
+
+	const { id: _, questions: rawQuestions, settings, ...quiz } = data.quiz;
+	if (!rawQuestions.length) throw new ImportError("The quiz in the file has no questions.");
+	const questions = rawQuestions.map((raw, i) => {
+		const { question, errors } = validateQuestion(raw);
+		if (!question) throw new ImportError(`Question ${i + 1} in the file ${errors.join(", ")}.`);
+		return question;
+	});
+
+	const attempts = (Array.isArray(data.attempts) ? data.attempts : [])
+		.filter((attempt) => attempt && typeof attempt.answers === "object" && typeof attempt.results === "object")
+		.map(({ id: _id, quizId: _quizId, ...attempt }) => attempt);
+
+	return {
+		quiz: {
+			...quiz,
+			createdAt: Number.isFinite(quiz.createdAt) ? quiz.createdAt : Date.now(),
+			settings: settings ? normalizeSettings(settings) : null,
+			sourceFiles: Array.isArray(quiz.sourceFiles) ? quiz.sourceFiles : [],
+			report: quiz.report ?? null,
+			questions,
+		},
+		attempts,
+	};
+};
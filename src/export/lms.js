@@ -0,0 +1,247 @@
+// Exports for learning management systems: Moodle XML, GIFT and IMS QTI 2.1.
+// Options are never shuffled on import, since the assertion–reason and statement formats rely on
+// the standard option order. Wrong answers carry the marking scheme's penalty where the format allows.
+// LaTeX is kept in \( \) delimiters for the LMS's MathJax filter. Figures and diagrams are embedded as
+// files in Moodle XML and QTI, and as data URLs in GIFT, which has no way to carry files.
+import { toPlainText } from "../notation/index.js";
+import { OPTION_LETTERS } from "../quiz/validate.js";
+import { escapeHtml, lmsText, questionStemHtml, solutionHtml, visualFiles } from "./html.js";
+
+/**
+ * Expresses the wrong-answer penalty as a percentage of the marks for a right answer, as Moodle and GIFT want it.
+ * @param {{ correct: number, incorrect: number }} scheme The marking scheme.
+ * @returns {number} For example -25 for NEET's +4 / −1.
+ */
+const penaltyPercent = ({ correct, incorrect }) =>
+	correct > 0 ? Math.max(-100, Math.round((incorrect / correct) * 100 * 100000) / 100000) : 0;
+
+/**
+ * Wraps text in a CDATA section, splitting any "]]>" inside it.
+ * @param {string} text The text.
+ * @returns {string} The CDATA section.
+ */
+const cdata = (text) => `<![CDATA[${text.replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+/**
+ * A short name for a question, for LMS question lists.
+ * @param {object} question The question.
+ * @param {number} index Its position in the quiz.
+ * @returns {string} For example "Q3 The SI unit of magnetic flux is:".
+ */
+const questionName = (question, index) => {
+	const text = toPlainText(question.questionText).replace(/\s+/g, " ").trim();
+	return `Q${index + 1} ${text.length > 60 ? `${text.slice(0, 57)}...` : text}`;
+};
+
+/**
+ * Points each image in a stem at its packaged file.
+ * @param {import("./html.js").VisualFile[]} files The question's image files.
+ * @param {string} base The path the files are referenced through.
+ * @returns {(visual: { kind: string }) => string} The `imageSrc` for `questionStemHtml`.
+ */
+const packagedSrc = (files, base) => (visual) => `${base}${files.find(({ kind }) => kind === visual.kind).name}`;
+
+/**
+ * Exports the questions as Moodle XML, one multiple-choice question each, in a category per subject.
+ * @param {object[]} questions The questions.
+ * @param {{ correct: number, incorrect: number }} scheme The marking scheme.
+ * @returns {string} The XML document.
+ */
+export const toMoodleXml = (questions, scheme) => {
+	const penalty = penaltyPercent(scheme);
+	let category = null;
+	const items = questions.map((question, index) => {
+		let xml = "";
+		if (question.subject !== category) {
+			category = question.subject;
+			xml += `
+  <question type="category">
+    <category><text>$course$/NEET/${escapeHtml(category)}</text></category>
+  </question>`;
+		}
+		const files = visualFiles(question, `q${index + 1}`);
+		const stem = questionStemHtml(question, lmsText, packagedSrc(files, "@@PLUGINFILE@@/"));
+		return (
+			xml +
+			`
+  <question type="multichoice">
+    <name><text>${escapeHtml(questionName(question, index))}</text></name>
+    <questiontext format="html"><text>${cdata(stem)}</text>${files
+			.map(({ name, base64 }) => `<file name="${name}" path="/" encoding="base64">${base64}</file>`)
+			.join("")}</questiontext>
+    <generalfeedback format="html"><text>${cdata(solutionHtml(question.solution, "tex"))}</text></generalfeedback>
+    <defaultgrade>${scheme.correct}</defaultgrade>
+    <single>true</single>
+    <shuffleanswers>false</shuffleanswers>
+    <answernumbering>ABCD</answernumbering>
+${question.options
+	.map(
+		(option, i) =>
+			`    <answer fraction="${OPTION_LETTERS[i] === question.correctAnswer ? 100 : penalty}" format="html"><text>${cdata(lmsText(option))}</text></answer>`,
+	)
+	.join("\n")}
+    <tags>${[question.subject, question.chapter, question.difficulty]
+			.filter(Boolean)
+			.map((tag) => `<tag><text>${escapeHtml(tag)}</text></tag>`)
+			.join("")}</tags>
+  </question>`
+		);
+	});
+	return `<?xml version="1.0" encoding="UTF-8"?>\n<quiz>${items.join("")}\n</quiz>\n`;
+};
+
+/**
+ * Escapes GIFT's special characters.
+ * @param {string} text The text.
+ * @returns {string} The escaped text.
+ */
+const escapeGift = (text) => text.replace(/[~=#{}:\\]/g, (c) => `\\${c}`).replace(/\n/g, "\\n");
+
+/**
+ * Exports the questions in Moodle's GIFT text format.
+ * @param {object[]} questions The questions.
+ * @param {{ correct: number, incorrect: number }} scheme The marking scheme.
+ * @returns {string} The GIFT text.
+ */
+export const toGift = (questions, scheme) => {
+	const penalty = penaltyPercent(scheme);
+	const wrongPrefix = penalty ? `%${penalty}%` : "";
+	return questions
+		.map((question, index) => {
+			const answers = question.options.map((option, i) =>
+				OPTION_LETTERS[i] === question.correctAnswer
+					? `\t=${escapeGift(lmsText(option))}`
+					: `\t~${wrongPrefix}${escapeGift(lmsText(option))}`,
+			);
+			return [
+				`// ${[question.subject, question.chapter, question.difficulty].filter(Boolean).join(" · ")}`,
+				`::${escapeGift(questionName(question, index))}::[html]${escapeGift(questionStemHtml(question, lmsText))} {`,
+				...answers,
+				`\t####${escapeGift(solutionHtml(question.solution, "tex"))}`,
+				"}",
+			].join("\n");
+		})
+		.join("\n\n")
+		.concat("\n");
+};
+
+const QTI_NAMESPACE =
+	'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"';
+
+/**
+ * Renders one question as a QTI 2.1 assessment item: a single-choice interaction scored by the
+ * marking scheme, with the solution as feedback.
+ * @param {object} question The question.
+ * @param {string} identifier The item identifier.
+ * @param {string} title The item title.
+ * @param {{ correct: number, incorrect: number, unattempted: number }} scheme The marking scheme.
+ * @param {import("./html.js").VisualFile[]} files The question's images, packaged in items/images/.
+ * @returns {string} The item XML.
+ */
+const qtiItem = (question, identifier, title, scheme, files) => `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem ${QTI_NAMESPACE} identifier="${identifier}" title="${escapeHtml(title)}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>${question.correctAnswer}</value></correctResponse>
+    <mapping defaultValue="${scheme.incorrect}">
+      <mapEntry mapKey="${question.correctAnswer}" mappedValue="${scheme.correct}"/>
+    </mapping>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${scheme.correct}</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    <div>${questionStemHtml(question, lmsText, packagedSrc(files, "images/"))}</div>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+${question.options
+	.map((option, i) => `      <simpleChoice identifier="${OPTION_LETTERS[i]}">${lmsText(option)}</simpleChoice>`)
+	.join("\n")}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <isNull><variable identifier="RESPONSE"/></isNull>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">${scheme.unattempted}</baseValue></setOutcomeValue>
+      </responseIf>
+      <responseElse>
+        <setOutcomeValue identifier="SCORE"><mapResponse identifier="RESPONSE"/></setOutcomeValue>
+      </responseElse>
+    </responseCondition>
+    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">SOLUTION</baseValue></setOutcomeValue>
+  </responseProcessing>
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="SOLUTION" showHide="show">${solutionHtml(question.solution, "tex")}</modalFeedback>
+</assessmentItem>
+`;
+
+/**
+ * Exports the questions as an IMS QTI 2.1 content package: one item per question with its images, an
+ * assessment test that lists them in order, and the manifest.
+ * @param {object[]} questions The questions.
+ * @param {{ correct: number, incorrect: number, unattempted: number }} scheme The marking scheme.
+ * @param {string} title The test title.
+ * @returns {Promise<Blob>} The zip package.
+ */
+export const toQtiPackage = async (questions, scheme, title) => {
+	const { default: JSZip } = await import("jszip");
+	const zip = new JSZip();
+	const items = questions.map((question, index) => {
+		const identifier = `item-${index + 1}`;
+		const files = visualFiles(question, identifier);
+		return {
+			identifier,
+			href: `items/${identifier}.xml`,
+			xml: qtiItem(question, identifier, questionName(question, index), scheme, files),
+			files,
+		};
+	});
+	for (const { href, xml, files } of items) {
+		zip.file(href, xml);
+		for (const { name, base64 } of files) zip.file(`items/images/${name}`, base64, { base64: true });
+	}
+
+	zip.file(
+		"test.xml",
+		`<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest ${QTI_NAMESPACE} identifier="test" title="${escapeHtml(title)}">
+  <testPart identifier="part" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section" title="${escapeHtml(title)}" visible="true">
+${items.map(({ identifier, href }) => `      <assessmentItemRef identifier="${identifier}" href="${href}"/>`).join("\n")}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`,
+	);
+
+	zip.file(
+		"imsmanifest.xml",
+		`<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="test" type="imsqti_test_xmlv2p1" href="test.xml">
+      <file href="test.xml"/>
+${items.map(({ identifier }) => `      <dependency identifierref="${identifier}"/>`).join("\n")}
+    </resource>
+${items
+	.map(
+		({ identifier, href, files }) =>
+			`    <resource identifier="${identifier}" type="imsqti_item_xmlv2p1" href="${href}">\n      <file href="${href}"/>\n` +
+			files.map(({ name }) => `      <file href="items/images/${name}"/>\n`).join("") +
+			"    </resource>",
+	)
+	.join("\n")}
+  </resources>
+</manifest>
+`,
+	);
+
+	return zip.generateAsync({ type: "blob", mimeType: "application/zip" });
+};
@@ -0,0 +1,246 @@
+// Printable question papers and answer keys. Both are rendered as standalone HTML documents and
+// handed to the browser's print dialog, which also offers "Save as PDF".
+import { OPTION_LETTERS } from "../quiz/validate.js";
+import { escapeHtml, figuresHtml, printText, questionBodyHtml, solutionHtml } from "./html.js";
+import { buildPaperSets, setOrder } from "./sets.js";
+
+/**
+ * Layout options shared by the paper and its key.
+ * @typedef {Object} PaperOptions
+ * @property {string} title The test name printed in the header.
+ * @property {number} durationMinutes The time allowed.
+ * @property {{ correct: number, incorrect: number, unattempted: number }} scheme Marks per outcome.
+ * @property {boolean} sections Whether to group the questions under subject headings.
+ * @property {number} setCount How many differently ordered sets to print (1–4).
+ */
+
+const PAGE_STYLES = `
+@page { size: A4; margin: 12mm; }
+* { box-sizing: border-box; }
+body { font-family: "Times New Roman", Georgia, serif; font-size: 10.5pt; color: #000; margin: 0; }
+h1 { font-size: 16pt; text-align: center; margin: 0 0 2mm; }
+h2 { font-size: 12pt; text-align: center; margin: 3mm 0; column-span: all; border-bottom: 1px solid #000; }
+.header { border: 1.5px solid #000; padding: 3mm 4mm; margin-bottom: 4mm; }
+.header-row { display: flex; justify-content: space-between; font-weight: bold; }
+.instructions { font-size: 9pt; margin: 2mm 0 0; }
+.set-badge { border: 1.5px solid #000; padding: 0 3mm; }
+.columns { column-count: 2; column-gap: 8mm; column-rule: 1px solid #999; }
+.question { break-inside: avoid; margin: 0 0 4mm; }
+.question p { margin: 0 0 1.5mm; }
+.options { list-style: none; padding: 0; margin: 1mm 0 0; display: grid; grid-template-columns: 1fr 1fr; gap: 1mm 4mm; }
+.figure { text-align: center; }
+.figure img { max-height: 55mm; }
+table.lists { border-collapse: collapse; width: 100%; margin: 1mm 0; }
+table.lists td, table.lists th { border: 1px solid #000; padding: 1mm 1.5mm; vertical-align: top; text-align: left; }
+.page { break-before: page; }
+.omr-fields { display: flex; gap: 8mm; margin-bottom: 4mm; }
+.omr-fields span { flex: 1; border-bottom: 1px solid #000; padding-top: 6mm; }
+.omr-grid { display: grid; grid-template-columns: repeat(4, 1fr); gap: 1.2mm 6mm; grid-auto-flow: column; }
+.omr-row { display: flex; align-items: center; gap: 1.5mm; font-size: 9pt; }
+.omr-row b { width: 8mm; text-align: right; }
+.bubble { display: inline-flex; align-items: center; justify-content: center; width: 4.5mm; height: 4.5mm; border: 1px solid #000; border-radius: 50%; font-size: 6.5pt; }
+.bubble.filled { background: #000; color: #fff; }
+.key-grid { display: grid; grid-template-columns: repeat(10, 1fr); gap: 1mm; margin-bottom: 5mm; }
+.key-grid div { border: 1px solid #999; padding: 0.5mm 1mm; font-size: 9pt; }
+.solution { break-inside: avoid; margin: 0 0 4mm; }
+.solution p { margin: 0 0 1.5mm; }
+.solution ul, .solution ol { margin: 0 0 1.5mm; padding-left: 5mm; }
+.solution table { border-collapse: collapse; margin: 1mm 0; }
+.solution th, .solution td { border: 1px solid #000; padding: 0.5mm 1.5mm; text-align: left; }
+math { font-size: 1.05em; }
+math[display="block"] { margin: 1mm 0; }
+.muted { color: #444; font-size: 9pt; }
+`;
+
+/**
+ * Formats a duration for the paper header.
+ * @param {number} minutes The duration in minutes.
+ * @returns {string} For example "3 h 20 min" or "45 min".
+ */
+const formatMinutes = (minutes) => {
+	const h = Math.floor(minutes / 60);
+	const m = Math.round(minutes % 60);
+	return h ? `${h} h${m ? ` ${m} min` : ""}` : `${m} min`;
+};
+
+/**
+ * Renders one numbered question with its lettered options.
+ * @param {object} question The question.
+ * @param {number} number Its printed number.
+ * @returns {string} The HTML.
+ */
+const questionHtml = (question, number) => `
+<div class="question">
+	<p><b>${number}.</b> ${printText(question.questionText)}</p>
+	${questionBodyHtml(question, printText)}
+	${figuresHtml(question)}
+	<ol class="options">${question.options
+		.map((option, i) => `<li>(${OPTION_LETTERS[i]}) ${printText(option)}</li>`)
+		.join("")}</ol>
+</div>`;
+
+/**
+ * Renders the paper header: test name, set, duration, maximum marks and the marking rules.
+ * @param {object[]} questions The questions.
+ * @param {PaperOptions} options The layout options.
+ * @param {string | null} setLabel The set letter, or null when only one set is printed.
+ * @returns {string} The HTML.
+ */
+const headerHtml = (questions, { title, durationMinutes, scheme }, setLabel) => `
+<div class="header">
+	<h1>${escapeHtml(title)}</h1>
+	<div class="header-row">
+		<span>Time: ${formatMinutes(durationMinutes)}</span>
+		${setLabel ? `<span class="set-badge">Set ${setLabel}</span>` : ""}
+		<span>Maximum marks: ${questions.length * scheme.correct}</span>
+	</div>
+	<p class="instructions">
+		${questions.length} questions. Each correct answer carries ${scheme.correct} mark(s)${
+			scheme.incorrect ? `; ${Math.abs(scheme.incorrect)} mark(s) are deducted for each wrong answer` : ""
+		}${scheme.unattempted ? `; unattempted questions score ${scheme.unattempted}` : ""}.
+		Mark one answer per question on the OMR sheet by filling the bubble completely.
+	</p>
+</div>`;
+
+/**
+ * Renders an OMR answer sheet with one row of A–D bubbles per question.
+ * @param {number} count The number of questions.
+ * @param {string | null} setLabel The set letter, pre-filled on the sheet, or null.
+ * @returns {string} The HTML.
+ */
+const omrSheetHtml = (count, setLabel) => {
+	const rowsPerColumn = Math.max(1, Math.ceil(count / 4));
+	return `
+<section class="page">
+	<h1>OMR answer sheet</h1>
+	<div class="omr-fields"><span>Name</span><span>Roll number</span><span>Signature</span></div>
+	${
+		setLabel
+			? `<p class="omr-row"><b>Set</b> ${OPTION_LETTERS.map(
+					(letter) => `<span class="bubble${letter === setLabel ? " filled" : ""}">${letter}</span>`,
+				).join("")}</p>`
+			: ""
+	}
+	<div class="omr-grid" style="grid-template-rows: repeat(${rowsPerColumn}, auto)">
+		${Array.from(
+			{ length: count },
+			(_, i) =>
+				`<div class="omr-row"><b>${i + 1}</b>${OPTION_LETTERS.map((letter) => `<span class="bubble">${letter}</span>`).join("")}</div>`,
+		).join("")}
+	</div>
+</section>`;
+};
+
+/**
+ * Wraps a body in a complete HTML document that opens the print dialog once loaded.
+ * @param {string} title The document title (also the default PDF file name).
+ * @param {string} body The body HTML.
+ * @returns {string} The document.
+ */
+const printableDocument = (title, body) => `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${PAGE_STYLES}</style>
+</head>
+<body>
+${body}
+<script>addEventListener("load", () => print());</script>
+</body>
+</html>`;
+
+/**
+ * Renders the question paper: for each set, the header, the two-column questions (optionally
+ * under subject headings) and an OMR sheet.
+ * @param {object[]} questions The questions.
+ * @param {PaperOptions} options The layout options.
+ * @returns {string} The HTML document.
+ */
+export const renderQuestionPaper = (questions, options) => {
+	const sets = buildPaperSets(questions, options);
+	const body = sets
+		.map((set, setIndex) => {
+			const setLabel = sets.length > 1 ? set.label : null;
+			let number = 0;
+			const sections = set.sections
+				.map(
+					({ title, indexes }) =>
+						(title ? `<h2>${escapeHtml(title)}</h2>` : "") +
+						indexes.map((i) => questionHtml(questions[i], ++number)).join(""),
+				)
+				.join("");
+			return `<section${setIndex ? ' class="page"' : ""}>
+${headerHtml(questions, options, setLabel)}
+<div class="columns">${sections}</div>
+</section>
+${omrSheetHtml(questions.length, setLabel)}`;
+		})
+		.join("");
+	return printableDocument(options.title, body);
+};
+
+/**
+ * Renders the answer key and solutions: a key grid for every set, then each question's answer
+ * and solution with its number in each set.
+ * @param {object[]} questions The questions.
+ * @param {PaperOptions} options The layout options.
+ * @returns {string} The HTML document.
+ */
+export const renderAnswerKey = (questions, options) => {
+	const sets = buildPaperSets(questions, options);
+	const orders = sets.map(setOrder);
+	// printedNumbers[s][i] is question i's number in set s.
+	const printedNumbers = orders.map((order) => {
+		const numbers = [];
+		order.forEach((index, position) => (numbers[index] = position + 1));
+		return numbers;
+	});
+
+	const keys = sets
+		.map(
+			(set, s) => `
+<h2>Answer key${sets.length > 1 ? ` · Set ${set.label}` : ""}</h2>
+<div class="key-grid">${orders[s]
+				.map((index, position) => `<div><b>${position + 1}.</b> ${questions[index].correctAnswer}</div>`)
+				.join("")}</div>`,
+		)
+		.join("");
+
+	const solutions = orders[0]
+		.map((index) => {
+			const question = questions[index];
+			const numbers = sets.map((set, s) =>
+				sets.length > 1 ? `Set ${set.label}: Q${printedNumbers[s][index]}` : `Q${printedNumbers[s][index]}`,
+			);
+			const correct = question.options[OPTION_LETTERS.indexOf(question.correctAnswer)];
+			return `
+<div class="solution">
+	<p class="muted">${numbers.join(" · ")}</p>
+	<p>${printText(question.questionText)}</p>
+	<p><b>Answer: (${question.correctAnswer})</b> ${printText(correct)}</p>
+	${solutionHtml(question.solution, "mathml")}
+</div>`;
+		})
+		.join("");
+
+	const title = `${options.title} · Answer key and solutions`;
+	return printableDocument(
+		title,
+		`<div class="header"><h1>${escapeHtml(title)}</h1></div>${keys}<h2>Solutions</h2><div class="columns">${solutions}</div>`,
+	);
+};
+
+/**
+ * Opens a rendered document in a new window, which shows the print dialog when it has loaded.
+ * @param {string} html The document from `renderQuestionPaper` or `renderAnswerKey`.
+ * @returns {boolean} False if the browser blocked the window.
+ */
+export const openPrintWindow = (html) => {
+	const printWindow = window.open("", "_blank");
+	if (!printWindow) return false;
+	printWindow.document.open();
+	printWindow.document.write(html);
+	printWindow.document.close();
+	return true;
+};
@@ -0,0 +1,101 @@
+// Orders a paper's questions into subject sections and shuffled sets (A, B, C, D) for printing.
+import { SUBJECTS } from "../quiz/syllabus.js";
+
+export const SET_LABELS = ["A", "B", "C", "D"];
+
+const OTHER_SECTION = "General";
+
+/**
+ * Hashes a string to a 32-bit seed (FNV-1a).
+ * @param {string} text The text.
+ * @returns {number} The seed.
+ */
+const hashSeed = (text) => {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+};
+
+/**
+ * A small seeded random number generator (mulberry32), so the same paper always shuffles the
+ * same way and a paper printed today matches the key printed tomorrow.
+ * @param {number} seed The seed.
+ * @returns {() => number} Returns numbers in [0, 1).
+ */
+const seededRandom = (seed) => () => {
+	seed = (seed + 0x6d2b79f5) >>> 0;
+	let t = seed;
+	t = Math.imul(t ^ (t >>> 15), t | 1);
+	t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+	return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Shuffles a copy of a list (Fisher–Yates).
+ * @template T
+ * @param {T[]} items The items.
+ * @param {() => number} random The random number source.
+ * @returns {T[]} The shuffled copy.
+ */
+const shuffle = (items, random) => {
+	const copy = [...items];
+	for (let i = copy.length - 1; i > 0; i--) {
+		const j = Math.floor(random() * (i + 1));
+		[copy[i], copy[j]] = [copy[j], copy[i]];
+	}
+	return copy;
+};
+
+/**
+ * A printable ordering of the paper.
+ * @typedef {Object} PaperSet
+ * @property {string} label The set letter.
+ * @property {{ title: string | null, indexes: number[] }[]} sections The sections in order, each with
+ *   the original indexes of its questions in printed order. `title` is null when sections are off.
+ */
+
+/**
+ * Builds the sets to print. Set A keeps the original order; the others shuffle the questions
+ * (within each subject section when sections are on). Options are never reordered, since the
+ * assertion–reason and statement formats rely on the standard option order.
+ * @param {object[]} questions The questions.
+ * @param {{ setCount?: number, sections?: boolean }} [options] How many sets (1–4), and whether to group by subject.
+ * @returns {PaperSet[]} The sets.
+ */
+export const buildPaperSets = (questions, { setCount = 1, sections = false } = {}) => {
+	const indexes = questions.map((_, i) => i);
+	const groups = sections
+		? [...SUBJECTS, OTHER_SECTION]
+				.map((title) => ({
+					title,
+					indexes: indexes.filter((i) =>
+						title === OTHER_SECTION
+							? !SUBJECTS.includes(questions[i].subject)
+							: questions[i].subject === title,
+					),
+				}))
+				.filter((group) => group.indexes.length)
+		: [{ title: null, indexes }];
+	const seedText = questions.map(({ questionText }) => questionText).join("\n");
+
+	return SET_LABELS.slice(0, Math.min(Math.max(1, setCount), SET_LABELS.length)).map((label, setIndex) => {
+		const random = seededRandom(hashSeed(`${label}\n${seedText}`));
+		return {
+			label,
+			sections: groups.map(({ title, indexes: groupIndexes }) => ({
+				title,
+				indexes: setIndex === 0 ? groupIndexes : shuffle(groupIndexes, random),
+			})),
+		};
+	});
+};
+
+/**
+ * Lists a set's question order as one array.
+ * @param {PaperSet} set The set.
+ * @returns {number[]} The original index of each printed question, by printed position.
+ */
+export const setOrder = (set) => set.sections.flatMap(({ indexes }) => indexes);
@@ -0,0 +1,78 @@
+// Plain-text exports: a readable TXT listing and a spreadsheet-friendly CSV. LaTeX and Markdown are
+// degraded to Unicode text (H₂SO₄, (1/2)mv²) so both read well without a renderer.
+import { toPlainText } from "../notation/index.js";
+import { describeFlag } from "../quiz/flags.js";
+import { getFormat, questionStemLines } from "../quiz/formats.js";
+import { OPTION_LETTERS } from "../quiz/validate.js";
+
+/**
+ * Quotes a CSV field, doubling any quotes inside it.
+ * @param {any} value The field value.
+ * @returns {string} The quoted field.
+ */
+export const csvField = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+
+/**
+ * Writes a question's stem as plain text, with a placeholder where its figure and diagram would be.
+ * @param {object} question The question.
+ * @returns {string} The stem lines.
+ */
+const plainStem = (question) =>
+	[
+		...questionStemLines(question).map(toPlainText),
+		...(question.figure ? [question.figure.caption ? `[Figure: ${question.figure.caption}]` : "[Figure]"] : []),
+		...(question.diagram ? ["[Diagram]"] : []),
+	].join("\n");
+
+/**
+ * Lists the questions with their options, answers and solutions as readable text.
+ * @param {object[]} questions The questions.
+ * @returns {string} The text.
+ */
+export const toTxt = (questions) =>
+	questions
+		.map((q, index) => {
+			const stem = plainStem(q);
+			let text = `Question ${index + 1}${q.edited ? " (edited)" : ""}: ${stem}\n`;
+			q.options.forEach((opt, optIndex) => {
+				text += `  ${OPTION_LETTERS[optIndex]}. ${toPlainText(opt)}\n`;
+			});
+			text += `Correct Answer: ${q.correctAnswer}\n`;
+			text += `Solution: ${toPlainText(q.solution)}\n`;
+			if (q.flag) text += `Flagged: ${describeFlag(q.flag)}\n`;
+			return text + "\n";
+		})
+		.join("");
+
+/**
+ * Tabulates the questions as CSV, one row per question with each option in its own column.
+ * @param {object[]} questions The questions.
+ * @returns {string} The CSV.
+ */
+export const toCsv = (questions) => {
+	const header = [
+		"Type",
+		"Question",
+		...OPTION_LETTERS.map((letter) => `Option ${letter}`),
+		"Correct Answer",
+		"Solution",
+		"Subject",
+		"Chapter",
+		"Difficulty",
+		"Flag",
+		"Edited",
+	];
+	const rows = questions.map((q) => [
+		getFormat(q.type).label,
+		plainStem(q),
+		...q.options.map(toPlainText),
+		q.correctAnswer,
+		toPlainText(q.solution),
+		q.subject,
+		q.chapter,
+		q.difficulty,
+		describeFlag(q.flag),
+		q.edited ? "Yes" : "",
+	]);
+	return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n");
+};
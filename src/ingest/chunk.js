@@ -0,0 +1,105 @@
+// Splits extracted documents into request-sized chunks and spreads the questions across them.
+import { allocateProportionally } from "../quiz/settings.js";
+
+// Roughly how much material goes into one generation request.
+const CHUNK_CHARS = 12000;
+// How much an image counts towards a chunk's size and its share of the questions.
+const IMAGE_WEIGHT = 2000;
+
+const UNIT_LABELS = { page: "Page", slide: "Slide", section: "Section", image: "Image" };
+
+/**
+ * A run of consecutive pages from one file, sent as one generation request.
+ * @typedef {Object} Chunk
+ * @property {string} fileName The source file.
+ * @property {"page" | "slide" | "section" | "image"} unit What the page numbers refer to.
+ * @property {number} pageStart The first page in the chunk.
+ * @property {number} pageEnd The last page in the chunk.
+ * @property {string} text The pages' text, each preceded by a marker such as "[Page 12]".
+ * @property {{ mimeType: string, data: string, page: number }[]} images The pages' images, each with its page number.
+ * @property {number} numQuestions How many questions to generate from this chunk.
+ */
+
+/**
+ * Measures how much material a page holds.
+ * @param {import("./extract.js").ExtractedPage} page The page.
+ * @returns {number} Its size in characters, with images at a fixed weight.
+ */
+const pageWeight = (page) => page.text.length + page.images.length * IMAGE_WEIGHT;
+
+/**
+ * Groups each document's consecutive pages into chunks of about `CHUNK_CHARS`.
+ * A chunk never spans two files, and a page is never split.
+ * @param {import("./extract.js").ExtractedDocument[]} documents The extracted files.
+ * @param {{ figures?: boolean }} [options] With `figures` off, images kept only for their figures are left out.
+ * @returns {(Omit<Chunk, "numQuestions"> & { weight: number })[]} The chunks in document order.
+ */
+export const chunkDocuments = (documents, { figures = true } = {}) => {
+	const chunks = [];
+	for (const { name, unit, pages: allPages } of documents) {
+		// Figure images always sit next to text, so dropping them never empties a page.
+		const pages = figures
+			? allPages
+			: allPages.map((page) => ({ ...page, images: page.images.filter((image) => !image.figure) }));
+		let current = [];
+		let weight = 0;
+		const flush = () => {
+			if (!current.length) return;
+			chunks.push({
+				fileName: name,
+				unit,
+				pageStart: current[0].number,
+				pageEnd: current[current.length - 1].number,
+				text: current
+					.filter((page) => page.text)
+					.map((page) => `[${UNIT_LABELS[unit]} ${page.number}]\n${page.text}`)
+					.join("\n\n"),
+				images: current.flatMap(({ number, images }) =>
+					images.map(({ mimeType, data }) => ({ mimeType, data, page: number })),
+				),
+				weight,
+			});
+			current = [];
+			weight = 0;
+		};
+
+		for (const page of pages) {
+			if (weight && weight + pageWeight(page) > CHUNK_CHARS) flush();
+			current.push(page);
+			weight += pageWeight(page);
+		}
+		flush();
+	}
+	return chunks;
+};
+
+/**
+ * Spreads the requested questions across chunks in proportion to their size.
+ * When there are fewer questions than chunks, evenly spaced chunks get one question each,
+ * so a short quiz still samples the whole material instead of only its first pages.
+ * @param {{ weight: number }[]} chunks The chunks.
+ * @param {number} numQuestions The total number of questions.
+ * @returns {number[]} The question count per chunk, in the same order; some may be zero.
+ */
+export const allocateQuestions = (chunks, numQuestions) => {
+	if (numQuestions < chunks.length) {
+		const step = chunks.length / numQuestions;
+		const picked = new Set(Array.from({ length: numQuestions }, (_, i) => Math.floor(i * step + step / 2)));
+		return chunks.map((_, i) => (picked.has(i) ? 1 : 0));
+	}
+	return allocateProportionally(numQuestions, chunks.map(({ weight }) => weight));
+};
+
+/**
+ * Describes where a question came from, for example "botany.pdf · p. 12" or "notes.pptx · slides 3–5".
+ * @param {{ file: string, unit: string, page?: number | null, pageStart: number, pageEnd: number }} source
+ *   The question's source.
+ * @returns {string} The label.
+ */
+export const sourceLabel = ({ file, unit, page, pageStart, pageEnd }) => {
+	if (unit === "image") return file;
+	const abbreviations = { page: ["p.", "pp."], slide: ["slide", "slides"], section: ["section", "sections"] };
+	const [single, plural] = abbreviations[unit] ?? abbreviations.page;
+	if (page) return `${file} · ${single} ${page}`;
+	return pageStart === pageEnd ? `${file} · ${single} ${pageStart}` : `${file} · ${plural} ${pageStart}–${pageEnd}`;
+};
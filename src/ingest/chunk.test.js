@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { allocateQuestions, chunkDocuments, sourceLabel } from "./chunk.js";
+
+/**
+ * Builds an extracted page.
+ * @param {number} number The page number.
+ * @param {number} chars How much text it has.
+ * @param {object[]} [images] Its images.
+ * @returns {import("./extract.js").ExtractedPage} The page.
+ */
+const page = (number, chars, images = []) => ({ number, text: "x".repeat(chars), images });
+
+/**
+ * Builds an extracted PDF.
+ * @param {string} name The file name.
+ * @param {import("./extract.js").ExtractedPage[]} pages The pages.
+ * @returns {import("./extract.js").ExtractedDocument} The document.
+ */
+const pdf = (name, pages) => ({ name, kind: "pdf", unit: "page", pageCount: pages.length, thumbnail: null, pages });
+
+describe("chunkDocuments", () => {
+	it("groups consecutive pages up to about 12,000 characters without splitting pages or spanning files", () => {
+		const chunks = chunkDocuments([
+			pdf("a.pdf", [page(1, 5000), page(2, 5000), page(3, 5000)]),
+			pdf("b.pdf", [page(1, 100)]),
+		]);
+		expect(chunks.map(({ fileName, pageStart, pageEnd, weight }) => [fileName, pageStart, pageEnd, weight])).toEqual([
+			["a.pdf", 1, 2, 10000],
+			["a.pdf", 3, 3, 5000],
+			["b.pdf", 1, 1, 100],
+		]);
+		expect(chunks[0].text).toBe(`[Page 1]\n${"x".repeat(5000)}\n\n[Page 2]\n${"x".repeat(5000)}`);
+	});
+
+	it("carries images with their page numbers, leaving figure-only images out when figures are off", () => {
+		const scan = { mimeType: "image/jpeg", data: "scan" };
+		const figure = { mimeType: "image/jpeg", data: "figure", figure: true };
+		const documents = [pdf("a.pdf", [page(1, 0, [scan]), page(2, 200, [figure])])];
+		expect(chunkDocuments(documents)[0].images).toEqual([
+			{ mimeType: "image/jpeg", data: "scan", page: 1 },
+			{ mimeType: "image/jpeg", data: "figure", page: 2 },
+		]);
+		expect(chunkDocuments(documents, { figures: false })[0].images).toEqual([
+			{ mimeType: "image/jpeg", data: "scan", page: 1 },
+		]);
+	});
+});
+
+describe("allocateQuestions", () => {
+	it("spreads questions in proportion to chunk size, adding up to the total", () => {
+		expect(allocateQuestions([{ weight: 3000 }, { weight: 1000 }], 8)).toEqual([6, 2]);
+		expect(allocateQuestions([{ weight: 1 }, { weight: 1 }, { weight: 1 }], 10).reduce((a, b) => a + b)).toBe(10);
+	});
+
+	it("samples evenly spaced chunks when there are fewer questions than chunks", () => {
+		expect(allocateQuestions(Array(6).fill({ weight: 1 }), 2)).toEqual([0, 1, 0, 0, 1, 0]);
+	});
+});
+
+describe("sourceLabel", () => {
+	it("names the file and page, slide or section", () => {
+		expect(sourceLabel({ file: "bio.pdf", unit: "page", page: 12, pageStart: 10, pageEnd: 14 })).toBe("bio.pdf · p. 12");
+		expect(sourceLabel({ file: "deck.pptx", unit: "slide", pageStart: 3, pageEnd: 5 })).toBe("deck.pptx · slides 3–5");
+		expect(sourceLabel({ file: "photo.jpg", unit: "image", pageStart: 1, pageEnd: 1 })).toBe("photo.jpg");
+	});
+});
@@ -0,0 +1,419 @@
+// Local text and image extraction for uploaded files.
+// Everything runs in the browser, so large PDFs and Office documents never have to be
+// sent whole to the model: only the extracted text is, with page images where there is no text
+// or where the page has figures worth asking about.
+
+/**
+ * An error about an uploaded file. Its message is safe to show to the user.
+ */
+export class IngestError extends Error {
+	/**
+	 * @param {string} message What is wrong with the file.
+	 */
+	constructor(message) {
+		super(message);
+		this.name = "IngestError";
+	}
+}
+
+/**
+ * A page, slide or section of extracted content.
+ * @typedef {Object} ExtractedPage
+ * @property {number} number The 1-based page, slide or section number.
+ * @property {string} text The extracted text.
+ * @property {PageImage[]} images Base64 images: the page itself when it has no usable text, and its figures.
+ */
+
+/**
+ * An image of (or on) a page.
+ * @typedef {Object} PageImage
+ * @property {string} mimeType The image type.
+ * @property {string} data The image, base64 encoded.
+ * @property {boolean} [figure] Whether it was kept only for its figures, next to the page's text. Such images
+ *   are left out when figure questions are turned off.
+ */
+
+/**
+ * The content extracted from one file.
+ * @typedef {Object} ExtractedDocument
+ * @property {string} name The file name.
+ * @property {string} kind One of the `FILE_KINDS` ids.
+ * @property {"page" | "slide" | "section" | "image"} unit What a page number refers to.
+ * @property {number} pageCount How many pages, slides or sections the file has, including empty ones.
+ * @property {string | null} thumbnail A data URL previewing the file, when one is available.
+ * @property {ExtractedPage[]} pages The pages with content, in order.
+ */
+
+// Text-only files and DOCX have no real pages, so they are split into sections of about this size.
+const SECTION_CHARS = 4000;
+// A PDF page with less text than this is treated as scanned and sent as an image instead.
+const MIN_PAGE_TEXT = 50;
+// Pages with pictures on them are rendered for figure questions, up to this many per PDF.
+const MAX_FIGURE_PAGES = 60;
+// Slide pictures smaller than this are taken to be logos and icons, and at most this many are kept per slide.
+const MIN_FIGURE_BYTES = 8 * 1024;
+const MAX_SLIDE_FIGURES = 4;
+// Rendered page images and thumbnails are scaled to these widths in pixels.
+const PAGE_IMAGE_WIDTH = 1200;
+const THUMBNAIL_WIDTH = 160;
+// Uploaded pictures are re-encoded like rendered pages when wider than PAGE_IMAGE_WIDTH or larger than this.
+const MAX_IMAGE_BYTES = 1024 * 1024;
+// Larger files are rejected before they are read.
+export const MAX_FILE_MB = 50;
+
+const IMAGE_TYPES = { png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", webp: "image/webp", gif: "image/gif" };
+
+/**
+ * The file types the app can read, matched by MIME type first and extension second,
+ * since browsers report an empty type for many files.
+ */
+export const FILE_KINDS = [
+	{ id: "pdf", label: "PDF", mimeTypes: ["application/pdf"], extensions: ["pdf"] },
+	{
+		id: "docx",
+		label: "Word document",
+		mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+		extensions: ["docx"],
+	},
+	{
+		id: "pptx",
+		label: "PowerPoint presentation",
+		mimeTypes: ["application/vnd.openxmlformats-officedocument.presentationml.presentation"],
+		extensions: ["pptx"],
+	},
+	{ id: "text", label: "Text", mimeTypes: ["text/plain", "text/markdown"], extensions: ["txt", "md", "markdown"] },
+	{ id: "image", label: "Image", mimeTypes: Object.values(IMAGE_TYPES), extensions: Object.keys(IMAGE_TYPES) },
+];
+
+/**
+ * Gets a file's lower-cased extension.
+ * @param {string} name The file name.
+ * @returns {string} The extension without the dot, or "".
+ */
+const extensionOf = (name) => (name.includes(".") ? name.split(".").pop().toLowerCase() : "");
+
+/**
+ * Works out what kind of file this is.
+ * @param {{ name: string, type: string }} file The file.
+ * @returns {(typeof FILE_KINDS)[number] | null} The matching kind, or null if unsupported.
+ */
+export const detectKind = (file) =>
+	FILE_KINDS.find(({ mimeTypes }) => file.type && mimeTypes.includes(file.type)) ??
+	FILE_KINDS.find(({ extensions }) => extensions.includes(extensionOf(file.name))) ??
+	null;
+
+/**
+ * Encodes bytes as base64.
+ * @param {ArrayBuffer} buffer The bytes.
+ * @returns {string} The base64 string.
+ */
+const toBase64 = (buffer) => {
+	const bytes = new Uint8Array(buffer);
+	let binary = "";
+	// Chunked so large images don't overflow the argument limit of String.fromCharCode.
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary);
+};
+
+/**
+ * Groups paragraphs into sections of roughly `SECTION_CHARS` characters.
+ * @param {string[]} paragraphs The paragraphs in order.
+ * @returns {ExtractedPage[]} The sections, numbered from 1.
+ */
+const splitIntoSections = (paragraphs) => {
+	const sections = [];
+	let current = [];
+	let length = 0;
+	for (const paragraph of paragraphs.map((p) => p.trim()).filter(Boolean)) {
+		if (length && length + paragraph.length > SECTION_CHARS) {
+			sections.push(current.join("\n\n"));
+			current = [];
+			length = 0;
+		}
+		current.push(paragraph);
+		length += paragraph.length;
+	}
+	if (current.length) sections.push(current.join("\n\n"));
+	return sections.map((text, i) => ({ number: i + 1, text, images: [] }));
+};
+
+/**
+ * Parses an XML string from an Office document.
+ * @param {string} xml The XML source.
+ * @returns {Document} The parsed document.
+ */
+const parseXml = (xml) => new DOMParser().parseFromString(xml, "application/xml");
+
+/**
+ * Collects the text of each paragraph element in an Office XML document.
+ * @param {Document} doc The parsed XML.
+ * @param {string} paragraphTag The paragraph element, such as "w:p".
+ * @param {string} textTag The text run element, such as "w:t".
+ * @returns {string[]} One string per paragraph.
+ */
+const paragraphTexts = (doc, paragraphTag, textTag) =>
+	[...doc.getElementsByTagName(paragraphTag)].map((paragraph) =>
+		[...paragraph.getElementsByTagName(textTag)].map((run) => run.textContent).join(""),
+	);
+
+/**
+ * Renders a PDF page to a JPEG, for scanned pages that have no text layer and for thumbnails.
+ * @param {any} page The pdf.js page.
+ * @param {number} targetWidth The image width in pixels.
+ * @returns {Promise<string>} The image as a data URL.
+ */
+const renderPdfPage = async (page, targetWidth) => {
+	const { width } = page.getViewport({ scale: 1 });
+	const viewport = page.getViewport({ scale: targetWidth / width });
+	const canvas = document.createElement("canvas");
+	canvas.width = Math.round(viewport.width);
+	canvas.height = Math.round(viewport.height);
+	await page.render({ canvas, canvasContext: canvas.getContext("2d"), viewport }).promise;
+	return canvas.toDataURL("image/jpeg", 0.8);
+};
+
+/**
+ * Scales a picture down to `PAGE_IMAGE_WIDTH` and re-encodes it as a JPEG, the way PDF pages are rendered,
+ * so photos and screenshots don't send megabytes the model has no use for. Small pictures are kept as they are.
+ * @param {ArrayBuffer} bytes The picture.
+ * @param {string} mimeType Its type.
+ * @returns {Promise<{ mimeType: string, data: string }>} The picture to send, base64 encoded.
+ */
+const fitImage = async (bytes, mimeType) => {
+	const bitmap = await createImageBitmap(new Blob([bytes], { type: mimeType }));
+	const scale = Math.min(1, PAGE_IMAGE_WIDTH / bitmap.width);
+	if (scale === 1 && bytes.byteLength <= MAX_IMAGE_BYTES) {
+		bitmap.close();
+		return { mimeType, data: toBase64(bytes) };
+	}
+	const canvas = document.createElement("canvas");
+	canvas.width = Math.round(bitmap.width * scale);
+	canvas.height = Math.round(bitmap.height * scale);
+	const context = canvas.getContext("2d");
+	// JPEG has no transparency; without a fill, transparent areas would turn black.
+	context.fillStyle = "#fff";
+	context.fillRect(0, 0, canvas.width, canvas.height);
+	context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+	bitmap.close();
+	return { mimeType: "image/jpeg", data: canvas.toDataURL("image/jpeg", 0.8).split(",")[1] };
+};
+
+/**
+ * Checks whether a PDF page paints any images, which is how figures, graphs and photos usually get there.
+ * @param {any} page The pdf.js page.
+ * @param {any} OPS pdf.js's operator codes.
+ * @returns {Promise<boolean>} Whether the page has an image on it.
+ */
+const hasPictures = async (page, OPS) => {
+	const { fnArray } = await page.getOperatorList();
+	const paints = new Set([OPS.paintImageXObject, OPS.paintInlineImageXObject, OPS.paintImageMaskXObject]);
+	return fnArray.some((fn) => paints.has(fn));
+};
+
+/**
+ * Extracts each PDF page's text, rendering pages without a text layer to images, and pages with pictures
+ * on them too so questions can be asked about their figures.
+ * pdf.js is loaded on first use so it stays out of the main bundle.
+ * @param {File} file The PDF.
+ * @returns {Promise<{ pages: ExtractedPage[], thumbnail: string }>} One entry per page, and a thumbnail of the first.
+ */
+const extractPdf = async (file) => {
+	const [pdfjs, { default: workerSrc }] = await Promise.all([
+		import("pdfjs-dist"),
+		import("pdfjs-dist/build/pdf.worker.min.mjs?url"),
+	]);
+	pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+
+	const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+	const pages = [];
+	let thumbnail = null;
+	let figurePages = 0;
+	try {
+		for (let number = 1; number <= pdf.numPages; number++) {
+			const page = await pdf.getPage(number);
+			const { items } = await page.getTextContent();
+			const text = items
+				.map((item) => (item.str ?? "") + (item.hasEOL ? "\n" : ""))
+				.join("")
+				.replace(/[ \t]+/g, " ")
+				.trim();
+			const scanned = text.length < MIN_PAGE_TEXT;
+			const figure = !scanned && figurePages < MAX_FIGURE_PAGES && (await hasPictures(page, pdfjs.OPS));
+			if (figure) figurePages++;
+			const images =
+				scanned || figure
+					? [
+							{
+								mimeType: "image/jpeg",
+								data: (await renderPdfPage(page, PAGE_IMAGE_WIDTH)).split(",")[1],
+								...(figure ? { figure } : {}),
+							},
+						]
+					: [];
+			if (number === 1) thumbnail = await renderPdfPage(page, THUMBNAIL_WIDTH);
+			pages.push({ number, text, images });
+			page.cleanup();
+		}
+	} finally {
+		await pdf.destroy();
+	}
+	return { pages, thumbnail };
+};
+
+/**
+ * Reads the preview image Office saves in some documents.
+ * @param {import("jszip")} zip The opened document.
+ * @returns {Promise<string | null>} The preview as a data URL, or null if there is none.
+ */
+const officeThumbnail = async (zip) => {
+	const preview = zip.file("docProps/thumbnail.jpeg");
+	return preview ? `data:image/jpeg;base64,${await preview.async("base64")}` : null;
+};
+
+/**
+ * Extracts the paragraphs of a Word document and groups them into sections.
+ * @param {File} file The .docx file.
+ * @returns {Promise<{ pages: ExtractedPage[], thumbnail: string | null }>} The sections, and Office's preview.
+ */
+const extractDocx = async (file) => {
+	const { default: JSZip } = await import("jszip");
+	const zip = await JSZip.loadAsync(await file.arrayBuffer());
+	const body = zip.file("word/document.xml");
+	if (!body) throw new IngestError(`"${file.name}" is not a valid Word document.`);
+	return {
+		pages: splitIntoSections(paragraphTexts(parseXml(await body.async("string")), "w:p", "w:t")),
+		thumbnail: await officeThumbnail(zip),
+	};
+};
+
+/**
+ * Reads the pictures placed on a slide, skipping small ones (logos, bullets, icons), formats models can't read
+ * and pictures that can't be decoded.
+ * @param {import("jszip")} zip The opened presentation.
+ * @param {Document} slide The parsed slide.
+ * @param {number} number The slide number.
+ * @returns {Promise<{ mimeType: string, data: string }[]>} Up to `MAX_SLIDE_FIGURES` pictures, in slide order.
+ */
+const slidePictures = async (zip, slide, number) => {
+	const rels = zip.file(`ppt/slides/_rels/slide${number}.xml.rels`);
+	if (!rels) return [];
+	const targets = new Map(
+		[...parseXml(await rels.async("string")).getElementsByTagName("Relationship")].map((rel) => [
+			rel.getAttribute("Id"),
+			rel.getAttribute("Target"),
+		]),
+	);
+
+	const pictures = [];
+	for (const blip of slide.getElementsByTagName("a:blip")) {
+		const target = targets.get(blip.getAttribute("r:embed"));
+		const mimeType = target && IMAGE_TYPES[extensionOf(target)];
+		// Targets are relative to ppt/slides/, usually "../media/image3.png".
+		const entry = mimeType && zip.file(`ppt/slides/${target}`.replace(/[^/]+\/\.\.\//g, ""));
+		if (!entry) continue;
+		const bytes = await entry.async("arraybuffer");
+		if (bytes.byteLength < MIN_FIGURE_BYTES) continue;
+		const picture = await fitImage(bytes, mimeType).catch(() => null);
+		if (!picture) continue;
+		pictures.push(picture);
+		if (pictures.length === MAX_SLIDE_FIGURES) break;
+	}
+	return pictures;
+};
+
+/**
+ * Extracts the text and pictures of each slide in a PowerPoint presentation.
+ * @param {File} file The .pptx file.
+ * @returns {Promise<{ pages: ExtractedPage[], thumbnail: string | null }>} One entry per slide, and Office's preview.
+ */
+const extractPptx = async (file) => {
+	const { default: JSZip } = await import("jszip");
+	const zip = await JSZip.loadAsync(await file.arrayBuffer());
+	const slides = zip
+		.file(/^ppt\/slides\/slide\d+\.xml$/)
+		.map((entry) => ({ entry, number: Number(entry.name.match(/slide(\d+)\.xml$/)[1]) }))
+		.sort((a, b) => a.number - b.number);
+
+	const pages = await Promise.all(
+		slides.map(async ({ entry, number }) => {
+			const slide = parseXml(await entry.async("string"));
+			const text = paragraphTexts(slide, "a:p", "a:t")
+				.filter((line) => line.trim())
+				.join("\n");
+			// On a slide with text the pictures are figures; on one without, they are the content.
+			const pictures = await slidePictures(zip, slide, number);
+			const images = pictures.map((image) => (text ? { ...image, figure: true } : image));
+			return { number, text, images };
+		}),
+	);
+	return { pages, thumbnail: await officeThumbnail(zip) };
+};
+
+/**
+ * Splits a plain text or Markdown file into sections at blank lines.
+ * @param {File} file The text file.
+ * @returns {Promise<{ pages: ExtractedPage[], thumbnail: null }>} The sections.
+ */
+const extractText = async (file) => ({ pages: splitIntoSections((await file.text()).split(/\n\s*\n/)), thumbnail: null });
+
+/**
+ * Wraps an image file as a single page, scaled down if it is large.
+ * @param {File} file The image.
+ * @returns {Promise<{ pages: ExtractedPage[], thumbnail: string }>} The one page, and the image itself as its preview.
+ */
+const extractImage = async (file) => {
+	const image = await fitImage(await file.arrayBuffer(), IMAGE_TYPES[extensionOf(file.name)] || file.type);
+	return { pages: [{ number: 1, text: "", images: [image] }], thumbnail: `data:${image.mimeType};base64,${image.data}` };
+};
+
+const extractors = {
+	pdf: { unit: "page", extract: extractPdf },
+	docx: { unit: "section", extract: extractDocx },
+	pptx: { unit: "slide", extract: extractPptx },
+	text: { unit: "section", extract: extractText },
+	image: { unit: "image", extract: extractImage },
+};
+
+/**
+ * Extracts the text and images of an uploaded file.
+ * @param {File} file The uploaded file.
+ * @returns {Promise<ExtractedDocument>} The extracted content.
+ * @throws {IngestError} If the file type is unsupported, the file is too large or cannot be read, or it has no content.
+ */
+export const extractFile = async (file) => {
+	const kind = detectKind(file);
+	if (!kind) {
+		throw new IngestError(
+			`"${file.name}" is not a supported file type. Upload PDF, Word (.docx), PowerPoint (.pptx), text, Markdown or image files.`,
+		);
+	}
+
+	if (file.size > MAX_FILE_MB * 1024 * 1024) {
+		throw new IngestError(`"${file.name}" is larger than ${MAX_FILE_MB} MB. Split it or pick the chapters you need.`);
+	}
+
+	const { unit, extract } = extractors[kind.id];
+	let extracted;
+	try {
+		extracted = await extract(file);
+	} catch (e) {
+		if (e instanceof IngestError) throw e;
+		console.error(`Error reading ${file.name}:`, e);
+		throw new IngestError(`"${file.name}" could not be read. It may be damaged or password-protected.`);
+	}
+
+	const pages = extracted.pages.filter(({ text, images }) => text.trim() || images.length);
+	if (!pages.length) {
+		throw new IngestError(`No text or images could be extracted from "${file.name}".`);
+	}
+	return {
+		name: file.name,
+		kind: kind.id,
+		unit,
+		pageCount: extracted.pages.length,
+		thumbnail: extracted.thumbnail,
+		pages,
+	};
+};
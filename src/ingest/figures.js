@@ -0,0 +1,91 @@
+// Crops the figures questions refer to out of the page images that were sent with their chunk.
+// This runs in the browser, where the images already are, so the server never sends them back.
+import { BOX_SCALE } from "../quiz/figures.js";
+
+// Cropped figures are scaled down to at most this width in pixels, and saved as JPEG at this quality.
+const MAX_FIGURE_WIDTH = 800;
+const FIGURE_QUALITY = 0.85;
+// Extra margin around the model's box, on the 0–1000 scale, since boxes tend to clip labels.
+const BOX_PADDING = 15;
+
+/**
+ * Loads an image from a data URL.
+ * @param {string} src The data URL.
+ * @returns {Promise<HTMLImageElement>} The loaded image.
+ */
+const loadImage = (src) =>
+	new Promise((resolve, reject) => {
+		const image = new Image();
+		image.onload = () => resolve(image);
+		image.onerror = () => reject(new Error("The page image could not be loaded."));
+		image.src = src;
+	});
+
+/**
+ * Crops a region out of an image.
+ * @param {{ mimeType: string, data: string }} source The base64 page image.
+ * @param {[number, number, number, number] | null} box The region as [ymin, xmin, ymax, xmax] on a 0–1000 scale,
+ *   or null for the whole image.
+ * @returns {Promise<string>} The crop as a JPEG data URL.
+ */
+const cropImage = async (source, box) => {
+	const image = await loadImage(`data:${source.mimeType};base64,${source.data}`);
+	const [ymin, xmin, ymax, xmax] = (box ?? [0, 0, BOX_SCALE, BOX_SCALE]).map((value, i) =>
+		Math.min(BOX_SCALE, Math.max(0, value + (i < 2 ? -BOX_PADDING : BOX_PADDING))),
+	);
+	const sx = (xmin / BOX_SCALE) * image.naturalWidth;
+	const sy = (ymin / BOX_SCALE) * image.naturalHeight;
+	const sw = ((xmax - xmin) / BOX_SCALE) * image.naturalWidth;
+	const sh = ((ymax - ymin) / BOX_SCALE) * image.naturalHeight;
+	const scale = Math.min(1, MAX_FIGURE_WIDTH / sw);
+
+	const canvas = document.createElement("canvas");
+	canvas.width = Math.max(1, Math.round(sw * scale));
+	canvas.height = Math.max(1, Math.round(sh * scale));
+	const context = canvas.getContext("2d");
+	// JPEG has no transparency; transparent slide pictures would otherwise turn black.
+	context.fillStyle = "#fff";
+	context.fillRect(0, 0, canvas.width, canvas.height);
+	context.drawImage(image, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+	return canvas.toDataURL("image/jpeg", FIGURE_QUALITY);
+};
+
+/**
+ * Finds the image a question's figure is on among the chunks it could have come from.
+ * @param {object} question The question, with `source` and `figure`.
+ * @param {import("./chunk.js").Chunk[]} chunks The chunks that were sent.
+ * @returns {{ mimeType: string, data: string } | null} The page image, or null if it isn't among them.
+ */
+const findFigureImage = ({ source, figure }, chunks) => {
+	const chunk = chunks.find(
+		({ fileName, pageStart, pageEnd }) =>
+			fileName === source?.file && pageStart <= figure.page && figure.page <= pageEnd,
+	);
+	const images = chunk?.images.filter(({ page }) => page === figure.page) ?? [];
+	return images[figure.imageIndex ?? 0] ?? null;
+};
+
+/**
+ * Crops each question's figure into `figure.image`. Questions without a figure, with one already cropped,
+ * or whose image can't be found or read are returned unchanged; the question still stands without its picture.
+ * @param {object[]} questions The questions, as they arrive from the server.
+ * @param {import("./chunk.js").Chunk[]} chunks The chunks they were generated from.
+ * @returns {Promise<object[]>} The questions, with their figures cropped.
+ */
+export const attachFigureImages = async (questions, chunks) => {
+	const attached = [];
+	for (const question of questions) {
+		const source = question.figure && !question.figure.image ? findFigureImage(question, chunks) : null;
+		if (!source) {
+			attached.push(question);
+			continue;
+		}
+		try {
+			attached.push({ ...question, figure: { ...question.figure, image: await cropImage(source, question.figure.box) } });
+		} catch (e) {
+			console.error("Error cropping a figure:", e);
+			attached.push(question);
+		}
+	}
+	return attached;
+};
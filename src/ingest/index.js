@@ -0,0 +1,5 @@
+// Local ingestion of uploaded files: extraction, page selection and chunking.
+export { sourceLabel } from "./chunk.js";
+export { detectKind, extractFile, FILE_KINDS, IngestError, MAX_FILE_MB } from "./extract.js";
+export { attachFigureImages } from "./figures.js";
+export { chunkForSource, estimateUploadBytes, parsePageRange, planChunks, scaleUploadCounts } from "./plan.js";
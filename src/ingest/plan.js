@@ -0,0 +1,180 @@
+// Turns the upload panel's choices (page ranges, per-file question counts) into generation chunks.
+import { MAX_REQUEST_MB } from "../api.js";
+import { allocateProportionally } from "../quiz/settings.js";
+import { allocateQuestions, chunkDocuments } from "./chunk.js";
+import { IngestError } from "./extract.js";
+
+/**
+ * A file in the upload panel once it has been read.
+ * @typedef {Object} Upload
+ * @property {import("./extract.js").ExtractedDocument} document The extracted content.
+ * @property {string} range The pages to use, such as "52-71, 80", or "" for all of them.
+ * @property {number | null} questions How many questions this file gets, or null to share the rest.
+ */
+
+/**
+ * Parses a page range such as "52–71, 80" into page numbers.
+ * @param {string} range The range text. Empty means every page.
+ * @param {number} pageCount The number of pages in the file.
+ * @returns {Set<number> | null} The chosen page numbers, or null for all pages.
+ * @throws {IngestError} If the range is malformed or outside the file.
+ */
+export const parsePageRange = (range, pageCount) => {
+	if (!range.trim()) return null;
+
+	const pages = new Set();
+	for (const part of range.split(",")) {
+		const match = part.trim().match(/^(\d+)(?:\s*[-–—]\s*(\d+))?$/);
+		if (!match) throw new IngestError(`"${part.trim()}" is not a page or range like 52–71.`);
+		const start = Number(match[1]);
+		const end = Number(match[2] ?? match[1]);
+		if (end < start) throw new IngestError(`"${part.trim()}" runs backwards.`);
+		if (start < 1 || end > pageCount) {
+			throw new IngestError(`Pages ${part.trim()} are outside 1–${pageCount}.`);
+		}
+		for (let page = start; page <= end; page++) pages.add(page);
+	}
+	return pages;
+};
+
+/**
+ * Measures roughly how much chunks add to a generation request: their text, and their images as base64.
+ * @param {{ text: string, images: { data: string }[] }[]} chunks The chunks.
+ * @returns {number} The size in bytes.
+ */
+export const requestBytes = (chunks) => {
+	const encoder = new TextEncoder();
+	return chunks.reduce(
+		(sum, { text, images }) => sum + encoder.encode(text).length + images.reduce((s, { data }) => s + data.length, 0),
+		0,
+	);
+};
+
+/**
+ * Estimates how much the files in the upload panel will send, so an oversized request can be flagged
+ * before generation. Files still being read count for nothing, and an invalid range counts as every page.
+ * @param {{ document: import("./extract.js").ExtractedDocument | null, range: string }[]} uploads The files.
+ * @param {{ figures?: boolean }} [options] Whether to include images kept only for their figures.
+ * @returns {number} The size in bytes, at most that of the request, since a short quiz may skip some chunks.
+ */
+export const estimateUploadBytes = (uploads, options) =>
+	uploads.reduce((sum, { document, range }) => {
+		if (!document) return sum;
+		let selected = null;
+		try {
+			selected = parsePageRange(range, document.pageCount);
+		} catch {
+			// The panel shows the range error; until it is fixed, assume every page.
+		}
+		const pages = selected ? document.pages.filter(({ number }) => selected.has(number)) : document.pages;
+		return sum + requestBytes(chunkDocuments([{ ...document, pages }], options));
+	}, 0);
+
+/**
+ * Rebuilds the chunk a question was generated from, so a replacement can be asked for from the same pages.
+ * @param {{ status?: string, document: import("./extract.js").ExtractedDocument }[]} uploads The files in the upload panel.
+ * @param {{ file: string, pageStart: number, pageEnd: number } | undefined} source The question's source.
+ * @param {{ figures?: boolean }} [options] Whether to include images kept only for their figures.
+ * @returns {import("./chunk.js").Chunk | null} The chunk asking for one question, or null if the file is no longer uploaded.
+ */
+export const chunkForSource = (uploads, source, options) => {
+	const upload = source && uploads.find(({ status, document }) => status !== "reading" && document?.name === source.file);
+	if (!upload) return null;
+	const pages = upload.document.pages.filter(({ number }) => number >= source.pageStart && number <= source.pageEnd);
+	if (!pages.length) return null;
+	// The pages came from one chunk, so they fit in one again.
+	const [{ weight: _, ...chunk }] = chunkDocuments([{ ...upload.document, pages }], options);
+	return { ...chunk, numQuestions: 1 };
+};
+
+/**
+ * Checks that the per-file question counts fit the number of questions asked for.
+ * @param {number} fixedTotal The sum of the per-file counts.
+ * @param {boolean} shared Whether some files are left on auto to share the rest.
+ * @param {number} numQuestions The number of questions asked for.
+ * @throws {IngestError} If the counts add up to more, or to a different total with no file left on auto.
+ */
+const checkCounts = (fixedTotal, shared, numQuestions) => {
+	if (fixedTotal > numQuestions) {
+		throw new IngestError(
+			`The per-file question counts add up to ${fixedTotal}, more than the ${numQuestions} requested.`,
+		);
+	}
+	if (!shared && fixedTotal !== numQuestions) {
+		throw new IngestError(
+			`The per-file question counts add up to ${fixedTotal}, not ${numQuestions}. Adjust them or leave one on auto.`,
+		);
+	}
+};
+
+/**
+ * Scales the per-file question counts, which are set for the whole quiz, down to one round of it.
+ * Each file keeps its share of the round, and files on auto keep theirs.
+ * @param {Upload[]} uploads The files.
+ * @param {number} total The number of questions in the whole quiz.
+ * @param {number} numQuestions The number of questions in the round.
+ * @returns {Upload[]} The files with their counts for the round.
+ * @throws {IngestError} If the counts don't add up for the whole quiz.
+ */
+export const scaleUploadCounts = (uploads, total, numQuestions) => {
+	const fixed = uploads.filter(({ questions }) => questions !== null);
+	const fixedTotal = fixed.reduce((sum, { questions }) => sum + questions, 0);
+	checkCounts(fixedTotal, fixed.length < uploads.length, total);
+	if (!fixed.length || numQuestions >= total) return uploads;
+
+	const fixedShare =
+		fixed.length === uploads.length ? numQuestions : Math.round((numQuestions * fixedTotal) / total);
+	const counts = allocateProportionally(fixedShare, fixed.map(({ questions }) => questions));
+	return uploads.map((upload) => (upload.questions === null ? upload : { ...upload, questions: counts.shift() }));
+};
+
+/**
+ * Chunks the uploaded files and spreads the questions across them.
+ * Files with their own question count get exactly that many; the others share what is left
+ * in proportion to how much material they contribute.
+ * @param {Upload[]} uploads The files, in the order they were added.
+ * @param {number} numQuestions The total number of questions.
+ * @param {{ figures?: boolean }} [options] Whether to include images kept only for their figures.
+ * @returns {import("./chunk.js").Chunk[]} The chunks to send, in file order.
+ * @throws {IngestError} If a page range is invalid, a range selects no content, the counts don't add up,
+ *   or the chunks are too large for the server to accept.
+ */
+export const planChunks = (uploads, numQuestions, options) => {
+	const planned = uploads.map(({ document, range, questions }) => {
+		let selected;
+		try {
+			selected = parsePageRange(range, document.pageCount);
+		} catch (e) {
+			throw new IngestError(`${document.name}: ${e.message}`);
+		}
+		const pages = selected ? document.pages.filter(({ number }) => selected.has(number)) : document.pages;
+		if (!pages.length) {
+			throw new IngestError(`The pages chosen from "${document.name}" have no text or images.`);
+		}
+		return { chunks: chunkDocuments([{ ...document, pages }], options), questions };
+	});
+
+	const fixed = planned.filter(({ questions }) => questions !== null);
+	const shared = planned.filter(({ questions }) => questions === null);
+	const fixedTotal = fixed.reduce((sum, { questions }) => sum + questions, 0);
+	checkCounts(fixedTotal, shared.length > 0, numQuestions);
+
+	const counts = new Map(fixed.map(({ chunks, questions }) => [chunks, allocateQuestions(chunks, questions)]));
+	const sharedCounts = allocateQuestions(shared.flatMap(({ chunks }) => chunks), numQuestions - fixedTotal);
+	for (const { chunks } of shared) counts.set(chunks, sharedCounts.splice(0, chunks.length));
+
+	const chunks = planned
+		.flatMap(({ chunks }) =>
+			chunks.map(({ weight: _, ...chunk }, i) => ({ ...chunk, numQuestions: counts.get(chunks)[i] })),
+		)
+		.filter((chunk) => chunk.numQuestions > 0);
+
+	const bytes = requestBytes(chunks);
+	if (bytes > MAX_REQUEST_MB * 1024 * 1024) {
+		throw new IngestError(
+			`The chosen pages come to ${(bytes / (1024 * 1024)).toFixed(1)} MB, more than the ${MAX_REQUEST_MB} MB ` +
+				"the server accepts at once. Choose fewer pages or turn off figure questions.",
+		);
+	}
+	return chunks;
+};
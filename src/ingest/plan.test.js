@@ -0,0 +1,139 @@
+import { describe, expect, it } from "vitest";
+import { IngestError } from "./extract.js";
+import { estimateUploadBytes, parsePageRange, planChunks, requestBytes, scaleUploadCounts } from "./plan.js";
+
+/**
+ * Builds an uploaded file whose pages each hold the same amount of text.
+ * @param {string} name The file name.
+ * @param {number} pageCount How many pages it has.
+ * @param {{ questions?: number | null, range?: string, chars?: number }} [options] Its question count, page
+ *   range, and characters per page.
+ * @returns {import("./plan.js").Upload} The upload.
+ */
+const upload = (name, pageCount, { questions = null, range = "", chars = 3000 } = {}) => ({
+	status: "ready",
+	range,
+	questions,
+	document: {
+		name,
+		kind: "pdf",
+		unit: "page",
+		pageCount,
+		thumbnail: null,
+		pages: Array.from({ length: pageCount }, (_, i) => ({ number: i + 1, text: "x".repeat(chars), images: [] })),
+	},
+});
+
+/**
+ * Adds a figure image to an upload's first page.
+ * @param {import("./plan.js").Upload} file The upload.
+ * @param {number} size The image's base64 length.
+ * @returns {import("./plan.js").Upload} The upload with the figure.
+ */
+const withFigure = (file, size) => {
+	const [first, ...rest] = file.document.pages;
+	const figure = { mimeType: "image/jpeg", data: "A".repeat(size), figure: true };
+	return { ...file, document: { ...file.document, pages: [{ ...first, images: [figure] }, ...rest] } };
+};
+
+/**
+ * Sums the questions planned per file.
+ * @param {import("./chunk.js").Chunk[]} chunks The planned chunks.
+ * @returns {Record<string, number>} Questions by file name.
+ */
+const perFile = (chunks) =>
+	chunks.reduce((totals, { fileName, numQuestions }) => ({ ...totals, [fileName]: (totals[fileName] ?? 0) + numQuestions }), {});
+
+describe("parsePageRange", () => {
+	it("reads pages and ranges with any dash", () => {
+		expect(parsePageRange("", 10)).toBeNull();
+		expect([...parsePageRange("2-4, 7, 9–10", 10)]).toEqual([2, 3, 4, 7, 9, 10]);
+	});
+
+	it("rejects malformed, backwards and out-of-range parts", () => {
+		expect(() => parsePageRange("two", 10)).toThrow('"two" is not a page or range like 52–71.');
+		expect(() => parsePageRange("5-3", 10)).toThrow('"5-3" runs backwards.');
+		expect(() => parsePageRange("9-12", 10)).toThrow("Pages 9-12 are outside 1–10.");
+	});
+});
+
+describe("planChunks", () => {
+	it("shares the questions between files by how much material they have", () => {
+		const chunks = planChunks([upload("long.pdf", 12), upload("short.pdf", 4)], 20);
+		expect(perFile(chunks)).toEqual({ "long.pdf": 15, "short.pdf": 5 });
+		expect(chunks.every(({ numQuestions }) => numQuestions > 0)).toBe(true);
+	});
+
+	it("gives files with their own count exactly that many, and the rest to files on auto", () => {
+		const chunks = planChunks([upload("fixed.pdf", 12, { questions: 3 }), upload("auto.pdf", 4)], 10);
+		expect(perFile(chunks)).toEqual({ "fixed.pdf": 3, "auto.pdf": 7 });
+	});
+
+	it("only uses the chosen pages", () => {
+		const chunks = planChunks([upload("book.pdf", 20, { range: "5-6" })], 4);
+		expect(chunks.map(({ pageStart, pageEnd }) => [pageStart, pageEnd])).toEqual([[5, 6]]);
+	});
+
+	it("rejects counts that don't add up, and ranges with no content", () => {
+		expect(() => planChunks([upload("a.pdf", 4, { questions: 12 }), upload("b.pdf", 4)], 10)).toThrow(
+			"The per-file question counts add up to 12, more than the 10 requested.",
+		);
+		expect(() => planChunks([upload("a.pdf", 4, { questions: 4 })], 10)).toThrow(/add up to 4, not 10/);
+		const blank = upload("blank.pdf", 3, { chars: 0 });
+		expect(() => planChunks([{ ...blank, document: { ...blank.document, pages: [] } }], 5)).toThrow(IngestError);
+		expect(() => planChunks([upload("a.pdf", 4, { range: "8" })], 5)).toThrow("a.pdf: Pages 8 are outside 1–4.");
+	});
+
+	it("rejects chunks too large for the server to accept", () => {
+		const large = withFigure(upload("atlas.pdf", 2), 21 * 1024 * 1024);
+		expect(() => planChunks([large], 4)).toThrow(/more than the 20 MB the server accepts/);
+		expect(planChunks([large], 4, { figures: false })).toHaveLength(1);
+	});
+});
+
+describe("requestBytes and estimateUploadBytes", () => {
+	it("count text as UTF-8 and images as their base64 length", () => {
+		expect(requestBytes([{ text: "ab", images: [] }, { text: "é", images: [{ data: "AAAA" }] }])).toBe(8);
+	});
+
+	it("estimate the chosen pages of files that have been read", () => {
+		const book = upload("book.pdf", 10, { chars: 100 });
+		const all = estimateUploadBytes([book]);
+		expect(all).toBeGreaterThan(1000);
+		expect(estimateUploadBytes([{ ...book, range: "1-5" }])).toBeLessThan(all);
+		expect(estimateUploadBytes([{ ...book, range: "99" }])).toBe(all);
+		expect(estimateUploadBytes([book, { status: "reading", document: null, range: "" }])).toBe(all);
+	});
+
+	it("leave out figure images when figure questions are off", () => {
+		const atlas = withFigure(upload("atlas.pdf", 1, { chars: 100 }), 5000);
+		expect(estimateUploadBytes([atlas]) - estimateUploadBytes([atlas], { figures: false })).toBe(5000);
+	});
+});
+
+describe("scaleUploadCounts", () => {
+	it("scales per-file counts for the whole quiz down to a round, keeping each file's share", () => {
+		const uploads = [upload("a.pdf", 4, { questions: 30 }), upload("b.pdf", 4, { questions: 10 })];
+		expect(scaleUploadCounts(uploads, 40, 10).map(({ questions }) => questions)).toEqual([8, 2]);
+		expect(perFile(planChunks(scaleUploadCounts(uploads, 40, 10), 10))).toEqual({ "a.pdf": 8, "b.pdf": 2 });
+	});
+
+	it("leaves files on auto their share of the round", () => {
+		const uploads = [upload("a.pdf", 4, { questions: 20 }), upload("b.pdf", 4)];
+		expect(scaleUploadCounts(uploads, 40, 10).map(({ questions }) => questions)).toEqual([5, null]);
+	});
+
+	it("changes nothing for a whole quiz or files all on auto", () => {
+		const fixed = [upload("a.pdf", 4, { questions: 10 })];
+		const auto = [upload("a.pdf", 4), upload("b.pdf", 4)];
+		expect(scaleUploadCounts(fixed, 10, 10)).toBe(fixed);
+		expect(scaleUploadCounts(auto, 40, 10)).toBe(auto);
+	});
+
+	it("checks the counts against the whole quiz", () => {
+		const uploads = [upload("a.pdf", 4, { questions: 30 }), upload("b.pdf", 4, { questions: 20 })];
+		expect(() => scaleUploadCounts(uploads, 40, 10)).toThrow(
+			"The per-file question counts add up to 50, more than the 40 requested.",
+		);
+	});
+});
@@ -2,6 +2,11 @@ import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
 import "./index.css";
+import { registerServiceWorker } from "./pwa/register.js";
+import { applyTheme, loadTheme } from "./theme.js";
+
+applyTheme(loadTheme());
+registerServiceWorker();
 createRoot(document.getElementById("root")).render(
 	<StrictMode>
 		<App />
@@ -0,0 +1,4 @@
+// Scientific notation in question text: LaTeX math, mhchem chemistry and units, and safe Markdown.
+export { splitMath } from "./math.js";
+export { toPlainText } from "./plain.js";
+export { escapeHtml, renderRichText } from "./render.js";
@@ -0,0 +1,34 @@
+// Finds the LaTeX in question text. Models are asked for $...$ (inline), $$...$$ (display) and
+// \ce{...} / \pu{...} for chemistry and units; \(...\) and \[...\] are accepted too, as is a bare
+// \ce{...} outside any delimiters, which models often write.
+
+// In order: $$display$$, \[display\], \(inline\), $inline$, bare \ce{...} or \pu{...} (one level of nested braces).
+// An inline $ must hug its content ("$x$", not "costs $5 and $6"), and an escaped \$ is a literal dollar.
+const MATH_PATTERN =
+	/(?<!\\)\$\$([\s\S]+?)(?<!\\)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<!\\)\$(?=\S)((?:\\\$|[^$\n])+?)(?<=\S)(?<!\\)\$(?!\d)|(\\(?:ce|pu)\{(?:[^{}]|\{[^{}]*\})*\})/g;
+
+/**
+ * A run of question text: either plain text or one LaTeX expression.
+ * @typedef {{ math: false, text: string } | { math: true, tex: string, display: boolean }} Segment
+ */
+
+/**
+ * Splits text into plain-text runs and LaTeX expressions.
+ * @param {string} text The text.
+ * @returns {Segment[]} The segments in order. Plain-text runs keep escaped dollars as "\$".
+ */
+export const splitMath = (text) => {
+	const segments = [];
+	let last = 0;
+	const source = String(text ?? "");
+	for (const match of source.matchAll(MATH_PATTERN)) {
+		if (match.index > last) segments.push({ math: false, text: source.slice(last, match.index) });
+		const [, dollarsDisplay, bracketDisplay, parenInline, dollarInline, bareChem] = match;
+		const display = dollarsDisplay ?? bracketDisplay;
+		const tex = display ?? parenInline ?? dollarInline ?? bareChem;
+		segments.push({ math: true, tex: tex.trim(), display: display !== undefined });
+		last = match.index + match[0].length;
+	}
+	if (last < source.length) segments.push({ math: false, text: source.slice(last) });
+	return segments;
+};
@@ -0,0 +1,144 @@
+// Degrades LaTeX and Markdown to readable plain text for the TXT and CSV exports and for one-line
+// previews: "\frac{1}{2}mv^2" becomes "(1/2)mv²" and "\ce{H2SO4}" becomes "H₂SO₄".
+import { splitMath } from "./math.js";
+
+/**
+ * Pairs each name with the character at the same position.
+ * @param {string | string[]} names The names, or the characters to map from.
+ * @param {string} chars The characters to map to.
+ * @returns {Record<string, string>} The table.
+ */
+const table = (names, chars) => {
+	const targets = [...chars];
+	return Object.fromEntries([...names].map((name, i) => [name, targets[i]]));
+};
+
+const SUPERSCRIPTS = table("0123456789+-−=()nix", "⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻⁻⁼⁽⁾ⁿⁱˣ");
+const SUBSCRIPTS = table("0123456789+-−=()aeoxhklmnpst", "₀₁₂₃₄₅₆₇₈₉₊₋₋₌₍₎ₐₑₒₓₕₖₗₘₙₚₛₜ");
+
+// LaTeX commands written as a single character. Anything not listed loses its backslash.
+const SYMBOLS = {
+	...table(
+		"alpha beta gamma delta epsilon varepsilon zeta eta theta vartheta iota kappa lambda mu nu xi pi rho sigma tau upsilon phi varphi chi psi omega".split(" "),
+		"αβγδεεζηθϑικλμνξπρστυφφχψω",
+	),
+	...table("Gamma Delta Theta Lambda Xi Pi Sigma Phi Psi Omega".split(" "), "ΓΔΘΛΞΠΣΦΨΩ"),
+	...table(
+		"times cdot div pm mp le leq ge geq ne neq approx sim simeq equiv propto infty".split(" "),
+		"×·÷±∓≤≤≥≥≠≠≈~≃≡∝∞",
+	),
+	...table(
+		"to rightarrow longrightarrow leftarrow longleftarrow leftrightarrow Rightarrow Leftarrow Leftrightarrow rightleftharpoons uparrow downarrow".split(" "),
+		"→→→←←↔⇒⇐⇔⇌↑↓",
+	),
+	...table(
+		"degree circ partial nabla int oint sum prod hbar ell angle parallel perp ldots cdots dots prime AA therefore because in cup cap".split(" "),
+		"°°∂∇∫∮ΣΠħℓ∠∥⊥…⋯…′Å∴∵∈∪∩",
+	),
+	quad: " ",
+	qquad: " ",
+	",": " ",
+	";": " ",
+	":": " ",
+	"!": "",
+	"\\": " ",
+};
+
+// Commands whose argument is kept as is.
+const TEXT_COMMANDS = /\\(?:text|textbf|textit|mathrm|mathbf|mathit|mathsf|operatorname|boldsymbol|rm|bf|it)\s*\{([^{}]*)\}/g;
+
+/**
+ * Writes a script (superscript or subscript) with Unicode characters when every character has one,
+ * and as "^(…)" or "_(…)" otherwise.
+ * @param {string} text The script.
+ * @param {Record<string, string>} characters The character table.
+ * @param {string} marker "^" or "_".
+ * @returns {string} The plain text.
+ */
+const script = (text, characters, marker) => {
+	const chars = [...text.replace(/\s+/g, "")];
+	if (chars.length && chars.every((c) => characters[c])) return chars.map((c) => characters[c]).join("");
+	return chars.length === 1 ? `${marker}${text}` : `${marker}(${text})`;
+};
+
+/**
+ * Converts mhchem notation: digits after an element or bracket become subscripts, charges and unit
+ * powers become superscripts, and arrows become arrows.
+ * @param {string} formula The contents of \ce{…}.
+ * @returns {string} The plain text.
+ */
+const chemistry = (formula) =>
+	formula
+		.replace(/<=>|<->/g, "⇌")
+		.replace(/->/g, "→")
+		.replace(/<-/g, "←")
+		.replace(/\^\{?([+-]?\d+[+-]?|[+-])\}?/g, (_, charge) => script(charge, SUPERSCRIPTS, "^"))
+		.replace(/([A-Za-z)\]])(\d+)/g, (_, before, count) => before + script(count, SUBSCRIPTS, "_"))
+		.replace(/\^\{([^{}]*)\}|\^(\S)/g, (_, braced, single) => script(braced ?? single, SUPERSCRIPTS, "^"))
+		.replace(/_\{([^{}]*)\}|_(\S)/g, (_, braced, single) => script(braced ?? single, SUBSCRIPTS, "_"));
+
+/**
+ * Writes a fraction on one line: "(1/2)" or "(h/mv)" for simple parts, "(a+b)/(2m)" otherwise.
+ * @param {string} num The numerator.
+ * @param {string} den The denominator.
+ * @returns {string} The plain text.
+ */
+const fraction = (num, den) => {
+	const simple = (part) => /^[\w.]+$/.test(part);
+	if (simple(num) && simple(den)) return `(${num}/${den})`;
+	return [num, den].map((part) => (/^(\d+|\w)$/.test(part) ? part : `(${part})`)).join("/");
+};
+
+/**
+ * Converts one LaTeX expression to plain text.
+ * @param {string} tex The LaTeX.
+ * @returns {string} The plain text.
+ */
+const texToPlain = (tex) => {
+	let text = tex;
+	// Work from the innermost braces out, so nested fractions and roots come out right.
+	for (let previous = null; previous !== text; ) {
+		previous = text;
+		text = text
+			.replace(/\\(?:ce|pu)\s*\{([^{}]*)\}/g, (_, formula) => chemistry(formula))
+			.replace(TEXT_COMMANDS, "$1")
+			.replace(/\\[dt]?frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g, (_, num, den) => fraction(num.trim(), den.trim()))
+			.replace(/\\sqrt\s*\[([^\]]*)\]\s*\{([^{}]*)\}/g, (_, n, x) => `${script(n, SUPERSCRIPTS, "^")}√(${x})`)
+			.replace(/\\sqrt\s*\{([^{}]*)\}/g, "√($1)")
+			.replace(/\\vec\s*\{([^{}]*)\}/g, "$1⃗")
+			.replace(/\\hat\s*\{([^{}]*)\}/g, "$1̂")
+			.replace(/\\(?:bar|overline)\s*\{([^{}]*)\}/g, "$1̄")
+			.replace(/\^\s*\{\s*\\circ\s*\}|\^\s*\\circ/g, "°")
+			.replace(/\^\s*\{([^{}]*)\}/g, (_, sup) => script(sup, SUPERSCRIPTS, "^"))
+			.replace(/_\s*\{([^{}]*)\}/g, (_, sub) => script(sub, SUBSCRIPTS, "_"));
+	}
+	return text
+		.replace(/\\(?:left|right|big|Big|bigg|Bigg)\s*([()[\]|.]|\\[{}])/g, (_, delimiter) =>
+			delimiter === "." ? "" : delimiter.replace("\\", ""),
+		)
+		.replace(/\\([A-Za-z]+|.)/g, (_, name) => SYMBOLS[name] ?? name)
+		.replace(/\^([\w+\-−])/g, (_, sup) => script(sup, SUPERSCRIPTS, "^"))
+		.replace(/_([\w+\-−])/g, (_, sub) => script(sub, SUBSCRIPTS, "_"))
+		.replace(/[{}]/g, "")
+		.replace(/\s+/g, " ")
+		.trim();
+};
+
+/**
+ * Converts text with LaTeX and Markdown to readable plain text.
+ * @param {string} text The text.
+ * @returns {string} The plain text. Line breaks, bullets and table pipes are kept.
+ */
+export const toPlainText = (text) =>
+	splitMath(text)
+		.map((segment) =>
+			segment.math
+				? texToPlain(segment.tex)
+				: segment.text
+						.replace(/\\\$/g, "$")
+						.replace(/\*\*(?=\S)([^*\n]+?)(?<=\S)\*\*/g, "$1")
+						.replace(/(?<![*\w])\*(?=\S)([^*\n]+?)(?<=\S)\*(?![*\w])/g, "$1")
+						.replace(/`([^`\n]+)`/g, "$1")
+						.replace(/^\s*#{1,6}\s+/gm, ""),
+		)
+		.join("");
@@ -0,0 +1,167 @@
+// Renders question text as HTML: LaTeX through KaTeX (with mhchem for chemistry), plus a small, safe
+// subset of Markdown. All text is escaped before any markup is added, and KaTeX runs untrusted
+// (no \href, \url or raw HTML), so model output can't inject markup into the page.
+import katex from "katex";
+import "katex/contrib/mhchem";
+import { splitMath } from "./math.js";
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+/**
+ * Escapes text for inclusion in HTML or XML.
+ * @param {any} text The text.
+ * @returns {string} The escaped text.
+ */
+export const escapeHtml = (text) => String(text ?? "").replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+/**
+ * How LaTeX is output:
+ * - "html": KaTeX's HTML with hidden MathML for screen readers; needs the KaTeX stylesheet.
+ * - "mathml": MathML only, which browsers render natively; used in print windows without the stylesheet.
+ * - "tex": the source between \( \) or \[ \] delimiters, for LMSs and Anki, which typeset it themselves.
+ * @typedef {"html" | "mathml" | "tex"} MathOutput
+ */
+
+/**
+ * Renders one LaTeX expression. Expressions KaTeX can't parse are shown as their source.
+ * @param {string} tex The LaTeX, without delimiters.
+ * @param {boolean} display Whether it is a display (block) expression.
+ * @param {MathOutput} output How to output it.
+ * @returns {string} The HTML.
+ */
+const renderMath = (tex, display, output) => {
+	if (output === "tex") return escapeHtml(display ? `\\[${tex}\\]` : `\\(${tex}\\)`);
+	try {
+		return katex.renderToString(tex, {
+			displayMode: display,
+			output: output === "mathml" ? "mathml" : "htmlAndMathml",
+			throwOnError: false,
+			strict: "ignore",
+			trust: false,
+		});
+	} catch {
+		return `<code>${escapeHtml(tex)}</code>`;
+	}
+};
+
+/**
+ * Applies inline Markdown (bold, italics, code) to escaped text, and keeps line breaks.
+ * @param {string} html Escaped text.
+ * @returns {string} The HTML.
+ */
+const inlineMarkdown = (html) =>
+	html
+		.replace(/\\\$/g, "$")
+		.replace(/`([^`\n]+)`/g, "<code>$1</code>")
+		.replace(/\*\*(?=\S)([^*\n]+?)(?<=\S)\*\*/g, "<strong>$1</strong>")
+		.replace(/(?<![*\w])\*(?=\S)([^*\n]+?)(?<=\S)\*(?![*\w])/g, "<em>$1</em>")
+		.replace(/\n/g, "<br />");
+
+/**
+ * Renders a run of text with its LaTeX, without block structure.
+ * @param {string} text The text.
+ * @param {MathOutput} output How to output LaTeX.
+ * @returns {string} The HTML.
+ */
+const renderInline = (text, output) =>
+	splitMath(text)
+		.map((segment) =>
+			segment.math ? renderMath(segment.tex, segment.display, output) : inlineMarkdown(escapeHtml(segment.text)),
+		)
+		.join("");
+
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const BULLET = /^\s*[-*•]\s+/;
+const NUMBERED = /^\s*\d+[.)]\s+/;
+const HEADING = /^\s*#{1,6}\s+/;
+
+/**
+ * Splits a Markdown table row into its cells. Pipes inside LaTeX (|x|) are left alone.
+ * @param {string} line The row.
+ * @returns {string[]} The cell texts.
+ */
+const tableCells = (line) => {
+	const cells = [];
+	let cell = "";
+	for (const segment of splitMath(line.trim().replace(/^\||\|$/g, ""))) {
+		if (segment.math) {
+			cell += segment.display ? `$$${segment.tex}$$` : `$${segment.tex}$`;
+			continue;
+		}
+		const parts = segment.text.split(/(?<!\\)\|/);
+		cell += parts[0];
+		for (const part of parts.slice(1)) {
+			cells.push(cell.trim());
+			cell = part;
+		}
+	}
+	cells.push(cell.trim());
+	return cells;
+};
+
+/**
+ * Renders text with block Markdown: paragraphs, bulleted and numbered lists, tables and headings
+ * (shown as bold paragraphs). Anything else is a paragraph, so unusual input degrades to text.
+ * @param {string} text The text.
+ * @param {MathOutput} output How to output LaTeX.
+ * @returns {string} The HTML.
+ */
+const renderBlocks = (text, output) => {
+	const lines = String(text ?? "").split(/\r?\n/);
+	const blocks = [];
+	let paragraph = [];
+	const endParagraph = () => {
+		if (paragraph.length) blocks.push(`<p>${renderInline(paragraph.join("\n"), output)}</p>`);
+		paragraph = [];
+	};
+
+	for (let i = 0; i < lines.length; ) {
+		const line = lines[i];
+		if (!line.trim()) {
+			endParagraph();
+			i++;
+		} else if (TABLE_ROW.test(line) && TABLE_DIVIDER.test(lines[i + 1] ?? "")) {
+			endParagraph();
+			const header = tableCells(line);
+			const rows = [];
+			for (i += 2; i < lines.length && TABLE_ROW.test(lines[i]); i++) rows.push(tableCells(lines[i]));
+			blocks.push(
+				`<table><thead><tr>${header.map((cell) => `<th>${renderInline(cell, output)}</th>`).join("")}</tr></thead>` +
+					`<tbody>${rows
+						.map((row) => `<tr>${row.map((cell) => `<td>${renderInline(cell, output)}</td>`).join("")}</tr>`)
+						.join("")}</tbody></table>`,
+			);
+		} else if (BULLET.test(line) || NUMBERED.test(line)) {
+			endParagraph();
+			const marker = BULLET.test(line) ? BULLET : NUMBERED;
+			const items = [];
+			for (; i < lines.length && lines[i].trim(); i++) {
+				if (marker.test(lines[i])) items.push(lines[i].replace(marker, ""));
+				else if (/^\s/.test(lines[i]) && items.length) items[items.length - 1] += `\n${lines[i].trim()}`;
+				else break;
+			}
+			const tag = marker === BULLET ? "ul" : "ol";
+			blocks.push(`<${tag}>${items.map((item) => `<li>${renderInline(item, output)}</li>`).join("")}</${tag}>`);
+		} else if (HEADING.test(line)) {
+			endParagraph();
+			blocks.push(`<p><strong>${renderInline(line.replace(HEADING, ""), output)}</strong></p>`);
+			i++;
+		} else {
+			paragraph.push(line);
+			i++;
+		}
+	}
+	endParagraph();
+	return blocks.join("");
+};
+
+/**
+ * Renders question text, an option or a solution as HTML.
+ * @param {string} text The text, with LaTeX and Markdown.
+ * @param {{ block?: boolean, output?: MathOutput }} [options] `block` enables lists, tables and paragraphs
+ *   (for solutions); otherwise only inline Markdown and line breaks apply.
+ * @returns {string} The HTML.
+ */
+export const renderRichText = (text, { block = false, output = "html" } = {}) =>
+	block ? renderBlocks(text, output) : renderInline(text, output);
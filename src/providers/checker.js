@@ -0,0 +1,53 @@
+import { OPTION_LETTERS } from "../quiz/validate.js";
+import { solveQuestions } from "./index.js";
+
+/**
+ * An independent answer to one question, from the answer-key check.
+ * @typedef {Object} Verdict
+ * @property {string} answer The option letter the checker chose.
+ * @property {number} confidence How sure it is, from 0 to 1.
+ * @property {string} working Its worked solution, used when a key is auto-corrected.
+ */
+
+/**
+ * Something that answers finished questions without seeing their keys. The default asks a model;
+ * any object with this shape can be passed to the generate handler instead (a rules engine,
+ * a lookup in a vetted question bank...).
+ * @typedef {Object} Checker
+ * @property {string} name Shown in the generation report.
+ * @property {(questions: object[], options?: { signal?: AbortSignal }) => Promise<(Verdict | null)[]>} solve
+ *   Answers each question, in order; null where it has no answer.
+ */
+
+/**
+ * Lines a solve response up with the questions it answers, discarding malformed entries.
+ * @param {any} data The parsed response, expected to be `{ answers: [...] }`.
+ * @param {number} count How many questions were sent.
+ * @returns {(Verdict | null)[]} One verdict (or null) per question.
+ */
+const toVerdicts = (data, count) => {
+	const verdicts = Array(count).fill(null);
+	for (const entry of Array.isArray(data?.answers) ? data.answers : []) {
+		const answer = typeof entry?.answer === "string" ? entry.answer.trim().toUpperCase() : "";
+		if (!Number.isInteger(entry?.index) || entry.index < 0 || entry.index >= count) continue;
+		if (!OPTION_LETTERS.includes(answer)) continue;
+		const confidence = Number(entry.confidence);
+		verdicts[entry.index] = {
+			answer,
+			confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+			working: typeof entry.working === "string" ? entry.working.trim() : "",
+		};
+	}
+	return verdicts;
+};
+
+/**
+ * Creates a checker that has a model solve the questions from scratch.
+ * @param {import("./index.js").Provider} provider The provider for the second model call.
+ * @returns {Checker} The checker.
+ */
+export const createModelChecker = (provider) => ({
+	name: provider.name,
+	solve: async (questions, { signal } = {}) =>
+		toVerdicts(await solveQuestions(provider, { questions }, { signal }), questions.length),
+});
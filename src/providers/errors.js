@@ -0,0 +1,104 @@
+// Classification of LLM provider failures. Each kind has its own retry policy and a message that
+// tells the user what to do about it.
+
+// What users are told when only whoever runs the server can fix the problem.
+const OPERATOR_PROBLEM = "Contact whoever runs this site if it keeps happening.";
+
+/**
+ * The failure kinds, with how many times a provider call is retried, what the user is told, and, where the
+ * server's configuration may be at fault, what to check there (`hint`), which is only logged.
+ * Safety blocks and truncated output are not retried at the transport level: the same request
+ * would fail the same way. The generation loop handles them instead.
+ */
+export const ERROR_KINDS = {
+	"invalid-input": {
+		retries: 0,
+		message:
+			"The LLM provider rejected the request as invalid. Try fewer pages or questions, or leave out unusual files.",
+	},
+	auth: {
+		retries: 0,
+		message: `The quiz generator isn't set up correctly. ${OPERATOR_PROBLEM}`,
+		hint: "Check LLM_API_KEY and LLM_MODEL in the server's .env: the key is missing or invalid, or can't use the model.",
+	},
+	quota: {
+		retries: 3,
+		message: "The LLM provider's rate limit or quota was reached. Wait a minute and try again, or ask for fewer questions.",
+	},
+	safety: {
+		retries: 0,
+		message: "The LLM provider's safety filter blocked this material. Try different pages or files.",
+	},
+	truncated: {
+		retries: 0,
+		message: "The model's response was cut off or malformed. Try fewer questions per file.",
+	},
+	network: {
+		retries: 3,
+		message: `The quiz generator couldn't reach the LLM provider. Try again in a few minutes. ${OPERATOR_PROBLEM}`,
+		hint: "Check the server's network connection and LLM_BASE_URL.",
+	},
+	server: {
+		retries: 3,
+		message: "The LLM provider is having problems right now. Try again in a few minutes.",
+	},
+};
+
+/**
+ * A classified provider failure. Its message is safe to show to the user; `detail` is for the logs.
+ */
+export class ProviderError extends Error {
+	/**
+	 * @param {keyof typeof ERROR_KINDS} kind The failure kind.
+	 * @param {{ detail?: string, status?: number, retryAfterSeconds?: number | null }} [info] The provider's own
+	 *   error text, the HTTP status, and how long the provider asked us to wait.
+	 */
+	constructor(kind, { detail = "", status = null, retryAfterSeconds = null } = {}) {
+		const wait = retryAfterSeconds ? ` The provider asked to wait ${Math.ceil(retryAfterSeconds)} seconds.` : "";
+		super(ERROR_KINDS[kind].message + wait);
+		this.name = "ProviderError";
+		this.kind = kind;
+		this.detail = detail;
+		this.status = status;
+		this.retryAfterSeconds = retryAfterSeconds;
+	}
+}
+
+/**
+ * Reads how long to wait from a Retry-After header (seconds or an HTTP date) or, failing that,
+ * from the `retryDelay` Google APIs put in the error body (such as "23s").
+ * @param {Headers} headers The response headers.
+ * @param {string} bodyText The response body.
+ * @returns {number | null} The delay in seconds, or null if none was given.
+ */
+const retryAfterSeconds = (headers, bodyText) => {
+	const header = headers.get("retry-after");
+	if (header) {
+		const seconds = /^\d+$/.test(header.trim()) ? Number(header) : (Date.parse(header) - Date.now()) / 1000;
+		if (Number.isFinite(seconds)) return Math.max(0, seconds);
+	}
+	const delay = bodyText.match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/);
+	return delay ? Number(delay[1]) : null;
+};
+
+/**
+ * Classifies a failed HTTP response from a provider.
+ * @param {Response} response The non-2xx response.
+ * @returns {Promise<ProviderError>} The classified error.
+ */
+export const classifyResponse = async (response) => {
+	const bodyText = await response.text().catch(() => "");
+	const info = { detail: `${response.status} ${bodyText.slice(0, 500)}`, status: response.status };
+	const { status } = response;
+
+	if (status === 401 || status === 403 || status === 404 || /api[ _-]?key/i.test(bodyText)) {
+		return new ProviderError("auth", info);
+	}
+	if (status === 429) {
+		return new ProviderError("quota", { ...info, retryAfterSeconds: retryAfterSeconds(response.headers, bodyText) });
+	}
+	if (status >= 500) {
+		return new ProviderError("server", { ...info, retryAfterSeconds: retryAfterSeconds(response.headers, bodyText) });
+	}
+	return new ProviderError("invalid-input", info);
+};
@@ -0,0 +1,74 @@
+import { ProviderError } from "./errors.js";
+import { postJson } from "./http.js";
+import { answerSchema, buildPrompt, buildSolvePrompt, parseModelJson, responseSchema } from "./prompt.js";
+
+const DEFAULT_MODEL = "gemini-2.5-flash-preview-05-20";
+// Finish reasons meaning the output was withheld by a content filter.
+const BLOCKED_FINISH_REASONS = ["SAFETY", "RECITATION", "BLOCKLIST", "PROHIBITED_CONTENT", "SPII"];
+
+/**
+ * Creates a provider backed by the Gemini `generateContent` API.
+ * Files are sent as `inlineData` parts and the response is constrained with `responseSchema`
+ * (or `answerSchema` when solving questions for the answer-key check).
+ * @param {{ apiKey: string, model?: string }} config Provider settings.
+ * @returns {import("./index.js").Provider} The Gemini provider.
+ */
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_MODEL }) => {
+	const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=`;
+
+	const buildPayload = (request) => {
+		const parts = [{ text: buildPrompt(request) }];
+
+		// The mimeType is dynamically set from the file itself.
+		for (const file of request.files) {
+			parts.push({
+				inlineData: {
+					mimeType: file.mimeType,
+					data: file.data,
+				},
+			});
+		}
+
+		return {
+			contents: [{ role: "user", parts }],
+			generationConfig: {
+				responseMimeType: "application/json",
+				responseSchema: responseSchema,
+			},
+		};
+	};
+
+	const buildSolvePayload = (request) => ({
+		contents: [{ role: "user", parts: [{ text: buildSolvePrompt(request) }] }],
+		generationConfig: {
+			responseMimeType: "application/json",
+			responseSchema: answerSchema,
+		},
+	});
+
+	const call = (payload, { signal } = {}) => postJson(url + apiKey, payload, {}, signal);
+
+	const extractJson = (result) => {
+		const blockReason = result.promptFeedback?.blockReason;
+		if (blockReason) throw new ProviderError("safety", { detail: `prompt blocked: ${blockReason}` });
+
+		const candidate = result.candidates?.[0];
+		if (!candidate) throw new ProviderError("safety", { detail: "no candidates returned" });
+		if (BLOCKED_FINISH_REASONS.includes(candidate.finishReason)) {
+			throw new ProviderError("safety", { detail: `finishReason ${candidate.finishReason}` });
+		}
+		if (candidate.finishReason === "MAX_TOKENS") {
+			throw new ProviderError("truncated", { detail: "finishReason MAX_TOKENS" });
+		}
+		return parseModelJson(candidate.content?.parts?.[0]?.text ?? "");
+	};
+
+	return {
+		name: "gemini",
+		buildPayload,
+		buildSolvePayload,
+		call,
+		extractQuestions: extractJson,
+		extractAnswers: extractJson,
+	};
+};
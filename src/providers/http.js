@@ -0,0 +1,72 @@
+import { classifyResponse, ERROR_KINDS, ProviderError } from "./errors.js";
+
+// Backoff before retry n is a random delay up to BASE_DELAY_MS * 2^n ("full jitter"), capped at MAX_DELAY_MS.
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 20000;
+// A provider asking us to wait longer than this is reported to the user instead of waited out.
+const MAX_RETRY_AFTER_SECONDS = 30;
+
+/**
+ * Waits, unless the signal is aborted first.
+ * @param {number} ms How long to wait.
+ * @param {AbortSignal} [signal] Cuts the wait short by rejecting.
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) =>
+	new Promise((resolve, reject) => {
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(signal.reason);
+		};
+		const timer = setTimeout(() => {
+			signal?.removeEventListener("abort", onAbort);
+			resolve();
+		}, ms);
+		signal?.addEventListener("abort", onAbort, { once: true });
+	});
+
+/**
+ * Picks the delay before a retry: the provider's Retry-After when it gave one, otherwise jittered exponential backoff.
+ * @param {number} attempt The number of attempts made so far, from 1.
+ * @param {number | null} retryAfterSeconds The delay the provider asked for.
+ * @returns {number} The delay in ms.
+ */
+const retryDelay = (attempt, retryAfterSeconds) => {
+	if (retryAfterSeconds !== null) return retryAfterSeconds * 1000 + Math.random() * BASE_DELAY_MS;
+	return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+};
+
+/**
+ * POSTs a JSON payload to a provider. Failures are classified (see `ERROR_KINDS`) and retried only
+ * when their kind allows it: network errors, 5xx responses and rate limits are, bad requests and key problems are not.
+ * @param {string} url The endpoint to call.
+ * @param {object} payload The request body, serialized as JSON.
+ * @param {Record<string, string>} [headers] Extra request headers.
+ * @param {AbortSignal} [signal] Cancels the request and any pending retries.
+ * @returns {Promise<any>} The parsed JSON response.
+ * @throws {ProviderError} When the call fails for good.
+ */
+export const postJson = async (url, payload, headers = {}, signal) => {
+	for (let attempt = 1; ; attempt++) {
+		let error;
+		try {
+			const response = await fetch(url, {
+				method: "POST",
+				headers: { "Content-Type": "application/json", ...headers },
+				body: JSON.stringify(payload),
+				signal,
+			});
+			if (response.ok) return await response.json();
+			error = await classifyResponse(response);
+		} catch (e) {
+			if (signal?.aborted) throw e;
+			// fetch rejects on DNS, connection and TLS failures; a body that stops mid-way lands here too.
+			error = new ProviderError("network", { detail: e.message });
+		}
+
+		const waitTooLong = error.retryAfterSeconds !== null && error.retryAfterSeconds > MAX_RETRY_AFTER_SECONDS;
+		if (attempt > ERROR_KINDS[error.kind].retries || waitTooLong) throw error;
+		console.warn(`LLM request failed (${error.kind}: ${error.detail}), retry ${attempt}.`);
+		await sleep(retryDelay(attempt, error.retryAfterSeconds), signal);
+	}
+};
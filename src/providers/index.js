@@ -0,0 +1,85 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createMockProvider } from "./mock.js";
+import { createOpenAIProvider } from "./openai.js";
+
+/**
+ * A file prepared for a generation request.
+ * @typedef {Object} EncodedFile
+ * @property {string} name The original file name.
+ * @property {string} mimeType The MIME type reported for the file.
+ * @property {string} data The file content, base64 encoded.
+ */
+
+/**
+ * Everything a provider needs to generate a question set.
+ * @typedef {Object} GenerationRequest
+ * @property {number} numQuestions How many questions to generate.
+ * @property {EncodedFile[]} files The source material.
+ * @property {typeof import("../quiz/settings.js").DEFAULT_SETTINGS} [settings] Subjects, chapters, difficulty mix and styles.
+ * @property {string[]} [avoid] Questions already generated from the same material, which must not be repeated.
+ */
+
+/**
+ * An LLM backend. Each step is separate so the payload and parsing can be inspected in isolation.
+ * @typedef {Object} Provider
+ * @property {string} name The provider identifier.
+ * @property {(request: GenerationRequest) => object} buildPayload Builds the provider-specific request body.
+ * @property {(payload: object, options?: { signal?: AbortSignal }) => Promise<any>} call Sends the payload and
+ *   resolves with the raw response. Aborting the signal cancels the call.
+ * @property {(result: any) => { questions: Array<object> }} extractQuestions Pulls the question set out of the response.
+ * @property {(request: SolveRequest) => object} buildSolvePayload Builds the request body for solving questions
+ *   without their keys (the answer-key check).
+ * @property {(result: any) => { answers: Array<object> }} extractAnswers Pulls the answers out of a solve response.
+ */
+
+/**
+ * Questions to be solved independently for the answer-key check. Their keys and solutions are never sent.
+ * @typedef {Object} SolveRequest
+ * @property {object[]} questions The questions, in the order the answers are indexed by.
+ */
+
+const factories = {
+	gemini: createGeminiProvider,
+	openai: createOpenAIProvider,
+	mock: createMockProvider,
+};
+
+/**
+ * Creates a provider by name.
+ * @param {string} name One of "gemini", "openai" or "mock".
+ * @param {object} [config] Provider-specific settings (apiKey, model, baseUrl...).
+ * @returns {Provider} The provider.
+ */
+export const createProvider = (name, config = {}) => {
+	const factory = factories[name];
+	if (!factory) {
+		throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(factories).join(", ")}.`);
+	}
+	return factory(config);
+};
+
+/**
+ * Runs a full generation round trip with the given provider.
+ * @param {Provider} provider The provider to use.
+ * @param {GenerationRequest} request The generation request.
+ * @param {{ signal?: AbortSignal }} [options] An abort signal for the provider call.
+ * @returns {Promise<{ questions: Array<object> }>} The generated question set.
+ */
+export const generateQuestions = async (provider, request, { signal } = {}) => {
+	const payload = provider.buildPayload(request);
+	const result = await provider.call(payload, { signal });
+	return provider.extractQuestions(result);
+};
+
+/**
+ * Has a provider solve questions without seeing their keys.
+ * @param {Provider} provider The provider to use.
+ * @param {SolveRequest} request The questions to solve.
+ * @param {{ signal?: AbortSignal }} [options] An abort signal for the provider call.
+ * @returns {Promise<{ answers: Array<object> }>} The model's answers, indexed by position in the request.
+ */
+export const solveQuestions = async (provider, request, { signal } = {}) => {
+	const payload = provider.buildSolvePayload(request);
+	const result = await provider.call(payload, { signal });
+	return provider.extractAnswers(result);
+};
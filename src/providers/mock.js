@@ -0,0 +1,66 @@
+import { mockQuestions } from "./mockQuestions.js";
+
+/**
+ * Creates a deterministic provider that serves canned questions without any network access.
+ * Successive calls continue through the canned list where the last one stopped, so chunked and
+ * top-up requests don't all repeat the first few questions. Solve requests answer the canned
+ * questions with their keys, and anything else with a low-confidence guess. Canned diagrams are only served when
+ * diagrams are on, and with figures on, the first question of a batch sent with images cites the first one as
+ * its figure, so cropping can be tried without a model.
+ * @param {{ latencyMs?: number }} [config] Provider settings. `latencyMs` simulates a slow model.
+ * @returns {import("./index.js").Provider} The mock provider.
+ */
+export const createMockProvider = ({ latencyMs = 300 } = {}) => {
+	let served = 0;
+
+	const buildPayload = (request) => ({
+		numQuestions: request.numQuestions,
+		subjects: request.settings?.subjects,
+		formats: request.settings?.formats,
+		diagrams: request.settings?.diagrams ?? false,
+		figureImages: request.settings?.figures
+			? request.files.filter(({ mimeType }) => mimeType.startsWith("image/")).length
+			: 0,
+	});
+
+	const buildSolvePayload = (request) => ({ solve: request.questions.map(({ questionText }) => questionText) });
+
+	const call = async (
+		{ numQuestions, subjects = [], formats = [], diagrams = false, figureImages = 0, solve },
+		{ signal } = {},
+	) => {
+		await new Promise((resolve) => setTimeout(resolve, latencyMs));
+		signal?.throwIfAborted();
+		if (solve) {
+			const answers = solve.map((questionText, index) => {
+				const known = mockQuestions.find((q) => q.questionText === questionText);
+				return known
+					? { index, answer: known.correctAnswer, confidence: 0.95, working: known.solution }
+					: { index, answer: "A", confidence: 0.25, working: "Guessed: not one of the canned questions." };
+			});
+			return { answers };
+		}
+		const matching = mockQuestions.filter(
+			(q) =>
+				(!subjects.length || subjects.includes(q.subject)) &&
+				(!formats.length || formats.includes(q.type)) &&
+				(diagrams || !q.diagram),
+		);
+		const pool = matching.length ? matching : mockQuestions;
+		const questions = Array.from({ length: numQuestions }, (_, i) => pool[(served + i) % pool.length]);
+		served += numQuestions;
+		if (figureImages && questions.length) {
+			questions[0] = {
+				...questions[0],
+				figure: { sourceImage: 1, box: [100, 100, 900, 900], caption: "Figure from the uploaded material" },
+			};
+		}
+		return { questions };
+	};
+
+	const extractQuestions = (result) => ({ questions: result.questions.map((q) => ({ ...q })) });
+
+	const extractAnswers = (result) => result;
+
+	return { name: "mock", buildPayload, buildSolvePayload, call, extractQuestions, extractAnswers };
+};
@@ -0,0 +1,192 @@
+// Canned NEET-style questions served by the mock provider.
+// Keep the answers correct: they double as fixtures when working on scoring and results.
+export const mockQuestions = [
+	{
+		type: "mcq",
+		questionText: "A body of mass 2 kg moving with a velocity of 3 m/s has a kinetic energy of:",
+		options: ["3 J", "6 J", "9 J", "18 J"],
+		correctAnswer: "C",
+		solution: "$KE = \\frac{1}{2}mv^2 = \\frac{1}{2} \\times 2 \\times 3^2 = 9\\,\\text{J}$.",
+		subject: "Physics",
+		chapter: "Work, Energy and Power",
+		difficulty: "easy",
+	},
+	{
+		type: "mcq",
+		questionText: "The SI unit of magnetic flux is:",
+		options: ["Tesla", "Weber", "Henry", "Gauss"],
+		correctAnswer: "B",
+		solution: "Magnetic flux is measured in weber (Wb), where 1 Wb = 1 T·m².",
+		subject: "Physics",
+		chapter: "Magnetism and Matter",
+		difficulty: "easy",
+	},
+	{
+		type: "mcq",
+		questionText: "The focal length of a concave mirror of radius of curvature 30 cm is:",
+		options: ["-15 cm", "-30 cm", "-60 cm", "+15 cm"],
+		correctAnswer: "A",
+		solution: "f = R/2. With the sign convention a concave mirror has R = -30 cm, so f = -15 cm.",
+		subject: "Physics",
+		chapter: "Ray Optics and Optical Instruments",
+		difficulty: "medium",
+	},
+	{
+		type: "mcq",
+		questionText: "Which of the following has the highest first ionisation enthalpy?",
+		options: ["Oxygen", "Nitrogen", "Carbon", "Boron"],
+		correctAnswer: "B",
+		solution:
+			"Nitrogen has a stable half-filled 2p³ configuration, so removing an electron needs more energy than from oxygen (2p⁴).",
+		subject: "Chemistry",
+		chapter: "Classification of Elements and Periodicity in Properties",
+		difficulty: "medium",
+	},
+	{
+		type: "mcq",
+		questionText: "The hybridisation of carbon in ethyne ($\\ce{C2H2}$) is:",
+		options: ["$sp^3$", "$sp^2$", "$sp$", "$dsp^2$"],
+		correctAnswer: "C",
+		solution: "Each carbon in ethyne forms one σ bond to H and a triple bond to C, giving linear sp hybridisation.",
+		subject: "Chemistry",
+		chapter: "Chemical Bonding and Molecular Structure",
+		difficulty: "easy",
+	},
+	{
+		type: "mcq",
+		questionText: "The number of moles in 36 g of water is:",
+		options: ["1", "2", "3", "4"],
+		correctAnswer: "B",
+		solution: "- Molar mass of $\\ce{H2O}$ = 18 g/mol\n- Moles = $\\frac{36\\,\\text{g}}{18\\,\\text{g mol}^{-1}} = 2$ mol",
+		subject: "Chemistry",
+		chapter: "Some Basic Concepts of Chemistry",
+		difficulty: "easy",
+	},
+	{
+		type: "mcq",
+		questionText: "The powerhouse of the cell is the:",
+		options: ["Golgi apparatus", "Ribosome", "Mitochondrion", "Lysosome"],
+		correctAnswer: "C",
+		solution: "Mitochondria are the site of aerobic respiration and produce most of the cell's ATP.",
+		subject: "Botany",
+		chapter: "Cell: The Unit of Life",
+		difficulty: "easy",
+	},
+	{
+		type: "mcq",
+		questionText: "Which plant hormone promotes cell division?",
+		options: ["Auxin", "Gibberellin", "Abscisic acid", "Cytokinin"],
+		correctAnswer: "D",
+		solution: "Cytokinins promote cytokinesis (cell division), especially in the presence of auxin.",
+		subject: "Botany",
+		chapter: "Plant Growth and Development",
+		difficulty: "medium",
+	},
+	{
+		type: "mcq",
+		questionText: "The functional unit of the kidney is the:",
+		options: ["Neuron", "Nephron", "Alveolus", "Villus"],
+		correctAnswer: "B",
+		solution: "Each human kidney contains about a million nephrons, which filter blood and form urine.",
+		subject: "Zoology",
+		chapter: "Excretory Products and their Elimination",
+		difficulty: "easy",
+	},
+	{
+		type: "mcq",
+		questionText: "In humans, the number of chromosomes in a somatic cell is:",
+		options: ["23", "44", "46", "48"],
+		correctAnswer: "C",
+		solution: "Human somatic cells are diploid with 23 pairs, i.e. 46 chromosomes.",
+		subject: "Zoology",
+		chapter: "Human Reproduction",
+		difficulty: "easy",
+	},
+	{
+		type: "assertion-reason",
+		questionText: "Given below are two statements: one is labelled as Assertion (A) and the other as Reason (R).",
+		assertion: "A satellite in a circular orbit around the Earth has zero total mechanical energy.",
+		reason: "The gravitational potential energy of the satellite is negative.",
+		options: [
+			"Both A and R are true and R is the correct explanation of A",
+			"Both A and R are true but R is NOT the correct explanation of A",
+			"A is true but R is false",
+			"A is false but R is true",
+		],
+		correctAnswer: "D",
+		solution:
+			"The total energy of a bound orbit is -GMm/2r, which is negative, so A is false. The potential energy -GMm/r is negative, so R is true.",
+		subject: "Physics",
+		chapter: "Gravitation",
+		difficulty: "medium",
+	},
+	{
+		type: "statement-pair",
+		questionText: "Given below are two statements.",
+		statements: [
+			"Buffer solutions resist a change in pH on adding small amounts of acid or base.",
+			"A mixture of a strong acid and its salt with a strong base acts as a buffer.",
+		],
+		options: [
+			"Both Statement I and Statement II are true",
+			"Both Statement I and Statement II are false",
+			"Statement I is true but Statement II is false",
+			"Statement I is false but Statement II is true",
+		],
+		correctAnswer: "C",
+		solution: "Buffers are made of a weak acid (or base) and its salt; a strong acid with its salt has no buffering action.",
+		subject: "Chemistry",
+		chapter: "Equilibrium",
+		difficulty: "medium",
+	},
+	{
+		type: "multiple-statements",
+		questionText: "How many of the following statements about C4 plants are correct?",
+		statements: [
+			"They show Kranz anatomy.",
+			"The primary CO2 acceptor is phosphoenolpyruvate.",
+			"They show high photorespiration.",
+			"RuBisCO is present in bundle sheath cells.",
+		],
+		options: ["One", "Two", "Three", "Four"],
+		correctAnswer: "C",
+		solution:
+			"C4 plants have Kranz anatomy, fix CO2 first on PEP, and keep RuBisCO in the bundle sheath. Photorespiration is negligible, so three statements are correct.",
+		subject: "Botany",
+		chapter: "Photosynthesis in Higher Plants",
+		difficulty: "medium",
+	},
+	{
+		type: "match-columns",
+		questionText: "Match List I with List II.",
+		listI: ["Thyroxine", "Insulin", "Melatonin", "Aldosterone"],
+		listII: ["Pineal gland", "Adrenal cortex", "Thyroid gland", "Pancreas"],
+		options: ["a-iii, b-iv, c-i, d-ii", "a-iii, b-iv, c-ii, d-i", "a-iv, b-iii, c-i, d-ii", "a-i, b-ii, c-iii, d-iv"],
+		correctAnswer: "A",
+		solution:
+			"Thyroxine comes from the thyroid, insulin from the pancreas, melatonin from the pineal gland and aldosterone from the adrenal cortex.",
+		subject: "Zoology",
+		chapter: "Chemical Coordination and Integration",
+		difficulty: "easy",
+	},
+	{
+		type: "mcq",
+		questionText: "In the circuit shown, the current drawn from the 12 V battery of negligible internal resistance is:",
+		diagram:
+			'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 250 140" font-family="sans-serif" font-size="12">' +
+			'<g fill="none" stroke="#000" stroke-width="2">' +
+			'<path d="M30 65 V30 H90 M130 30 H210 V55 M210 95 V120 H30 V85 M170 30 V55 M170 95 V120" />' +
+			'<path d="M18 65 H42 M24 85 H36" />' +
+			'<rect x="90" y="22" width="40" height="16" />' +
+			'<rect x="162" y="55" width="16" height="40" /><rect x="202" y="55" width="16" height="40" /></g>' +
+			'<text x="100" y="16">3 Ω</text><text x="140" y="79">6 Ω</text><text x="222" y="79">6 Ω</text>' +
+			'<text x="46" y="79">12 V</text></svg>',
+		options: ["1 A", "2 A", "4 A", "0.8 A"],
+		correctAnswer: "B",
+		solution:
+			"The two $\\pu{6 ohm}$ resistors in parallel give $\\pu{3 ohm}$, in series with $\\pu{3 ohm}$: $R = \\pu{6 ohm}$, so $I = \\frac{V}{R} = \\frac{12}{6} = \\pu{2 A}$.",
+		subject: "Physics",
+		chapter: "Current Electricity",
+		difficulty: "easy",
+	},
+];
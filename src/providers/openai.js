@@ -0,0 +1,78 @@
+import { ProviderError } from "./errors.js";
+import { postJson } from "./http.js";
+import { buildPrompt, buildSolvePrompt, describeAnswerSchema, describeSchema, parseModelJson } from "./prompt.js";
+
+const DEFAULT_BASE_URL = "http://localhost:11434/v1"; // Ollama's OpenAI-compatible endpoint
+const DEFAULT_MODEL = "llama3.2-vision";
+
+/**
+ * Decodes base64 file data as UTF-8 text.
+ * @param {string} data The base64 string.
+ * @returns {string} The decoded text.
+ */
+const decodeBase64Text = (data) => new TextDecoder().decode(Uint8Array.from(atob(data), (c) => c.charCodeAt(0)));
+
+/**
+ * Converts an uploaded file into a chat message content part.
+ * Chat completion APIs only understand text and images, so anything else is rejected.
+ * @param {{ name: string, mimeType: string, data: string }} file The encoded file.
+ * @returns {object} The content part.
+ */
+const toContentPart = (file) => {
+	if (file.mimeType.startsWith("image/")) {
+		return { type: "image_url", image_url: { url: `data:${file.mimeType};base64,${file.data}` } };
+	}
+	if (file.mimeType.startsWith("text/") || file.mimeType === "application/json") {
+		return { type: "text", text: `File "${file.name}":\n${decodeBase64Text(file.data)}` };
+	}
+	throw new Error(`The OpenAI-compatible provider cannot read "${file.name}" (${file.mimeType || "unknown type"}).`);
+};
+
+/**
+ * Creates a provider for OpenAI-compatible chat completion APIs (OpenAI, Ollama, LM Studio, vLLM...).
+ * @param {{ apiKey?: string, model?: string, baseUrl?: string }} config Provider settings.
+ * @returns {import("./index.js").Provider} The OpenAI-compatible provider.
+ */
+export const createOpenAIProvider = ({ apiKey = "", model = DEFAULT_MODEL, baseUrl = DEFAULT_BASE_URL }) => {
+	const url = `${baseUrl.replace(/\/$/, "")}/chat/completions`;
+
+	const buildPayload = (request) => ({
+		model,
+		messages: [
+			{
+				role: "user",
+				content: [{ type: "text", text: buildPrompt(request) + describeSchema() }, ...request.files.map(toContentPart)],
+			},
+		],
+		response_format: { type: "json_object" },
+	});
+
+	const buildSolvePayload = (request) => ({
+		model,
+		messages: [{ role: "user", content: buildSolvePrompt(request) + describeAnswerSchema() }],
+		response_format: { type: "json_object" },
+	});
+
+	const call = (payload, { signal } = {}) =>
+		postJson(url, payload, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, signal);
+
+	const extractJson = (result) => {
+		const choice = result.choices?.[0];
+		if (choice?.finish_reason === "content_filter" || choice?.message?.refusal) {
+			throw new ProviderError("safety", { detail: choice.message?.refusal || "finish_reason content_filter" });
+		}
+		if (choice?.finish_reason === "length") {
+			throw new ProviderError("truncated", { detail: "finish_reason length" });
+		}
+		return parseModelJson(choice?.message?.content ?? "");
+	};
+
+	return {
+		name: "openai",
+		buildPayload,
+		buildSolvePayload,
+		call,
+		extractQuestions: extractJson,
+		extractAnswers: extractJson,
+	};
+};
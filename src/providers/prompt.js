@@ -0,0 +1,294 @@
+// Provider-agnostic pieces of a generation request: the instruction text and
+// the JSON contract every provider is asked to return. The same for the answer-key check,
+// where the model solves finished questions without being shown their keys.
+import { BOX_SCALE, MAX_DIAGRAM_CHARS } from "../quiz/figures.js";
+import { QUESTION_FORMATS, questionStemLines } from "../quiz/formats.js";
+import { allocateByDifficulty, DEFAULT_SETTINGS, DIFFICULTIES, QUESTION_STYLES } from "../quiz/settings.js";
+import { parseChapterKey, SUBJECTS } from "../quiz/syllabus.js";
+import { ProviderError } from "./errors.js";
+
+/**
+ * The expected JSON structure for the model response.
+ * Expressed in the OpenAPI subset Gemini's `responseSchema` accepts; other providers
+ * receive it as a plain description inside the prompt.
+ */
+export const responseSchema = {
+	type: "OBJECT",
+	properties: {
+		questions: {
+			type: "ARRAY",
+			items: {
+				type: "OBJECT",
+				properties: {
+					type: { type: "STRING", enum: QUESTION_FORMATS.map(({ id }) => id) },
+					questionText: { type: "STRING" },
+					assertion: { type: "STRING" },
+					reason: { type: "STRING" },
+					statements: { type: "ARRAY", items: { type: "STRING" } },
+					listI: { type: "ARRAY", items: { type: "STRING" } },
+					listII: { type: "ARRAY", items: { type: "STRING" } },
+					options: {
+						type: "ARRAY",
+						items: { type: "STRING" },
+						minItems: 4,
+						maxItems: 4,
+					},
+					correctAnswer: { type: "STRING", enum: ["A", "B", "C", "D"] },
+					solution: { type: "STRING" },
+					subject: { type: "STRING", enum: SUBJECTS },
+					chapter: { type: "STRING" },
+					difficulty: { type: "STRING", enum: DIFFICULTIES },
+					sourcePage: { type: "INTEGER" },
+					figure: {
+						type: "OBJECT",
+						properties: {
+							sourceImage: { type: "INTEGER" },
+							box: { type: "ARRAY", items: { type: "INTEGER" }, minItems: 4, maxItems: 4 },
+							caption: { type: "STRING" },
+						},
+						required: ["sourceImage", "box", "caption"],
+					},
+					diagram: { type: "STRING" },
+				},
+				required: ["type", "questionText", "options", "correctAnswer", "solution", "subject", "chapter", "difficulty"],
+			},
+		},
+	},
+};
+
+/**
+ * Describes the chosen subjects, chapters, difficulty mix and styles for the prompt.
+ * @param {number} numQuestions How many questions are being requested.
+ * @param {typeof DEFAULT_SETTINGS} settings The normalized generation settings.
+ * @returns {string} The constraint lines.
+ */
+const describeSettings = (numQuestions, settings) => {
+	const lines = [`Only generate questions from these NEET subjects: ${settings.subjects.join(", ")}.`];
+
+	if (settings.chapters.length) {
+		const chapters = settings.chapters.map((key) => {
+			const { subject, chapter } = parseChapterKey(key);
+			return `${chapter} (${subject})`;
+		});
+		lines.push(`Restrict every question to these NCERT chapters: ${chapters.join("; ")}.`);
+	}
+
+	const counts = allocateByDifficulty(numQuestions, settings.difficultyMix);
+	lines.push(
+		`Difficulty mix: ${DIFFICULTIES.map((level) => `${counts[level]} ${level}`).join(", ")} question(s).`,
+	);
+
+	const styles = QUESTION_STYLES.filter(({ id }) => settings.styles.includes(id)).map(({ prompt }) => prompt);
+	lines.push(`Use a mix of these question styles: ${styles.join("; ")}.`);
+
+	const formats = QUESTION_FORMATS.filter(({ id }) => settings.formats.includes(id));
+	lines.push(
+		`Use these question formats, setting "type" on each question accordingly:\n${formats.map(({ prompt }) => `- ${prompt}`).join("\n")}`,
+	);
+
+	lines.push(
+		`Tag every question with its subject (${SUBJECTS.join(", ")}), the exact NCERT chapter name, and its difficulty (${DIFFICULTIES.join(", ")}).`,
+	);
+	return lines.join("\n");
+};
+
+/**
+ * Lists questions already generated from the same material, so a follow-up batch doesn't repeat them.
+ * @param {string[]} avoid The earlier questions' stems.
+ * @returns {string} The instruction lines, or "" when there are none.
+ */
+const describeAvoided = (avoid) =>
+	avoid.length
+		? `Do not repeat or rephrase these questions, which were already generated:\n${avoid.map((text) => `- ${text}`).join("\n")}\n`
+		: "";
+
+/**
+ * Describes the weak areas of an adaptive request: chapters to weight towards and concepts answered wrongly
+ * before, which are to be tested again in new questions.
+ * @param {{ chapters: { subject: string, chapter: string, accuracy: number | null }[], concepts: string[] } | null}
+ *   focus The weak areas.
+ * @returns {string} The instruction lines, or "" when there are none.
+ */
+const describeFocus = (focus) => {
+	if (!focus) return "";
+	const lines = [];
+	if (focus.chapters.length) {
+		const chapters = focus.chapters.map(
+			({ subject, chapter, accuracy }) =>
+				`${subject}: ${chapter}${accuracy === null ? "" : ` (${accuracy}% answered correctly so far)`}`,
+		);
+		lines.push(
+			"The student is weak in these chapters. Where the material covers them, base about half of the questions on",
+			`them, spread across them:\n${chapters.map((text) => `- ${text}`).join("\n")}`,
+		);
+	}
+	if (focus.concepts.length) {
+		lines.push(
+			"The student answered these questions wrongly before. Test the same concepts again where the material covers",
+			"them, with new questions that approach them differently, without repeating these:",
+			focus.concepts.map((text) => `- ${text}`).join("\n"),
+		);
+	}
+	return `${lines.join("\n")}\n`;
+};
+
+/**
+ * Asks for LaTeX, mhchem and Markdown, which the quiz renders (and the text exports degrade to Unicode).
+ * JSON needs every backslash doubled; `parseModelJson` repairs the common slips anyway.
+ */
+const NOTATION_INSTRUCTIONS = `
+Write all mathematics in LaTeX between single dollar signs, for example $\\frac{1}{2}mv^2$ or $\\lambda = \\frac{h}{p}$,
+and use $$...$$ only for a displayed equation in a solution. Write chemical formulas and equations with mhchem,
+for example $\\ce{H2SO4}$, $\\ce{SO4^2-}$ or $\\ce{N2 + 3H2 <=> 2NH3}$, and quantities with units as $\\pu{9.8 m s^-2}$.
+Solutions may use Markdown: **bold**, bulleted or numbered lists, and tables.
+This is JSON, so escape every backslash: write "\\\\frac", not "\\frac".`;
+
+/**
+ * Asks for questions about figures on the attached page images, cited so the app can crop them.
+ * Only sent when figures are on and the request has images.
+ */
+const FIGURE_INSTRUCTIONS = `
+Some of the material is attached as images, listed under "[Images]" at the end of the text. Where an image has a
+diagram, graph, structure or labelled figure worth testing, some questions may be about it. For those, set
+"figure" to {"sourceImage": the image's number in that list, "box": [ymin, xmin, ymax, xmax] around just the figure
+on a 0–${BOX_SCALE} scale, "caption": a short caption that doesn't give the answer away}. The cropped figure is shown
+with the question, so refer to "the figure" instead of describing it. Leave "figure" out of every other question.`;
+
+/**
+ * Allows the model to draw its own diagrams as SVG, which the app checks and shows as an image.
+ */
+const DIAGRAM_INSTRUCTIONS = `
+Where a diagram makes a question clearer (a circuit, a ray diagram, an apparatus, a graph, a structure), you may
+draw it in "diagram" as one self-contained <svg> element with a viewBox, under ${MAX_DIAGRAM_CHARS} characters,
+black on a white or transparent background. Use only shapes, paths and <text>: no scripts, event handlers,
+<image> elements or links to anything outside the SVG. Make sure every label and value in the drawing agrees
+with the question and its answer. Leave "diagram" out when a question doesn't need one.`;
+
+/**
+ * Builds the instruction text sent ahead of the uploaded files.
+ * @param {{ numQuestions: number, settings?: typeof DEFAULT_SETTINGS, avoid?: string[], files?: { mimeType: string }[] }}
+ *   request The generation request. Figure questions are only asked for when its files include images.
+ * @returns {string} The prompt text.
+ */
+export const buildPrompt = ({ numQuestions, settings = DEFAULT_SETTINGS, avoid = [], files = [] }) => `
+From the following files, generate ${numQuestions} NEET-level multiple-choice questions.
+For each question, provide 4 distinct options (A, B, C, D) and a single correct answer, whatever its format.
+Give the correct answer as the option letter only (A, B, C or D), and do not prefix options with their letter.
+Make sure there is exactly the amount of questions as specified above.
+Also, provide a detailed solution/explanation for the correct answer.
+${NOTATION_INSTRUCTIONS}
+
+The questions must strictly adhere to the NEET syllabus.
+${describeSettings(numQuestions, settings)}
+${describeFocus(settings.focus)}
+The questions should cover key concepts from the provided content.
+The material is marked with headers such as "[Page 12]", "[Slide 3]" or "[Section 2]". Set "sourcePage" on each
+question to the number in the header of the part it is based on.
+${settings.figures && files.some(({ mimeType }) => mimeType.startsWith("image/")) ? FIGURE_INSTRUCTIONS : ""}
+${settings.diagrams ? DIAGRAM_INSTRUCTIONS : ""}
+${describeAvoided(avoid)}
+The response must be in a specific JSON format to be parsed correctly.
+Do not include any other text or markdown outside of the JSON.
+`;
+
+/**
+ * Describes the response schema in words, for providers without native schema support.
+ * @returns {string} A JSON shape example to append to the prompt.
+ */
+export const describeSchema = () => `
+Respond with a single JSON object of this exact shape:
+{"questions": [{"type": string, "questionText": string, "assertion"?: string, "reason"?: string, "statements"?: [string], "listI"?: [string], "listII"?: [string], "options": [string, string, string, string], "correctAnswer": "A" | "B" | "C" | "D", "solution": string, "subject": string, "chapter": string, "difficulty": "easy" | "medium" | "hard", "sourcePage"?: number, "figure"?: {"sourceImage": number, "box": [number, number, number, number], "caption": string}, "diagram"?: string}]}
+`;
+
+/**
+ * The expected JSON structure when the model solves questions for the answer-key check.
+ */
+export const answerSchema = {
+	type: "OBJECT",
+	properties: {
+		answers: {
+			type: "ARRAY",
+			items: {
+				type: "OBJECT",
+				properties: {
+					index: { type: "INTEGER" },
+					answer: { type: "STRING", enum: ["A", "B", "C", "D"] },
+					confidence: { type: "NUMBER" },
+					working: { type: "STRING" },
+				},
+				required: ["index", "answer", "confidence", "working"],
+			},
+		},
+	},
+};
+
+/**
+ * Builds the instruction text for solving questions independently. The keys and solutions are
+ * left out so the model works each question out for itself.
+ * @param {{ questions: object[] }} request The questions to solve.
+ * @returns {string} The prompt text.
+ */
+export const buildSolvePrompt = ({ questions }) => `
+You are checking the answer keys of NEET multiple-choice questions. Solve each question below yourself.
+For every question give its index, the letter of the single correct option (A, B, C or D), your confidence
+that this option is correct as a number from 0 to 1, and a concise worked solution.
+If a question has no correct option or more than one, pick the best one and give a low confidence.
+
+${questions
+	.map(
+		(question, index) =>
+			`Question ${index}:\n${questionStemLines(question).join("\n")}\n` +
+			question.options.map((option, i) => `${String.fromCharCode(65 + i)}. ${option}`).join("\n"),
+	)
+	.join("\n\n")}
+
+The response must be in a specific JSON format to be parsed correctly.
+Do not include any other text or markdown outside of the JSON.
+`;
+
+/**
+ * Describes the answer schema in words, for providers without native schema support.
+ * @returns {string} A JSON shape example to append to the solve prompt.
+ */
+export const describeAnswerSchema = () => `
+Respond with a single JSON object of this exact shape:
+{"answers": [{"index": number, "answer": "A" | "B" | "C" | "D", "confidence": number, "working": string}]}
+`;
+
+// LaTeX commands that begin with a valid JSON escape letter, so "\frac" written with one backslash
+// silently parses as a form feed plus "rac". Newline + ordinary words ("\nThe") are left alone.
+const ESCAPE_LOOKALIKE =
+	/^(?:[dt]?frac|times|text\w*|theta|tau|to|tan|tanh|triangle|nu|neq|nabla|neg|not|right\w*|rho|rm|bar|beta|bf|big\w*)$/;
+
+/**
+ * Doubles backslashes that the model forgot to escape in LaTeX: before characters JSON can't escape
+ * at all (\alpha, \ce, \{, \,) and before LaTeX commands that look like JSON escapes (\frac, \times).
+ * @param {string} json The raw JSON text.
+ * @returns {string} The repaired text. Valid escapes, including "\\", are kept.
+ */
+const repairLatexEscapes = (json) =>
+	json.replace(/\\(\\|u[0-9a-fA-F]{4}|[a-zA-Z]+|[^])/g, (escape, rest) => {
+		if (rest === "\\" || /^u[0-9a-fA-F]{4}$/.test(rest) || rest === '"' || rest === "/") return escape;
+		if (/^[bfnrt]/.test(rest) && !ESCAPE_LOOKALIKE.test(rest)) return escape;
+		return `\\${escape}`;
+	});
+
+/**
+ * Parses the JSON text returned by a model.
+ * Tolerates a surrounding markdown code fence, which some models add despite instructions, and
+ * LaTeX backslashes that weren't escaped.
+ * @param {string} text The raw model output.
+ * @returns {any} The parsed object: a question set, or the answers from a solve request.
+ * @throws {ProviderError} A "truncated" error if the text is not valid JSON.
+ */
+export const parseModelJson = (text) => {
+	const unfenced = text
+		.trim()
+		.replace(/^```(?:json)?\s*/i, "")
+		.replace(/\s*```$/, "");
+	try {
+		return JSON.parse(repairLatexEscapes(unfenced));
+	} catch (e) {
+		throw new ProviderError("truncated", { detail: `${e.message} (${unfenced.length} characters)` });
+	}
+};
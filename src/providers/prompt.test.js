@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { ProviderError } from "./errors.js";
+import { parseModelJson } from "./prompt.js";
+
+describe("parseModelJson", () => {
+	it("parses plain and code-fenced JSON", () => {
+		expect(parseModelJson('{"questions": []}')).toEqual({ questions: [] });
+		expect(parseModelJson('```json\n{"questions": [1]}\n```')).toEqual({ questions: [1] });
+	});
+
+	it("keeps LaTeX commands whose backslashes weren't escaped", () => {
+		const { questionText } = parseModelJson(String.raw`{"questionText": "Find $\frac{1}{2} \times \theta$ and \nu"}`);
+		expect(questionText).toBe(String.raw`Find $\frac{1}{2} \times \theta$ and \nu`);
+	});
+
+	it("still reads real escapes", () => {
+		expect(parseModelJson(String.raw`{"text": "line\nnext \"quoted\" °"}`).text).toBe('line\nnext "quoted" °');
+	});
+
+	it("reports cut-off output as truncated", () => {
+		let error;
+		try {
+			parseModelJson('{"questions": [{"questionText": "Wh');
+		} catch (e) {
+			error = e;
+		}
+		expect(error).toBeInstanceOf(ProviderError);
+		expect(error.kind).toBe("truncated");
+	});
+});
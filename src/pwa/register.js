@@ -0,0 +1,14 @@
+// Installs the app for offline use.
+
+/**
+ * Registers the service worker built alongside the app, so it can be installed and opened offline, and asks
+ * the browser to keep the app's storage, so saved quizzes and the bank aren't cleared to free space.
+ * Development builds skip this: the dev server's modules change on every edit and aren't precached.
+ */
+export const registerServiceWorker = () => {
+	if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+	window.addEventListener("load", () => {
+		navigator.serviceWorker.register("/sw.js").catch((e) => console.warn("Offline support unavailable:", e));
+	});
+	navigator.storage?.persist?.().catch(() => {});
+};
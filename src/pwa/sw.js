@@ -0,0 +1,90 @@
+// The service worker that lets the app open and run offline. It is built by the `serviceWorker` plugin in
+// vite.config.js, which fills in the build's version and file list below. Quizzes, the bank and reviews live in
+// IndexedDB and need nothing from here; this keeps the app itself available.
+
+const { version, files } = self.__PRECACHE__;
+const CACHE_NAME = `neet-quiz-${version}`;
+
+// What a built file's Content-Type must be for each kind of request, so an error page or the app shell sent in
+// place of a missing file is never cached under the file's name.
+const DESTINATION_TYPES = {
+	script: /javascript/,
+	style: /^text\/css/,
+	font: /^font\//,
+	image: /^image\//,
+	manifest: /json/,
+};
+
+// Every file of this build is fetched up front, so lazily loaded parts (PDF reading, KaTeX, exports) work
+// offline even if they were never opened online. A new build's worker waits until no tab runs the old build,
+// since those tabs still load the old build's files from its cache.
+self.addEventListener("install", (event) => {
+	event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(files)));
+});
+
+// Older builds' caches are dropped once this one takes over, which is when nothing uses them any more.
+self.addEventListener("activate", (event) => {
+	event.waitUntil(
+		caches
+			.keys()
+			.then((names) =>
+				Promise.all(
+					names.filter((name) => name.startsWith("neet-quiz-") && name !== CACHE_NAME).map((name) => caches.delete(name)),
+				),
+			),
+	);
+});
+
+/**
+ * Tells whether a response is the file a request asked for, and worth caching.
+ * @param {Request} request The request.
+ * @param {Response} response The response.
+ * @returns {boolean} Whether it can be cached.
+ */
+const isCacheable = (request, response) => {
+	if (!response.ok) return false;
+	const type = response.headers.get("Content-Type") ?? "";
+	const expected = DESTINATION_TYPES[request.destination];
+	return expected ? expected.test(type) : !type.startsWith("text/html");
+};
+
+/**
+ * Answers a page load from the network when it can, so a new build is picked up, and from the cached app
+ * shell when offline. Shared-quiz links carry their quiz in the fragment, which never reaches here.
+ * @param {Request} request The navigation request.
+ * @returns {Promise<Response>} The page.
+ */
+const navigate = async (request) => {
+	try {
+		return await fetch(request);
+	} catch (e) {
+		const cached = await caches.match("/", { cacheName: CACHE_NAME });
+		if (cached) return cached;
+		throw e;
+	}
+};
+
+/**
+ * Answers a request for a built file from the cache; their names change with their contents, so a cached copy
+ * is never stale. Anything not precached is fetched and kept for next time.
+ * @param {Request} request The request.
+ * @returns {Promise<Response>} The file.
+ */
+const cacheFirst = async (request) => {
+	const cached = await caches.match(request, { cacheName: CACHE_NAME });
+	if (cached) return cached;
+	const response = await fetch(request);
+	if (isCacheable(request, response)) {
+		const copy = response.clone();
+		caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+	}
+	return response;
+};
+
+self.addEventListener("fetch", (event) => {
+	const { request } = event;
+	const url = new URL(request.url);
+	// The API is never cached: generation and the class server must be live, and the app queues what can wait.
+	if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+	event.respondWith(request.mode === "navigate" ? navigate(request) : cacheFirst(request));
+});
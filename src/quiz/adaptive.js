@@ -0,0 +1,194 @@
+// Adaptive generation: aims a new quiz at the student's weak chapters and recently missed concepts, and pitches
+// its difficulty to their recent accuracy. In rounds mode the quiz is generated a block at a time, and each block
+// is made harder or easier depending on how the one before it went.
+import { analyzeAttempts } from "./analytics.js";
+import { isCorrectAnswer } from "./formats.js";
+import { DIFFICULTIES, MAX_FOCUS_CHAPTERS, MAX_FOCUS_CONCEPTS } from "./settings.js";
+import { chapterKey, findChapter } from "./syllabus.js";
+
+// How many of the most recent attempts the adaptation looks at, and how many answered questions it needs
+// before it moves the difficulty away from what was asked for.
+const RECENT_ATTEMPTS = 10;
+const MIN_ATTEMPTED = 10;
+
+// Difficulty mix for each band of recent accuracy: mostly easy while struggling, mostly hard once comfortable.
+const MIX_BANDS = [
+	{ below: 40, mix: { easy: 50, medium: 40, hard: 10 } },
+	{ below: 60, mix: { easy: 35, medium: 45, hard: 20 } },
+	{ below: 80, mix: { easy: 20, medium: 50, hard: 30 } },
+	{ below: Infinity, mix: { easy: 10, medium: 40, hard: 50 } },
+];
+
+// A round at or above this accuracy makes the next one harder; below the lower bound, easier.
+export const ROUND_HARDER_AT = 80;
+export const ROUND_EASIER_BELOW = 50;
+// Percentage points moved one difficulty level up or down between rounds.
+const ROUND_SHIFT = 20;
+// Rounds are a quarter of the quiz, but never fewer questions than this.
+const MIN_ROUND_SIZE = 5;
+
+/**
+ * What past attempts say about the student.
+ * @typedef {Object} Profile
+ * @property {number} attempted Questions answered in the recent attempts.
+ * @property {number} accuracy Accuracy on them, as a percentage.
+ * @property {import("./analytics.js").Analytics["weakChapters"]} weakChapters Weak chapters, weakest first.
+ * @property {{ subject: string, chapter: string, text: string }[]} missed Questions answered wrongly, newest first.
+ */
+
+/**
+ * Progress of a quiz generated in rounds, stored on the quiz record.
+ * @typedef {Object} Rounds
+ * @property {number} total The number of questions the quiz was asked for.
+ * @property {number} size Questions per round.
+ * @property {{ end: number, difficultyMix: Record<string, number>, previousAccuracy?: number }[]} list The rounds
+ *   so far: where each ends in the question list, the mix it was generated with, and the accuracy on the round
+ *   before it that the mix was chosen from.
+ */
+
+/**
+ * Sums up the most recent attempts.
+ * @param {object[]} attempts The stored attempts.
+ * @param {object[]} quizzes The stored quizzes.
+ * @returns {Profile} The profile.
+ */
+export const profileFromHistory = (attempts, quizzes) => {
+	const recent = [...attempts].sort((a, b) => b.submittedAt - a.submittedAt).slice(0, RECENT_ATTEMPTS);
+	const { overall, weakChapters } = analyzeAttempts(recent, quizzes);
+	const quizzesById = new Map(quizzes.map((quiz) => [quiz.id, quiz]));
+	const missed = [];
+	for (const attempt of recent) {
+		const questions = quizzesById.get(attempt.quizId)?.questions ?? [];
+		questions.forEach((question, index) => {
+			const answer = attempt.answers[index];
+			if (!answer || (attempt.results.excludeFlagged && question.flag) || isCorrectAnswer(question, answer)) return;
+			missed.push({ subject: question.subject, chapter: question.chapter ?? "", text: question.questionText });
+		});
+	}
+	return { attempted: overall.attempted, accuracy: overall.accuracy, weakChapters, missed };
+};
+
+/**
+ * Picks the difficulty mix for a level of accuracy.
+ * @param {number} accuracy Accuracy as a percentage.
+ * @returns {Record<string, number>} The mix.
+ */
+export const mixForAccuracy = (accuracy) => ({ ...MIX_BANDS.find(({ below }) => accuracy < below).mix });
+
+/**
+ * Points generation settings at the student's weak areas within the subjects and chapters they chose.
+ * The difficulty mix is only replaced once there are enough answers to judge by; until then the
+ * settings are returned with no focus.
+ * @param {ReturnType<typeof import("./settings.js").normalizeSettings>} settings The chosen settings.
+ * @param {Profile | null} profile The student's profile, or null if history couldn't be read.
+ * @returns {ReturnType<typeof import("./settings.js").normalizeSettings>} The adapted settings.
+ */
+export const adaptSettings = (settings, profile) => {
+	if (!profile || profile.attempted < MIN_ATTEMPTED) return { ...settings, focus: null };
+	const inScope = ({ subject, chapter }) => {
+		if (!settings.subjects.includes(subject)) return false;
+		if (!settings.chapters.length) return true;
+		const canonical = findChapter(subject, chapter);
+		return Boolean(canonical) && settings.chapters.includes(chapterKey(subject, canonical));
+	};
+	const chapters = profile.weakChapters
+		.filter(inScope)
+		.slice(0, MAX_FOCUS_CHAPTERS)
+		.map(({ subject, chapter, accuracy }) => ({ subject, chapter, accuracy: Math.round(accuracy) }));
+	const concepts = [...new Set(profile.missed.filter(inScope).map(({ text }) => text))].slice(0, MAX_FOCUS_CONCEPTS);
+	return {
+		...settings,
+		difficultyMix: mixForAccuracy(profile.accuracy),
+		focus: chapters.length || concepts.length ? { chapters, concepts } : null,
+	};
+};
+
+/**
+ * Says how a quiz was adapted, for the notice shown when it arrives.
+ * @param {Profile | null} profile The profile the settings were adapted from.
+ * @param {{ focus: object | null }} settings The adapted settings.
+ * @returns {string} A sentence, with a trailing space.
+ */
+export const describeAdaptation = (profile, settings) => {
+	if (!profile || profile.attempted < MIN_ATTEMPTED) {
+		return "Too few past answers to adapt to yet, so your settings were used as chosen. ";
+	}
+	const accuracy = `pitched at your recent ${Math.round(profile.accuracy)}% accuracy`;
+	return settings.focus ? `Aimed at your weak areas and ${accuracy}. ` : `No weak areas in these chapters; ${accuracy}. `;
+};
+
+/**
+ * Moves a difficulty mix one step harder or easier, depending on the accuracy on the last round.
+ * @param {Record<string, number>} mix The last round's mix.
+ * @param {number} accuracy Accuracy on the last round, as a percentage.
+ * @returns {Record<string, number>} The next round's mix, as percentages.
+ */
+export const nextRoundMix = (mix, accuracy) => {
+	const total = DIFFICULTIES.reduce((sum, level) => sum + mix[level], 0) || 1;
+	const next = Object.fromEntries(DIFFICULTIES.map((level) => [level, (mix[level] / total) * 100]));
+	const direction = accuracy >= ROUND_HARDER_AT ? 1 : accuracy < ROUND_EASIER_BELOW ? -1 : 0;
+	if (!direction) return mix;
+	// Harder: move from easy to medium and medium to hard, hardest pair first so the moves don't compound.
+	const levels = direction > 0 ? [...DIFFICULTIES].reverse() : DIFFICULTIES;
+	for (let i = 1; i < levels.length; i++) {
+		const moved = Math.min(ROUND_SHIFT, next[levels[i]]);
+		next[levels[i]] -= moved;
+		next[levels[i - 1]] += moved;
+	}
+	return Object.fromEntries(DIFFICULTIES.map((level) => [level, Math.round(next[level])]));
+};
+
+/**
+ * Works out the size of a round.
+ * @param {number} numQuestions The number of questions in the whole quiz.
+ * @returns {number} Questions per round.
+ */
+export const roundSize = (numQuestions) => Math.min(numQuestions, Math.max(MIN_ROUND_SIZE, Math.ceil(numQuestions / 4)));
+
+/**
+ * Starts the round record for a quiz, once its first round has arrived.
+ * @param {number} total The number of questions asked for.
+ * @param {Record<string, number>} difficultyMix The first round's mix.
+ * @param {number} received How many questions the first round produced.
+ * @returns {Rounds} The round record.
+ */
+export const startRounds = (total, difficultyMix, received) => ({
+	total,
+	size: roundSize(total),
+	list: [{ end: received, difficultyMix }],
+});
+
+/**
+ * Plans the next round of a quiz generated in rounds, from the answers to the last one.
+ * @param {{ rounds?: Rounds, settings: object }} quiz The quiz record.
+ * @param {object[]} questions The questions so far.
+ * @param {object} answers The answers so far, by question index.
+ * @returns {{ count: number, answered: number, pending: number, accuracy: number, settings: object } | null}
+ *   The next round: how many questions to generate, how many of the last round's questions are answered and
+ *   still unanswered, the accuracy on them, and the settings to generate with. Null if the quiz is complete.
+ */
+export const planNextRound = (quiz, questions, answers) => {
+	const { rounds, settings } = quiz;
+	if (!rounds?.list.length || questions.length >= rounds.total) return null;
+	const last = rounds.list.at(-1);
+	const start = rounds.list.at(-2)?.end ?? 0;
+	const indices = questions.slice(start, last.end).map((_, offset) => start + offset);
+	const answered = indices.filter((index) => answers[index]);
+	const missed = answered.filter((index) => !isCorrectAnswer(questions[index], answers[index]));
+	const accuracy = answered.length ? ((answered.length - missed.length) / answered.length) * 100 : 0;
+	// The concepts just missed come first, so the next round revisits them.
+	const concepts = [
+		...new Set([...missed.map((index) => questions[index].questionText), ...(settings.focus?.concepts ?? [])]),
+	].slice(0, MAX_FOCUS_CONCEPTS);
+	return {
+		count: Math.min(rounds.size, rounds.total - questions.length),
+		answered: answered.length,
+		pending: indices.length - answered.length,
+		accuracy,
+		settings: {
+			...settings,
+			difficultyMix: nextRoundMix(last.difficultyMix, accuracy),
+			focus: settings.focus || concepts.length ? { chapters: settings.focus?.chapters ?? [], concepts } : null,
+		},
+	};
+};
@@ -0,0 +1,148 @@
+// Performance across stored attempts: the score trend, accuracy by subject, chapter and difficulty,
+// time per question, and the chapters that need revision. Everything is recomputed from the attempts'
+// answers and the quizzes' current questions, so edits and flags made since are reflected.
+import { countAnswer, emptyTally, UNTAGGED, withAccuracy } from "./scoring.js";
+import { DIFFICULTIES } from "./settings.js";
+import { chapterKey, findChapter, SUBJECTS } from "./syllabus.js";
+
+// A chapter is weak when at least this many of its questions were attempted, with accuracy below this.
+export const WEAK_MIN_ATTEMPTED = 3;
+export const WEAK_ACCURACY = 60;
+// How many chapters the most-missed list shows.
+const MOST_MISSED_COUNT = 5;
+
+/**
+ * One point of the score trend.
+ * @typedef {Object} TrendPoint
+ * @property {string} attemptId The attempt.
+ * @property {string} quizId Its quiz.
+ * @property {number} submittedAt When it was submitted.
+ * @property {number} percent Marks as a percentage of the maximum.
+ * @property {number} accuracy Accuracy on attempted questions, as a percentage.
+ * @property {number} marks The marks scored.
+ * @property {number} maxMarks The maximum marks.
+ */
+
+/**
+ * A tally with accuracy and time, for a subject, chapter, difficulty or everything.
+ * @typedef {ReturnType<typeof withAccuracy> & { seconds: number, timed: number, averageSeconds: number | null }} GroupStats
+ */
+
+/**
+ * Performance across attempts.
+ * @typedef {Object} Analytics
+ * @property {number} attempts How many attempts were analysed.
+ * @property {TrendPoint[]} trend The attempts' scores, oldest first.
+ * @property {GroupStats} overall Every answered question together.
+ * @property {Record<string, GroupStats>} bySubject Per subject, in syllabus order.
+ * @property {Record<string, GroupStats>} byDifficulty Per difficulty, easiest first.
+ * @property {(GroupStats & { key: string, subject: string, chapter: string, known: boolean })[]} byChapter Per chapter,
+ *   most attempted first. `key` is a `chapterKey`; `known` tells whether the chapter is in the NCERT syllabus.
+ * @property {Analytics["byChapter"]} mostMissed The chapters with the most wrong answers.
+ * @property {Analytics["byChapter"]} weakChapters Chapters with enough attempts and low accuracy, weakest first.
+ */
+
+/**
+ * Creates an empty group tally.
+ * @returns {ReturnType<typeof emptyTally> & { seconds: number, timed: number }}
+ */
+const emptyGroup = () => ({ ...emptyTally(), seconds: 0, timed: 0 });
+
+/**
+ * Adds accuracy and the average time per timed question to a group tally.
+ * @param {ReturnType<typeof emptyGroup>} group The tally.
+ * @returns {GroupStats} The finished statistics.
+ */
+const finishGroup = (group) => ({ ...withAccuracy(group), averageSeconds: group.timed ? group.seconds / group.timed : null });
+
+/**
+ * Works out performance across attempts.
+ * Attempts whose quiz has been deleted still count towards the score trend, from their stored results.
+ * @param {object[]} attempts The stored attempts.
+ * @param {object[]} quizzes The stored quizzes.
+ * @returns {Analytics} The analytics.
+ */
+export const analyzeAttempts = (attempts, quizzes) => {
+	const quizzesById = new Map(quizzes.map((quiz) => [quiz.id, quiz]));
+	const ordered = [...attempts].sort((a, b) => a.submittedAt - b.submittedAt);
+	const overall = emptyGroup();
+	const bySubject = {};
+	const byDifficulty = {};
+	const byChapter = new Map();
+
+	for (const attempt of ordered) {
+		const questions = quizzesById.get(attempt.quizId)?.questions ?? [];
+		const { scheme, excludeFlagged, timeSpent } = attempt.results;
+		questions.forEach((question, index) => {
+			if (excludeFlagged && question.flag) return;
+			const subject = SUBJECTS.includes(question.subject) ? question.subject : UNTAGGED;
+			const canonical = findChapter(subject, question.chapter);
+			const chapter = canonical ?? (question.chapter?.trim() || "Unknown chapter");
+			// Chapters outside the syllabus are grouped however the model capitalised them.
+			const key = canonical ? chapterKey(subject, canonical) : chapterKey(subject, chapter.toLowerCase());
+			if (!byChapter.has(key)) byChapter.set(key, { ...emptyGroup(), key, subject, chapter, known: Boolean(canonical) });
+
+			const groups = [overall, (bySubject[subject] ??= emptyGroup()), byChapter.get(key)];
+			if (DIFFICULTIES.includes(question.difficulty)) groups.push((byDifficulty[question.difficulty] ??= emptyGroup()));
+			const seconds = timeSpent?.[index];
+			for (const group of groups) {
+				countAnswer(group, question, attempt.answers[index], scheme);
+				if (typeof seconds === "number") {
+					group.seconds += seconds;
+					group.timed++;
+				}
+			}
+		});
+	}
+
+	const chapters = [...byChapter.values()].map(finishGroup).sort((a, b) => b.attempted - a.attempted);
+	return {
+		attempts: ordered.length,
+		trend: ordered.map(({ id, quizId, submittedAt, results }) => ({
+			attemptId: id,
+			quizId,
+			submittedAt,
+			percent: results.maxMarks ? (results.marks / results.maxMarks) * 100 : 0,
+			accuracy: results.accuracy,
+			marks: results.marks,
+			maxMarks: results.maxMarks,
+		})),
+		overall: finishGroup(overall),
+		bySubject: Object.fromEntries(
+			[...SUBJECTS, UNTAGGED].filter((s) => bySubject[s]).map((s) => [s, finishGroup(bySubject[s])]),
+		),
+		byDifficulty: Object.fromEntries(
+			DIFFICULTIES.filter((level) => byDifficulty[level]).map((level) => [level, finishGroup(byDifficulty[level])]),
+		),
+		byChapter: chapters,
+		mostMissed: chapters
+			.filter(({ wrong }) => wrong > 0)
+			.sort((a, b) => b.wrong - a.wrong || a.accuracy - b.accuracy)
+			.slice(0, MOST_MISSED_COUNT),
+		weakChapters: chapters
+			.filter(({ attempted, accuracy }) => attempted >= WEAK_MIN_ATTEMPTED && accuracy < WEAK_ACCURACY)
+			.sort((a, b) => a.accuracy - b.accuracy || b.wrong - a.wrong),
+	};
+};
+
+/**
+ * Picks bank questions for a targeted quiz on some chapters, most recently added first.
+ * @param {{ question: object }[]} entries The bank entries, newest first.
+ * @param {{ subject: string, chapter: string }[]} chapters The chapters, as in `Analytics.byChapter`.
+ * @param {number} count The most questions to pick.
+ * @returns {object[]} The questions, spread across the chapters in turn.
+ */
+export const pickChapterQuestions = (entries, chapters, count) => {
+	const matches = (question, { subject, chapter }) =>
+		question.subject === subject &&
+		(findChapter(subject, question.chapter) ?? question.chapter?.trim().toLowerCase()) ===
+			(findChapter(subject, chapter) ?? chapter.toLowerCase());
+	const pools = chapters.map((chapter) =>
+		entries.filter(({ question }) => matches(question, chapter)).map(({ question }) => question),
+	);
+	const picked = [];
+	for (let round = 0; picked.length < count && pools.some((pool) => pool.length > round); round++) {
+		for (const pool of pools) if (pool[round] && picked.length < count) picked.push(pool[round]);
+	}
+	return picked;
+};
@@ -0,0 +1,38 @@
+// Timing and question-palette rules for the timed mock-test mode.
+
+// NEET allows 200 minutes for 180 questions; shorter papers get the same time per question.
+const NEET_SECONDS_PER_QUESTION = (200 * 60) / 180;
+
+/**
+ * Sizes the countdown for a paper of `numQuestions` questions.
+ * @param {number} numQuestions The number of questions.
+ * @returns {number} The duration in seconds, rounded up to a whole minute.
+ */
+export const examDurationSeconds = (numQuestions) =>
+	Math.ceil((numQuestions * NEET_SECONDS_PER_QUESTION) / 60) * 60;
+
+/**
+ * Works out a question's palette state.
+ * @param {number} index The question index.
+ * @param {{ answers: Record<number, string>, marked: Set<number>, visited: Set<number> }} session The exam session.
+ * @returns {"not-visited" | "unanswered" | "answered" | "marked" | "answered-marked"} The state.
+ */
+export const paletteState = (index, { answers, marked, visited }) => {
+	const answered = Boolean(answers[index]);
+	if (marked.has(index)) return answered ? "answered-marked" : "marked";
+	if (answered) return "answered";
+	return visited.has(index) ? "unanswered" : "not-visited";
+};
+
+/**
+ * Formats a number of seconds as h:mm:ss or m:ss.
+ * @param {number} totalSeconds The duration.
+ * @returns {string} The formatted duration.
+ */
+export const formatDuration = (totalSeconds) => {
+	const seconds = Math.max(0, Math.round(totalSeconds));
+	const h = Math.floor(seconds / 3600);
+	const m = Math.floor((seconds % 3600) / 60);
+	const s = String(seconds % 60).padStart(2, "0");
+	return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+};
@@ -0,0 +1,155 @@
+// Figures and diagrams attached to questions.
+// A figure is a region of a page image from the uploaded material: the model cites the page and a box,
+// and the browser crops it into `image` when the question arrives. A diagram is an SVG the model drew
+// itself (a circuit, a labelled cell). Both are only ever displayed through <img>, where SVG can't run
+// scripts or load anything, and diagrams are also checked here before they are accepted.
+
+// Box coordinates are on a 0–1000 scale, as [ymin, xmin, ymax, xmax], the convention Gemini uses for
+// bounding boxes and easy for any model to produce.
+export const BOX_SCALE = 1000;
+// Longest SVG accepted from the model, in characters.
+export const MAX_DIAGRAM_CHARS = 30000;
+
+// Markup that has no place in a drawing: scripts, embedded documents, event handlers and links
+// anywhere but inside the SVG itself.
+const UNSAFE_SVG = new RegExp(
+	[
+		"<\\s*(?:script|foreignObject|iframe|object|embed|image)\\b",
+		"\\son[a-z]+\\s*=",
+		"javascript:",
+		"href\\s*=\\s*(?![\"']?#)",
+		"url\\(\\s*(?![\"']?#)",
+		"@import",
+	].join("|"),
+	"i",
+);
+
+/**
+ * A figure cropped from the uploaded material.
+ * @typedef {Object} Figure
+ * @property {number | null} page The page, slide or image number it is on, within the question's source file.
+ * @property {number} [imageIndex] Which of the page's images it is in, when the page has several (slides can).
+ * @property {[number, number, number, number] | null} box Its region as [ymin, xmin, ymax, xmax] on a 0–1000
+ *   scale, or null for the whole page.
+ * @property {string} caption A short caption.
+ * @property {string} [image] The cropped figure as a data URL, added in the browser.
+ */
+
+/**
+ * Checks a figure box.
+ * @param {any} box The box from the model.
+ * @returns {[number, number, number, number] | null} The box, or null if it isn't a usable region.
+ */
+const normalizeBox = (box) => {
+	if (!Array.isArray(box) || box.length !== 4) return null;
+	const [ymin, xmin, ymax, xmax] = box.map((value) => Math.min(BOX_SCALE, Math.max(0, Math.round(Number(value)))));
+	if ([ymin, xmin, ymax, xmax].some(Number.isNaN) || ymax - ymin < 10 || xmax - xmin < 10) return null;
+	return [ymin, xmin, ymax, xmax];
+};
+
+/**
+ * Validates a question's figure and diagram, the way `validateFormatFields` does for format fields.
+ * An unusable figure box falls back to the whole page. A diagram that isn't a plain, self-contained SVG
+ * is an error, since the question was written around it.
+ * @param {object} question The question.
+ * @returns {{ fields: { figure?: Figure, diagram?: string }, fixes: string[], errors: string[] }} The cleaned
+ *   fields (absent when the question has none), what was repaired, and what is wrong.
+ */
+export const validateVisualFields = (question) => {
+	const fields = {};
+	const fixes = [];
+	const errors = [];
+
+	const { figure, diagram } = question;
+	if (figure && typeof figure === "object") {
+		const page = Number(figure.page);
+		const box = normalizeBox(figure.box);
+		if (figure.box != null && !box) fixes.push("used the whole page for a figure with an unusable box");
+		fields.figure = {
+			page: Number.isInteger(page) && page > 0 ? page : null,
+			// The model cites the attached image by number; the server turns that into a page.
+			...(Number.isInteger(figure.sourceImage) && figure.sourceImage > 0 ? { sourceImage: figure.sourceImage } : {}),
+			...(Number.isInteger(figure.imageIndex) && figure.imageIndex > 0 ? { imageIndex: figure.imageIndex } : {}),
+			box,
+			caption: typeof figure.caption === "string" ? figure.caption.trim() : "",
+			...(typeof figure.image === "string" && figure.image.startsWith("data:image/") ? { image: figure.image } : {}),
+		};
+	}
+
+	if (typeof diagram === "string" && diagram.trim()) {
+		const svg = diagram.trim();
+		if (!/^<svg[\s>]/i.test(svg) || !/<\/svg>$/i.test(svg)) errors.push("has a diagram that isn't an SVG");
+		else if (svg.length > MAX_DIAGRAM_CHARS) errors.push("has an oversized diagram");
+		else if (UNSAFE_SVG.test(svg)) errors.push("has a diagram with scripts or external references");
+		else fields.diagram = svg;
+	}
+
+	return { fields, fixes, errors };
+};
+
+/**
+ * Ties a question's figure to one of the images sent with its chunk: the image the model cited by number,
+ * else the first image on the page it cited or on the question's source page, else the chunk's only image.
+ * @param {object} question The validated question, with its `source`.
+ * @param {{ page?: number }[]} images The chunk's images, in the order they were attached.
+ * @returns {object | null} The question with `figure.page` (and `imageIndex`) set, the question unchanged if it
+ *   has no figure, or null if the figure can't be found in any image.
+ */
+export const placeFigure = (question, images) => {
+	if (!question.figure) return question;
+	const { sourceImage, ...figure } = question.figure;
+	const onPage = (page) => (page ? images.findIndex((image) => image.page === page) : -1);
+	let index = sourceImage && sourceImage <= images.length ? sourceImage - 1 : onPage(figure.page);
+	if (index === -1) index = onPage(question.source?.page);
+	if (index === -1 && images.length === 1) index = 0;
+	if (index === -1 || !images[index].page) return null;
+
+	const { page } = images[index];
+	const imageIndex = images.slice(0, index).filter((image) => image.page === page).length;
+	return { ...question, figure: { ...figure, page, ...(imageIndex ? { imageIndex } : {}) } };
+};
+
+/**
+ * Turns an SVG diagram into a data URL for an <img>.
+ * @param {string} svg The SVG.
+ * @returns {string} The data URL.
+ */
+export const svgDataUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+/**
+ * Splits a data URL into its MIME type and base64 data, for exports that embed files.
+ * @param {string} dataUrl A base64 or URL-encoded data URL.
+ * @returns {{ mimeType: string, base64: string } | null} The parts, or null if it isn't a data URL.
+ */
+export const dataUrlParts = (dataUrl) => {
+	const match = /^data:([^;,]+)(?:;charset=[^;,]+)?(;base64)?,(.*)$/s.exec(dataUrl ?? "");
+	if (!match) return null;
+	const [, mimeType, isBase64, data] = match;
+	if (isBase64) return { mimeType, base64: data };
+	const bytes = new TextEncoder().encode(decodeURIComponent(data));
+	let binary = "";
+	for (const byte of bytes) binary += String.fromCharCode(byte);
+	return { mimeType, base64: btoa(binary) };
+};
+
+/**
+ * Lists a question's pictures for display and export: the cropped figure, then the diagram.
+ * @param {object} question The question.
+ * @returns {{ kind: "figure" | "diagram", src: string, alt: string, caption: string }[]} The pictures, each with a
+ *   data URL; a figure that hasn't been cropped yet is left out.
+ */
+export const questionVisuals = (question) => [
+	...(question.figure?.image
+		? [
+				{
+					kind: "figure",
+					src: question.figure.image,
+					alt: question.figure.caption || "Figure from the study material",
+					caption: question.figure.caption,
+				},
+			]
+		: []),
+	...(question.diagram
+		? [{ kind: "diagram", src: svgDataUrl(question.diagram), alt: "Diagram for the question", caption: "" }]
+		: []),
+];
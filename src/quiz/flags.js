@@ -0,0 +1,18 @@
+// Per-question flags the user raises against generated questions.
+
+export const FLAG_REASONS = [
+	{ id: "wrong-key", label: "Wrong answer key" },
+	{ id: "ambiguous", label: "Ambiguous" },
+	{ id: "out-of-syllabus", label: "Out of syllabus" },
+];
+
+/**
+ * Describes a question's flag for display and exports.
+ * @param {{ reason: string, note?: string } | undefined} flag The flag.
+ * @returns {string} For example "Ambiguous: options B and C both fit", or "" when unflagged.
+ */
+export const describeFlag = (flag) => {
+	if (!flag) return "";
+	const label = FLAG_REASONS.find(({ id }) => id === flag.reason)?.label ?? flag.reason;
+	return flag.note ? `${label}: ${flag.note}` : label;
+};
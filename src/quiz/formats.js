@@ -0,0 +1,185 @@
+// NEET question formats. Every format is still answered by picking one of four lettered
+// options; the formats differ in the extra material the stem carries (an assertion and a
+// reason, two statements, a statement list, or two lists to match).
+
+const ROMAN = ["i", "ii", "iii", "iv", "v", "vi", "vii", "viii"];
+const LOWER = ["a", "b", "c", "d", "e", "f", "g", "h"];
+
+export const QUESTION_FORMATS = [
+	{
+		id: "mcq",
+		label: "Single-answer MCQ",
+		prompt: 'type "mcq": a plain question in questionText.',
+	},
+	{
+		id: "assertion-reason",
+		label: "Assertion–Reason",
+		prompt:
+			'type "assertion-reason": put the assertion in "assertion" and the reason in "reason"; use the four standard NEET assertion–reason options in the usual order.',
+		defaultStem: "Given below are two statements: one is labelled as Assertion (A) and the other as Reason (R).",
+		standardOptions: [
+			"Both A and R are true and R is the correct explanation of A",
+			"Both A and R are true but R is NOT the correct explanation of A",
+			"A is true but R is false",
+			"A is false but R is true",
+		],
+	},
+	{
+		id: "statement-pair",
+		label: "Statement I / Statement II",
+		prompt:
+			'type "statement-pair": put exactly two statements in "statements"; use the four standard NEET options for judging two statements in the usual order.',
+		defaultStem: "Given below are two statements.",
+		standardOptions: [
+			"Both Statement I and Statement II are true",
+			"Both Statement I and Statement II are false",
+			"Statement I is true but Statement II is false",
+			"Statement I is false but Statement II is true",
+		],
+	},
+	{
+		id: "multiple-statements",
+		label: "How many are correct",
+		prompt:
+			'type "multiple-statements": ask how many of the listed statements are correct; put 4 or 5 statements in "statements" and counts such as "Only two" as options.',
+	},
+	{
+		id: "match-columns",
+		label: "Match the columns",
+		prompt:
+			'type "match-columns": put 4 items in "listI" and 4 items in "listII"; each option is a matching code such as "a-iii, b-i, c-iv, d-ii".',
+	},
+];
+
+/**
+ * Looks up a format definition. Questions saved before formats existed have no type and are plain MCQs.
+ * @param {string} [type] The question type.
+ * @returns {(typeof QUESTION_FORMATS)[number] | undefined} The format.
+ */
+export const getFormat = (type = "mcq") => QUESTION_FORMATS.find(({ id }) => id === type);
+
+/**
+ * Returns the label used for item `index` of a statement list or List I ("a", "b"...).
+ * @param {number} index The zero-based index.
+ * @returns {string} The label.
+ */
+export const listLabel = (index) => LOWER[index] ?? String(index + 1);
+
+/**
+ * Returns the label used for item `index` of List II ("i", "ii"...).
+ * @param {number} index The zero-based index.
+ * @returns {string} The label.
+ */
+export const romanLabel = (index) => ROMAN[index] ?? String(index + 1);
+
+/**
+ * Checks that an array holds only non-empty strings.
+ * @param {any} value The value to check.
+ * @returns {boolean} Whether it is a usable list.
+ */
+const isTextList = (value) =>
+	Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === "string" && item.trim());
+
+/**
+ * Validates the format-specific fields of a question.
+ * @param {any} question The raw question, with `type` already normalized.
+ * @returns {{ fields: object, fixes: string[], errors: string[] }} The cleaned format fields
+ *   (including `questionText` and `options` when they were defaulted), repairs and errors.
+ */
+export const validateFormatFields = (question) => {
+	const format = getFormat(question.type);
+	const fields = {};
+	const fixes = [];
+	const errors = [];
+
+	const hasStem = typeof question.questionText === "string" && question.questionText.trim();
+	if (!hasStem && format.defaultStem) {
+		fields.questionText = format.defaultStem;
+		fixes.push("added the standard question stem");
+	}
+	if (format.standardOptions && (!Array.isArray(question.options) || question.options.length !== 4)) {
+		fields.options = format.standardOptions;
+		fixes.push("used the standard options");
+	}
+
+	switch (format.id) {
+		case "assertion-reason":
+			for (const key of ["assertion", "reason"]) {
+				if (typeof question[key] !== "string" || !question[key].trim()) errors.push(`has no ${key}`);
+				else fields[key] = question[key].trim();
+			}
+			break;
+		case "statement-pair":
+			if (!isTextList(question.statements) || question.statements.length !== 2) {
+				errors.push("needs exactly two statements");
+			} else {
+				fields.statements = question.statements.map((s) => s.trim());
+			}
+			break;
+		case "multiple-statements":
+			if (!isTextList(question.statements) || question.statements.length < 3) {
+				errors.push("needs at least three statements");
+			} else {
+				fields.statements = question.statements.map((s) => s.trim());
+			}
+			break;
+		case "match-columns":
+			if (!isTextList(question.listI) || !isTextList(question.listII)) {
+				errors.push("needs both List I and List II");
+			} else if (question.listI.length !== question.listII.length) {
+				errors.push(`has ${question.listI.length} items in List I but ${question.listII.length} in List II`);
+			} else {
+				fields.listI = question.listI.map((s) => s.trim());
+				fields.listII = question.listII.map((s) => s.trim());
+			}
+			break;
+	}
+
+	return { fields, fixes, errors };
+};
+
+/**
+ * Renders the stem of a question, including its format-specific parts, as plain text lines.
+ * Used by the TXT and CSV exports.
+ * @param {object} question The question.
+ * @returns {string[]} The lines of the stem.
+ */
+export const questionStemLines = (question) => {
+	const lines = [question.questionText];
+	switch (getFormat(question.type)?.id) {
+		case "assertion-reason":
+			lines.push(`Assertion (A): ${question.assertion}`, `Reason (R): ${question.reason}`);
+			break;
+		case "statement-pair":
+			lines.push(`Statement I: ${question.statements[0]}`, `Statement II: ${question.statements[1]}`);
+			break;
+		case "multiple-statements":
+			question.statements.forEach((statement, i) => lines.push(`(${listLabel(i)}) ${statement}`));
+			break;
+		case "match-columns":
+			lines.push("List I | List II");
+			question.listI.forEach((item, i) =>
+				lines.push(`(${listLabel(i)}) ${item} | (${romanLabel(i)}) ${question.listII[i]}`),
+			);
+			break;
+	}
+	return lines;
+};
+
+/**
+ * Renders the whole stem of a question on one line, for telling the model which questions not to repeat.
+ * The question text alone won't do: assertion–reason, statement and matching questions share a standard one.
+ * @param {object} question The question.
+ * @returns {string} The stem.
+ */
+export const questionStemText = (question) => questionStemLines(question).join(" ");
+
+/**
+ * Decides whether a selected option answers a question correctly.
+ * Every format is single-answer, so this is a letter comparison; it lives here so that
+ * scoring has one place to change if a format ever needs more.
+ * @param {object} question The question.
+ * @param {string | undefined} answer The selected option letter.
+ * @returns {boolean} Whether the answer is correct.
+ */
+export const isCorrectAnswer = (question, answer) => answer !== undefined && answer === question.correctAnswer;
@@ -0,0 +1,78 @@
+// Keyboard shortcuts for attempting a quiz, shared by the practice list and the timed exam.
+
+/**
+ * The shortcuts, as listed in the on-screen help. Shift+C clears, since C on its own answers option C.
+ * @type {[keys: string, action: string][]}
+ */
+export const QUIZ_SHORTCUTS = [
+	["1–4 or A–D", "Choose an option"],
+	["J, → or ↓", "Next question"],
+	["K, ← or ↑", "Previous question"],
+	["M", "Mark or unmark for review"],
+	["Shift+C, Delete or Backspace", "Clear the response"],
+];
+
+// Fields where key presses are typing, not shortcuts.
+const TYPING_TARGETS = "input:not([type=radio]):not([type=checkbox]), textarea, select, [contenteditable='true']";
+
+const NEXT_KEYS = new Set(["j", "ArrowRight", "ArrowDown"]);
+const PREVIOUS_KEYS = new Set(["k", "ArrowLeft", "ArrowUp"]);
+
+/**
+ * An action a key press asks of the quiz.
+ * @typedef {{ type: "answer", letter: string } | { type: "move", by: 1 | -1 } | { type: "mark" } | { type: "clear" }}
+ *   QuizKeyAction
+ */
+
+/**
+ * Works out which quiz action a key press asks for. Presses with Ctrl, Alt or Meta, presses while typing in a
+ * field, and arrow keys on a radio button (which already move between its options) are left to the browser.
+ * @param {KeyboardEvent} event The key press.
+ * @param {number} optionCount How many options the current question has.
+ * @returns {QuizKeyAction | null} The action, or null if the press isn't a quiz shortcut.
+ */
+export const quizKeyAction = (event, optionCount) => {
+	const { key, target } = event;
+	if (event.defaultPrevented || event.ctrlKey || event.altKey || event.metaKey) return null;
+	if (target instanceof Element && target.closest(TYPING_TARGETS)) return null;
+	if (key.startsWith("Arrow") && target instanceof HTMLInputElement && target.type === "radio") return null;
+
+	const lower = key.length === 1 ? key.toLowerCase() : key;
+	if (event.shiftKey && lower === "c") return { type: "clear" };
+	if (key === "Delete" || key === "Backspace") return { type: "clear" };
+	if (NEXT_KEYS.has(lower)) return { type: "move", by: 1 };
+	if (PREVIOUS_KEYS.has(lower)) return { type: "move", by: -1 };
+	if (lower === "m") return { type: "mark" };
+
+	const index = /^[1-9]$/.test(key) ? Number(key) - 1 : /^[a-z]$/.test(lower) ? lower.charCodeAt(0) - 97 : -1;
+	return index >= 0 && index < optionCount ? { type: "answer", letter: String.fromCharCode(65 + index) } : null;
+};
+
+/**
+ * Describes a shortcut's effect for screen readers, which can't see the radio or palette change.
+ * @param {QuizKeyAction} action The action taken.
+ * @param {number} index The question's index.
+ * @param {boolean} [marked] For a mark action, whether the question is now marked.
+ * @returns {string} The announcement.
+ */
+export const describeKeyAction = (action, index, marked = false) => {
+	const question = `Question ${index + 1}`;
+	if (action.type === "answer") return `${question}: option ${action.letter} selected.`;
+	if (action.type === "clear") return `${question}: response cleared.`;
+	if (action.type === "mark") return `${question} ${marked ? "marked" : "unmarked"} for review.`;
+	return "";
+};
+
+/**
+ * The id of a question's option group, which shortcuts move focus to.
+ * @param {number} index The question's index.
+ * @returns {string} The element id.
+ */
+export const questionElementId = (index) => `question-${index}`;
+
+/**
+ * Moves keyboard focus to a question's option group, scrolling it into view, so screen readers read it out.
+ * Arrow keys then still move between questions; they only change the answer once an option has focus.
+ * @param {number} index The question's index.
+ */
+export const focusQuestion = (index) => document.getElementById(questionElementId(index))?.focus();
@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { describeKeyAction, quizKeyAction } from "./keyboard.js";
+
+/**
+ * Builds the parts of a key press that `quizKeyAction` reads.
+ * @param {string} key The key.
+ * @param {object} [options] Modifier flags, `defaultPrevented`, and the `target` (the page body by default).
+ * @returns {object} The key press.
+ */
+const press = (key, options = {}) => ({ key, target: document.body, defaultPrevented: false, ...options });
+
+/**
+ * Creates an element of the given kind to press keys in.
+ * @param {string} tag The element name.
+ * @param {Record<string, string>} [attributes] Its attributes.
+ * @returns {HTMLElement} The element.
+ */
+const element = (tag, attributes = {}) => {
+	const node = document.createElement(tag);
+	for (const [name, value] of Object.entries(attributes)) node.setAttribute(name, value);
+	return node;
+};
+
+describe("quizKeyAction", () => {
+	it("answers with option numbers and letters", () => {
+		expect(quizKeyAction(press("1"), 4)).toEqual({ type: "answer", letter: "A" });
+		expect(quizKeyAction(press("4"), 4)).toEqual({ type: "answer", letter: "D" });
+		expect(quizKeyAction(press("b"), 4)).toEqual({ type: "answer", letter: "B" });
+		expect(quizKeyAction(press("D", { shiftKey: true }), 4)).toEqual({ type: "answer", letter: "D" });
+	});
+
+	it("ignores options the question doesn't have", () => {
+		expect(quizKeyAction(press("5"), 4)).toBeNull();
+		expect(quizKeyAction(press("e"), 4)).toBeNull();
+		expect(quizKeyAction(press("0"), 4)).toBeNull();
+	});
+
+	it("moves between questions", () => {
+		for (const key of ["j", "J", "ArrowRight", "ArrowDown"]) {
+			expect(quizKeyAction(press(key), 4)).toEqual({ type: "move", by: 1 });
+		}
+		for (const key of ["k", "ArrowLeft", "ArrowUp"]) {
+			expect(quizKeyAction(press(key), 4)).toEqual({ type: "move", by: -1 });
+		}
+	});
+
+	it("marks, and clears with Shift+C, Delete or Backspace while C alone answers", () => {
+		expect(quizKeyAction(press("m"), 4)).toEqual({ type: "mark" });
+		expect(quizKeyAction(press("C", { shiftKey: true }), 4)).toEqual({ type: "clear" });
+		expect(quizKeyAction(press("Delete"), 4)).toEqual({ type: "clear" });
+		expect(quizKeyAction(press("Backspace"), 4)).toEqual({ type: "clear" });
+		expect(quizKeyAction(press("c"), 4)).toEqual({ type: "answer", letter: "C" });
+	});
+
+	it("leaves presses with Ctrl, Alt or Meta, and handled ones, to the browser", () => {
+		expect(quizKeyAction(press("c", { ctrlKey: true }), 4)).toBeNull();
+		expect(quizKeyAction(press("1", { altKey: true }), 4)).toBeNull();
+		expect(quizKeyAction(press("j", { metaKey: true }), 4)).toBeNull();
+		expect(quizKeyAction(press("m", { defaultPrevented: true }), 4)).toBeNull();
+	});
+
+	it("leaves typing in fields alone", () => {
+		const editable = element("div", { contenteditable: "true" });
+		const inEditable = editable.appendChild(element("span"));
+		for (const target of [element("input", { type: "text" }), element("textarea"), element("select"), inEditable]) {
+			expect(quizKeyAction(press("a", { target }), 4)).toBeNull();
+			expect(quizKeyAction(press("Backspace", { target }), 4)).toBeNull();
+		}
+	});
+
+	it("leaves arrow keys on a radio button to move between its options, but takes other keys", () => {
+		const radio = element("input", { type: "radio" });
+		expect(quizKeyAction(press("ArrowDown", { target: radio }), 4)).toBeNull();
+		expect(quizKeyAction(press("j", { target: radio }), 4)).toEqual({ type: "move", by: 1 });
+		expect(quizKeyAction(press("2", { target: radio }), 4)).toEqual({ type: "answer", letter: "B" });
+	});
+
+	it("ignores keys that aren't shortcuts", () => {
+		expect(quizKeyAction(press("Enter"), 4)).toBeNull();
+		expect(quizKeyAction(press(" "), 4)).toBeNull();
+		expect(quizKeyAction(press("Tab"), 4)).toBeNull();
+	});
+});
+
+describe("describeKeyAction", () => {
+	it("describes answers, clears and marks, numbering questions from one", () => {
+		expect(describeKeyAction({ type: "answer", letter: "B" }, 0)).toBe("Question 1: option B selected.");
+		expect(describeKeyAction({ type: "clear" }, 4)).toBe("Question 5: response cleared.");
+		expect(describeKeyAction({ type: "mark" }, 2, true)).toBe("Question 3 marked for review.");
+		expect(describeKeyAction({ type: "mark" }, 2, false)).toBe("Question 3 unmarked for review.");
+	});
+
+	it("says nothing about moves, since focus moving reads the new question", () => {
+		expect(describeKeyAction({ type: "move", by: 1 }, 0)).toBe("");
+	});
+});
@@ -0,0 +1,91 @@
+import { isCorrectAnswer } from "./formats.js";
+import { SUBJECTS } from "./syllabus.js";
+
+export const MARKING_SCHEMES = [
+	{ id: "neet", label: "NEET (+4 / −1 / 0)", correct: 4, incorrect: -1, unattempted: 0 },
+	{ id: "cuet", label: "CUET (+5 / −1 / 0)", correct: 5, incorrect: -1, unattempted: 0 },
+	{ id: "no-negative", label: "No negative marking (+1 / 0 / 0)", correct: 1, incorrect: 0, unattempted: 0 },
+];
+
+export const DEFAULT_SCHEME = MARKING_SCHEMES[0];
+
+export const UNTAGGED = "Untagged";
+
+/**
+ * Creates an empty tally.
+ * @returns {{ questions: number, attempted: number, correct: number, wrong: number, skipped: number, marks: number, maxMarks: number }}
+ */
+export const emptyTally = () => ({ questions: 0, attempted: 0, correct: 0, wrong: 0, skipped: 0, marks: 0, maxMarks: 0 });
+
+/**
+ * Counts one answered (or skipped) question in a tally.
+ * @param {ReturnType<typeof emptyTally>} tally The tally, updated in place.
+ * @param {object} question The question.
+ * @param {string | undefined} answer The selected option letter, if any.
+ * @param {{ correct: number, incorrect: number, unattempted: number }} scheme Marks per outcome.
+ */
+export const countAnswer = (tally, question, answer, scheme) => {
+	tally.questions++;
+	tally.maxMarks += scheme.correct;
+	if (!answer) {
+		tally.skipped++;
+		tally.marks += scheme.unattempted;
+	} else if (isCorrectAnswer(question, answer)) {
+		tally.attempted++;
+		tally.correct++;
+		tally.marks += scheme.correct;
+	} else {
+		tally.attempted++;
+		tally.wrong++;
+		tally.marks += scheme.incorrect;
+	}
+};
+
+/**
+ * Adds accuracy over attempted questions to a tally.
+ * Accuracy over all questions would count skipped ones as wrong, which NEET does not.
+ * @param {ReturnType<typeof emptyTally>} tally The tally.
+ * @returns {ReturnType<typeof emptyTally> & { accuracy: number }} The tally with accuracy.
+ */
+export const withAccuracy = (tally) => ({
+	...tally,
+	accuracy: tally.attempted ? (tally.correct / tally.attempted) * 100 : 0,
+});
+
+/**
+ * Scores a quiz attempt under a marking scheme.
+ * @param {object[]} questions The quiz questions.
+ * @param {Record<number, string>} answers Selected option letters keyed by question index.
+ * @param {{ correct: number, incorrect: number, unattempted: number }} [scheme] Marks per outcome.
+ * @param {{ excludeFlagged?: boolean }} [options] Whether questions the user flagged are left out entirely.
+ * @returns {object} The overall tally (marks, maxMarks, attempted, correct, wrong, skipped, accuracy),
+ *   `totalQuestions`, `score` (marks, kept for older callers), a per-subject breakdown in `bySubject`,
+ *   and how many flagged questions were left out in `excluded`.
+ */
+export const scoreQuiz = (questions, answers, scheme = DEFAULT_SCHEME, { excludeFlagged = false } = {}) => {
+	const total = emptyTally();
+	const bySubject = {};
+	let excluded = 0;
+
+	questions.forEach((question, index) => {
+		if (excludeFlagged && question.flag) {
+			excluded++;
+			return;
+		}
+		const subject = SUBJECTS.includes(question.subject) ? question.subject : UNTAGGED;
+		for (const tally of [total, (bySubject[subject] ??= emptyTally())]) {
+			countAnswer(tally, question, answers[index], scheme);
+		}
+	});
+
+	const ordered = [...SUBJECTS, UNTAGGED].filter((subject) => bySubject[subject]);
+	return {
+		...withAccuracy(total),
+		score: total.marks,
+		totalQuestions: total.questions,
+		scheme: { ...scheme },
+		excludeFlagged,
+		excluded,
+		bySubject: Object.fromEntries(ordered.map((subject) => [subject, withAccuracy(bySubject[subject])])),
+	};
+};
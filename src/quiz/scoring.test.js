@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { MARKING_SCHEMES, scoreQuiz, UNTAGGED } from "./scoring.js";
+
+/**
+ * Builds a question for scoring: only its subject and key matter.
+ * @param {string} subject The subject.
+ * @param {string} [correctAnswer] The key.
+ * @param {object} [fields] Other fields.
+ * @returns {object} The question.
+ */
+const question = (subject, correctAnswer = "A", fields = {}) => ({ subject, correctAnswer, ...fields });
+
+const QUESTIONS = [
+	question("Physics"),
+	question("Physics", "B"),
+	question("Chemistry", "C"),
+	question("Botany", "D"),
+	question("Astronomy"),
+];
+// Physics: one right, one wrong. Chemistry: skipped. Botany: right. Untagged: wrong.
+const ANSWERS = { 0: "A", 1: "C", 3: "D", 4: "B" };
+
+describe("scoreQuiz", () => {
+	it("marks with NEET's +4 / −1 / 0 by default, counting accuracy over attempted questions only", () => {
+		const result = scoreQuiz(QUESTIONS, ANSWERS);
+		expect(result).toMatchObject({
+			marks: 4 - 1 + 0 + 4 - 1,
+			maxMarks: 20,
+			score: 6,
+			totalQuestions: 5,
+			attempted: 4,
+			correct: 2,
+			wrong: 2,
+			skipped: 1,
+			accuracy: 50,
+		});
+	});
+
+	it("scores by the scheme it is given", () => {
+		const noNegative = MARKING_SCHEMES.find(({ id }) => id === "no-negative");
+		expect(scoreQuiz(QUESTIONS, ANSWERS, noNegative)).toMatchObject({ marks: 2, maxMarks: 5 });
+	});
+
+	it("breaks the score down by subject, in syllabus order, with unknown subjects untagged", () => {
+		const { bySubject } = scoreQuiz(QUESTIONS, ANSWERS);
+		expect(Object.keys(bySubject)).toEqual(["Physics", "Chemistry", "Botany", UNTAGGED]);
+		expect(bySubject.Physics).toMatchObject({ marks: 3, correct: 1, wrong: 1, accuracy: 50 });
+		expect(bySubject.Chemistry).toMatchObject({ marks: 0, skipped: 1, attempted: 0, accuracy: 0 });
+		expect(bySubject[UNTAGGED]).toMatchObject({ marks: -1, wrong: 1 });
+	});
+
+	it("leaves flagged questions out only when asked to", () => {
+		const flagged = QUESTIONS.map((q, i) => (i === 1 ? { ...q, flag: { reason: "wrong-key" } } : q));
+		expect(scoreQuiz(flagged, ANSWERS)).toMatchObject({ marks: 6, excluded: 0 });
+		expect(scoreQuiz(flagged, ANSWERS, undefined, { excludeFlagged: true })).toMatchObject({
+			marks: 7,
+			maxMarks: 16,
+			totalQuestions: 4,
+			excluded: 1,
+			excludeFlagged: true,
+		});
+	});
+});
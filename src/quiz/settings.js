@@ -0,0 +1,168 @@
+import { QUESTION_FORMATS } from "./formats.js";
+import { chapterKey, findSubject, SUBJECTS, SYLLABUS } from "./syllabus.js";
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+export const QUESTION_STYLES = [
+	{ id: "conceptual", label: "Conceptual", prompt: "conceptual questions testing understanding of principles" },
+	{ id: "numerical", label: "Numerical", prompt: "numerical problems that require calculation" },
+	{ id: "ncert-factual", label: "NCERT line-based", prompt: "factual questions drawn directly from NCERT text" },
+	{ id: "application", label: "Application", prompt: "application questions set in unfamiliar situations" },
+];
+
+// How generation adapts to past performance: not at all, by targeting weak areas, or by also generating
+// the quiz in rounds whose difficulty follows the answers to the round before.
+export const ADAPTIVE_MODES = [
+	{ id: "off", label: "Off" },
+	{ id: "focus", label: "Target my weak areas" },
+	{ id: "rounds", label: "Target weak areas, in rounds" },
+];
+
+// Limits on the weak areas a request may describe, which keep the prompt short.
+export const MAX_FOCUS_CHAPTERS = 8;
+export const MAX_FOCUS_CONCEPTS = 8;
+
+// What the optional answer-key check does with a question whose key an independent solve disputes.
+export const VERIFICATION_MODES = [
+	{ id: "off", label: "Off" },
+	{ id: "flag", label: "Flag disputed keys" },
+	{ id: "correct", label: "Auto-correct disputed keys" },
+	{ id: "drop", label: "Drop disputed questions" },
+];
+
+export const DEFAULT_SETTINGS = {
+	subjects: [...SUBJECTS],
+	chapters: [],
+	difficultyMix: { easy: 30, medium: 50, hard: 20 },
+	styles: QUESTION_STYLES.map(({ id }) => id),
+	formats: ["mcq"],
+	verification: "off",
+	// Questions about figures cropped from the uploaded pages, and diagrams the model draws as SVG.
+	figures: true,
+	diagrams: false,
+	adaptive: "off",
+	// Weak chapters and missed concepts to aim at, filled in from past attempts when generation is adaptive.
+	focus: null,
+};
+
+const KNOWN_CHAPTERS = new Set(
+	SYLLABUS.flatMap(({ subject, chapters }) => chapters.map(({ name }) => chapterKey(subject, name))),
+);
+
+/**
+ * Coerces a form value that may be a single string, an array or false into an array.
+ * react-hook-form reports a lone checked checkbox as a string and none as false.
+ * @param {any} value The raw value.
+ * @returns {string[]} The values.
+ */
+const toArray = (value) => (Array.isArray(value) ? value : typeof value === "string" ? [value] : []);
+
+/**
+ * Cleans the weak areas sent with an adaptive request.
+ * @param {any} focus The raw focus.
+ * @returns {{ chapters: { subject: string, chapter: string, accuracy: number | null }[], concepts: string[] } | null}
+ *   The chapters and missed-question texts, or null if there are none.
+ */
+const normalizeFocus = (focus) => {
+	if (!focus || typeof focus !== "object") return null;
+	const chapters = (Array.isArray(focus.chapters) ? focus.chapters : [])
+		.filter((entry) => findSubject(entry?.subject) && typeof entry.chapter === "string" && entry.chapter.trim())
+		.slice(0, MAX_FOCUS_CHAPTERS)
+		.map(({ subject, chapter, accuracy }) => ({
+			subject: findSubject(subject),
+			chapter: chapter.trim().slice(0, 120),
+			accuracy: Number.isFinite(accuracy) ? Math.round(accuracy) : null,
+		}));
+	const concepts = (Array.isArray(focus.concepts) ? focus.concepts : [])
+		.filter((text) => typeof text === "string" && text.trim())
+		.slice(0, MAX_FOCUS_CONCEPTS)
+		.map((text) => text.trim().slice(0, 300));
+	return chapters.length || concepts.length ? { chapters, concepts } : null;
+};
+
+/**
+ * Cleans generation settings from the form or an API request, falling back to defaults.
+ * Unknown subjects, chapters, styles and formats are dropped; chapters outside the chosen subjects too.
+ * An unknown answer-key check or adaptive mode turns it off; missing figure and diagram switches take their defaults.
+ * @param {any} raw The raw settings.
+ * @returns {typeof DEFAULT_SETTINGS} The normalized settings.
+ */
+export const normalizeSettings = (raw = {}) => {
+	const subjects = [...new Set(toArray(raw.subjects).map(findSubject).filter(Boolean))];
+	const chosenSubjects = subjects.length ? subjects : DEFAULT_SETTINGS.subjects;
+	const chapters = toArray(raw.chapters).filter(
+		(key) => KNOWN_CHAPTERS.has(key) && chosenSubjects.some((subject) => key.startsWith(`${subject} / `)),
+	);
+	const styleIds = new Set(QUESTION_STYLES.map(({ id }) => id));
+	const styles = toArray(raw.styles).filter((id) => styleIds.has(id));
+	const formatIds = new Set(QUESTION_FORMATS.map(({ id }) => id));
+	const formats = toArray(raw.formats).filter((id) => formatIds.has(id));
+
+	const mix = {};
+	for (const level of DIFFICULTIES) {
+		const value = Number(raw.difficultyMix?.[level]);
+		mix[level] = Number.isFinite(value) && value > 0 ? value : 0;
+	}
+	const mixTotal = DIFFICULTIES.reduce((sum, level) => sum + mix[level], 0);
+
+	return {
+		subjects: chosenSubjects,
+		chapters,
+		difficultyMix: mixTotal > 0 ? mix : { ...DEFAULT_SETTINGS.difficultyMix },
+		styles: styles.length ? styles : DEFAULT_SETTINGS.styles,
+		formats: formats.length ? formats : DEFAULT_SETTINGS.formats,
+		verification: VERIFICATION_MODES.some(({ id }) => id === raw.verification)
+			? raw.verification
+			: DEFAULT_SETTINGS.verification,
+		figures: raw.figures === undefined ? DEFAULT_SETTINGS.figures : Boolean(raw.figures),
+		diagrams: raw.diagrams === undefined ? DEFAULT_SETTINGS.diagrams : Boolean(raw.diagrams),
+		adaptive: ADAPTIVE_MODES.some(({ id }) => id === raw.adaptive) ? raw.adaptive : DEFAULT_SETTINGS.adaptive,
+		focus: normalizeFocus(raw.focus),
+	};
+};
+
+/**
+ * Narrows generation settings to produce a replacement for one question: same chapters and styles,
+ * but only its subject, its format and its difficulty.
+ * @param {object | null} settings The settings the quiz was generated with.
+ * @param {{ subject: string, type?: string, difficulty: string }} question The question being replaced.
+ * @returns {typeof DEFAULT_SETTINGS} The narrowed settings.
+ */
+export const settingsForQuestion = (settings, question) =>
+	normalizeSettings({
+		...(settings ?? DEFAULT_SETTINGS),
+		subjects: [question.subject],
+		formats: [question.type || "mcq"],
+		difficultyMix: Object.fromEntries(DIFFICULTIES.map((level) => [level, level === question.difficulty ? 100 : 0])),
+	});
+
+/**
+ * Splits a count in proportion to a list of weights, using the largest remainder
+ * method so the parts always add up to `total`.
+ * @param {number} total The number to split.
+ * @param {number[]} weights Relative weights, one per part.
+ * @returns {number[]} The count per part, in the same order as the weights.
+ */
+export const allocateProportionally = (total, weights) => {
+	const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+	const exact = weights.map((weight) => (weightSum > 0 ? (total * weight) / weightSum : 0));
+	const counts = exact.map(Math.floor);
+	let remaining = total - counts.reduce((sum, n) => sum + n, 0);
+	const byRemainder = exact.map((value, index) => ({ index, fraction: value % 1 }));
+	for (const { index } of byRemainder.sort((a, b) => b.fraction - a.fraction)) {
+		if (remaining-- <= 0) break;
+		counts[index]++;
+	}
+	return counts;
+};
+
+/**
+ * Splits a question count across difficulty levels by percentage.
+ * @param {number} total The number of questions.
+ * @param {Record<string, number>} mix Relative weights per difficulty.
+ * @returns {Record<string, number>} The question count per difficulty.
+ */
+export const allocateByDifficulty = (total, mix) => {
+	const counts = allocateProportionally(total, DIFFICULTIES.map((level) => mix[level]));
+	return Object.fromEntries(DIFFICULTIES.map((level, i) => [level, counts[i]]));
+};
@@ -0,0 +1,74 @@
+// Text matching for the question bank: near-duplicate detection and full-text search.
+import { questionStemLines } from "./formats.js";
+
+// Words too common in MCQ stems to say anything about what a question asks.
+const STOP_WORDS = new Set(
+	"a an the of in on at to for from by with and or is are was were be been which what following correct incorrect true false statement statements not given below its it this that these those as".split(
+		" ",
+	),
+);
+
+// Jaccard similarity above which two questions are treated as rephrasings of each other.
+export const DUPLICATE_THRESHOLD = 0.7;
+
+/**
+ * Splits text into lower-case word tokens, keeping numbers and chemical symbols.
+ * @param {string} text The text.
+ * @returns {string[]} The tokens.
+ */
+export const tokenize = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter((t) => !STOP_WORDS.has(t));
+
+/**
+ * Builds the token set that identifies what a question asks: its stem and options.
+ * @param {object} question The question.
+ * @returns {Set<string>} The tokens.
+ */
+export const questionSignature = (question) =>
+	new Set(tokenize([...questionStemLines(question), ...question.options].join(" ")));
+
+/**
+ * Jaccard similarity of two token sets.
+ * @param {Set<string>} a The first set.
+ * @param {Set<string>} b The second set.
+ * @returns {number} A value between 0 (disjoint) and 1 (identical).
+ */
+export const jaccard = (a, b) => {
+	if (!a.size && !b.size) return 1;
+	let shared = 0;
+	for (const token of a) if (b.has(token)) shared++;
+	return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Finds the first candidate that is a near-duplicate of `question`.
+ * @param {object} question The question to check.
+ * @param {{ signature: Set<string> }[]} candidates Candidates with precomputed signatures.
+ * @param {number} [threshold] The similarity threshold.
+ * @returns {object | undefined} The matching candidate.
+ */
+export const findNearDuplicate = (question, candidates, threshold = DUPLICATE_THRESHOLD) => {
+	const signature = questionSignature(question);
+	return candidates.find((candidate) => jaccard(signature, candidate.signature) >= threshold);
+};
+
+/**
+ * Scores how well a question matches a free-text query. Every query term must appear
+ * (as a prefix of some word) in the stem, options, solution, chapter or tags.
+ * @param {object} question The question.
+ * @param {string[]} tags Extra tags to search.
+ * @param {string[]} terms The tokenized query.
+ * @returns {number} 0 for no match, otherwise the number of matching words.
+ */
+export const searchScore = (question, tags, terms) => {
+	if (!terms.length) return 1;
+	const words = tokenize(
+		[...questionStemLines(question), ...question.options, question.solution, question.chapter, ...tags].join(" "),
+	);
+	let score = 0;
+	for (const term of terms) {
+		const hits = words.filter((word) => word.startsWith(term)).length;
+		if (!hits) return 0;
+		score += hits;
+	}
+	return score;
+};
@@ -0,0 +1,61 @@
+// SM-2 spaced-repetition scheduling for missed questions.
+// A card is due again after an interval that grows each time it is answered correctly
+// and resets to one day whenever it is missed.
+import { questionStemLines } from "./formats.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+
+// SM-2 grades on a 0–5 scale. A quiz gives us right, wrong or skipped, nothing finer.
+export const GRADES = { correct: 4, wrong: 1, skipped: 0 };
+
+/**
+ * Creates a new review card for a question.
+ * @param {number} now The current time in ms.
+ * @returns {{ ease: number, interval: number, repetitions: number, due: number, lapses: number }} The card.
+ */
+export const newCard = (now) => ({ ease: 2.5, interval: 0, repetitions: 0, due: now, lapses: 0 });
+
+/**
+ * Applies one review to a card.
+ * @param {ReturnType<typeof newCard>} card The card before the review.
+ * @param {number} grade The SM-2 grade (0–5).
+ * @param {number} now The time of the review in ms.
+ * @returns {ReturnType<typeof newCard>} The rescheduled card.
+ */
+export const reviewCard = (card, grade, now) => {
+	const ease = Math.max(MIN_EASE, card.ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+
+	if (grade < 3) {
+		return { ...card, ease, interval: 1, repetitions: 0, lapses: card.lapses + 1, due: now + DAY_MS };
+	}
+
+	const repetitions = card.repetitions + 1;
+	const interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(card.interval * ease);
+	return { ...card, ease, interval, repetitions, due: now + interval * DAY_MS };
+};
+
+/**
+ * Grades a quiz answer for scheduling.
+ * @param {object} question The question.
+ * @param {string | undefined} answer The selected option letter.
+ * @param {(question: object, answer?: string) => boolean} isCorrect The answer checker.
+ * @returns {number} The SM-2 grade.
+ */
+export const gradeAnswer = (question, answer, isCorrect) =>
+	!answer ? GRADES.skipped : isCorrect(question, answer) ? GRADES.correct : GRADES.wrong;
+
+/**
+ * Normalizes text for a card key.
+ * @param {string[]} parts The text.
+ * @returns {string} Lower-cased, with whitespace collapsed.
+ */
+const keyText = (parts) => parts.join("\n").toLowerCase().replace(/\s+/g, " ").trim();
+
+/**
+ * Identifies a question across quizzes, so the same question met again updates one card. The whole stem and
+ * the options count: assertion–reason, statement and matching questions share a standard question text.
+ * @param {object} question The question.
+ * @returns {string} The key.
+ */
+export const reviewKey = (question) => keyText([...questionStemLines(question), ...question.options]);
@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { isCorrectAnswer } from "./formats.js";
+import { gradeAnswer, GRADES, newCard, reviewCard, reviewKey } from "./srs.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 1);
+
+describe("reviewCard", () => {
+	it("grows the interval 1, 6, then by the ease factor while answers are right", () => {
+		let card = newCard(NOW);
+		const intervals = [];
+		for (let i = 0; i < 4; i++) {
+			card = reviewCard(card, GRADES.correct, NOW);
+			intervals.push(card.interval);
+		}
+		expect(intervals).toEqual([1, 6, 15, 38]);
+		expect(card).toMatchObject({ ease: 2.5, repetitions: 4, lapses: 0, due: NOW + 38 * DAY_MS });
+	});
+
+	it("resets to one day and lowers the ease on a miss", () => {
+		const learned = { ease: 2.5, interval: 15, repetitions: 3, due: NOW, lapses: 0 };
+		const missed = reviewCard(learned, GRADES.wrong, NOW);
+		expect(missed).toMatchObject({ interval: 1, repetitions: 0, lapses: 1, due: NOW + DAY_MS });
+		expect(missed.ease).toBeCloseTo(1.96);
+	});
+
+	it("never lets the ease fall below 1.3", () => {
+		let card = newCard(NOW);
+		for (let i = 0; i < 10; i++) card = reviewCard(card, GRADES.skipped, NOW);
+		expect(card.ease).toBe(1.3);
+		expect(card.lapses).toBe(10);
+	});
+});
+
+describe("gradeAnswer", () => {
+	it("grades right, wrong and skipped answers", () => {
+		const question = { correctAnswer: "B" };
+		expect(gradeAnswer(question, "B", isCorrectAnswer)).toBe(GRADES.correct);
+		expect(gradeAnswer(question, "A", isCorrectAnswer)).toBe(GRADES.wrong);
+		expect(gradeAnswer(question, undefined, isCorrectAnswer)).toBe(GRADES.skipped);
+	});
+});
+
+describe("reviewKey", () => {
+	/**
+	 * Builds an assertion–reason question, which has the format's standard question text.
+	 * @param {string} assertion The assertion.
+	 * @returns {object} The question.
+	 */
+	const pair = (assertion) => ({
+		type: "assertion-reason",
+		questionText: "Given below are two statements: one is labelled as Assertion (A) and the other as Reason (R).",
+		assertion,
+		reason: "R",
+		options: ["A", "B", "C", "D"],
+	});
+
+	it("ignores case and spacing", () => {
+		const question = { type: "mcq", questionText: "What is  Ohm's law?", options: ["V = IR", "P = VI", "Q = It", "E = mc²"] };
+		expect(reviewKey({ ...question, questionText: "what is ohm's law?" })).toBe(reviewKey(question));
+	});
+
+	it("gives questions that share a standard stem their own cards", () => {
+		expect(reviewKey(pair("Leaves are green."))).not.toBe(reviewKey(pair("Roots are brown.")));
+	});
+});
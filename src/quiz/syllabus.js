@@ -0,0 +1,148 @@
+// The NEET (UG) syllabus as NCERT chapters, grouped the way the paper is sectioned.
+// Biology is split into Botany and Zoology because NEET scores them as separate sections.
+
+export const SYLLABUS = [
+	{
+		subject: "Physics",
+		chapters: [
+			{ name: "Units and Measurements", grade: 11 },
+			{ name: "Motion in a Straight Line", grade: 11 },
+			{ name: "Motion in a Plane", grade: 11 },
+			{ name: "Laws of Motion", grade: 11 },
+			{ name: "Work, Energy and Power", grade: 11 },
+			{ name: "System of Particles and Rotational Motion", grade: 11 },
+			{ name: "Gravitation", grade: 11 },
+			{ name: "Mechanical Properties of Solids", grade: 11 },
+			{ name: "Mechanical Properties of Fluids", grade: 11 },
+			{ name: "Thermal Properties of Matter", grade: 11 },
+			{ name: "Thermodynamics", grade: 11 },
+			{ name: "Kinetic Theory", grade: 11 },
+			{ name: "Oscillations", grade: 11 },
+			{ name: "Waves", grade: 11 },
+			{ name: "Electric Charges and Fields", grade: 12 },
+			{ name: "Electrostatic Potential and Capacitance", grade: 12 },
+			{ name: "Current Electricity", grade: 12 },
+			{ name: "Moving Charges and Magnetism", grade: 12 },
+			{ name: "Magnetism and Matter", grade: 12 },
+			{ name: "Electromagnetic Induction", grade: 12 },
+			{ name: "Alternating Current", grade: 12 },
+			{ name: "Electromagnetic Waves", grade: 12 },
+			{ name: "Ray Optics and Optical Instruments", grade: 12 },
+			{ name: "Wave Optics", grade: 12 },
+			{ name: "Dual Nature of Radiation and Matter", grade: 12 },
+			{ name: "Atoms", grade: 12 },
+			{ name: "Nuclei", grade: 12 },
+			{ name: "Semiconductor Electronics", grade: 12 },
+		],
+	},
+	{
+		subject: "Chemistry",
+		chapters: [
+			{ name: "Some Basic Concepts of Chemistry", grade: 11 },
+			{ name: "Structure of Atom", grade: 11 },
+			{ name: "Classification of Elements and Periodicity in Properties", grade: 11 },
+			{ name: "Chemical Bonding and Molecular Structure", grade: 11 },
+			{ name: "Thermodynamics", grade: 11 },
+			{ name: "Equilibrium", grade: 11 },
+			{ name: "Redox Reactions", grade: 11 },
+			{ name: "Organic Chemistry: Some Basic Principles and Techniques", grade: 11 },
+			{ name: "Hydrocarbons", grade: 11 },
+			{ name: "Solutions", grade: 12 },
+			{ name: "Electrochemistry", grade: 12 },
+			{ name: "Chemical Kinetics", grade: 12 },
+			{ name: "The p-Block Elements", grade: 12 },
+			{ name: "The d- and f-Block Elements", grade: 12 },
+			{ name: "Coordination Compounds", grade: 12 },
+			{ name: "Haloalkanes and Haloarenes", grade: 12 },
+			{ name: "Alcohols, Phenols and Ethers", grade: 12 },
+			{ name: "Aldehydes, Ketones and Carboxylic Acids", grade: 12 },
+			{ name: "Amines", grade: 12 },
+			{ name: "Biomolecules", grade: 12 },
+		],
+	},
+	{
+		subject: "Botany",
+		chapters: [
+			{ name: "The Living World", grade: 11 },
+			{ name: "Biological Classification", grade: 11 },
+			{ name: "Plant Kingdom", grade: 11 },
+			{ name: "Morphology of Flowering Plants", grade: 11 },
+			{ name: "Anatomy of Flowering Plants", grade: 11 },
+			{ name: "Cell: The Unit of Life", grade: 11 },
+			{ name: "Cell Cycle and Cell Division", grade: 11 },
+			{ name: "Photosynthesis in Higher Plants", grade: 11 },
+			{ name: "Respiration in Plants", grade: 11 },
+			{ name: "Plant Growth and Development", grade: 11 },
+			{ name: "Sexual Reproduction in Flowering Plants", grade: 12 },
+			{ name: "Principles of Inheritance and Variation", grade: 12 },
+			{ name: "Molecular Basis of Inheritance", grade: 12 },
+			{ name: "Organisms and Populations", grade: 12 },
+			{ name: "Ecosystem", grade: 12 },
+			{ name: "Biodiversity and Conservation", grade: 12 },
+		],
+	},
+	{
+		subject: "Zoology",
+		chapters: [
+			{ name: "Animal Kingdom", grade: 11 },
+			{ name: "Structural Organisation in Animals", grade: 11 },
+			{ name: "Biomolecules", grade: 11 },
+			{ name: "Breathing and Exchange of Gases", grade: 11 },
+			{ name: "Body Fluids and Circulation", grade: 11 },
+			{ name: "Excretory Products and their Elimination", grade: 11 },
+			{ name: "Locomotion and Movement", grade: 11 },
+			{ name: "Neural Control and Coordination", grade: 11 },
+			{ name: "Chemical Coordination and Integration", grade: 11 },
+			{ name: "Human Reproduction", grade: 12 },
+			{ name: "Reproductive Health", grade: 12 },
+			{ name: "Evolution", grade: 12 },
+			{ name: "Human Health and Disease", grade: 12 },
+			{ name: "Microbes in Human Welfare", grade: 12 },
+			{ name: "Biotechnology: Principles and Processes", grade: 12 },
+			{ name: "Biotechnology and its Applications", grade: 12 },
+		],
+	},
+];
+
+export const SUBJECTS = SYLLABUS.map(({ subject }) => subject);
+
+/**
+ * Builds the identifier used for a chapter in settings and form values.
+ * Chapter names alone are not unique (Physics and Chemistry both have "Thermodynamics").
+ * @param {string} subject The subject name.
+ * @param {string} chapter The chapter name.
+ * @returns {string} The chapter key.
+ */
+export const chapterKey = (subject, chapter) => `${subject} / ${chapter}`;
+
+/**
+ * Splits a chapter key back into its subject and chapter name.
+ * @param {string} key A key produced by `chapterKey`.
+ * @returns {{ subject: string, chapter: string }} The parts.
+ */
+export const parseChapterKey = (key) => {
+	const separator = key.indexOf(" / ");
+	return { subject: key.slice(0, separator), chapter: key.slice(separator + 3) };
+};
+
+/**
+ * Finds the canonical subject name, ignoring case.
+ * @param {any} subject A subject name from user input or model output.
+ * @returns {string | null} The canonical name, or null if it is not a NEET subject.
+ */
+export const findSubject = (subject) =>
+	typeof subject === "string" ? (SUBJECTS.find((s) => s.toLowerCase() === subject.trim().toLowerCase()) ?? null) : null;
+
+/**
+ * Finds the canonical NCERT chapter name within a subject, ignoring case, punctuation and spacing.
+ * @param {string} subject The canonical subject name.
+ * @param {any} chapter A chapter name from model output.
+ * @returns {string | null} The canonical name, or null if the subject has no such chapter.
+ */
+export const findChapter = (subject, chapter) => {
+	if (typeof chapter !== "string") return null;
+	const simplify = (name) => name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+	const wanted = simplify(chapter);
+	const chapters = SYLLABUS.find((entry) => entry.subject === subject)?.chapters ?? [];
+	return chapters.find(({ name }) => simplify(name) === wanted)?.name ?? null;
+};
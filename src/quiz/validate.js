@@ -0,0 +1,204 @@
+// Validation and repair of model-generated questions.
+// Models drift from the responseSchema contract in predictable ways (option prefixes,
+// "Option B" answers, answer text instead of a letter); those are repaired, everything
+// else that would break scoring is rejected.
+import { splitMath } from "../notation/math.js";
+import { validateVisualFields } from "./figures.js";
+import { getFormat, questionStemLines, validateFormatFields } from "./formats.js";
+import { DIFFICULTIES } from "./settings.js";
+import { findSubject } from "./syllabus.js";
+
+export const OPTION_LETTERS = ["A", "B", "C", "D"];
+
+/**
+ * Shortens a question for use in report messages.
+ * @param {any} question The question being validated.
+ * @returns {string} A quoted excerpt of the question text.
+ */
+export const excerpt = (question) => {
+	const text = typeof question?.questionText === "string" ? question.questionText.trim() : "";
+	return text ? `"${text.length > 60 ? text.slice(0, 57) + "..." : text}"` : "(no question text)";
+};
+
+/**
+ * Normalizes text for duplicate detection. LaTeX keeps its case, since $\Delta$ and $\delta$ differ.
+ * @param {string} text The text to normalize.
+ * @returns {string} Lower-cased text with whitespace collapsed.
+ */
+const comparable = (text) =>
+	splitMath(text)
+		.map((segment) => (segment.math ? `$${segment.tex}$` : segment.text.toLowerCase()))
+		.join("")
+		.replace(/\s+/g, " ")
+		.trim();
+
+/**
+ * The text two questions share when one duplicates the other: the whole stem and the options. Formats with a
+ * standard question text ("Match List I with List II.") differ only in their statements, lists and options.
+ * @param {object} question A validated question.
+ * @returns {string} The comparable text.
+ */
+const duplicateKey = (question) => comparable([...questionStemLines(question), ...question.options].join("\n"));
+
+/**
+ * Removes a leading option label such as "A.", "(b)" or "C)" from an option.
+ * @param {string} option The option text.
+ * @returns {string} The option without its label.
+ */
+const stripOptionLabel = (option) => option.replace(/^\s*\(?[A-Da-d][.):]\s+/, "").trim();
+
+/**
+ * Maps whatever the model put in `correctAnswer` onto a letter A–D.
+ * Accepts the full text of one of the options, "B", "b", "(B)", "B.", "Option B", "Answer: B",
+ * "B) 9 J" or a 1-based index.
+ * @param {any} answer The raw correct answer.
+ * @param {string[]} options The (already cleaned) options.
+ * @returns {string | null} The letter, or null if it cannot be determined.
+ */
+export const normalizeCorrectAnswer = (answer, options) => {
+	if (typeof answer === "number" && Number.isInteger(answer)) {
+		return OPTION_LETTERS[answer - 1] ?? null;
+	}
+	if (typeof answer !== "string") return null;
+
+	const trimmed = answer.trim();
+	const byText = options.findIndex((option) => comparable(option) === comparable(stripOptionLabel(trimmed)));
+	if (byText !== -1) return OPTION_LETTERS[byText];
+
+	const letterMatch = trimmed.match(/^(?:(?:option|answer|ans)\s*[:.-]?\s*)?\(?([A-Da-d])\)?(?:[.):]|\s|$)/i);
+	if (letterMatch) return letterMatch[1].toUpperCase();
+
+	if (/^[1-4]$/.test(trimmed)) return OPTION_LETTERS[Number(trimmed) - 1];
+	return null;
+};
+
+/**
+ * Validates a single question and repairs what can be repaired.
+ * @param {any} rawQuestion The raw question from the model.
+ * @returns {{ question: object | null, fixes: string[], errors: string[] }} The cleaned question
+ *   (null when invalid), the repairs applied, and the reasons it was rejected.
+ */
+export const validateQuestion = (rawQuestion) => {
+	let question = rawQuestion;
+	const fixes = [];
+	const errors = [];
+
+	if (!question || typeof question !== "object") {
+		return { question: null, fixes, errors: ["is not an object"] };
+	}
+
+	const type = typeof question.type === "string" ? question.type.trim().toLowerCase() : "mcq";
+	if (!getFormat(type)) {
+		return { question: null, fixes, errors: [`has an unknown type ${JSON.stringify(question.type)}`] };
+	}
+	const format = validateFormatFields({ ...question, type });
+	fixes.push(...format.fixes);
+	errors.push(...format.errors);
+	question = { ...question, ...format.fields, type };
+	const visuals = validateVisualFields(question);
+	fixes.push(...visuals.fixes);
+	errors.push(...visuals.errors);
+	const { figure, diagram, ...rest } = question;
+	question = { ...rest, ...visuals.fields };
+
+	const questionText = typeof question.questionText === "string" ? question.questionText.trim() : "";
+	if (!questionText) errors.push("has no question text");
+
+	let options = Array.isArray(question.options) ? question.options : [];
+	if (options.some((option) => typeof option !== "string" || !option.trim())) {
+		errors.push("has an empty or non-text option");
+		options = [];
+	} else {
+		const stripped = options.map(stripOptionLabel);
+		if (stripped.some((option, i) => option !== options[i].trim())) {
+			fixes.push("removed A/B/C/D labels from the options");
+		}
+		options = stripped;
+	}
+	if (options.length && options.length !== OPTION_LETTERS.length) {
+		errors.push(`has ${options.length} options instead of ${OPTION_LETTERS.length}`);
+	}
+	if (new Set(options.map(comparable)).size !== options.length) {
+		errors.push("has duplicate options");
+	}
+
+	const correctAnswer = normalizeCorrectAnswer(question.correctAnswer, options);
+	if (!correctAnswer) {
+		errors.push(`has an unrecognised correct answer ${JSON.stringify(question.correctAnswer ?? null)}`);
+	} else if (correctAnswer !== rawQuestion.correctAnswer) {
+		fixes.push(`normalized correct answer ${JSON.stringify(question.correctAnswer)} to "${correctAnswer}"`);
+	}
+
+	const solution = typeof question.solution === "string" ? question.solution.trim() : "";
+	if (!solution) errors.push("has no solution");
+
+	const subject = findSubject(question.subject);
+	if (!subject) {
+		errors.push(`has an unknown subject ${JSON.stringify(question.subject ?? null)}`);
+	} else if (subject !== question.subject) {
+		fixes.push(`normalized subject ${JSON.stringify(question.subject)} to "${subject}"`);
+	}
+
+	const chapter = typeof question.chapter === "string" ? question.chapter.trim() : "";
+	if (!chapter) errors.push("has no chapter");
+
+	const difficulty = typeof question.difficulty === "string" ? question.difficulty.trim().toLowerCase() : "";
+	if (!DIFFICULTIES.includes(difficulty)) {
+		errors.push(`has an unknown difficulty ${JSON.stringify(question.difficulty ?? null)}`);
+	} else if (difficulty !== question.difficulty) {
+		fixes.push(`normalized difficulty ${JSON.stringify(question.difficulty)} to "${difficulty}"`);
+	}
+
+	if (errors.length) return { question: null, fixes, errors };
+	return {
+		question: { ...question, questionText, options, correctAnswer, solution, subject, chapter, difficulty },
+		fixes,
+		errors,
+	};
+};
+
+/**
+ * Validates a whole response, dropping invalid questions, duplicates and extras.
+ * @param {any} data The parsed model response, expected to be `{ questions: [...] }`.
+ * @param {number} numQuestions How many questions were requested.
+ * @param {object[]} [existing] Questions already accepted in earlier rounds, used for duplicate checks.
+ * @param {{ subjects: string[] }} [settings] When given, questions outside the chosen subjects are dropped.
+ * @returns {{ questions: object[], fixed: string[], dropped: string[] }} The accepted questions and a
+ *   human-readable list of what was repaired and what was dropped.
+ */
+export const validateQuestionSet = (data, numQuestions, existing = [], settings) => {
+	const fixed = [];
+	const dropped = [];
+	const questions = [];
+	const seen = new Set(existing.map(duplicateKey));
+
+	const raw = Array.isArray(data?.questions) ? data.questions : [];
+	if (!Array.isArray(data?.questions)) {
+		dropped.push("Response did not contain a questions array.");
+	}
+
+	for (const candidate of raw) {
+		const { question, fixes, errors } = validateQuestion(candidate);
+		if (!question) {
+			dropped.push(`Question ${excerpt(candidate)} ${errors.join(", ")}.`);
+			continue;
+		}
+		if (settings && !settings.subjects.includes(question.subject)) {
+			dropped.push(`Question ${excerpt(candidate)} is from ${question.subject}, which was not requested.`);
+			continue;
+		}
+		if (seen.has(duplicateKey(question))) {
+			dropped.push(`Question ${excerpt(candidate)} is a duplicate.`);
+			continue;
+		}
+		if (existing.length + questions.length >= numQuestions) {
+			dropped.push(`Question ${excerpt(candidate)} is beyond the ${numQuestions} requested.`);
+			continue;
+		}
+		seen.add(duplicateKey(question));
+		questions.push(question);
+		for (const fix of fixes) fixed.push(`Question ${excerpt(question)}: ${fix}.`);
+	}
+
+	return { questions, fixed, dropped };
+};
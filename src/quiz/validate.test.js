@@ -0,0 +1,158 @@
+import { describe, expect, it } from "vitest";
+import { normalizeCorrectAnswer, validateQuestion, validateQuestionSet } from "./validate.js";
+
+const OPTIONS = ["2 m/s", "4 m/s", "6 m/s", "8 m/s"];
+
+/**
+ * Builds a valid MCQ as the model would return it.
+ * @param {object} [fields] Fields to override.
+ * @returns {object} The raw question.
+ */
+const rawQuestion = (fields = {}) => ({
+	questionText: "A body starts from rest with an acceleration of 2 m/s². What is its speed after 2 s?",
+	options: OPTIONS,
+	correctAnswer: "B",
+	solution: "v = at = 2 × 2 = 4 m/s.",
+	subject: "Physics",
+	chapter: "Motion in a Straight Line",
+	difficulty: "easy",
+	...fields,
+});
+
+describe("normalizeCorrectAnswer", () => {
+	it("reads letters in the forms models write them", () => {
+		for (const answer of ["B", "b", "(B)", "B.", "Option B", "Answer: B", "B) 4 m/s"]) {
+			expect(normalizeCorrectAnswer(answer, OPTIONS)).toBe("B");
+		}
+	});
+
+	it("reads option text and 1-based indices", () => {
+		expect(normalizeCorrectAnswer("6 m/s", OPTIONS)).toBe("C");
+		expect(normalizeCorrectAnswer("C. 6 m/s", OPTIONS)).toBe("C");
+		expect(normalizeCorrectAnswer(4, OPTIONS)).toBe("D");
+		expect(normalizeCorrectAnswer("1", OPTIONS)).toBe("A");
+	});
+
+	it("gives up on anything else", () => {
+		expect(normalizeCorrectAnswer("E", OPTIONS)).toBeNull();
+		expect(normalizeCorrectAnswer(5, OPTIONS)).toBeNull();
+		expect(normalizeCorrectAnswer(null, OPTIONS)).toBeNull();
+		expect(normalizeCorrectAnswer("none of these", OPTIONS)).toBeNull();
+	});
+});
+
+describe("validateQuestion", () => {
+	it("accepts a well-formed question as an MCQ", () => {
+		const { question, fixes, errors } = validateQuestion(rawQuestion());
+		expect(errors).toEqual([]);
+		expect(fixes).toEqual([]);
+		expect(question).toMatchObject({ type: "mcq", correctAnswer: "B", options: OPTIONS });
+	});
+
+	it("repairs option labels, answer forms, subject case and difficulty case", () => {
+		const { question, fixes } = validateQuestion(
+			rawQuestion({
+				options: OPTIONS.map((option, i) => `${"ABCD"[i]}. ${option}`),
+				correctAnswer: "Option B",
+				subject: "physics",
+				difficulty: "Easy",
+			}),
+		);
+		expect(question).toMatchObject({ options: OPTIONS, correctAnswer: "B", subject: "Physics", difficulty: "easy" });
+		expect(fixes).toHaveLength(4);
+	});
+
+	it("rejects what would break scoring, saying why", () => {
+		const cases = [
+			[null, "is not an object"],
+			[rawQuestion({ type: "essay" }), 'has an unknown type "essay"'],
+			[rawQuestion({ questionText: " " }), "has no question text"],
+			[rawQuestion({ options: OPTIONS.slice(0, 3) }), "has 3 options instead of 4"],
+			[rawQuestion({ options: ["1", "1", "2", "3"] }), "has duplicate options"],
+			[rawQuestion({ correctAnswer: "E" }), 'has an unrecognised correct answer "E"'],
+			[rawQuestion({ solution: "" }), "has no solution"],
+			[rawQuestion({ subject: "Astronomy" }), 'has an unknown subject "Astronomy"'],
+			[rawQuestion({ difficulty: "trivial" }), 'has an unknown difficulty "trivial"'],
+		];
+		for (const [raw, error] of cases) {
+			const { question, errors } = validateQuestion(raw);
+			expect(question).toBeNull();
+			expect(errors).toContain(error);
+		}
+	});
+
+	it("checks a format's own fields and fills in its standard stem", () => {
+		const assertion = { type: "Assertion-Reason", questionText: "", assertion: "A", reason: "R" };
+		const { question, fixes } = validateQuestion(rawQuestion(assertion));
+		expect(question).toMatchObject({ type: "assertion-reason", assertion: "A", reason: "R" });
+		expect(question.questionText).toMatch(/Assertion \(A\)/);
+		expect(fixes).toContain("added the standard question stem");
+
+		const { errors } = validateQuestion(rawQuestion({ type: "assertion-reason", reason: "R" }));
+		expect(errors).toContain("has no assertion");
+	});
+});
+
+describe("validateQuestionSet", () => {
+	it("keeps valid questions and reports what it dropped", () => {
+		const { questions, dropped } = validateQuestionSet(
+			{ questions: [rawQuestion(), rawQuestion({ correctAnswer: "Z" }), rawQuestion({ questionText: "Another?" })] },
+			5,
+		);
+		expect(questions).toHaveLength(2);
+		expect(dropped).toHaveLength(1);
+		expect(dropped[0]).toMatch(/unrecognised correct answer/);
+	});
+
+	it("says when the response has no questions array", () => {
+		expect(validateQuestionSet({}, 5)).toEqual({
+			questions: [],
+			fixed: [],
+			dropped: ["Response did not contain a questions array."],
+		});
+	});
+
+	it("drops duplicates of each other and of earlier rounds, ignoring case and spacing", () => {
+		const earlier = validateQuestion(rawQuestion()).question;
+		const { questions, dropped } = validateQuestionSet(
+			{
+				questions: [
+					rawQuestion({ questionText: "a body starts from rest  with an acceleration of 2 m/s². What is its speed after 2 s?" }),
+					rawQuestion({ questionText: "New?" }),
+					rawQuestion({ questionText: "New?" }),
+				],
+			},
+			5,
+			[earlier],
+		);
+		expect(questions.map(({ questionText }) => questionText)).toEqual(["New?"]);
+		expect(dropped).toHaveLength(2);
+	});
+
+	it("tells apart questions that share a standard stem but not their statements", () => {
+		const pair = (assertion) => rawQuestion({ type: "assertion-reason", questionText: "", assertion, reason: "R" });
+		const { questions } = validateQuestionSet({ questions: [pair("First"), pair("Second"), pair("First")] }, 5);
+		expect(questions.map(({ assertion }) => assertion)).toEqual(["First", "Second"]);
+	});
+
+	it("drops questions beyond the number requested and outside the chosen subjects", () => {
+		const { questions, dropped } = validateQuestionSet(
+			{
+				questions: [
+					rawQuestion({ questionText: "One?" }),
+					rawQuestion({ questionText: "Two?", subject: "Chemistry", chapter: "Chemical Bonding" }),
+					rawQuestion({ questionText: "Three?" }),
+					rawQuestion({ questionText: "Four?" }),
+				],
+			},
+			2,
+			[],
+			{ subjects: ["Physics"] },
+		);
+		expect(questions.map(({ questionText }) => questionText)).toEqual(["One?", "Three?"]);
+		expect(dropped).toEqual([
+			'Question "Two?" is from Chemistry, which was not requested.',
+			'Question "Four?" is beyond the 2 requested.',
+		]);
+	});
+});
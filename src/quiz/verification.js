@@ -0,0 +1,99 @@
+// The answer-key check: comparing a generated key with an independent answer and deciding
+// what to do when they disagree (see VERIFICATION_MODES in settings.js).
+import { excerpt } from "./validate.js";
+
+// Below this the checker is too unsure of its own answer to overrule the key; the question is flagged instead.
+export const MIN_CORRECTION_CONFIDENCE = 0.7;
+
+/**
+ * Finds the option a solution says is correct, such as "the correct answer is (C)".
+ * @param {string} solution The solution text.
+ * @returns {string | null} The last letter it cites, or null if it names none.
+ */
+export const citedAnswer = (solution) => {
+	const matches = [
+		// Capital letters only, so "the answer is a vector" doesn't read as option A.
+		...solution.matchAll(
+			/\b(?:[Cc]orrect\s+(?:answer|option|choice)|[Aa]nswer)\s*(?:is|:)\s*(?:[Oo]ption\s*)?\(?([A-D])\)?(?=[\s.,;)]|$)/g,
+		),
+	];
+	return matches.length ? matches[matches.length - 1][1] : null;
+};
+
+/**
+ * Applies the answer-key check to one question.
+ * A question is disputed when the checker picks another option, or when its own solution argues for
+ * another option than its key. Depending on the mode a disputed question is flagged, corrected (only
+ * when the checker is confident) or dropped.
+ * @param {object} question The validated question.
+ * @param {import("../providers/checker.js").Verdict | null} verdict The checker's answer, or null if it gave none.
+ * @param {"flag" | "correct" | "drop"} mode What to do with disputed questions.
+ * @returns {{ question: object | null, outcome: "agreed" | "unverified" | "flagged" | "corrected" | "dropped", message?: string }}
+ *   The question with its `verification` record (null when dropped), what happened, and a report line.
+ */
+export const applyVerdict = (question, verdict, mode) => {
+	if (!verdict) return { question: { ...question, verification: { status: "unverified" } }, outcome: "unverified" };
+
+	const key = question.correctAnswer;
+	const cited = citedAnswer(question.solution);
+	const { answer, confidence } = verdict;
+	if (answer === key && (!cited || cited === key)) {
+		return { question: { ...question, verification: { status: "agreed", confidence } }, outcome: "agreed" };
+	}
+
+	const percent = Math.round(confidence * 100);
+	const note =
+		answer !== key
+			? `An independent check answered ${answer} (${percent}% sure); the key says ${key}.`
+			: `The solution argues for ${cited}; the key says ${key}.`;
+
+	if (mode === "drop") {
+		return { question: null, outcome: "dropped", message: `${excerpt(question)}: ${note}` };
+	}
+	if (mode === "correct" && confidence >= MIN_CORRECTION_CONFIDENCE) {
+		// The checker agreeing with the key means only the solution was wrong; otherwise the key was.
+		return {
+			question: {
+				...question,
+				correctAnswer: answer,
+				solution: verdict.working || question.solution,
+				verification: { status: "corrected", confidence, ...(answer !== key ? { originalAnswer: key } : {}) },
+			},
+			outcome: "corrected",
+			message:
+				answer !== key
+					? `${excerpt(question)}: corrected the key from ${key} to ${answer} (${percent}% sure).`
+					: `${excerpt(question)}: replaced a solution that argued for ${cited}.`,
+		};
+	}
+	return {
+		question: {
+			...question,
+			verification: { status: "disputed", confidence, checkerAnswer: answer },
+			flag: { reason: "wrong-key", note },
+		},
+		outcome: "flagged",
+	};
+};
+
+/**
+ * Summarises a question's answer-key check for the confidence badge.
+ * @param {{ status: string, confidence?: number } | undefined} verification The question's check record.
+ * @returns {{ level: "high" | "medium" | "low" | "unknown", label: string } | null} The badge, or null if it wasn't checked.
+ */
+export const keyConfidence = (verification) => {
+	if (!verification) return null;
+	const percent = verification.confidence === undefined ? "" : ` · ${Math.round(verification.confidence * 100)}%`;
+	switch (verification.status) {
+		case "agreed":
+			return verification.confidence >= MIN_CORRECTION_CONFIDENCE
+				? { level: "high", label: `Key verified${percent}` }
+				: { level: "medium", label: `Key probably right${percent}` };
+		case "corrected":
+			return { level: "medium", label: `Key corrected${percent}` };
+		case "disputed":
+			return { level: "low", label: `Key disputed${percent}` };
+		default:
+			return { level: "unknown", label: "Key not verified" };
+	}
+};
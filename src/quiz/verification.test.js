@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import { applyVerdict, citedAnswer, keyConfidence } from "./verification.js";
+
+const QUESTION = {
+	questionText: "What is the SI unit of force?",
+	options: ["Joule", "Newton", "Watt", "Pascal"],
+	correctAnswer: "B",
+	solution: "Force is measured in newtons, so the correct answer is (B).",
+};
+
+describe("citedAnswer", () => {
+	it("finds the last option a solution names", () => {
+		expect(citedAnswer("Not (A). The correct answer is (C).")).toBe("C");
+		expect(citedAnswer("Answer: B")).toBe("B");
+		expect(citedAnswer("Answer is A at first, but the correct option is D.")).toBe("D");
+	});
+
+	it("doesn't read words as option letters", () => {
+		expect(citedAnswer("The answer is a vector quantity.")).toBeNull();
+		expect(citedAnswer("Force equals mass times acceleration.")).toBeNull();
+	});
+});
+
+describe("applyVerdict", () => {
+	it("records agreement and a missing verdict", () => {
+		expect(applyVerdict(QUESTION, { answer: "B", confidence: 0.9 }, "flag")).toEqual({
+			question: { ...QUESTION, verification: { status: "agreed", confidence: 0.9 } },
+			outcome: "agreed",
+		});
+		expect(applyVerdict(QUESTION, null, "flag").outcome).toBe("unverified");
+	});
+
+	it("flags a disputed key for the user to look at", () => {
+		const { question, outcome } = applyVerdict(QUESTION, { answer: "A", confidence: 0.95 }, "flag");
+		expect(outcome).toBe("flagged");
+		expect(question.correctAnswer).toBe("B");
+		expect(question.verification).toEqual({ status: "disputed", confidence: 0.95, checkerAnswer: "A" });
+		expect(question.flag.reason).toBe("wrong-key");
+	});
+
+	it("corrects the key only when the checker is confident", () => {
+		const verdict = { answer: "A", confidence: 0.9, working: "Worked again: (A)." };
+		const { question, outcome, message } = applyVerdict(QUESTION, verdict, "correct");
+		expect(outcome).toBe("corrected");
+		expect(question).toMatchObject({ correctAnswer: "A", solution: "Worked again: (A)." });
+		expect(question.verification).toEqual({ status: "corrected", confidence: 0.9, originalAnswer: "B" });
+		expect(message).toMatch(/corrected the key from B to A \(90% sure\)/);
+
+		expect(applyVerdict(QUESTION, { answer: "A", confidence: 0.5 }, "correct").outcome).toBe("flagged");
+	});
+
+	it("disputes a solution that argues against its own key", () => {
+		const arguing = { ...QUESTION, solution: "Hence the correct answer is (D)." };
+		const { question, outcome } = applyVerdict(arguing, { answer: "B", confidence: 0.8, working: "It is (B)." }, "correct");
+		expect(outcome).toBe("corrected");
+		expect(question.correctAnswer).toBe("B");
+		expect(question.solution).toBe("It is (B).");
+		expect(question.verification).not.toHaveProperty("originalAnswer");
+	});
+
+	it("drops disputed questions in drop mode", () => {
+		const { question, outcome, message } = applyVerdict(QUESTION, { answer: "C", confidence: 0.6 }, "drop");
+		expect(question).toBeNull();
+		expect(outcome).toBe("dropped");
+		expect(message).toMatch(/answered C \(60% sure\); the key says B/);
+	});
+});
+
+describe("keyConfidence", () => {
+	it("labels each check outcome", () => {
+		expect(keyConfidence(undefined)).toBeNull();
+		expect(keyConfidence({ status: "agreed", confidence: 0.9 })).toEqual({ level: "high", label: "Key verified · 90%" });
+		expect(keyConfidence({ status: "agreed", confidence: 0.4 }).level).toBe("medium");
+		expect(keyConfidence({ status: "disputed", confidence: 0.8 }).level).toBe("low");
+		expect(keyConfidence({ status: "unverified" })).toEqual({ level: "unknown", label: "Key not verified" });
+	});
+});
@@ -0,0 +1,74 @@
+// Calls to the class server's /api/shares routes.
+import { ApiError } from "../api.js";
+import { checkPaper, checkScheme, classLink } from "./link.js";
+
+/**
+ * Calls a class server route.
+ * @param {string} path The path under /api/shares.
+ * @param {{ method?: string, body?: object, token?: string }} [options] The method, JSON body and teacher token.
+ * @returns {Promise<any>} The parsed response.
+ * @throws {ApiError} If the server can't be reached or refuses.
+ */
+const callShares = async (path, { method = "GET", body, token } = {}) => {
+	let response;
+	try {
+		response = await fetch(`/api/shares${path}`, {
+			method,
+			headers: {
+				...(body ? { "Content-Type": "application/json" } : {}),
+				...(token ? { Authorization: `Bearer ${token}` } : {}),
+			},
+			body: body ? JSON.stringify(body) : undefined,
+		});
+	} catch {
+		throw new ApiError(0, "Could not reach the class server. Check your connection and try again.", "network");
+	}
+	const data = await response.json().catch(() => ({}));
+	if (!response.ok) throw new ApiError(response.status, data.error || `The class server answered ${response.status}.`);
+	return data;
+};
+
+/**
+ * Publishes a quiz to the class server.
+ * @param {object[]} questions The questions, with their keys.
+ * @param {{ title: string, scheme: object }} details The title and marking scheme students see.
+ * @param {string} baseUrl The app's address, for the link.
+ * @returns {Promise<import("./link.js").ShareInfo>} The share, with the link and the teacher's token.
+ */
+export const publishToClass = async (questions, { title, scheme }, baseUrl) => {
+	const { id, token } = await callShares("", { method: "POST", body: { title, scheme, questions } });
+	return { mode: "server", id, title, scheme, url: classLink(id, baseUrl), released: false, token };
+};
+
+/**
+ * Fetches a quiz from the class server for a student: the paper, or the whole quiz once the key is released.
+ * @param {string} id The share id.
+ * @returns {Promise<{ id: string, title: string, scheme: object, released: boolean, questions: object[] }>} The quiz.
+ */
+export const fetchClassQuiz = async (id) => {
+	const quiz = await callShares(`/${id}`);
+	return { ...quiz, scheme: checkScheme(quiz.scheme), questions: checkPaper(quiz.questions) };
+};
+
+/**
+ * Sends a student's answers to the class server.
+ * @param {string} id The share id.
+ * @param {{ name: string, answers: object, timeSpent: object | null }} submission The answers.
+ * @returns {Promise<{ submittedAt: number, released: boolean }>} When they were received, and whether the key
+ *   is already out.
+ */
+export const submitToClass = (id, submission) => callShares(`/${id}/submissions`, { method: "POST", body: submission });
+
+/**
+ * Fetches the class's submissions, for the teacher.
+ * @param {import("./link.js").ShareInfo} share The share.
+ * @returns {Promise<{ released: boolean, submissions: import("./submissions.js").Submission[] }>} The submissions.
+ */
+export const fetchClassSubmissions = ({ id, token }) => callShares(`/${id}/submissions`, { token });
+
+/**
+ * Releases the answer key to the class, for the teacher.
+ * @param {import("./link.js").ShareInfo} share The share.
+ * @returns {Promise<{ released: boolean }>} The new state.
+ */
+export const releaseClassKey = ({ id, token }) => callShares(`/${id}/release`, { method: "POST", token });
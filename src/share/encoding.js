@@ -0,0 +1,63 @@
+// Compact, URL-safe encoding for what a link or a response code carries: JSON, compressed with the
+// browser's own deflate, in base64url so it survives URL fragments, chat apps and copy-paste.
+
+/**
+ * Encodes bytes as base64url, without padding.
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {string} The encoded text.
+ */
+export const toBase64Url = (bytes) => {
+	let binary = "";
+	for (const byte of bytes) binary += String.fromCharCode(byte);
+	return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+/**
+ * Decodes base64url (or plain base64) text.
+ * @param {string} text The encoded text.
+ * @returns {Uint8Array} The bytes.
+ * @throws {DOMException} If the text isn't base64.
+ */
+export const fromBase64Url = (text) => {
+	const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/").replace(/\s+/g, ""));
+	return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+/**
+ * Runs bytes through a compression or decompression stream.
+ * @param {Uint8Array} bytes The input.
+ * @param {CompressionStream | DecompressionStream} stream The transform.
+ * @returns {Promise<Uint8Array>} The output.
+ */
+const transform = async (bytes, stream) =>
+	new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+/**
+ * Compresses text.
+ * @param {string} text The text.
+ * @returns {Promise<Uint8Array>} The compressed bytes.
+ */
+export const deflate = (text) => transform(new TextEncoder().encode(text), new CompressionStream("deflate-raw"));
+
+/**
+ * Decompresses text compressed by `deflate`.
+ * @param {Uint8Array} bytes The compressed bytes.
+ * @returns {Promise<string>} The text.
+ */
+export const inflate = async (bytes) =>
+	new TextDecoder().decode(await transform(bytes, new DecompressionStream("deflate-raw")));
+
+/**
+ * Packs a value into a compact URL-safe string.
+ * @param {any} value Anything JSON can hold.
+ * @returns {Promise<string>} The packed string.
+ */
+export const packValue = async (value) => toBase64Url(await deflate(JSON.stringify(value)));
+
+/**
+ * Unpacks a string made by `packValue`.
+ * @param {string} packed The packed string.
+ * @returns {Promise<any>} The value.
+ * @throws {Error} If the string is damaged.
+ */
+export const unpackValue = async (packed) => JSON.parse(await inflate(fromBase64Url(packed)));
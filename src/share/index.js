@@ -0,0 +1,5 @@
+// Sharing a quiz with a class: self-contained links, the class server, and the results that come back.
+export { fetchClassQuiz, fetchClassSubmissions, publishToClass, releaseClassKey, submitToClass } from "./client.js";
+export { isKeyHidden, mergeAnswerKey, openAnswerKey, ShareError } from "./key.js";
+export { createResponseCode, createShareLink, openShareLink, readResponseCode, readShareFragment } from "./link.js";
+export { addSubmission, classResults, MAX_NAME_CHARS, normalizeSubmission } from "./submissions.js";
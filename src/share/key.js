@@ -0,0 +1,104 @@
+// Keeping a shared quiz's answer key from its students until the teacher releases it.
+// The paper students see has the key and anything that gives it away removed. On the class server the key
+// stays on the server; in a link it travels encrypted, and the release code the teacher hands out decrypts it.
+import { deflate, fromBase64Url, inflate, toBase64Url } from "./encoding.js";
+
+// Question fields that give the answer away: the key, the solution and the answer-key check's working.
+const KEY_FIELDS = ["correctAnswer", "solution", "verification"];
+// The teacher's own notes and where the question came from, which students have no use for.
+const PRIVATE_FIELDS = ["flag", "edited", "source"];
+
+/**
+ * An error about a shared quiz or a response to one. Its message is safe to show to the user.
+ */
+export class ShareError extends Error {
+	/**
+	 * @param {string} message What went wrong.
+	 */
+	constructor(message) {
+		super(message);
+		this.name = "ShareError";
+	}
+}
+
+/**
+ * Splits questions into the paper students see and the answer key kept back from them.
+ * @param {object[]} questions The questions, with their keys.
+ * @returns {{ paper: object[], key: object[] }} The questions without their keys, and the keys, by position.
+ */
+export const splitAnswerKey = (questions) => ({
+	paper: questions.map((question) =>
+		Object.fromEntries(
+			Object.entries(question).filter(([field]) => !KEY_FIELDS.includes(field) && !PRIVATE_FIELDS.includes(field)),
+		),
+	),
+	key: questions.map((question) =>
+		Object.fromEntries(KEY_FIELDS.filter((field) => field in question).map((field) => [field, question[field]])),
+	),
+});
+
+/**
+ * Puts a released answer key back into the paper.
+ * @param {object[]} paper The questions without their keys.
+ * @param {object[]} key The keys, by position.
+ * @returns {object[]} The questions with their keys.
+ * @throws {ShareError} If the key isn't for this paper.
+ */
+export const mergeAnswerKey = (paper, key) => {
+	if (!Array.isArray(key) || key.length !== paper.length || key.some((entry) => typeof entry?.correctAnswer !== "string")) {
+		throw new ShareError("The answer key doesn't match this quiz.");
+	}
+	return paper.map((question, index) => ({ ...question, ...key[index] }));
+};
+
+/**
+ * Tells whether a shared quiz's questions still lack their answer key.
+ * @param {object[] | null} questions The questions.
+ * @returns {boolean} Whether any question has no key.
+ */
+export const isKeyHidden = (questions) => Boolean(questions?.some((question) => !question.correctAnswer));
+
+/**
+ * Imports a release code as an AES-GCM key.
+ * @param {Uint8Array} raw The code's bytes.
+ * @param {KeyUsage} usage What the key is for.
+ * @returns {Promise<CryptoKey>} The key.
+ */
+const importReleaseKey = (raw, usage) => crypto.subtle.importKey("raw", raw, "AES-GCM", false, [usage]);
+
+/**
+ * Encrypts an answer key for a link, under a new release code.
+ * @param {object[]} key The answer key.
+ * @returns {Promise<{ sealed: { iv: string, data: string }, releaseCode: string }>} The encrypted key and the code
+ *   that decrypts it, both base64url.
+ */
+export const sealAnswerKey = async (key) => {
+	const raw = crypto.getRandomValues(new Uint8Array(16));
+	const iv = crypto.getRandomValues(new Uint8Array(12));
+	const data = await crypto.subtle.encrypt(
+		{ name: "AES-GCM", iv },
+		await importReleaseKey(raw, "encrypt"),
+		await deflate(JSON.stringify(key)),
+	);
+	return { sealed: { iv: toBase64Url(iv), data: toBase64Url(new Uint8Array(data)) }, releaseCode: toBase64Url(raw) };
+};
+
+/**
+ * Decrypts a link's answer key with the release code.
+ * @param {{ iv: string, data: string }} sealed The encrypted key.
+ * @param {string} releaseCode The code from the teacher.
+ * @returns {Promise<object[]>} The answer key.
+ * @throws {ShareError} If the code is wrong.
+ */
+export const openAnswerKey = async (sealed, releaseCode) => {
+	try {
+		const data = await crypto.subtle.decrypt(
+			{ name: "AES-GCM", iv: fromBase64Url(sealed.iv) },
+			await importReleaseKey(fromBase64Url(releaseCode.trim()), "decrypt"),
+			fromBase64Url(sealed.data),
+		);
+		return JSON.parse(await inflate(new Uint8Array(data)));
+	} catch {
+		throw new ShareError("That release code doesn't match this quiz.");
+	}
+};
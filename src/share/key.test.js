@@ -0,0 +1,61 @@
+// @vitest-environment node
+// Node's Blob, CompressionStream and Web Crypto, which jsdom lacks or replaces.
+import { describe, expect, it } from "vitest";
+import { isKeyHidden, mergeAnswerKey, openAnswerKey, sealAnswerKey, ShareError, splitAnswerKey } from "./key.js";
+
+const QUESTIONS = [
+	{
+		questionText: "One?",
+		options: ["a", "b", "c", "d"],
+		correctAnswer: "A",
+		solution: "Because.",
+		verification: { status: "agreed", confidence: 0.9 },
+		flag: { reason: "typo" },
+		source: { file: "notes.pdf" },
+	},
+	{ questionText: "Two?", options: ["a", "b", "c", "d"], correctAnswer: "D", solution: "So." },
+];
+
+describe("splitAnswerKey and mergeAnswerKey", () => {
+	it("keeps the key and the teacher's notes off the paper", () => {
+		const { paper, key } = splitAnswerKey(QUESTIONS);
+		expect(paper).toEqual([
+			{ questionText: "One?", options: ["a", "b", "c", "d"] },
+			{ questionText: "Two?", options: ["a", "b", "c", "d"] },
+		]);
+		expect(key).toEqual([
+			{ correctAnswer: "A", solution: "Because.", verification: { status: "agreed", confidence: 0.9 } },
+			{ correctAnswer: "D", solution: "So." },
+		]);
+		expect(isKeyHidden(paper)).toBe(true);
+	});
+
+	it("puts a released key back into the paper", () => {
+		const { paper, key } = splitAnswerKey(QUESTIONS);
+		const merged = mergeAnswerKey(paper, key);
+		expect(merged.map(({ correctAnswer }) => correctAnswer)).toEqual(["A", "D"]);
+		expect(isKeyHidden(merged)).toBe(false);
+	});
+
+	it("refuses a key for another paper", () => {
+		const { paper, key } = splitAnswerKey(QUESTIONS);
+		expect(() => mergeAnswerKey(paper, key.slice(1))).toThrow(ShareError);
+		expect(() => mergeAnswerKey(paper, [{}, {}])).toThrow(ShareError);
+	});
+});
+
+describe("sealAnswerKey and openAnswerKey", () => {
+	it("opens a sealed key with its release code", async () => {
+		const { key } = splitAnswerKey(QUESTIONS);
+		const { sealed, releaseCode } = await sealAnswerKey(key);
+		expect(sealed.data).not.toContain("Because");
+		expect(await openAnswerKey(sealed, ` ${releaseCode}\n`)).toEqual(key);
+	});
+
+	it("refuses any other code", async () => {
+		const { sealed } = await sealAnswerKey([{ correctAnswer: "A" }]);
+		const { releaseCode: otherCode } = await sealAnswerKey([{ correctAnswer: "A" }]);
+		await expect(openAnswerKey(sealed, otherCode)).rejects.toThrow("That release code doesn't match this quiz.");
+		await expect(openAnswerKey(sealed, "not base64 !")).rejects.toThrow(ShareError);
+	});
+});
@@ -0,0 +1,172 @@
+// Self-contained share links: the whole quiz in the URL fragment, which never reaches a server, with its
+// answer key sealed until the teacher hands out the release code. Students send their answers back as a
+// response code, which the teacher pastes into the class results.
+import { packValue, toBase64Url, unpackValue } from "./encoding.js";
+import { DEFAULT_SCHEME } from "../quiz/scoring.js";
+import { validateQuestion } from "../quiz/validate.js";
+import { sealAnswerKey, ShareError, splitAnswerKey } from "./key.js";
+import { normalizeSubmission } from "./submissions.js";
+
+const LINK_VERSION = 1;
+// Fragment parameters: a quiz carried in the link, or the id of a quiz on the class server.
+const LINK_PARAM = "share";
+const CLASS_PARAM = "class";
+// Longest link offered, in characters. Longer ones get cut off by chat apps and some browsers.
+const MAX_LINK_CHARS = 60000;
+// Share ids are base64url; on the class server they also name the file the quiz is stored in.
+export const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{12}$/;
+// Validating a paper needs a key, which students don't get until it is released.
+const STAND_IN_KEY = { correctAnswer: "A", solution: "Withheld." };
+
+/**
+ * How a quiz was shared, as stored on the teacher's quiz record.
+ * @typedef {Object} ShareInfo
+ * @property {"link" | "server"} mode A self-contained link or the class server.
+ * @property {string} id The share id.
+ * @property {string} title The title students see.
+ * @property {object} scheme The marking scheme the class is scored with.
+ * @property {string} url The link to send to students.
+ * @property {boolean} released Whether the answer key has been released.
+ * @property {string} [releaseCode] For links, the code that unlocks the key.
+ * @property {string} [token] For the class server, the teacher's secret for results and release.
+ * @property {import("./submissions.js").Submission[]} [responses] For links, the response codes pasted in so far.
+ */
+
+/**
+ * Creates a new share id.
+ * @returns {string} Twelve base64url characters.
+ */
+export const newShareId = () => toBase64Url(crypto.getRandomValues(new Uint8Array(9)));
+
+/**
+ * Builds the link students open for a quiz on the class server.
+ * @param {string} id The share id.
+ * @param {string} baseUrl The app's address.
+ * @returns {string} The link.
+ */
+export const classLink = (id, baseUrl) => `${baseUrl}#${CLASS_PARAM}=${id}`;
+
+/**
+ * Reads a share from a page's URL fragment.
+ * @param {string} hash `location.hash`.
+ * @returns {{ mode: "link", packed: string } | { mode: "server", id: string } | null} The share, or null if the
+ *   fragment isn't one.
+ */
+export const readShareFragment = (hash) => {
+	const params = new URLSearchParams(hash.replace(/^#/, ""));
+	if (params.get(LINK_PARAM)) return { mode: "link", packed: params.get(LINK_PARAM) };
+	if (SHARE_ID_PATTERN.test(params.get(CLASS_PARAM) ?? "")) return { mode: "server", id: params.get(CLASS_PARAM) };
+	return null;
+};
+
+/**
+ * Packs a quiz into a self-contained link, with its answer key sealed.
+ * @param {object[]} questions The questions, with their keys.
+ * @param {{ title: string, scheme: object }} details The title and marking scheme students see.
+ * @param {string} baseUrl The app's address.
+ * @returns {Promise<ShareInfo>} The share, with the link and release code.
+ * @throws {ShareError} If the quiz has cropped figures or is too long for a link.
+ */
+export const createShareLink = async (questions, { title, scheme }, baseUrl) => {
+	const { paper, key } = splitAnswerKey(questions);
+	if (paper.some(({ figure }) => figure?.image)) {
+		throw new ShareError(
+			"This quiz has figures cropped from the material, which are too large for a link. Use the class server instead.",
+		);
+	}
+	const id = newShareId();
+	const { sealed, releaseCode } = await sealAnswerKey(key);
+	const packed = await packValue({ version: LINK_VERSION, id, title, scheme, questions: paper, sealed });
+	const url = `${baseUrl}#${LINK_PARAM}=${packed}`;
+	if (url.length > MAX_LINK_CHARS) {
+		throw new ShareError("This quiz is too long for a link. Share fewer questions, or use the class server instead.");
+	}
+	return { mode: "link", id, title, scheme, url, released: false, releaseCode, responses: [] };
+};
+
+/**
+ * Checks the paper a student received, from a link or the class server, before it is shown, the way an imported
+ * quiz is checked. The paper has no key, so a stand-in one is validated with it and then split off again.
+ * @param {any} questions The questions.
+ * @returns {object[]} The cleaned questions.
+ * @throws {ShareError} If they can't be shown as a quiz.
+ */
+export const checkPaper = (questions) => {
+	const damaged = new ShareError("This shared quiz is damaged. Ask your teacher for a new link.");
+	if (!Array.isArray(questions) || !questions.length) throw damaged;
+	const checked = questions.map((raw) => {
+		const { question } = validateQuestion(raw && typeof raw === "object" ? { ...raw, ...STAND_IN_KEY } : raw);
+		if (!question) throw damaged;
+		return question;
+	});
+	return splitAnswerKey(checked).paper;
+};
+
+/**
+ * Checks the marking scheme a shared quiz came with, falling back to NEET marking.
+ * @param {any} scheme The scheme.
+ * @returns {{ id: string, label: string, correct: number, incorrect: number, unattempted: number }} The scheme.
+ */
+export const checkScheme = (scheme) =>
+	["correct", "incorrect", "unattempted"].every((key) => Number.isFinite(scheme?.[key]))
+		? {
+				id: String(scheme.id ?? "custom"),
+				label: String(scheme.label ?? "Custom"),
+				correct: scheme.correct,
+				incorrect: scheme.incorrect,
+				unattempted: scheme.unattempted,
+			}
+		: { ...DEFAULT_SCHEME };
+
+/**
+ * Unpacks a quiz from a link.
+ * @param {string} packed The fragment parameter.
+ * @returns {Promise<{ id: string, title: string, scheme: object, questions: object[], sealed: object }>} The quiz,
+ *   with its paper and sealed key.
+ * @throws {ShareError} If the link is damaged or from a newer version of the app.
+ */
+export const openShareLink = async (packed) => {
+	let payload;
+	try {
+		payload = await unpackValue(packed);
+	} catch {
+		throw new ShareError("This link is incomplete or damaged. Ask your teacher to send it again.");
+	}
+	if (payload?.version > LINK_VERSION) throw new ShareError("This link was made by a newer version of the app.");
+	if (!SHARE_ID_PATTERN.test(payload?.id ?? "") || !payload.sealed) {
+		throw new ShareError("This link is incomplete or damaged. Ask your teacher to send it again.");
+	}
+	return {
+		...payload,
+		title: String(payload.title ?? ""),
+		scheme: checkScheme(payload.scheme),
+		questions: checkPaper(payload.questions),
+	};
+};
+
+/**
+ * Packs a student's answers into a response code to send to the teacher.
+ * @param {string} shareId The shared quiz.
+ * @param {import("./submissions.js").Submission} submission The answers.
+ * @returns {Promise<string>} The response code.
+ */
+export const createResponseCode = (shareId, submission) => packValue({ version: LINK_VERSION, shareId, ...submission });
+
+/**
+ * Reads a response code pasted in by the teacher.
+ * @param {string} code The response code.
+ * @param {string} shareId The quiz it should answer.
+ * @param {number} questionCount How many questions the quiz has.
+ * @returns {Promise<import("./submissions.js").Submission>} The submission.
+ * @throws {ShareError} If the code is damaged or answers another quiz.
+ */
+export const readResponseCode = async (code, shareId, questionCount) => {
+	let payload;
+	try {
+		payload = await unpackValue(code.trim());
+	} catch {
+		throw new ShareError("That response code is incomplete or damaged.");
+	}
+	if (payload?.shareId !== shareId) throw new ShareError("That response code is for a different quiz.");
+	return normalizeSubmission(payload, questionCount);
+};
@@ -0,0 +1,106 @@
+// @vitest-environment node
+// Node's Blob, CompressionStream and Web Crypto, which jsdom lacks or replaces.
+import { describe, expect, it } from "vitest";
+import { mergeAnswerKey, openAnswerKey } from "./key.js";
+import {
+	checkPaper,
+	createResponseCode,
+	createShareLink,
+	openShareLink,
+	readResponseCode,
+	readShareFragment,
+} from "./link.js";
+
+const BASE_URL = "https://quiz.example/";
+const SCHEME = { id: "cuet", label: "CUET", correct: 5, incorrect: -1, unattempted: 0 };
+
+const QUESTIONS = [
+	{
+		type: "mcq",
+		questionText: "What is the SI unit of force?",
+		options: ["Joule", "Newton", "Watt", "Pascal"],
+		correctAnswer: "B",
+		solution: "Force is measured in newtons.",
+		subject: "Physics",
+		chapter: "Laws of Motion",
+		difficulty: "easy",
+	},
+	{
+		type: "assertion-reason",
+		questionText: "Given below are two statements: one is labelled as Assertion (A) and the other as Reason (R).",
+		assertion: "Leaves appear green.",
+		reason: "Chlorophyll reflects green light.",
+		options: ["Both true, R explains A", "Both true, R doesn't explain A", "A true, R false", "A false, R true"],
+		correctAnswer: "A",
+		solution: "Chlorophyll absorbs red and blue light.",
+		subject: "Botany",
+		chapter: "Photosynthesis in Higher Plants",
+		difficulty: "medium",
+	},
+];
+
+/**
+ * The questions as a student's paper: without their key fields.
+ * @returns {object[]} The paper.
+ */
+const splitPaper = () => QUESTIONS.map(({ correctAnswer: _, solution: __, ...question }) => question);
+
+/**
+ * Reads the packed quiz out of a share link.
+ * @param {string} url The link.
+ * @returns {string} The fragment parameter.
+ */
+const packedFrom = (url) => readShareFragment(new URL(url).hash).packed;
+
+describe("share links", () => {
+	it("round-trip a quiz, with its key sealed until the release code opens it", async () => {
+		const share = await createShareLink(QUESTIONS, { title: "Unit test", scheme: SCHEME }, BASE_URL);
+		expect(share).toMatchObject({ mode: "link", title: "Unit test", released: false, responses: [] });
+		expect(share.url.startsWith(`${BASE_URL}#share=`)).toBe(true);
+
+		const opened = await openShareLink(packedFrom(share.url));
+		expect(opened).toMatchObject({ id: share.id, title: "Unit test", scheme: SCHEME });
+		expect(opened.questions.every((question) => !("correctAnswer" in question) && !("solution" in question))).toBe(true);
+		expect(opened.questions[1].assertion).toBe("Leaves appear green.");
+
+		const key = await openAnswerKey(opened.sealed, share.releaseCode);
+		expect(mergeAnswerKey(opened.questions, key)).toEqual(QUESTIONS);
+	});
+
+	it("refuse damaged links", async () => {
+		await expect(openShareLink("not-a-link")).rejects.toThrow(/incomplete or damaged/);
+	});
+
+	it("read class-server links and ignore other fragments", () => {
+		expect(readShareFragment("#class=abcdefghijkl")).toEqual({ mode: "server", id: "abcdefghijkl" });
+		expect(readShareFragment("#class=short")).toBeNull();
+		expect(readShareFragment("")).toBeNull();
+	});
+});
+
+describe("checkPaper", () => {
+	it("rejects papers that can't be shown", () => {
+		const [mcq, assertionReason] = splitPaper();
+		expect(() => checkPaper([])).toThrow(/damaged/);
+		expect(() => checkPaper([{ ...mcq, options: ["a", "b"] }])).toThrow(/damaged/);
+		expect(() => checkPaper([{ ...assertionReason, assertion: undefined }])).toThrow(/damaged/);
+		expect(() => checkPaper([{ ...mcq, type: "essay" }])).toThrow(/damaged/);
+	});
+
+	it("returns valid papers without a key", () => {
+		expect(checkPaper(splitPaper())).toEqual(splitPaper());
+	});
+});
+
+describe("response codes", () => {
+	it("round-trip a student's answers for the quiz they answer", async () => {
+		const code = await createResponseCode("abcdefghijkl", { name: " Asha  K ", answers: { 0: "B" }, submittedAt: 5 });
+		expect(await readResponseCode(code, "abcdefghijkl", 2)).toEqual({
+			name: "Asha K",
+			answers: { 0: "B" },
+			timeSpent: null,
+			submittedAt: 5,
+		});
+		await expect(readResponseCode(code, "mnopqrstuvwx", 2)).rejects.toThrow("That response code is for a different quiz.");
+	});
+});
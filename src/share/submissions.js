@@ -0,0 +1,89 @@
+// Students' submissions to a shared quiz, and the class results table built from them.
+import { isCorrectAnswer } from "../quiz/formats.js";
+import { scoreQuiz } from "../quiz/scoring.js";
+import { OPTION_LETTERS } from "../quiz/validate.js";
+import { ShareError } from "./key.js";
+
+// Longest student name accepted, in characters.
+export const MAX_NAME_CHARS = 80;
+
+/**
+ * A student's answers to a shared quiz.
+ * @typedef {Object} Submission
+ * @property {string} name The name the student gave.
+ * @property {Record<number, string>} answers Option letters by question index.
+ * @property {Record<number, number> | null} timeSpent Seconds per question, when sat as a timed exam.
+ * @property {number} submittedAt When it was submitted.
+ */
+
+/**
+ * Checks a submission from a student, whether it came to the class server or in a response code.
+ * @param {any} raw The submission.
+ * @param {number} questionCount How many questions the quiz has.
+ * @returns {Submission} The cleaned submission.
+ * @throws {ShareError} If it has no name or its answers don't fit the quiz.
+ */
+export const normalizeSubmission = (raw, questionCount) => {
+	const name = typeof raw?.name === "string" ? raw.name.trim().replace(/\s+/g, " ") : "";
+	if (!name) throw new ShareError("Enter your name before submitting.");
+	if (name.length > MAX_NAME_CHARS) throw new ShareError(`Names can be at most ${MAX_NAME_CHARS} characters.`);
+	if (!raw.answers || typeof raw.answers !== "object") throw new ShareError("The submission has no answers.");
+
+	const inRange = (index) => Number.isInteger(index) && index >= 0 && index < questionCount;
+	const answers = {};
+	for (const [key, letter] of Object.entries(raw.answers)) {
+		if (!inRange(Number(key)) || !OPTION_LETTERS.includes(letter)) {
+			throw new ShareError("The submission has answers that don't fit this quiz.");
+		}
+		answers[Number(key)] = letter;
+	}
+	const timeSpent =
+		raw.timeSpent && typeof raw.timeSpent === "object"
+			? Object.fromEntries(
+					Object.entries(raw.timeSpent).filter(
+						([key, seconds]) => inRange(Number(key)) && Number.isFinite(seconds) && seconds >= 0,
+					),
+				)
+			: null;
+	return {
+		name,
+		answers,
+		timeSpent,
+		submittedAt: Number.isFinite(raw.submittedAt) ? raw.submittedAt : Date.now(),
+	};
+};
+
+/**
+ * Adds a submission to a list, replacing an earlier one from the same name, so a student who resubmits
+ * appears once with their latest answers.
+ * @param {Submission[]} submissions The submissions so far.
+ * @param {Submission} submission The new one.
+ * @returns {Submission[]} The updated list, in submission order.
+ */
+export const addSubmission = (submissions, submission) => [
+	...submissions.filter(({ name }) => name.toLowerCase() !== submission.name.toLowerCase()),
+	submission,
+];
+
+/**
+ * Scores every submission against the quiz's answer key.
+ * @param {object[]} questions The questions, with their keys.
+ * @param {Submission[]} submissions The class's submissions.
+ * @param {{ correct: number, incorrect: number, unattempted: number }} scheme The marking scheme.
+ * @returns {{ rows: (Submission & { results: ReturnType<typeof scoreQuiz> })[],
+ *   perQuestion: { attempted: number, correct: number }[] }} Each student's results, highest marks first, and
+ *   how many students attempted and got each question right.
+ */
+export const classResults = (questions, submissions, scheme) => {
+	const perQuestion = questions.map(() => ({ attempted: 0, correct: 0 }));
+	const rows = submissions.map((submission) => {
+		questions.forEach((question, index) => {
+			const answer = submission.answers[index];
+			if (!answer) return;
+			perQuestion[index].attempted++;
+			if (isCorrectAnswer(question, answer)) perQuestion[index].correct++;
+		});
+		return { ...submission, results: scoreQuiz(questions, submission.answers, scheme) };
+	});
+	return { rows: rows.sort((a, b) => b.results.marks - a.results.marks || a.submittedAt - b.submittedAt), perQuestion };
+};
@@ -0,0 +1,47 @@
+// The personal question bank: every generated question, tagged and deduplicated.
+import { findNearDuplicate, questionSignature } from "../quiz/similarity.js";
+import { getAll, newId, put, remove } from "./db.js";
+
+/**
+ * Lists every question in the bank, newest first.
+ * @returns {Promise<object[]>} The bank entries: `{ id, question, tags, source, addedAt }`.
+ */
+export const listBank = async () => (await getAll("bank")).sort((a, b) => b.addedAt - a.addedAt);
+
+/**
+ * Adds questions to the bank, skipping near-duplicates of questions already in it
+ * (or earlier in the same batch).
+ * @param {object[]} questions The questions to add.
+ * @param {{ quizId?: string | null, files: string[] }} source Where the questions came from.
+ * @returns {Promise<{ added: number, duplicates: number }>} How many were added and skipped.
+ */
+export const addToBank = async (questions, source) => {
+	const existing = (await getAll("bank")).map((entry) => ({ signature: questionSignature(entry.question) }));
+	let added = 0;
+	let duplicates = 0;
+
+	for (const question of questions) {
+		if (findNearDuplicate(question, existing)) {
+			duplicates++;
+			continue;
+		}
+		await put("bank", { id: newId(), question, tags: [], source, addedAt: Date.now() });
+		existing.push({ signature: questionSignature(question) });
+		added++;
+	}
+	return { added, duplicates };
+};
+
+/**
+ * Saves changes to a bank entry, such as edited tags.
+ * @param {object} entry The updated entry.
+ * @returns {Promise<object>} The stored entry.
+ */
+export const updateBankEntry = (entry) => put("bank", entry);
+
+/**
+ * Removes a question from the bank.
+ * @param {string} id The entry id.
+ * @returns {Promise<void>}
+ */
+export const removeFromBank = (id) => remove("bank", id);
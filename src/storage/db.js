@@ -0,0 +1,136 @@
+// Thin promise wrapper around the app's IndexedDB database.
+// Each store is declared once in STORES; bump DB_VERSION when adding one.
+
+const DB_NAME = "neet-quiz-generator";
+const DB_VERSION = 4;
+
+const STORES = {
+	quizzes: { keyPath: "id", indexes: [["createdAt", "createdAt"]] },
+	attempts: { keyPath: "id", indexes: [["quizId", "quizId"], ["submittedAt", "submittedAt"]] },
+	session: { keyPath: "id", indexes: [] },
+	bank: { keyPath: "id", indexes: [["addedAt", "addedAt"]] },
+	reviews: { keyPath: "id", indexes: [["due", "card.due"]] },
+	queue: { keyPath: "id", indexes: [["queuedAt", "queuedAt"]] },
+};
+
+let dbPromise = null;
+
+/**
+ * Creates a unique identifier for a stored record.
+ * @returns {string} The identifier.
+ */
+export const newId = () => crypto.randomUUID();
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request The request.
+ * @returns {Promise<any>} Resolves with the request result.
+ */
+export const promisify = (request) =>
+	new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+
+/**
+ * Opens (and on first use, creates or upgrades) the database.
+ * The connection is shared until another tab upgrades the database: it is closed then so the upgrade can go
+ * ahead, and the next call opens it again. An upgrade held up by another tab's open connection fails instead of
+ * waiting, so callers fall back rather than hang.
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+export const openDb = () => {
+	if (!dbPromise) {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			for (const [name, { keyPath, indexes }] of Object.entries(STORES)) {
+				if (db.objectStoreNames.contains(name)) continue;
+				const store = db.createObjectStore(name, { keyPath });
+				for (const [indexName, indexKeyPath] of indexes) store.createIndex(indexName, indexKeyPath);
+			}
+		};
+		let blocked = false;
+		dbPromise = new Promise((resolve, reject) => {
+			request.onsuccess = () => {
+				const db = request.result;
+				// The other tab has closed after all; this page has moved on without the connection.
+				if (blocked) {
+					db.close();
+					return;
+				}
+				db.onversionchange = () => {
+					db.close();
+					dbPromise = null;
+				};
+				resolve(db);
+			};
+			request.onerror = () => reject(request.error);
+			request.onblocked = () => {
+				blocked = true;
+				reject(new Error("Storage is being upgraded but another tab of this app is still using it."));
+			};
+		}).catch((e) => {
+			dbPromise = null;
+			throw e;
+		});
+	}
+	return dbPromise;
+};
+
+/**
+ * Runs `fn` against an object store and resolves with its request's result.
+ * @param {string} storeName The store to use.
+ * @param {IDBTransactionMode} mode "readonly" or "readwrite".
+ * @param {(store: IDBObjectStore) => IDBRequest} fn Issues the request.
+ * @returns {Promise<any>} The request result.
+ */
+export const withStore = async (storeName, mode, fn) => {
+	const db = await openDb();
+	const transaction = db.transaction(storeName, mode);
+	// Writes only count once the transaction commits, not when the request succeeds.
+	const committed = new Promise((resolve, reject) => {
+		transaction.oncomplete = resolve;
+		transaction.onerror = () => reject(transaction.error);
+		transaction.onabort = () => reject(transaction.error);
+	});
+	const result = await promisify(fn(transaction.objectStore(storeName)));
+	await committed;
+	return result;
+};
+
+/**
+ * Stores a record, replacing any with the same key.
+ * @param {string} storeName The store.
+ * @param {object} record The record.
+ * @returns {Promise<object>} The stored record.
+ */
+export const put = async (storeName, record) => {
+	await withStore(storeName, "readwrite", (store) => store.put(record));
+	return record;
+};
+
+/**
+ * Reads a record by key.
+ * @param {string} storeName The store.
+ * @param {IDBValidKey} key The key.
+ * @returns {Promise<object | undefined>} The record, if any.
+ */
+export const get = (storeName, key) => withStore(storeName, "readonly", (store) => store.get(key));
+
+/**
+ * Deletes a record by key.
+ * @param {string} storeName The store.
+ * @param {IDBValidKey} key The key.
+ * @returns {Promise<void>}
+ */
+export const remove = (storeName, key) => withStore(storeName, "readwrite", (store) => store.delete(key));
+
+/**
+ * Reads every record in a store, or every record matching `query` on an index.
+ * @param {string} storeName The store.
+ * @param {{ index?: string, query?: IDBValidKey | IDBKeyRange }} [options] Optional index lookup.
+ * @returns {Promise<object[]>} The records.
+ */
+export const getAll = (storeName, { index, query } = {}) =>
+	withStore(storeName, "readonly", (store) => (index ? store.index(index).getAll(query) : store.getAll()));
@@ -0,0 +1,94 @@
+// Quiz history: generated quizzes, submitted attempts and the in-progress session.
+import { get, getAll, newId, put, remove } from "./db.js";
+
+const SESSION_KEY = "current";
+
+/**
+ * Saves a generated quiz with the metadata needed to list and re-run it.
+ * @param {{ questions: object[], sourceFiles: { name: string, size: number, type: string }[], settings: object, report?: object }} quiz
+ *   The quiz contents and metadata.
+ * @returns {Promise<object>} The stored quiz record, with `id` and `createdAt`.
+ */
+export const saveQuiz = (quiz) => put("quizzes", { id: newId(), createdAt: Date.now(), ...quiz });
+
+/**
+ * Saves changes to a stored quiz, such as edited or flagged questions.
+ * @param {object} quiz The updated quiz record.
+ * @returns {Promise<object>} The stored quiz.
+ */
+export const updateQuiz = (quiz) => put("quizzes", quiz);
+
+/**
+ * Reads a stored quiz.
+ * @param {string} id The quiz id.
+ * @returns {Promise<object | undefined>} The quiz.
+ */
+export const getQuiz = (id) => get("quizzes", id);
+
+/**
+ * Lists stored quizzes, newest first.
+ * @returns {Promise<object[]>} The quizzes.
+ */
+export const listQuizzes = async () => (await getAll("quizzes")).sort((a, b) => b.createdAt - a.createdAt);
+
+/**
+ * Saves a submitted attempt.
+ * @param {{ quizId: string, answers: Record<number, string>, results: object, mode: string, startedAt: number }} attempt
+ *   The attempt.
+ * @returns {Promise<object>} The stored attempt, with `id` and `submittedAt`.
+ */
+export const saveAttempt = (attempt) => put("attempts", { id: newId(), submittedAt: Date.now(), ...attempt });
+
+/**
+ * Updates fields of a stored attempt, such as its results after the questions were edited.
+ * @param {string} id The attempt id.
+ * @param {object} changes The fields to replace.
+ * @returns {Promise<object | undefined>} The updated attempt, or undefined if it no longer exists.
+ */
+export const updateAttempt = async (id, changes) => {
+	const attempt = await get("attempts", id);
+	return attempt && put("attempts", { ...attempt, ...changes });
+};
+
+/**
+ * Lists the attempts at a quiz (or at every quiz), newest first.
+ * @param {string} [quizId] Restrict to this quiz.
+ * @returns {Promise<object[]>} The attempts.
+ */
+export const listAttempts = async (quizId) =>
+	(await getAll("attempts", quizId ? { index: "quizId", query: quizId } : {})).sort(
+		(a, b) => b.submittedAt - a.submittedAt,
+	);
+
+/**
+ * Autosaves the quiz currently being attempted so it can be resumed after a reload.
+ * @param {{ quizId: string, answers: Record<number, string>, quizMode: string, examDeadline: number | null, startedAt: number }} session
+ *   The in-progress state.
+ * @returns {Promise<object>} The stored session.
+ */
+export const saveSession = (session) => put("session", { ...session, id: SESSION_KEY, updatedAt: Date.now() });
+
+/**
+ * Reads the in-progress session, if there is one.
+ * @returns {Promise<object | undefined>} The session.
+ */
+export const loadSession = () => get("session", SESSION_KEY);
+
+/**
+ * Forgets the in-progress session once the quiz is submitted or abandoned.
+ * @returns {Promise<void>}
+ */
+export const clearSession = () => remove("session", SESSION_KEY);
+
+/**
+ * Stores an imported quiz and its attempts under new ids, so importing the same file twice
+ * can't overwrite anything.
+ * @param {object} quiz The quiz record, without an id.
+ * @param {object[]} attempts Its attempts, without ids or quiz ids.
+ * @returns {Promise<object>} The stored quiz.
+ */
+export const importQuiz = async (quiz, attempts) => {
+	const storedQuiz = await saveQuiz(quiz);
+	for (const attempt of attempts) await saveAttempt({ ...attempt, quizId: storedQuiz.id });
+	return storedQuiz;
+};
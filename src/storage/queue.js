@@ -0,0 +1,33 @@
+// Generation requests made while offline, kept until the quiz server can be reached again.
+import { getAll, newId, put, remove } from "./db.js";
+
+/**
+ * A generation request waiting for a connection.
+ * @typedef {Object} QueuedGeneration
+ * @property {string} id The entry id.
+ * @property {number} queuedAt When it was queued.
+ * @property {{ numQuestions: number, chunks: object[], settings: object }} request The /api/generate request,
+ *   with the chunks already planned from the uploads, so the files needn't be read again.
+ * @property {{ settings: object, sourceFiles: object[] }} quiz The metadata to save the quiz with.
+ * @property {number | null} roundsTotal The whole quiz's size when it is generated in rounds.
+ */
+
+/**
+ * Queues a generation request.
+ * @param {Omit<QueuedGeneration, "id" | "queuedAt">} entry The request and its quiz's metadata.
+ * @returns {Promise<QueuedGeneration>} The stored entry.
+ */
+export const queueGeneration = (entry) => put("queue", { id: newId(), queuedAt: Date.now(), ...entry });
+
+/**
+ * Lists the queued requests, oldest first, which is the order they are sent in.
+ * @returns {Promise<QueuedGeneration[]>} The entries.
+ */
+export const listQueuedGenerations = async () => (await getAll("queue")).sort((a, b) => a.queuedAt - b.queuedAt);
+
+/**
+ * Removes a request from the queue, once it has run or been cancelled.
+ * @param {string} id The entry id.
+ * @returns {Promise<void>}
+ */
+export const removeQueuedGeneration = (id) => remove("queue", id);
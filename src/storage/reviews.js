@@ -0,0 +1,58 @@
+// The spaced-repetition review queue, keyed by question.
+import { isCorrectAnswer } from "../quiz/formats.js";
+import { gradeAnswer, newCard, reviewCard, reviewKey } from "../quiz/srs.js";
+import { get, getAll, put } from "./db.js";
+
+/**
+ * Updates the review queue with the outcome of a submitted quiz.
+ * Missed and skipped questions enter the queue; questions already in it are
+ * rescheduled whether they were answered right or wrong.
+ * @param {object[]} questions The quiz questions.
+ * @param {Record<number, string>} answers Selected option letters keyed by question index.
+ * @returns {Promise<{ added: number, rescheduled: number }>} How many cards were created and updated.
+ */
+export const recordReviewOutcomes = async (questions, answers) => {
+	const now = Date.now();
+	let added = 0;
+	let rescheduled = 0;
+
+	for (const [index, question] of questions.entries()) {
+		const grade = gradeAnswer(question, answers[index], isCorrectAnswer);
+		const key = reviewKey(question);
+		const existing = await get("reviews", key);
+
+		if (existing) {
+			await put("reviews", {
+				...existing,
+				question,
+				card: reviewCard(existing.card, grade, now),
+				history: [...existing.history, { at: now, grade }],
+			});
+			rescheduled++;
+		} else if (grade < 3) {
+			await put("reviews", {
+				id: key,
+				question,
+				card: reviewCard(newCard(now), grade, now),
+				history: [{ at: now, grade }],
+				addedAt: now,
+			});
+			added++;
+		}
+	}
+	return { added, rescheduled };
+};
+
+/**
+ * Lists every card in the review queue, soonest due first.
+ * @returns {Promise<object[]>} The review entries: `{ id, question, card, history, addedAt }`.
+ */
+export const listReviews = async () => (await getAll("reviews")).sort((a, b) => a.card.due - b.card.due);
+
+/**
+ * Lists the cards due now.
+ * @param {number} [now] The current time in ms.
+ * @returns {Promise<object[]>} The due entries.
+ */
+export const listDueReviews = async (now = Date.now()) =>
+	(await listReviews()).filter(({ card }) => card.due <= now);
@@ -0,0 +1,13 @@
+// Runs axe-core over rendered markup, for accessibility checks in component tests.
+import axe from "axe-core";
+
+/**
+ * Lists the accessibility rules a rendered view breaks. Colour contrast is left out, since jsdom doesn't lay out
+ * or paint the page.
+ * @param {Element} container The rendered view.
+ * @returns {Promise<string[]>} Each broken rule, as "rule-id: what it checks".
+ */
+export const axeViolations = async (container) => {
+	const { violations } = await axe.run(container, { rules: { "color-contrast": { enabled: false } } });
+	return violations.map(({ id, help }) => `${id}: ${help}`);
+};
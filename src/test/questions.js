@@ -0,0 +1,26 @@
+// Questions for component tests: a plain MCQ and an assertion-reason question, whose stem has more than its text.
+
+export const MCQ = {
+	type: "mcq",
+	questionText: "Which organelle is the site of photosynthesis?",
+	options: ["Mitochondrion", "Chloroplast", "Ribosome", "Nucleus"],
+	subject: "Botany",
+	chapter: "Photosynthesis in Higher Plants",
+	difficulty: "easy",
+};
+
+export const ASSERTION_REASON = {
+	type: "assertion-reason",
+	questionText: "Given below are two statements: one is labelled as Assertion (A) and the other as Reason (R).",
+	assertion: "Leaves appear green.",
+	reason: "Chlorophyll reflects green light.",
+	options: [
+		"Both A and R are true and R is the correct explanation of A",
+		"Both A and R are true but R is not the correct explanation of A",
+		"A is true but R is false",
+		"A is false but R is true",
+	],
+	subject: "Botany",
+	chapter: "Photosynthesis in Higher Plants",
+	difficulty: "medium",
+};
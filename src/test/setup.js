@@ -0,0 +1,5 @@
+// Runs before every test file: unmounts what each test rendered, since Vitest's globals are off.
+import { cleanup } from "@testing-library/react";
+import { afterEach } from "vitest";
+
+afterEach(cleanup);
@@ -0,0 +1,77 @@
+// The colour themes. Their colours are CSS variables in index.css, picked by `data-theme` on the root element.
+// The choice is kept in localStorage rather than IndexedDB so it can be applied before the first render,
+// without a flash of the wrong theme.
+
+const STORAGE_KEY = "neet-theme";
+
+/** The themes on offer, with "system" following the device's dark/light and contrast preferences. */
+export const THEMES = [
+	{ id: "system", label: "Match system" },
+	{ id: "dark", label: "Dark (Mocha)" },
+	{ id: "light", label: "Light (Latte)" },
+	{ id: "contrast", label: "High contrast" },
+];
+
+/**
+ * Reads the saved theme choice.
+ * @returns {string} A theme id, "system" if none was saved or storage is blocked.
+ */
+export const loadTheme = () => {
+	try {
+		const saved = localStorage.getItem(STORAGE_KEY);
+		return THEMES.some(({ id }) => id === saved) ? saved : "system";
+	} catch {
+		return "system";
+	}
+};
+
+/**
+ * Works out which palette a theme choice shows: "system" becomes high contrast if the device asks for more
+ * contrast, otherwise light or dark to match it.
+ * @param {string} theme The theme id.
+ * @returns {"dark" | "light" | "contrast"} The palette.
+ */
+export const resolveTheme = (theme) => {
+	if (theme !== "system") return theme;
+	if (window.matchMedia("(prefers-contrast: more)").matches) return "contrast";
+	return window.matchMedia("(prefers-color-scheme: light)").matches ? "light" : "dark";
+};
+
+/**
+ * Shows a theme, updating the browser's toolbar colour to match its background.
+ * @param {string} theme The theme id.
+ */
+export const applyTheme = (theme) => {
+	const root = document.documentElement;
+	root.dataset.theme = resolveTheme(theme);
+	const base = getComputedStyle(root).getPropertyValue("--ctp-base").trim();
+	document.querySelector('meta[name="theme-color"]')?.setAttribute("content", `rgb(${base})`);
+};
+
+/**
+ * Saves and shows a theme choice.
+ * @param {string} theme The theme id.
+ */
+export const saveTheme = (theme) => {
+	try {
+		localStorage.setItem(STORAGE_KEY, theme);
+	} catch {
+		// Storage blocked: the theme still applies for this visit.
+	}
+	applyTheme(theme);
+};
+
+/**
+ * Re-applies a "system" theme whenever the device's colour or contrast preference changes.
+ * @param {string} theme The theme id.
+ * @returns {() => void} Stops listening.
+ */
+export const followSystemTheme = (theme) => {
+	if (theme !== "system") return () => {};
+	const queries = ["(prefers-contrast: more)", "(prefers-color-scheme: light)"].map((query) => window.matchMedia(query));
+	const update = () => applyTheme(theme);
+	for (const query of queries) query.addEventListener("change", update);
+	return () => {
+		for (const query of queries) query.removeEventListener("change", update);
+	};
+};
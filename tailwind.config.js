@@ -1,8 +1,36 @@
+// The app's colours, named after the Catppuccin palette. Each reads a CSS variable that src/index.css sets per
+// theme, so `bg-ctp-base`, `text-ctp-blue/40` and the rest follow the theme the user picked.
+const PALETTE = [
+	"base",
+	"mantle",
+	"surface0",
+	"surface1",
+	"surface2",
+	"overlay0",
+	"subtext0",
+	"subtext1",
+	"text",
+	"blue",
+	"blue-hover",
+	"green",
+	"green-hover",
+	"mauve",
+	"mauve-hover",
+	"red",
+	"red-hover",
+	"yellow",
+	"pink",
+];
+
 /** @type {import('tailwindcss').Config} */
 export default {
 	content: ["./index.html", "./src/**/*.{js,ts,jsx,tsx}"],
 	theme: {
-		extend: {},
+		extend: {
+			colors: {
+				ctp: Object.fromEntries(PALETTE.map((name) => [name, `rgb(var(--ctp-${name}) / <alpha-value>)`])),
+			},
+		},
 	},
 	plugins: [],
 };
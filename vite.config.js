@@ -1,7 +1,66 @@
-import { defineConfig } from 'vite'
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync, statSync } from 'node:fs'
+import { join } from 'node:path'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readServerConfig } from './server/config.js'
+import { createGenerateHandler } from './server/generate.js'
+import { createShareHandler } from './server/shares.js'
+
+// Mounts the /api routes on the dev server so the API key stays server-side in development too.
+const apiProxy = (env) => ({
+  name: 'neet-api-proxy',
+  configureServer(server) {
+    const config = readServerConfig(env)
+    server.middlewares.use('/api/generate', createGenerateHandler(config))
+    server.middlewares.use('/api/shares', createShareHandler(config))
+  },
+})
+
+// Builds the service worker from src/pwa/sw.js with the list of files to precache: everything this build emits
+// plus the public directory (manifest and icons). KaTeX's woff and ttf fonts are left out, since every browser
+// that runs service workers loads the woff2 ones. The version changes whenever any of them does, which makes
+// browsers install the new worker and drop the old cache.
+const serviceWorker = () => ({
+  name: 'neet-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_, bundle) {
+    const publicFiles = readdirSync('public', { recursive: true }).filter((file) => statSync(join('public', file)).isFile())
+    const hash = createHash('sha256')
+    for (const [fileName, item] of Object.entries(bundle)) hash.update(fileName).update(item.code ?? item.source)
+    for (const file of publicFiles) hash.update(file).update(readFileSync(join('public', file)))
+    const files = [
+      '/',
+      ...Object.keys(bundle).filter((fileName) => fileName !== 'index.html' && !/\.(woff|ttf)$/.test(fileName)),
+      ...publicFiles.map((file) => file.split('\\').join('/')),
+    ].map((file) => (file.startsWith('/') ? file : `/${file}`))
+    const precache = JSON.stringify({ version: hash.digest('hex').slice(0, 12), files })
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: readFileSync('src/pwa/sw.js', 'utf8').replace('self.__PRECACHE__', precache),
+    })
+  },
+})
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // Load every variable, not only VITE_-prefixed ones; these never reach the client bundle.
+  const env = { ...process.env, ...loadEnv(mode, process.cwd(), '') }
+  return {
+    plugins: [react(), apiProxy(env), serviceWorker()],
+    build: {
+      rollupOptions: {
+        output: {
+          // KaTeX is most of the bundle and changes rarely, so it gets its own long-cached chunk.
+          manualChunks: { katex: ['katex', 'katex/contrib/mhchem'] },
+        },
+      },
+    },
+    test: {
+      environment: 'jsdom',
+      setupFiles: ['src/test/setup.js'],
+    },
+  }
 })